@@ -0,0 +1,716 @@
+// admin.js (Platform Admin Console: Hospital Verification, Suspension and Re-verification)
+
+// --- Global Configuration ---
+const API_URL = 'http://localhost:3000/api';
+let authToken = localStorage.getItem('auth_token'); // Replaced whenever the session is refreshed
+const DEFAULT_MAP_CENTER = [20.5937, 78.9629]; // India, used until a hospital location is plotted
+
+const HOSPITAL_STATUS_LABELS = {
+    PENDING: 'Awaiting Approval',
+    RESUBMISSION_REQUESTED: 'New Proof Requested',
+    APPROVED: 'Approved',
+    SUSPENDED: 'Suspended',
+    REJECTED: 'Rejected'
+};
+
+let listedHospitals = []; // Last list fetched, looked up by _id from the card buttons
+let pendingMap = null;
+let pendingMarkers = {}; // hospital _id -> Leaflet marker
+
+function redirectToLogin(message = "Session expired. Please log in again.") {
+    localStorage.removeItem('auth_token');
+    localStorage.removeItem('refresh_token');
+    localStorage.removeItem('current_admin_name');
+
+    showCustomAlert(message, 'warning');
+
+    setTimeout(() => {
+        window.location.href = 'login.html';
+    }, 2000);
+}
+
+// Global Notification Helper
+function showCustomAlert(message, type = 'info') {
+    const container = document.getElementById('notification-container');
+    if (!container) return;
+
+    const toast = document.createElement('div');
+    toast.className = `notification-toast toast-${type}`;
+
+    let iconClass = 'fa-info-circle';
+    let title = 'Info';
+
+    if (type === 'success') { iconClass = 'fa-check-circle'; title = 'Success'; }
+    if (type === 'error') { iconClass = 'fa-exclamation-circle'; title = 'Error'; }
+    if (type === 'warning') { iconClass = 'fa-exclamation-triangle'; title = 'Warning'; }
+
+    toast.innerHTML = `
+        <i class="fas ${iconClass} notification-icon"></i>
+        <div class="notification-content">
+            <span class="notification-title">${title}</span>
+            <span class="notification-message">${message}</span>
+        </div>
+        <button class="notification-close">&times;</button>
+    `;
+
+    container.appendChild(toast);
+
+    toast.querySelector('.notification-close').addEventListener('click', () => {
+        toast.classList.add('hide');
+        toast.addEventListener('animationend', () => toast.remove());
+    });
+
+    setTimeout(() => {
+        if (toast && toast.parentNode) {
+            toast.classList.add('hide');
+            toast.addEventListener('animationend', () => toast.remove());
+        }
+    }, 5000);
+}
+
+// Helper function to create standard headers with Authorization
+function getAuthHeaders() {
+    return {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${authToken}`
+    };
+}
+
+// --- Session Handling (short-lived access token + rotating refresh token) ---
+let refreshInFlight = null;
+
+// Exchanges the stored refresh token for a new pair. Concurrent callers share one request,
+// because the server accepts each refresh token only once.
+function refreshSession() {
+    if (refreshInFlight) return refreshInFlight;
+
+    refreshInFlight = (async () => {
+        // Another tab may already have rotated the tokens
+        const storedToken = localStorage.getItem('auth_token');
+        if (storedToken && storedToken !== authToken) {
+            authToken = storedToken;
+            return true;
+        }
+
+        const refreshToken = localStorage.getItem('refresh_token');
+        if (!refreshToken) return false;
+
+        try {
+            const response = await fetch(`${API_URL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+            if (!response.ok) return false;
+
+            const data = await response.json();
+            authToken = data.token;
+            localStorage.setItem('auth_token', data.token);
+            localStorage.setItem('refresh_token', data.refreshToken);
+            return true;
+        } catch (error) {
+            console.error("Session refresh error:", error);
+            return false;
+        }
+    })().finally(() => { refreshInFlight = null; });
+
+    return refreshInFlight;
+}
+
+// fetch() with the current access token. An expired token is refreshed silently and the
+// request retried once, so callers only see 401/403 when the session is really over.
+async function authFetch(url, options = {}) {
+    const send = () => fetch(url, {
+        ...options,
+        headers: { ...getAuthHeaders(), ...options.headers, 'Authorization': `Bearer ${authToken}` }
+    });
+
+    let response = await send();
+    if (response.status === 401 && await refreshSession()) {
+        response = await send();
+    }
+    return response;
+}
+
+// Ends this device's session (or every session of the account) on the server, then leaves
+async function logout(allDevices = false) {
+    try {
+        if (allDevices) {
+            await authFetch(`${API_URL}/auth/logout-all`, { method: 'POST' });
+        } else {
+            await fetch(`${API_URL}/auth/logout`, {
+                method: 'POST',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({ refreshToken: localStorage.getItem('refresh_token') })
+            });
+        }
+    } catch (error) {
+        console.error("Logout error:", error);
+    }
+    redirectToLogin(allDevices ? "You have been logged out on all devices." : "You have been logged out.");
+}
+
+function hasLocation(hospital) {
+    return hospital.location
+        && typeof hospital.location.lat === 'number'
+        && typeof hospital.location.lng === 'number';
+}
+
+
+// --- 1. Data/API Fetch Functions ---
+
+async function fetchHospitals(status) {
+    try {
+        const response = await authFetch(`${API_URL}/hospitals?status=${encodeURIComponent(status)}`);
+
+        if (response.status === 401 || response.status === 403) {
+            redirectToLogin("Admin session expired. Please log in again.");
+            return [];
+        }
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+        return await response.json();
+    } catch (error) {
+        console.error("Error fetching hospitals:", error);
+        showCustomAlert("Could not load hospitals. Is the server running?", 'error');
+        return [];
+    }
+}
+
+
+// --- 2. Map ---
+
+function initPendingMap() {
+    if (pendingMap || typeof L === 'undefined') return;
+
+    pendingMap = L.map('pending-map').setView(DEFAULT_MAP_CENTER, 5);
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        maxZoom: 19,
+        attribution: '&copy; OpenStreetMap contributors'
+    }).addTo(pendingMap);
+}
+
+function renderPendingMarkers(hospitals) {
+    if (!pendingMap) return;
+
+    Object.values(pendingMarkers).forEach(marker => marker.remove());
+    pendingMarkers = {};
+
+    const located = hospitals.filter(hasLocation);
+    located.forEach(hospital => {
+        pendingMarkers[hospital._id] = L.marker([hospital.location.lat, hospital.location.lng])
+            .addTo(pendingMap)
+            .bindPopup(`<strong>${escapeHtml(hospital.name)}</strong><br>${escapeHtml(hospital.email)}`);
+    });
+
+    if (located.length === 1) {
+        pendingMap.setView([located[0].location.lat, located[0].location.lng], 13);
+    } else if (located.length > 1) {
+        pendingMap.fitBounds(located.map(h => [h.location.lat, h.location.lng]), { padding: [30, 30] });
+    }
+}
+
+function showHospitalOnMap(hospitalId) {
+    const marker = pendingMarkers[hospitalId];
+    if (!marker) {
+        showCustomAlert("This hospital did not share a location at registration.", 'warning');
+        return;
+    }
+    pendingMap.setView(marker.getLatLng(), 15);
+    marker.openPopup();
+    document.getElementById('pending-map').scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+
+// --- 3. Rendering ---
+
+function renderProofPreview(hospital) {
+    const proof = hospital.proof;
+    if (!proof) {
+        return `<p class="proof-missing"><i class="fas fa-exclamation-triangle"></i> No proof document uploaded</p>`;
+    }
+    const icon = proof.contentType === 'application/pdf' ? 'fa-file-pdf' : 'fa-file-image';
+    const label = proof.filename || 'Proof document';
+    return `<button class="action-btn-secondary" onclick="viewProof('${hospital._id}')"><i class="fas ${icon}"></i> ${label}</button>`;
+}
+
+// Buttons offered for each verification state (mirrors HOSPITAL_TRANSITIONS on the server)
+function renderHospitalActions(hospital) {
+    const id = hospital._id;
+    const button = (action, icon, label, primary = false) => `
+        <button class="${primary ? 'action-btn primary-action-btn' : 'action-btn-secondary'}" onclick="${action}('${id}')">
+            <i class="fas ${icon}"></i> ${label}
+        </button>`;
+
+    switch (hospital.status) {
+        case 'PENDING':
+            return button('rejectHospital', 'fa-times', 'Reject')
+                + button('requestProofResubmission', 'fa-file-upload', 'Request New Proof')
+                + button('approveHospital', 'fa-check', 'Approve', true);
+        case 'RESUBMISSION_REQUESTED':
+            return button('rejectHospital', 'fa-times', 'Reject');
+        case 'APPROVED':
+            return button('requestProofResubmission', 'fa-file-upload', 'Request New Proof')
+                + button('suspendHospital', 'fa-ban', 'Suspend', true);
+        case 'SUSPENDED':
+            return button('rejectHospital', 'fa-times', 'Reject')
+                + button('reinstateHospital', 'fa-undo', 'Reinstate', true);
+        default:
+            return '';
+    }
+}
+
+function renderVerificationHistory(hospital) {
+    const history = hospital.verificationHistory || [];
+    if (history.length === 0) return '';
+
+    const entries = history.slice().reverse().map(entry => `
+        <li>
+            <span class="history-status">${HOSPITAL_STATUS_LABELS[entry.status] || entry.status}</span>
+            by ${escapeHtml((entry.by && entry.by.name) || 'System')} · ${new Date(entry.at).toLocaleString()}
+            ${entry.reason ? `<div class="history-reason">${escapeHtml(entry.reason)}</div>` : ''}
+        </li>
+    `).join('');
+
+    return `
+        <details class="verification-history">
+            <summary>Verification history (${history.length})</summary>
+            <ul>${entries}</ul>
+        </details>
+    `;
+}
+
+async function renderHospitalList() {
+    const container = document.getElementById('pending-hospitals-list');
+    const badge = document.getElementById('pending-count-badge');
+    const status = document.getElementById('hospital-status-filter').value;
+
+    listedHospitals = await fetchHospitals(status);
+    badge.textContent = `${listedHospitals.length} ${HOSPITAL_STATUS_LABELS[status]}`;
+    renderPendingMarkers(listedHospitals);
+
+    if (listedHospitals.length === 0) {
+        container.innerHTML = `<p class="empty-list-message">No hospitals are ${HOSPITAL_STATUS_LABELS[status].toLowerCase()}.</p>`;
+        return;
+    }
+
+    container.innerHTML = listedHospitals.map(hospital => {
+        const registered = hospital.createdAt ? new Date(hospital.createdAt).toLocaleString() : 'Unknown';
+        const coords = hasLocation(hospital)
+            ? `${hospital.location.lat.toFixed(5)}, ${hospital.location.lng.toFixed(5)}`
+            : 'Not provided';
+
+        return `
+            <div class="pending-hospital-item status-${hospital.status.toLowerCase()}">
+                <div class="pending-hospital-info">
+                    <h3><i class="fas fa-hospital"></i> ${escapeHtml(hospital.name)}</h3>
+                    ${hospital.hospitalId ? `<p><i class="fas fa-id-card-alt"></i> ${escapeHtml(hospital.hospitalId)}</p>` : ''}
+                    <p><i class="fas fa-envelope"></i> ${escapeHtml(hospital.email)}</p>
+                    <p><i class="fas fa-map-marker-alt"></i> ${coords}</p>
+                    <p class="pending-hospital-date"><i class="fas fa-clock"></i> Registered ${registered}</p>
+                    ${hospital.statusReason ? `<p class="status-reason"><i class="fas fa-comment-alt"></i> ${escapeHtml(hospital.statusReason)}</p>` : ''}
+                </div>
+                <div class="pending-hospital-proof">
+                    ${renderProofPreview(hospital)}
+                </div>
+                ${renderVerificationHistory(hospital)}
+                <div class="pending-hospital-actions">
+                    <button class="action-btn-secondary" onclick="showHospitalOnMap('${hospital._id}')">
+                        <i class="fas fa-map-pin"></i> Show on Map
+                    </button>
+                    ${renderHospitalActions(hospital)}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+
+// --- 4. Proof Viewer ---
+
+// The proof endpoint needs the Authorization header, so the file is fetched and shown through a blob URL
+async function viewProof(hospitalId) {
+    const hospital = listedHospitals.find(h => h._id === hospitalId);
+    if (!hospital || !hospital.proof) return;
+
+    try {
+        const response = await authFetch(`${API_URL}/hospitals/${hospitalId}/proof`);
+
+        if (response.status === 401 || response.status === 403) {
+            redirectToLogin("Admin session expired. Please log in again.");
+            return;
+        }
+        if (!response.ok) {
+            const data = await response.json();
+            showCustomAlert(data.message || "Could not load proof document.", 'error');
+            return;
+        }
+
+        const blob = await response.blob();
+        const url = URL.createObjectURL(blob);
+        const viewer = document.getElementById('proof-viewer');
+        document.getElementById('proof-hospital-name').textContent = hospital.name;
+
+        viewer.innerHTML = blob.type.startsWith('image/')
+            ? `<img src="${url}" alt="Proof document">`
+            : `<iframe src="${url}" title="Proof document" sandbox></iframe>`;
+        viewer.dataset.objectUrl = url;
+
+        document.getElementById('proof-modal').style.display = 'flex';
+    } catch (error) {
+        console.error("Proof fetch error:", error);
+        showCustomAlert("Network error while loading proof document.", 'error');
+    }
+}
+
+function closeProofModal() {
+    const viewer = document.getElementById('proof-viewer');
+    if (viewer.dataset.objectUrl) URL.revokeObjectURL(viewer.dataset.objectUrl);
+    delete viewer.dataset.objectUrl;
+    viewer.innerHTML = '';
+    document.getElementById('proof-modal').style.display = 'none';
+}
+
+
+// --- 5. Actions ---
+
+/**
+ * Calls one of the admin status endpoints and refreshes the list.
+ * @param {string} endpoint e.g. 'approve', 'suspend'
+ * @returns {Promise<object|null>} Response body on success
+ */
+async function changeHospitalStatus(endpoint, hospitalId, reason = '') {
+    try {
+        const response = await authFetch(`${API_URL}/hospital/${endpoint}/${hospitalId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ reason })
+        });
+        const data = await response.json();
+
+        if (response.status === 401 || response.status === 403) {
+            redirectToLogin("Admin session expired. Please log in again.");
+            return null;
+        }
+        if (!response.ok) {
+            showCustomAlert(data.message || "Could not update hospital.", 'error');
+            return null;
+        }
+
+        renderHospitalList();
+        return data;
+    } catch (error) {
+        console.error(`Hospital ${endpoint} error:`, error);
+        showCustomAlert("Network error while updating hospital.", 'error');
+        return null;
+    }
+}
+
+function approveHospital(hospitalId) {
+    const hospital = listedHospitals.find(h => h._id === hospitalId);
+    if (!hospital) return;
+
+    showConfirmationModal(
+        "Approve Hospital?",
+        `${hospital.name} will receive a Hospital ID by email and start receiving patient requests.`,
+        async () => {
+            const data = await changeHospitalStatus('approve', hospitalId);
+            if (data) {
+                showMessageModal("Hospital Approved", `${hospital.name} has been approved with Hospital ID ${data.hospitalId}.`, 'success');
+            }
+        }
+    );
+}
+
+function reinstateHospital(hospitalId) {
+    const hospital = listedHospitals.find(h => h._id === hospitalId);
+    if (!hospital) return;
+
+    showConfirmationModal(
+        "Reinstate Hospital?",
+        `${hospital.name} will be able to log in and will receive patient requests again.`,
+        async () => {
+            if (await changeHospitalStatus('reinstate', hospitalId)) {
+                showCustomAlert(`${escapeHtml(hospital.name)} has been reinstated.`, 'success');
+            }
+        }
+    );
+}
+
+function rejectHospital(hospitalId) {
+    showReasonModal(hospitalId, 'reject', "Reject Registration",
+        "The hospital will be emailed this reason and will not be able to log in.");
+}
+
+function suspendHospital(hospitalId) {
+    showReasonModal(hospitalId, 'suspend', "Suspend Hospital",
+        "The hospital will stop receiving patient requests and will be logged out of its dashboard.");
+}
+
+function requestProofResubmission(hospitalId) {
+    showReasonModal(hospitalId, 'request-resubmission', "Request New Proof",
+        "The hospital will be asked to upload a new proof document before verification continues.");
+}
+
+
+// --- 6. Modals ---
+
+let confirmationCallback = null;
+
+function showConfirmationModal(title, message, callback) {
+    const modal = document.getElementById('confirmation-modal');
+    if (!modal) return;
+
+    document.getElementById('confirmation-title').textContent = title;
+    document.getElementById('confirmation-message').textContent = message;
+
+    confirmationCallback = callback;
+    modal.style.display = 'flex';
+}
+
+function closeConfirmationModal() {
+    const modal = document.getElementById('confirmation-modal');
+    if (modal) modal.style.display = 'none';
+    confirmationCallback = null;
+}
+
+let reasonModalAction = null; // { hospitalId, endpoint }
+
+function showReasonModal(hospitalId, endpoint, title, message) {
+    reasonModalAction = { hospitalId, endpoint };
+    document.getElementById('reason-modal-title').textContent = title;
+    document.getElementById('reason-modal-text').textContent = message;
+    document.getElementById('reason-input').value = '';
+    document.getElementById('reason-modal').style.display = 'flex';
+}
+
+function closeReasonModal() {
+    document.getElementById('reason-modal').style.display = 'none';
+    reasonModalAction = null;
+}
+
+async function submitReason(event) {
+    event.preventDefault();
+    if (!reasonModalAction) return;
+
+    const reason = document.getElementById('reason-input').value.trim();
+    if (!reason) {
+        showCustomAlert("Please enter a reason.", 'warning');
+        return;
+    }
+
+    const { hospitalId, endpoint } = reasonModalAction;
+    closeReasonModal();
+
+    const data = await changeHospitalStatus(endpoint, hospitalId, reason);
+    if (data) showCustomAlert(data.message, 'success');
+}
+
+function showMessageModal(title, message, type = 'success') {
+    const modal = document.getElementById('message-modal');
+    if (!modal) return;
+
+    document.getElementById('msg-modal-title').textContent = title;
+    document.getElementById('msg-modal-text').textContent = message;
+
+    const iconWrapper = document.getElementById('msg-modal-icon-wrapper');
+    const icon = document.getElementById('msg-modal-icon');
+
+    iconWrapper.className = 'message-icon-wrapper';
+    icon.className = 'fas';
+
+    if (type === 'success') {
+        iconWrapper.classList.add('success');
+        icon.classList.add('fa-check-circle');
+    } else if (type === 'error') {
+        iconWrapper.classList.add('error');
+        icon.classList.add('fa-times-circle');
+    } else {
+        iconWrapper.classList.add('info');
+        icon.classList.add('fa-info-circle');
+    }
+
+    modal.style.display = 'flex';
+}
+
+function closeMessageModal() {
+    const modal = document.getElementById('message-modal');
+    if (modal) modal.style.display = 'none';
+}
+
+
+// --- 6b. Audit Log ---
+
+function showView(viewId) {
+    document.querySelectorAll('.full-screen-view').forEach(view => {
+        view.style.display = view.id === viewId ? 'block' : 'none';
+    });
+}
+
+// Audit snapshots hold free text from patients (including anonymous SOS senders), so it is escaped before display
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+// Builds the query string from the filter form (format=csv is added for exports)
+function getAuditQuery() {
+    const params = new URLSearchParams();
+    const action = document.getElementById('audit-action-filter').value;
+    const hospitalId = document.getElementById('audit-hospital-filter').value.trim();
+    const from = document.getElementById('audit-from-filter').value;
+    const to = document.getElementById('audit-to-filter').value;
+
+    if (action) params.set('action', action);
+    if (hospitalId) params.set('hospitalId', hospitalId);
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set('to', new Date(`${to}T23:59:59`).toISOString());
+    return params;
+}
+
+// Lists the top-level fields that differ between the before and after snapshots
+function describeAuditChanges(entry) {
+    if (!entry.before && entry.after) return 'Created';
+    if (entry.before && !entry.after) return 'Removed';
+    if (!entry.before) return escapeHtml(entry.note);
+
+    const changed = Object.keys({ ...entry.before, ...entry.after })
+        .filter(key => !['updatedAt', 'statusHistory', 'verificationHistory'].includes(key))
+        .filter(key => JSON.stringify(entry.before[key]) !== JSON.stringify(entry.after[key]))
+        .map(key => escapeHtml(`${key}: ${JSON.stringify(entry.before[key]) ?? '—'} → ${JSON.stringify(entry.after[key]) ?? '—'}`));
+    if (entry.note) changed.push(`Note: ${escapeHtml(entry.note)}`);
+    return changed.join('<br>');
+}
+
+async function renderAuditLog() {
+    showView('audit-log-view');
+    const tableBody = document.getElementById('audit-table-body');
+    tableBody.innerHTML = `<tr><td colspan="5" class="no-data-row">Loading audit log...</td></tr>`;
+
+    try {
+        const response = await authFetch(`${API_URL}/audit-log?${getAuditQuery()}`);
+
+        if (response.status === 401 || response.status === 403) {
+            redirectToLogin("Admin session expired. Please log in again.");
+            return;
+        }
+        const data = await response.json();
+        if (!response.ok) {
+            showCustomAlert(data.message || "Could not load the audit log.", 'error');
+            return;
+        }
+
+        if (data.length === 0) {
+            tableBody.innerHTML = `<tr><td colspan="5" class="no-data-row">No audit entries match these filters.</td></tr>`;
+            return;
+        }
+
+        tableBody.innerHTML = data.map(entry => `
+            <tr>
+                <td>${new Date(entry.at).toLocaleString()}</td>
+                <td>${escapeHtml(entry.actor.name)}<br><small>${entry.actor.accessRole || entry.actor.role}</small></td>
+                <td>${entry.action}</td>
+                <td>${entry.target.type}<br><small>${escapeHtml(entry.target.id)}</small></td>
+                <td class="audit-changes">${describeAuditChanges(entry)}</td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error("Audit log fetch error:", error);
+        showCustomAlert("Network error while loading the audit log.", 'error');
+    }
+}
+
+// The export needs the Authorization header, so the CSV is fetched and saved through a blob URL
+async function exportAuditLog() {
+    const params = getAuditQuery();
+    params.set('format', 'csv');
+
+    try {
+        const response = await authFetch(`${API_URL}/audit-log?${params}`);
+
+        if (response.status === 401 || response.status === 403) {
+            redirectToLogin("Admin session expired. Please log in again.");
+            return;
+        }
+        if (!response.ok) {
+            const data = await response.json();
+            showCustomAlert(data.message || "Could not export the audit log.", 'error');
+            return;
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error("Audit export error:", error);
+        showCustomAlert("Network error while exporting the audit log.", 'error');
+    }
+}
+
+
+// --- 7. Initialization ---
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!authToken) {
+        window.location.href = 'login.html';
+        return;
+    }
+
+    const adminName = localStorage.getItem('current_admin_name');
+    if (adminName) document.getElementById('admin-name-display').textContent = adminName;
+
+    initPendingMap();
+    renderHospitalList();
+
+    document.getElementById('pending-hospitals-link').addEventListener('click', (event) => {
+        event.preventDefault();
+        showView('pending-hospitals-view');
+        renderHospitalList();
+    });
+    document.getElementById('audit-log-link').addEventListener('click', (event) => {
+        event.preventDefault();
+        renderAuditLog();
+    });
+    document.getElementById('audit-filter-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        renderAuditLog();
+    });
+    document.getElementById('export-audit-btn').addEventListener('click', exportAuditLog);
+    document.getElementById('hospital-status-filter').addEventListener('change', renderHospitalList);
+    document.getElementById('reason-form').addEventListener('submit', submitReason);
+
+    // --- LOGOUT & PROFILE DROPDOWN ---
+    const profileTrigger = document.getElementById('profile-trigger');
+    const profileDropdown = document.getElementById('admin-profile-dropdown');
+
+    profileTrigger.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        profileDropdown.classList.toggle('show');
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!profileTrigger.contains(e.target) && !profileDropdown.contains(e.target)) {
+            profileDropdown.classList.remove('show');
+        }
+    });
+
+    document.getElementById('logout-admin-btn-dropdown').addEventListener('click', (event) => {
+        event.preventDefault();
+        logout();
+    });
+
+    document.getElementById('logout-all-admin-btn-dropdown').addEventListener('click', (event) => {
+        event.preventDefault();
+        logout(true);
+    });
+
+    // --- CONFIRMATION MODAL BUTTON ---
+    document.getElementById('confirm-action-btn').addEventListener('click', () => {
+        if (typeof confirmationCallback === 'function') {
+            confirmationCallback();
+        }
+        closeConfirmationModal();
+    });
+});
@@ -2,12 +2,102 @@
 
 // --- Global Configuration ---
 const API_URL = 'http://localhost:3000/api';
-const authToken = localStorage.getItem('auth_token');
+let authToken = localStorage.getItem('auth_token'); // Replaced whenever the session is refreshed
 const REFRESH_INTERVAL = 15000; // 15 seconds for queue auto-update
 
+// Lifecycle display labels (matches REQUEST_TRANSITIONS on the server)
+const REQUEST_STATUS_LABELS = {
+    PENDING: 'Pending',
+    ESCALATED: 'Escalated',
+    ACKNOWLEDGED: 'Acknowledged',
+    IN_PROGRESS: 'In Progress',
+    RESOLVED: 'Resolved',
+    CANCELLED: 'Cancelled'
+};
+let latestRequests = []; // Last queue fetched, so the state filter can re-render without a refetch
+let latestAppointments = []; // Today's appointments, for the reschedule and cancel modals
+let requestStream = null; // Server-Sent Events connection for instant alerts
+let lastStreamReconnect = 0; // Stops a stream the server keeps refusing from reconnecting in a tight loop
+const STREAM_RECONNECT_MIN_INTERVAL = 60000;
+
+// What each staff access role may do (matches HOSPITAL_PERMISSIONS on the server, which enforces it).
+// The hospital's own login is a hospital-admin.
+const ALL_ACCESS_ROLES = ['doctor', 'nurse', 'receptionist', 'hospital-admin'];
+const HOSPITAL_PERMISSIONS = {
+    viewQueue: ALL_ACCESS_ROLES,
+    updateRequest: ALL_ACCESS_ROLES,
+    resolveRequest: ['doctor', 'hospital-admin'],
+    prescribe: ['doctor', 'hospital-admin'],
+    viewPatients: ALL_ACCESS_ROLES,
+    admitPatient: ALL_ACCESS_ROLES,
+    removePatient: ['doctor', 'hospital-admin'],
+    dischargePatient: ['doctor', 'hospital-admin'],
+    transferPatient: ['doctor', 'nurse', 'hospital-admin'],
+    recordVitals: ['doctor', 'nurse', 'hospital-admin'],
+    recordAllergies: ['doctor', 'nurse', 'hospital-admin'],
+    manageBeds: ['hospital-admin'],
+    viewStaff: ALL_ACCESS_ROLES,
+    manageStaff: ['hospital-admin'],
+    viewAuditLog: ['hospital-admin'],
+    viewAppointments: ALL_ACCESS_ROLES,
+    manageAppointments: ['doctor', 'receptionist', 'hospital-admin']
+};
+const DISCHARGE_OUTCOME_LABELS = {
+    RECOVERED: 'Recovered',
+    IMPROVED: 'Improved',
+    REFERRED: 'Referred Elsewhere',
+    AGAINST_MEDICAL_ADVICE: 'Left Against Medical Advice',
+    DECEASED: 'Deceased'
+};
+const WARD_TYPE_LABELS = {
+    GENERAL: 'General',
+    ICU: 'ICU',
+    ISOLATION: 'Isolation',
+    MATERNITY: 'Maternity',
+    PEDIATRIC: 'Pediatric',
+    EMERGENCY: 'Emergency'
+};
+const ACCESS_ROLE_LABELS = {
+    doctor: 'Doctor',
+    nurse: 'Nurse',
+    receptionist: 'Receptionist',
+    'hospital-admin': 'Hospital Admin'
+};
+
+// Reads the signed-in account from the access token's claims, only to decide what to show
+function getSessionClaims() {
+    try {
+        return JSON.parse(atob(authToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    } catch (error) {
+        return {};
+    }
+}
+
+function getAccessRole() {
+    return getSessionClaims().accessRole || 'hospital-admin';
+}
+
+function can(permission) {
+    return HOSPITAL_PERMISSIONS[permission].includes(getAccessRole());
+}
+
+// Hides the static controls marked with data-permission that this role cannot use
+function applyAccessRole() {
+    document.querySelectorAll('[data-permission]').forEach(element => {
+        if (!can(element.dataset.permission)) element.style.display = 'none';
+    });
+
+    const claims = getSessionClaims();
+    const nameDisplay = document.querySelector('#hospital-profile-dropdown .user-name-display');
+    if (nameDisplay && claims.staffId) {
+        nameDisplay.textContent = `${claims.username} (${ACCESS_ROLE_LABELS[getAccessRole()]})`;
+    }
+}
+
 // FIX: Only redirect if necessary. 
 function redirectToLogin(message = "Session expired. Please log in again.") {
     localStorage.removeItem('auth_token');
+    localStorage.removeItem('refresh_token');
     localStorage.removeItem('current_patient_name');
     localStorage.removeItem('hospital_patients');
     localStorage.removeItem('hospital_staff');
@@ -70,6 +160,88 @@ function getAuthHeaders() {
     };
 }
 
+// --- Session Handling (short-lived access token + rotating refresh token) ---
+let refreshInFlight = null;
+
+// Exchanges the stored refresh token for a new pair. Concurrent callers share one request,
+// because the server accepts each refresh token only once.
+function refreshSession() {
+    if (refreshInFlight) return refreshInFlight;
+
+    refreshInFlight = (async () => {
+        // Another tab may already have rotated the tokens
+        const storedToken = localStorage.getItem('auth_token');
+        if (storedToken && storedToken !== authToken) {
+            authToken = storedToken;
+            return true;
+        }
+
+        const refreshToken = localStorage.getItem('refresh_token');
+        if (!refreshToken) return false;
+
+        try {
+            const response = await fetch(`${API_URL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+            if (!response.ok) return false;
+
+            const data = await response.json();
+            authToken = data.token;
+            localStorage.setItem('auth_token', data.token);
+            localStorage.setItem('refresh_token', data.refreshToken);
+            return true;
+        } catch (error) {
+            console.error("Session refresh error:", error);
+            return false;
+        }
+    })().finally(() => { refreshInFlight = null; });
+
+    return refreshInFlight;
+}
+
+// fetch() with the current access token. An expired token is refreshed silently and the
+// request retried once, so callers only see 401/403 when the session is really over.
+async function authFetch(url, options = {}) {
+    const send = () => fetch(url, {
+        ...options,
+        headers: { ...getAuthHeaders(), ...options.headers, 'Authorization': `Bearer ${authToken}` }
+    });
+
+    let response = await send();
+    if (response.status === 401 && await refreshSession()) {
+        response = await send();
+    }
+    return response;
+}
+
+// Ends this device's session (or every session of the account) on the server, then leaves
+async function logout(allDevices = false) {
+    try {
+        if (allDevices) {
+            await authFetch(`${API_URL}/auth/logout-all`, { method: 'POST' });
+        } else {
+            await fetch(`${API_URL}/auth/logout`, {
+                method: 'POST',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({ refreshToken: localStorage.getItem('refresh_token') })
+            });
+        }
+    } catch (error) {
+        console.error("Logout error:", error);
+    }
+    redirectToLogin(allDevices ? "You have been logged out on all devices." : "You have been logged out.");
+}
+
+// Helper function to format a duration in ms (used by request history)
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) return 'N/A';
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} hr ${minutes % 60} min`;
+}
+
 // Helper function to format time difference
 function formatTimeDifference(timestamp) {
     const seconds = Math.floor((new Date() - new Date(timestamp)) / 1000);
@@ -93,7 +265,7 @@ function formatTimeDifference(timestamp) {
 
 async function fetchDoctorRequests() {
     try {
-        const response = await fetch(`${API_URL}/doctor-requests`, { headers: getAuthHeaders() });
+        const response = await authFetch(`${API_URL}/doctor-requests`);
 
         if (response.status === 401 || response.status === 403) {
             if (authToken) {
@@ -112,10 +284,33 @@ async function fetchDoctorRequests() {
     }
 }
 
-// Function to fetch patients from the database
-async function fetchPatients() {
+// Function to fetch closed (resolved/cancelled) requests
+async function fetchRequestHistory(status = '') {
+    try {
+        const query = status ? `?status=${encodeURIComponent(status)}` : '';
+        const response = await authFetch(`${API_URL}/doctor-requests/history${query}`);
+
+        if (response.status === 401 || response.status === 403) {
+            if (authToken) {
+                redirectToLogin("Access denied or session expired.");
+            }
+            return [];
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error('Error fetching request history:', error);
+        return [];
+    }
+}
+
+// Function to fetch patients from the database (discharged ones come from the admission history)
+async function fetchPatients(discharged = false) {
     try {
-        const response = await fetch(`${API_URL}/patients`, { headers: getAuthHeaders() });
+        const response = await authFetch(`${API_URL}/${discharged ? 'admission-history' : 'patients'}`);
 
         if (response.status === 401 || response.status === 403) {
             if (authToken) {
@@ -134,10 +329,32 @@ async function fetchPatients() {
     }
 }
 
+// Function to fetch wards with their beds and occupants
+async function fetchWards() {
+    try {
+        const response = await authFetch(`${API_URL}/wards`);
+
+        if (response.status === 401 || response.status === 403) {
+            if (authToken) {
+                redirectToLogin("Access denied or session expired.");
+            }
+            return [];
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error('Error fetching wards:', error);
+        return [];
+    }
+}
+
 // Function to fetch staff from the database 
 async function fetchStaff() {
     try {
-        const response = await fetch(`${API_URL}/staff`, { headers: getAuthHeaders() });
+        const response = await authFetch(`${API_URL}/staff`);
 
         if (response.status === 401 || response.status === 403) {
             if (authToken) {
@@ -162,15 +379,18 @@ async function updateDashboardSummary(requests) {
     const bookNowRequests = requests.filter(r =>
         !r.type ||
         r.type.toUpperCase() === 'BOOK_NOW' ||
-        r.type.toUpperCase() === 'DOCTOR_CONNECT'
+        r.type.toUpperCase() === 'DOCTOR_CONNECT' ||
+        r.type.toUpperCase() === 'REFILL'
     );
 
     // FETCH PATIENT DATA DYNAMICALLY from API
     const allPatients = await fetchPatients();
 
     const totalPatientsServed = allPatients.length;
-    const criticalPatients = allPatients.filter(p => p.initialCondition.toLowerCase() === 'critical' || p.initialCondition.toLowerCase() === 'serious').length;
-    const stablePatients = allPatients.filter(p => p.initialCondition.toLowerCase() === 'stable' || p.initialCondition.toLowerCase() === 'fair').length;
+    // Counts follow the latest recorded condition, not the one the patient was admitted with
+    const conditions = allPatients.map(p => (p.currentCondition || p.initialCondition).toLowerCase());
+    const criticalPatients = conditions.filter(c => c === 'critical' || c === 'serious').length;
+    const stablePatients = conditions.filter(c => c === 'stable' || c === 'fair').length;
 
     document.getElementById('report-total-patients').textContent = totalPatientsServed;
     document.getElementById('report-critical-patients').textContent = sosRequests.length + criticalPatients;
@@ -192,18 +412,34 @@ function renderSOSAlerts(requests) {
             const criticality = request.criticality ? request.criticality.toUpperCase() : 'HIGH';
             const patientName = request.patientName || 'Unknown Patient'; // Ensure patientName is available
 
+            // Show where this SOS has been before it reached us (escalation chain)
+            const chain = request.escalationChain || [];
+            const escalationInfo = chain.length > 1
+                ? `<p class="escalation-chain"><i class="fas fa-level-up-alt"></i> Escalated: ${chain.map(hop => escapeHtml(hop.hospitalName)).join(' → ')}</p>`
+                : '';
+
+            // Acknowledge first (stops escalation), then resolve
+            const status = request.status || 'PENDING';
+            let actionButton = '';
+            if (status === 'PENDING' || status === 'ESCALATED') {
+                actionButton = `<button class="action-btn resolve" onclick="updateRequestStatus('${request._id}', 'ACKNOWLEDGED')">Acknowledge</button>`;
+            } else if (can('resolveRequest')) {
+                actionButton = `<button class="action-btn resolve" onclick="resolveRequestStart('${request._id}')">Resolve</button>`;
+            }
+
             alertsContainer.innerHTML += `
                 <div class="alert-item sos-alert" data-request-id="${request._id}">
                     <i class="fas fa-exclamation-triangle"></i>
                     <div class="alert-info">
-                        <h4>SOS! ${patientName} - ${criticality} PRIORITY</h4>
-                        <p>Reason: ${request.reason || 'Immediate Assistance Required'}</p>
+                        <h4>SOS! ${escapeHtml(patientName)} - ${criticality} PRIORITY</h4>
+                        ${request.verified === false ? `<span class="unverified-tag" title="Sent without a patient login; identity not confirmed">UNVERIFIED</span>` : ''}
+                        ${!request.patientId ? `<button class="action-btn-small" onclick="openRequestLinkModal('${request._id}')"><i class="fas fa-link"></i> Link Patient</button>` : ''}
+                        <p>Reason: ${escapeHtml(request.reason || 'Immediate Assistance Required')}</p>
+                        <p class="request-status-line">Status: ${REQUEST_STATUS_LABELS[status] || status}</p>
+                        ${escalationInfo}
                     </div>
                     <span class="alert-time">${timeAgo}</span>
-                    <button class="action-btn resolve" 
-                        onclick="resolveRequestStart('${request._id}', '${patientName}')">
-                        Acknowledge & Resolve
-                    </button>
+                    ${actionButton}
                 </div>
             `;
         });
@@ -223,17 +459,24 @@ function renderBookNowQueue(requests) {
     const queueCountBadge = document.getElementById('queue-count-badge');
     if (!queueContainer || !queueCountBadge) return;
 
+    const statusFilter = document.getElementById('queue-status-filter');
+    const selectedStatus = statusFilter ? statusFilter.value : '';
+
     const queueRequests = requests.filter(r =>
-        !r.type ||
-        r.type.toUpperCase() === 'BOOK_NOW' ||
-        r.type.toUpperCase() === 'DOCTOR_CONNECT'
+        (!r.type ||
+            r.type.toUpperCase() === 'BOOK_NOW' ||
+            r.type.toUpperCase() === 'DOCTOR_CONNECT' ||
+            r.type.toUpperCase() === 'REFILL') &&
+        (!selectedStatus || (r.status || 'PENDING') === selectedStatus)
     );
 
     queueContainer.innerHTML = '';
     queueCountBadge.textContent = queueRequests.length;
 
     if (queueRequests.length === 0) {
-        queueContainer.innerHTML = '<p class="empty-queue-message">No pending doctor requests.</p>';
+        queueContainer.innerHTML = selectedStatus
+            ? `<p class="empty-queue-message">No ${REQUEST_STATUS_LABELS[selectedStatus].toLowerCase()} doctor requests.</p>`
+            : '<p class="empty-queue-message">No open doctor requests.</p>';
         return;
     }
 
@@ -255,19 +498,62 @@ function renderBookNowQueue(requests) {
         const criticality = request.criticality ? request.criticality.toLowerCase() : 'low';
         const priorityClass = `${criticality}-priority`;
         const timeAgo = formatTimeDifference(request.timestamp);
+        const status = request.status || 'PENDING';
+
+        // Next step in the lifecycle for this request
+        let stepButton = '';
+        if (status === 'PENDING' || status === 'ESCALATED') {
+            stepButton = `<button class="action-btn hospital-btn" onclick="updateRequestStatus('${request._id}', 'ACKNOWLEDGED')">Acknowledge</button>`;
+        } else if (status === 'ACKNOWLEDGED') {
+            stepButton = `<button class="action-btn hospital-btn" onclick="updateRequestStatus('${request._id}', 'IN_PROGRESS')">Start</button>`;
+        }
+
+        // Refills are renewed or declined rather than resolved
+        if (request.type === 'REFILL') {
+            const medicines = (request.refill.items || []).map(item => `${item.name} ${item.strength}`).join(', ');
+            queueContainer.innerHTML += `
+                <div class="queue-item" data-request-id="${request._id}">
+                    <div class="queue-info">
+                        <h4 class="patient-name">${index + 1}. ${escapeHtml(patientName)} <span class="refill-tag">REFILL</span></h4>
+                        <small class="request-reason">${escapeHtml(reason)}</small>
+                        <small class="refill-medicines"><i class="fas fa-pills"></i> ${escapeHtml(medicines || request.refill.notes || 'No medicines listed')}</small>
+                    </div>
+                    <div class="queue-actions">
+                        <span class="request-status-tag status-${status.toLowerCase()}">${REQUEST_STATUS_LABELS[status] || status}</span>
+                        <span class="request-time">${timeAgo}</span>
+                        ${stepButton}
+                        ${can('prescribe') ? `
+                            <button class="action-btn resolve hospital-btn" onclick="approveRefillStart('${request._id}')">Approve</button>
+                            <button class="action-btn hospital-btn" onclick="modifyRefillStart('${request._id}')">Modify</button>
+                        ` : ''}
+                        ${can('resolveRequest') ? `<button class="action-btn cancel-request-btn" title="Decline refill"
+                            onclick="declineRefillStart('${request._id}')">
+                            <i class="fas fa-times"></i>
+                        </button>` : ''}
+                    </div>
+                </div>
+            `;
+            return;
+        }
 
         queueContainer.innerHTML += `
             <div class="queue-item" data-request-id="${request._id}">
                 <div class="queue-info">
-                    <h4 class="patient-name">${index + 1}. ${patientName}</h4>
-                    <small class="request-reason">${reason}</small>
+                    <h4 class="patient-name">${index + 1}. ${escapeHtml(patientName)}</h4>
+                    <small class="request-reason">${escapeHtml(reason)}</small>
                 </div>
                 <div class="queue-actions">
                     <span class="priority-tag ${priorityClass}">${criticality.toUpperCase()}</span>
+                    <span class="request-status-tag status-${status.toLowerCase()}">${REQUEST_STATUS_LABELS[status] || status}</span>
                     <span class="request-time">${timeAgo}</span>
-                    <button class="action-btn resolve hospital-btn" 
-                        onclick="resolveRequestStart('${request._id}', '${patientName}')">
+                    ${stepButton}
+                    ${can('resolveRequest') ? `<button class="action-btn resolve hospital-btn" 
+                        onclick="resolveRequestStart('${request._id}')">
                         Resolve
+                    </button>` : ''}
+                    <button class="action-btn cancel-request-btn" title="Cancel request"
+                        onclick="cancelRequest('${request._id}')">
+                        <i class="fas fa-times"></i>
                     </button>
                 </div>
             </div>
@@ -278,9 +564,52 @@ function renderBookNowQueue(requests) {
 
 // --- 2. Queue Resolution Functions (Using PROMPT for quick action on dashboard - Kept as is) ---
 
+// Moves a request to the next lifecycle state (ACKNOWLEDGED, IN_PROGRESS, CANCELLED...)
+async function updateRequestStatus(requestId, status, note = '') {
+    try {
+        const response = await authFetch(`${API_URL}/doctor-request/${requestId}/status`, {
+            method: 'PUT',
+            body: JSON.stringify({ status, note })
+        });
+
+        if (response.status === 401 || response.status === 403) {
+            redirectToLogin("Access denied or session expired.");
+            return;
+        }
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `HTTP error! status: ${response.status}`);
+        }
+
+        showCustomAlert(data.message, 'success');
+        loadAndRenderRequests();
+    } catch (error) {
+        console.error('Update Request Status Error:', error);
+        showCustomAlert(error.message || 'Failed to update request status.', 'error');
+        loadAndRenderRequests();
+    }
+}
+
+// Cancel a request after confirmation
+// Patient names on requests can come from anonymous SOS senders, so inline handlers pass only the
+// request id and the name is looked up here instead of being written into the onclick string
+function getRequestPatientName(requestId) {
+    const request = findQueueRequest(requestId);
+    return (request && request.patientName) || 'Unknown Patient';
+}
+
+function cancelRequest(requestId) {
+    showConfirmationModal(
+        "Cancel Request?",
+        `The request from ${getRequestPatientName(requestId)} will be closed as CANCELLED and moved to history.`,
+        () => updateRequestStatus(requestId, 'CANCELLED')
+    );
+}
+
 // Entry point for Resolution using a simple prompt (used for dashboard queue)
 // Entry point for Resolution using the NEW MODAL
-function resolveRequestStart(requestId, patientName) {
+function resolveRequestStart(requestId, patientName = getRequestPatientName(requestId)) {
     const modal = document.getElementById('resolve-request-modal');
     if (!modal) {
         console.error("Resolve modal not found.");
@@ -288,8 +617,12 @@ function resolveRequestStart(requestId, patientName) {
     }
 
     document.getElementById('resolve-request-id').value = requestId;
+    document.getElementById('resolve-refill').value = '';
+    document.getElementById('resolve-modal-title').textContent = 'Resolve Request';
     document.getElementById('resolve-patient-name').textContent = patientName;
     document.getElementById('resolve-prescription-text').value = ''; // Clear previous input
+    resetPrescriptionItems('resolve-items', false);
+    renderSafetyWarnings('resolve-warnings', []);
 
     modal.style.display = 'flex';
 }
@@ -305,61 +638,226 @@ async function submitResolveRequest(event) {
 
     const requestId = document.getElementById('resolve-request-id').value;
     const patientName = document.getElementById('resolve-patient-name').textContent;
-    const prescriptionText = document.getElementById('resolve-prescription-text').value;
+    const notes = document.getElementById('resolve-prescription-text').value.trim();
+    const items = readPrescriptionItems('resolve-items');
 
-    if (!prescriptionText.trim()) {
-        showMessageModal("Warning", "Prescription/Notes cannot be empty.", "warning");
+    if (!notes && items.length === 0) {
+        showMessageModal("Warning", "Add a medicine or some resolution notes.", "warning");
         return;
     }
 
-    // Call the core logic
-    await givePrescriptionAndResolve(requestId, patientName, prescriptionText);
+    // Call the core logic; the modal stays open if the prescription was blocked, so it can be changed
+    const completed = document.getElementById('resolve-refill').value
+        ? await approveRefill(requestId, { items, notes })
+        : await givePrescriptionAndResolve(requestId, patientName, { items, notes });
 
     // Close modal on success (logic inside givePrescriptionAndResolve handles success msg)
-    closeResolveModal();
+    if (completed) closeResolveModal();
+}
+
+// --- Refill Requests ---
+
+function findQueueRequest(requestId) {
+    return latestRequests.find(r => r._id === requestId);
+}
+
+function approveRefillStart(requestId) {
+    const request = findQueueRequest(requestId);
+    if (!request) return;
+    showConfirmationModal(
+        "Approve Refill?",
+        `A new prescription with the same medicines will be issued to ${request.patientName} and the request resolved.`,
+        () => approveRefill(requestId, {})
+    );
+}
+
+// Opens the resolve modal filled in with the original prescription, to renew it with changes
+async function modifyRefillStart(requestId, warnings = []) {
+    const request = findQueueRequest(requestId);
+    if (!request) return;
+
+    resolveRequestStart(requestId, request.patientName);
+    document.getElementById('resolve-refill').value = 'true';
+    document.getElementById('resolve-modal-title').textContent = 'Renew Prescription';
+    document.getElementById('resolve-prescription-text').value = request.refill.notes || '';
+    for (const item of request.refill.items || []) {
+        await addPrescriptionItemRow('resolve-items', item);
+    }
+    renderSafetyWarnings('resolve-warnings', warnings);
+}
+
+/**
+ * Issues the renewal. An empty body renews the prescription as written.
+ * @returns {Promise<boolean>} Whether the refill was approved
+ */
+async function approveRefill(requestId, body) {
+    const request = findQueueRequest(requestId);
+    const patientName = request ? request.patientName : 'the patient';
+
+    try {
+        const response = await authFetch(`${API_URL}/doctor-request/${requestId}/refill/approve`, {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+
+        if (response.status === 401 || response.status === 403) {
+            redirectToLogin("Access denied or session expired.");
+            return false;
+        }
+
+        const data = await response.json();
+        if (response.status === 409 && data.warnings) {
+            // Blocked as written: open it for changes with the findings shown
+            if (body.items) renderSafetyWarnings('resolve-warnings', data.warnings);
+            else await modifyRefillStart(requestId, data.warnings);
+            showMessageModal("Prescription Blocked", data.message, "error");
+            return false;
+        }
+        if (!response.ok) {
+            throw new Error(data.message || `HTTP error! status: ${response.status}`);
+        }
+
+        loadAndRenderRequests();
+        if (data.warnings && data.warnings.length > 0) showPrescriptionWarnings(patientName, data.warnings);
+        else showCustomAlert(data.message, 'success');
+        return true;
+    } catch (error) {
+        console.error('Approve Refill Error:', error);
+        showMessageModal("Error", error.message || 'Failed to approve refill.', "error");
+        return false;
+    }
+}
+
+function declineRefillStart(requestId) {
+    const request = findQueueRequest(requestId);
+    if (!request) return;
+
+    document.getElementById('decline-refill-form').reset();
+    document.getElementById('decline-refill-id').value = requestId;
+    document.getElementById('decline-refill-patient').textContent = request.patientName;
+    document.getElementById('decline-refill-modal').style.display = 'flex';
+}
+
+function closeDeclineRefillModal() {
+    document.getElementById('decline-refill-modal').style.display = 'none';
+}
+
+async function submitDeclineRefill(event) {
+    event.preventDefault();
+
+    const requestId = document.getElementById('decline-refill-id').value;
+    const reason = document.getElementById('decline-refill-reason').value.trim();
+
+    try {
+        const response = await authFetch(`${API_URL}/doctor-request/${requestId}/refill/decline`, {
+            method: 'PUT',
+            body: JSON.stringify({ reason })
+        });
+
+        if (response.status === 401 || response.status === 403) {
+            redirectToLogin("Access denied or session expired.");
+            return;
+        }
+
+        const data = await response.json();
+        if (!response.ok) {
+            showMessageModal("Error", data.message, "error");
+            return;
+        }
+
+        closeDeclineRefillModal();
+        showCustomAlert(data.message, 'success');
+        loadAndRenderRequests();
+    } catch (error) {
+        console.error('Decline Refill Error:', error);
+        showMessageModal("Error", "Network error while declining the refill.", "error");
+    }
+}
+
+function closeChangePasswordModal() {
+    const modal = document.getElementById('change-password-modal');
+    if (modal) modal.style.display = 'none';
+    document.getElementById('change-password-form').reset();
+}
+
+async function submitChangePassword(event) {
+    event.preventDefault();
+
+    const currentPassword = document.getElementById('current-password').value;
+    const newPassword = document.getElementById('new-password').value;
+
+    if (newPassword !== document.getElementById('confirm-new-password').value) {
+        showMessageModal("Warning", "The new passwords do not match.", "warning");
+        return;
+    }
+
+    try {
+        const response = await authFetch(`${API_URL}/auth/change-password`, {
+            method: 'POST',
+            body: JSON.stringify({ currentPassword, newPassword })
+        });
+        const data = await response.json();
+
+        if (response.status === 401) {
+            redirectToLogin("Session expired. Please log in again.");
+            return;
+        }
+        if (!response.ok) {
+            showMessageModal("Error", data.message, "error");
+            return;
+        }
+
+        closeChangePasswordModal();
+        showMessageModal("Success", "Password changed. Other devices have been logged out.", "success");
+    } catch (error) {
+        console.error("Change password error:", error);
+        showMessageModal("Error", "Network error while changing password.", "error");
+    }
 }
 
 
 // Function to Save Prescription & Resolve Request (used for dashboard queue - Kept as is)
-async function givePrescriptionAndResolve(requestId, patientName, prescriptionText) {
+async function givePrescriptionAndResolve(requestId, patientName, { items, notes }) {
 
     // 1. Prepare Prescription Data
     const prescriptionData = {
         requestId: requestId,
         patientName: patientName,
-        prescription: prescriptionText,
+        items,
+        notes,
         doctorName: 'Queue Resolution Staff'
     };
 
     try {
         // --- STEP 1: SAVE PRESCRIPTION ---
-        console.log("Saving prescription...");
-        const saveResponse = await fetch(`${API_URL}/prescriptions`, {
+        const saveResponse = await authFetch(`${API_URL}/prescriptions`, {
             method: 'POST',
-            headers: getAuthHeaders(),
             body: JSON.stringify(prescriptionData)
         });
 
         if (saveResponse.status === 401 || saveResponse.status === 403) {
             redirectToLogin("Access denied or session expired.");
-            return;
+            return false;
         }
 
+        const saveData = await saveResponse.json();
+        if (saveResponse.status === 409 && saveData.warnings) {
+            renderSafetyWarnings('resolve-warnings', saveData.warnings);
+            showMessageModal("Prescription Blocked", saveData.message, "error");
+            return false;
+        }
         if (!saveResponse.ok) {
-            const errorData = await saveResponse.json();
-            throw new Error(errorData.message || `Failed to save prescription: HTTP status ${saveResponse.status}`);
+            throw new Error(saveData.message || `Failed to save prescription: HTTP status ${saveResponse.status}`);
         }
 
-        // --- STEP 2: RESOLVE REQUEST (DELETE FROM QUEUE) ---
-        console.log("Resolving request and deleting from queue...");
-        const resolveResponse = await fetch(`${API_URL}/doctor-request/${requestId}/resolve`, {
+        // --- STEP 2: RESOLVE REQUEST (MOVE TO HISTORY) ---
+        const resolveResponse = await authFetch(`${API_URL}/doctor-request/${requestId}/resolve`, {
             method: 'PUT',
-            headers: getAuthHeaders(),
         });
 
         if (resolveResponse.status === 401 || resolveResponse.status === 403) {
             redirectToLogin("Access denied or session expired.");
-            return;
+            return false;
         }
 
         if (!resolveResponse.ok) {
@@ -370,27 +868,400 @@ async function givePrescriptionAndResolve(requestId, patientName, prescriptionTe
         // Final UI Update
         loadAndRenderRequests();
         // showMessageModal("Success", `Prescription for ${patientName} sent and Request resolved successfully.`, "success");
+        showPrescriptionWarnings(patientName, saveData.warnings);
+        return true;
 
     } catch (error) {
         console.error('Prescription/Resolution Error:', error);
-        showMessageModal("Error", 'Failed to complete process. Check console.', "error");
+        showMessageModal("Error", error.message || 'Failed to complete process. Check console.', "error");
+        return false;
     }
 }
 
 // Global function to load and render both alerts and queue
 async function loadAndRenderRequests() {
     const requests = await fetchDoctorRequests();
+    latestRequests = requests;
 
     await updateDashboardSummary(requests);
     renderSOSAlerts(requests);
     renderBookNowQueue(requests);
 }
 
+// --- Appointments ---
+
+const DOCTOR_ROLE_PATTERN = /doctor|physician|surgeon/i; // Same rule the server uses for who can have slots
+
+function getTodayRange() {
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+    return { from: start.toISOString(), to: end.toISOString() };
+}
+
+function formatSlotTime(slot) {
+    const time = value => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return `${time(slot.startAt)} - ${time(slot.endAt)}`;
+}
+
+async function fetchAppointmentData(path, { from, to }) {
+    try {
+        const response = await authFetch(`${API_URL}/${path}?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`);
+
+        if (response.status === 401) {
+            redirectToLogin("Session expired. Please log in again.");
+            return [];
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error(`Error fetching ${path}:`, error);
+        return [];
+    }
+}
+
+// Today's bookings, shown next to the live request queue
+async function loadTodaysAppointments() {
+    const container = document.getElementById('appointments-content');
+    const badge = document.getElementById('appointments-count-badge');
+    if (!container) return;
+
+    const appointments = await fetchAppointmentData('appointments', getTodayRange());
+    latestAppointments = appointments;
+    const booked = appointments.filter(a => a.status === 'BOOKED');
+    badge.textContent = booked.length;
+
+    if (appointments.length === 0) {
+        container.innerHTML = '<p class="empty-queue-message">No appointments today.</p>';
+        return;
+    }
+
+    const now = Date.now();
+    container.innerHTML = appointments.map(a => {
+        const changeable = can('manageAppointments') && a.status === 'BOOKED' && new Date(a.startAt).getTime() > now;
+        return `
+            <div class="queue-item appointment-item${a.status === 'CANCELLED' ? ' cancelled' : ''}">
+                <div class="queue-info">
+                    <h4 class="patient-name">${formatSlotTime(a)} • ${escapeHtml(a.patientName)}</h4>
+                    <small class="request-reason">Dr. ${escapeHtml(a.doctorName)}${a.reason ? ` • ${escapeHtml(a.reason)}` : ''}</small>
+                </div>
+                <div class="queue-actions">
+                    <span class="request-status-tag status-${a.status === 'BOOKED' ? 'acknowledged' : 'cancelled'}">${a.status === 'BOOKED' ? 'Booked' : 'Cancelled'}</span>
+                    ${changeable ? `
+                        <button class="action-btn hospital-btn" onclick="openRescheduleModal('${a._id}')">Reschedule</button>
+                        <button class="action-btn cancel-request-btn" title="Cancel appointment" onclick="openCancelAppointmentModal('${a._id}')">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function openSlotsModal() {
+    const staff = await fetchStaff();
+    const doctors = staff.filter(s => DOCTOR_ROLE_PATTERN.test(s.role || ''));
+    document.getElementById('slot-doctor').innerHTML = doctors.length > 0
+        ? doctors.map(d => `<option value="${d._id}">Dr. ${escapeHtml(d.name)}${d.specialty ? ` (${escapeHtml(d.specialty)})` : ''}</option>`).join('')
+        : '<option value="">Add a doctor in Staff first</option>';
+
+    const form = document.getElementById('slot-form');
+    form.reset();
+    document.getElementById('slot-date').value = new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD in local time
+    document.getElementById('slot-minutes').value = 15;
+
+    document.getElementById('slots-modal').style.display = 'flex';
+    renderSlotList();
+}
+
+function closeSlotsModal() {
+    document.getElementById('slots-modal').style.display = 'none';
+}
+
+// The next 7 days of slots, by day, so staff can see gaps and withdraw open ones
+async function renderSlotList() {
+    const from = new Date();
+    const to = new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+    const slots = await fetchAppointmentData('appointment-slots', { from: from.toISOString(), to: to.toISOString() });
+    const list = document.getElementById('slot-list');
+
+    if (slots.length === 0) {
+        list.innerHTML = '<p class="empty-list-message">No slots published for the next 7 days.</p>';
+        return;
+    }
+
+    let lastDay = '';
+    list.innerHTML = slots.map(slot => {
+        const day = new Date(slot.startAt).toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' });
+        const heading = day !== lastDay ? `<h4 class="slot-day">${day}</h4>` : '';
+        lastDay = day;
+        return `
+            ${heading}
+            <div class="slot-row">
+                <span>${formatSlotTime(slot)}</span>
+                <span>Dr. ${escapeHtml(slot.doctorName)}</span>
+                <span class="status-badge ${slot.status === 'OPEN' ? 'low-priority' : 'medium-priority'}">${slot.status === 'OPEN' ? 'Open' : 'Booked'}</span>
+                ${slot.status === 'OPEN' ? `<button class="item-remove-btn" title="Remove slot" onclick="deleteSlot('${slot._id}')"><i class="fas fa-times"></i></button>` : '<span></span>'}
+            </div>
+        `;
+    }).join('');
+}
+
+async function submitSlots(event) {
+    event.preventDefault();
+
+    const date = document.getElementById('slot-date').value;
+    const body = {
+        staffId: document.getElementById('slot-doctor').value,
+        // Built from local date and time fields, so the browser's time zone applies
+        startAt: new Date(`${date}T${document.getElementById('slot-start').value}`).toISOString(),
+        endAt: new Date(`${date}T${document.getElementById('slot-end').value}`).toISOString(),
+        slotMinutes: parseInt(document.getElementById('slot-minutes').value, 10)
+    };
+
+    try {
+        const response = await authFetch(`${API_URL}/appointment-slots`, { method: 'POST', body: JSON.stringify(body) });
+
+        if (response.status === 401) {
+            redirectToLogin("Session expired. Please log in again.");
+            return;
+        }
+
+        const data = await response.json();
+        if (!response.ok) {
+            showMessageModal("Error", data.message, "error");
+            return;
+        }
+
+        showCustomAlert(data.message, 'success');
+        renderSlotList();
+    } catch (error) {
+        console.error('Publish Slots Error:', error);
+        showMessageModal("Error", "Network error while publishing slots.", "error");
+    }
+}
+
+async function deleteSlot(slotId) {
+    try {
+        const response = await authFetch(`${API_URL}/appointment-slots/${slotId}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok) {
+            showMessageModal("Error", data.message, "error");
+            return;
+        }
+        renderSlotList();
+    } catch (error) {
+        console.error('Delete Slot Error:', error);
+        showMessageModal("Error", "Network error while removing the slot.", "error");
+    }
+}
+
+async function openRescheduleModal(appointmentId) {
+    const appointment = latestAppointments.find(a => a._id === appointmentId);
+    if (!appointment) return;
+
+    const from = new Date();
+    const to = new Date(from.getTime() + 14 * 24 * 60 * 60 * 1000);
+    const slots = (await fetchAppointmentData('appointment-slots', { from: from.toISOString(), to: to.toISOString() }))
+        .filter(slot => slot.status === 'OPEN');
+
+    document.getElementById('reschedule-appointment-id').value = appointmentId;
+    document.getElementById('reschedule-patient-name').textContent = appointment.patientName;
+    document.getElementById('reschedule-slot').innerHTML = slots.length > 0
+        ? slots.map(slot => `<option value="${slot._id}">${new Date(slot.startAt).toLocaleDateString()} ${formatSlotTime(slot)} • Dr. ${escapeHtml(slot.doctorName)}</option>`).join('')
+        : '<option value="">No open slots in the next 14 days</option>';
+    document.getElementById('reschedule-modal').style.display = 'flex';
+}
+
+function closeRescheduleModal() {
+    document.getElementById('reschedule-modal').style.display = 'none';
+}
+
+async function submitReschedule(event) {
+    event.preventDefault();
+
+    const appointmentId = document.getElementById('reschedule-appointment-id').value;
+    const slotId = document.getElementById('reschedule-slot').value;
+    if (!slotId) return;
+
+    try {
+        const response = await authFetch(`${API_URL}/appointments/${appointmentId}/reschedule`, {
+            method: 'PUT',
+            body: JSON.stringify({ slotId })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            showMessageModal("Error", data.message, "error");
+            return;
+        }
+
+        closeRescheduleModal();
+        showCustomAlert(data.message, 'success');
+        loadTodaysAppointments();
+    } catch (error) {
+        console.error('Reschedule Appointment Error:', error);
+        showMessageModal("Error", "Network error while rescheduling.", "error");
+    }
+}
+
+function openCancelAppointmentModal(appointmentId) {
+    const appointment = latestAppointments.find(a => a._id === appointmentId);
+    if (!appointment) return;
+
+    document.getElementById('cancel-appointment-form').reset();
+    document.getElementById('cancel-appointment-id').value = appointmentId;
+    document.getElementById('cancel-appointment-patient').textContent = appointment.patientName;
+    document.getElementById('cancel-appointment-modal').style.display = 'flex';
+}
+
+function closeCancelAppointmentModal() {
+    document.getElementById('cancel-appointment-modal').style.display = 'none';
+}
+
+async function submitCancelAppointment(event) {
+    event.preventDefault();
+
+    const appointmentId = document.getElementById('cancel-appointment-id').value;
+    const reason = document.getElementById('cancel-appointment-reason').value.trim();
+
+    try {
+        const response = await authFetch(`${API_URL}/appointments/${appointmentId}/cancel`, {
+            method: 'PUT',
+            body: JSON.stringify({ reason })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            showMessageModal("Error", data.message, "error");
+            return;
+        }
+
+        closeCancelAppointmentModal();
+        showCustomAlert(data.message, 'success');
+        loadTodaysAppointments();
+    } catch (error) {
+        console.error('Cancel Appointment Error:', error);
+        showMessageModal("Error", "Network error while cancelling.", "error");
+    }
+}
+
+// Renders closed requests (resolved/cancelled) in the history view
+async function renderRequestHistory() {
+    const statusFilter = document.getElementById('history-status-filter');
+    const requests = await fetchRequestHistory(statusFilter ? statusFilter.value : '');
+
+    const tableBody = document.getElementById('request-history-table-body');
+    if (!tableBody) return;
+
+    tableBody.innerHTML = '';
+
+    if (requests.length === 0) {
+        tableBody.innerHTML = `<tr><td colspan="7" class="no-data-row">No past requests found.</td></tr>`;
+    } else {
+        requests.forEach(r => {
+            const row = tableBody.insertRow();
+            const statusClass = r.status === 'RESOLVED' ? 'status-badge low-priority' : 'status-badge default-badge';
+
+            row.innerHTML = `
+                <td>${escapeHtml(r.patientName || 'Unknown Patient')}</td>
+                <td>${r.type === 'SOS' ? 'SOS' : r.type === 'REFILL' ? 'Refill' : 'Doctor Request'}</td>
+                <td><span class="${statusClass}">${REQUEST_STATUS_LABELS[r.status] || r.status}</span></td>
+                <td>${new Date(r.timestamp).toLocaleString()}</td>
+                <td>${r.closedAt ? new Date(r.closedAt).toLocaleString() : 'N/A'}</td>
+                <td>${formatDuration(r.durationMs)}</td>
+                <td>${r.closedBy ? escapeHtml(r.closedBy.name) : 'N/A'}</td>
+            `;
+        });
+    }
+
+    showView('request-history-view');
+}
+
+// --- 2b. Real-time Alerts (Server-Sent Events) ---
+
+// Plays a short two-tone siren using the Web Audio API (no audio file needed)
+function playSOSAlarm() {
+    try {
+        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        [0, 0.4, 0.8].forEach((offset, index) => {
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            oscillator.type = 'square';
+            oscillator.frequency.value = index % 2 === 0 ? 880 : 660;
+            gain.gain.value = 0.1;
+            oscillator.connect(gain);
+            gain.connect(audioContext.destination);
+            oscillator.start(audioContext.currentTime + offset);
+            oscillator.stop(audioContext.currentTime + offset + 0.35);
+        });
+    } catch (error) {
+        // Browsers block audio until the user has interacted with the page
+        console.warn('SOS alarm could not play:', error);
+    }
+}
+
+// Flashes the Critical Alerts card until someone clicks it
+function flashCriticalAlerts() {
+    const card = document.getElementById('critical-alerts-card');
+    if (!card) return;
+    card.classList.add('sos-flash');
+    card.addEventListener('click', () => card.classList.remove('sos-flash'), { once: true });
+}
+
+// Opens the push channel; polling in the init block only runs while this is down
+function connectRequestStream() {
+    if (!authToken || !window.EventSource) return;
+
+    requestStream = new EventSource(`${API_URL}/events?token=${encodeURIComponent(authToken)}`);
+
+    requestStream.addEventListener('new-request', (event) => {
+        const request = JSON.parse(event.data);
+        loadAndRenderRequests();
+
+        if (request.type && request.type.toUpperCase() === 'SOS') {
+            playSOSAlarm();
+            flashCriticalAlerts();
+            showCustomAlert(`SOS from ${request.patientName || 'Unknown Patient'}! Check Critical Alerts.`, 'error');
+        } else {
+            showCustomAlert(`New ${request.criticality || 'LOW'} priority request from ${request.patientName || 'Unknown Patient'}.`, 'info');
+        }
+    });
+
+    requestStream.addEventListener('request-removed', () => {
+        loadAndRenderRequests();
+    });
+
+    requestStream.addEventListener('appointment-updated', () => {
+        loadTodaysAppointments();
+    });
+
+    requestStream.addEventListener('account-suspended', (event) => {
+        const { reason } = JSON.parse(event.data);
+        requestStream.close();
+        redirectToLogin(`This hospital account has been suspended.${reason ? ` Reason: ${reason}` : ''}`);
+    });
+
+    requestStream.onerror = () => {
+        // EventSource reconnects by itself; a closed stream means the token was rejected,
+        // usually because the short-lived access token expired. Polling covers the gap.
+        if (requestStream.readyState === EventSource.CLOSED && Date.now() - lastStreamReconnect > STREAM_RECONNECT_MIN_INTERVAL) {
+            console.warn('Alert stream closed; refreshing session and reconnecting.');
+            lastStreamReconnect = Date.now();
+            refreshSession().then(refreshed => { if (refreshed) connectRequestStream(); });
+        }
+    };
+}
+
 // --- 3. Patient and Staff View Functions ---
 
 // Renders the patient list from the API 
 async function renderPatientList() {
-    const patients = await fetchPatients();
+    const listFilter = document.getElementById('patient-list-filter');
+    const discharged = listFilter && listFilter.value === 'discharged';
+    const patients = await fetchPatients(discharged);
 
     const tableBody = document.querySelector('#patient-details-table-body');
     if (!tableBody) return;
@@ -399,6 +1270,7 @@ async function renderPatientList() {
 
     if (patients.length === 0) {
         tableBody.innerHTML = `<tr><td colspan="7" class="no-data-row">No patient records found.</td></tr>`;
+        showView('patient-details-view');
         return;
     }
 
@@ -409,23 +1281,30 @@ async function renderPatientList() {
         const patientName = p.name;
         const patientAge = p.age;
         const patientWard = p.ward;
-        const patientCondition = p.initialCondition;
+        const patientCondition = p.currentCondition || p.initialCondition;
         const patientAdmittedAt = new Date(p.admittedAt).toLocaleDateString();
 
         const conditionClass = `status-badge ${patientCondition.toLowerCase()}-priority`;
         const patientMongoId = p._id;
 
+        // Discharged patients show how they left instead of their admission condition, and are read-only
+        const conditionCell = p.discharge
+            ? `<span class="status-badge default-badge">${DISCHARGE_OUTCOME_LABELS[p.discharge.outcome] || p.discharge.outcome}</span> ${new Date(p.discharge.at).toLocaleDateString()}`
+            : `<span class="${conditionClass}">${patientCondition}</span>`;
+
         row.innerHTML = `
             <td>${patientID}</td>
             <td>${patientName}</td>
             <td>${patientAge}</td>
             <td>${patientWard}</td>
-            <td><span class="${conditionClass}">${patientCondition}</span></td>
+            <td>${conditionCell}</td>
             <td>${patientAdmittedAt}</td>
             <td>
                 <button class="action-btn detail" onclick="viewPatientProfile('${patientMongoId}')">View Profile</button>
-                <button class="action-btn primary-action-btn" onclick="showPatientPrescriptionModal('${patientMongoId}', '${patientName}')">Prescribe</button>
-                <button class="action-btn danger-action-btn" onclick="deletePatient('${patientMongoId}', '${patientName}')">Delete</button>
+                ${!p.discharge && can('prescribe') ? `<button class="action-btn primary-action-btn" onclick="showPatientPrescriptionModal('${patientMongoId}', '${patientName}')">Prescribe</button>` : ''}
+                ${!p.discharge && can('transferPatient') ? `<button class="action-btn detail" onclick="openTransferModal('${patientMongoId}', '${patientName}', '${patientWard}')">Transfer</button>` : ''}
+                ${!p.discharge && can('dischargePatient') ? `<button class="action-btn primary-action-btn" onclick="openDischargeModal('${patientMongoId}', '${patientName}')">Discharge</button>` : ''}
+                ${!p.discharge && can('removePatient') ? `<button class="action-btn danger-action-btn" onclick="deletePatient('${patientMongoId}', '${patientName}')">Delete</button>` : ''}
             </td>
         `;
     });
@@ -436,7 +1315,7 @@ async function renderPatientList() {
 // Function to view a patient's profile (UPDATED to fetch and render prescription history)
 async function viewPatientProfile(patientId) {
     try {
-        const response = await fetch(`${API_URL}/patients/${patientId}/details`, { headers: getAuthHeaders() });
+        const response = await authFetch(`${API_URL}/patients/${patientId}/details`);
 
         if (response.status === 404) {
             showMessageModal("Error", 'Patient not found.', "error");
@@ -460,6 +1339,16 @@ async function viewPatientProfile(patientId) {
         const deletePatientBtn = document.getElementById('delete-patient-btn');
         if (deletePatientBtn) deletePatientBtn.onclick = () => deletePatient(patient._id, patient.name);
 
+        const recordVitalsBtn = document.getElementById('record-vitals-btn');
+        if (recordVitalsBtn) recordVitalsBtn.onclick = () => openVitalsModal(patient._id, patient.name);
+
+        const dischargePatientBtn = document.getElementById('discharge-patient-btn');
+        if (dischargePatientBtn) dischargePatientBtn.onclick = () => openDischargeModal(patient._id, patient.name);
+
+        // A discharged admission is a closed record: no more prescriptions, discharges or deletes
+        document.getElementById('patient-profile-actions').style.display = patient.discharge ? 'none' : '';
+        renderDischargeSummary(patient.discharge);
+
         // Populate basic info 
         const basicInfoDiv = document.getElementById('patient-basic-info');
         if (basicInfoDiv) {
@@ -472,15 +1361,25 @@ async function viewPatientProfile(patientId) {
                 <p><strong>Ward/Room:</strong> ${patient.ward}</p>
                 <p><strong>Primary Ailment:</strong> ${patient.primaryAilment || 'N/A'}</p>
                 <p><strong>Initial Condition:</strong> <span class="status-badge ${patient.initialCondition.toLowerCase()}-status">${patient.initialCondition}</span></p>
+                <p><strong>Current Condition:</strong> <span class="status-badge ${patient.currentCondition.toLowerCase()}-priority">${patient.currentCondition}</span></p>
+                <p><strong>Patient Account:</strong> ${patient.linkedAccount
+                    ? `${patient.linkedAccount.patientCode} (${patient.linkedAccount.username})`
+                    : `Not linked ${can('admitPatient') && !patient.discharge ? `<button class="action-btn-small" onclick="openLinkAccountModal('patients/${patient._id}', '${patient.name}')"><i class="fas fa-link"></i> Link Account</button>` : ''}`}</p>
             `;
         }
 
+        renderAllergies(patient);
+        renderAdherence(patient);
+
         // Populate prescription history
         const prescriptionsDiv = document.getElementById('patient-prescription-history');
         if (prescriptionsDiv) {
             prescriptionsDiv.innerHTML = '';
 
             if (patient.prescriptions && patient.prescriptions.length > 0) {
+                // Only prescriptions written here can be downloaded; other hospitals' show where they came from
+                const hospitalId = getSessionClaims().id;
+
                 // Sort by date descending
                 patient.prescriptions.sort((a, b) => new Date(b.prescribedAt) - new Date(a.prescribedAt));
 
@@ -494,10 +1393,11 @@ async function viewPatientProfile(patientId) {
                                 <i class="fas fa-pills"></i>
                                 <div class="details">
                                     <h4>Prescribed by Dr. ${p.doctor || 'Hospital Staff'}</h4>
-                                    <span class="date">${date} at ${time}</span>
+                                    <span class="date">${date} at ${time}${p.hospitalId !== hospitalId ? ` • ${escapeHtml(p.hospitalName)}` : ''}</span>
                                 </div>
+                                ${p.hospitalId === hospitalId ? `<button class="action-btn-small rx-download-btn" onclick="downloadPrescriptionPdf('${p._id}', '${p.verificationCode || ''}')"><i class="fas fa-file-pdf"></i> PDF</button>` : ''}
                             </div>
-                            <p class="prescription-text">${p.prescription.replace(/\n/g, '<br>')}</p>
+                            ${renderPrescriptionBody(p)}
                         </div>
                     `;
                 });
@@ -508,6 +1408,7 @@ async function viewPatientProfile(patientId) {
 
         // Switch view to the single patient profile
         showView('single-patient-profile-view');
+        renderVitals(patient._id);
 
     } catch (error) {
         console.error('View Patient Profile Error:', error);
@@ -515,6 +1416,526 @@ async function viewPatientProfile(patientId) {
     }
 }
 
+// --- Medication Adherence ---
+
+function getAdherenceBadgeClass(percent) {
+    if (percent >= 80) return 'low-priority';
+    if (percent >= 50) return 'medium-priority';
+    return 'high-priority';
+}
+
+// What the patient logged for this hospital's prescriptions over the last 30 days
+function renderAdherence(patient) {
+    const panel = document.getElementById('patient-adherence');
+    const adherence = patient.adherence;
+
+    if (!adherence) {
+        panel.innerHTML = '<p class="empty-list-message">Link the patient\'s account to see the doses they log.</p>';
+        return;
+    }
+    if (adherence.percent === null) {
+        panel.innerHTML = '<p class="empty-list-message">No doses from this hospital\'s prescriptions were due in the last 30 days.</p>';
+        return;
+    }
+
+    panel.innerHTML = `
+        <p class="adherence-overall">
+            <span class="status-badge ${getAdherenceBadgeClass(adherence.percent)}">${adherence.percent}%</span>
+            ${adherence.taken} of ${adherence.due} doses taken in the last 30 days
+            (${adherence.skipped} skipped, ${adherence.missed} not logged)
+        </p>
+        <table class="prescription-items-table">
+            <thead><tr><th>Medicine</th><th>Taken</th><th>Skipped</th><th>Not Logged</th><th>Adherence</th></tr></thead>
+            <tbody>
+                ${adherence.medicines.map(m => `
+                    <tr>
+                        <td>${escapeHtml(m.name)} ${escapeHtml(m.strength)}</td>
+                        <td>${m.taken}</td>
+                        <td>${m.skipped}</td>
+                        <td>${m.missed}</td>
+                        <td><span class="status-badge ${getAdherenceBadgeClass(m.percent)}">${m.percent}%</span></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// --- Allergies ---
+
+// Loaded once: the allergy groups the prescribing checker knows, offered as suggestions
+let allergensLoaded = false;
+
+async function loadAllergens() {
+    if (allergensLoaded) return;
+    try {
+        const response = await authFetch(`${API_URL}/allergens`);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const allergens = await response.json();
+        document.getElementById('allergen-list').innerHTML = allergens.map(a => `<option value="${escapeHtml(a)}">`).join('');
+        allergensLoaded = true;
+    } catch (error) {
+        console.error('Error loading allergens:', error);
+    }
+}
+
+function renderAllergies(patient) {
+    const list = document.getElementById('patient-allergies');
+    const allergies = patient.allergies || [];
+    const hospitalId = getSessionClaims().id;
+
+    list.innerHTML = allergies.length === 0
+        ? '<li class="empty-list-message">No known allergies recorded.</li>'
+        : allergies.map(a => {
+            const recorded = a.source === 'patient' ? 'Reported by the patient' : `Recorded by ${escapeHtml(a.recordedBy.name)}`;
+            // Only entries this hospital recorded can be removed here
+            const removable = can('recordAllergies') && !patient.discharge && a.source === 'hospital' && a.hospitalId === hospitalId;
+            return `
+                <li>
+                    <strong>${escapeHtml(a.substance)}</strong>
+                    ${a.reaction ? `<span class="allergy-reaction">${escapeHtml(a.reaction)}</span>` : ''}
+                    <span class="allergy-source">${recorded}, ${new Date(a.recordedAt).toLocaleDateString()}</span>
+                    ${removable ? `<button class="item-remove-btn" title="Remove allergy" onclick="removeAllergy('${patient._id}', '${a._id}', ${escapeHtml(JSON.stringify(a.substance))})"><i class="fas fa-times"></i></button>` : ''}
+                </li>
+            `;
+        }).join('');
+
+    const form = document.getElementById('allergy-form');
+    form.reset();
+    document.getElementById('allergy-patient-id').value = patient._id;
+    form.style.display = can('recordAllergies') && !patient.discharge ? '' : 'none';
+    if (form.style.display === '') loadAllergens();
+}
+
+async function submitAllergy(event) {
+    event.preventDefault();
+
+    const patientId = document.getElementById('allergy-patient-id').value;
+    const allergy = {
+        substance: document.getElementById('allergy-substance').value.trim(),
+        reaction: document.getElementById('allergy-reaction').value.trim()
+    };
+
+    try {
+        const response = await authFetch(`${API_URL}/patients/${patientId}/allergies`, {
+            method: 'POST',
+            body: JSON.stringify(allergy)
+        });
+        const data = await response.json();
+
+        if (response.status === 401) {
+            redirectToLogin("Session expired. Please log in again.");
+            return;
+        }
+        if (!response.ok) {
+            showMessageModal("Error", data.message, "error");
+            return;
+        }
+
+        showCustomAlert(data.message, 'success');
+        viewPatientProfile(patientId);
+    } catch (error) {
+        console.error('Record Allergy Error:', error);
+        showMessageModal("Error", 'Failed to record the allergy. Check the server.', "error");
+    }
+}
+
+function removeAllergy(patientId, allergyId, substance) {
+    showConfirmationModal(
+        "Remove Allergy?",
+        `${substance} will no longer be checked when prescribing. Only remove it if it was recorded in error.`,
+        async () => {
+            try {
+                const response = await authFetch(`${API_URL}/patients/${patientId}/allergies/${allergyId}`, { method: 'DELETE' });
+                const data = await response.json();
+                showMessageModal(response.ok ? "Success" : "Error", data.message, response.ok ? "success" : "error");
+                viewPatientProfile(patientId);
+            } catch (error) {
+                console.error('Remove Allergy Error:', error);
+                showMessageModal("Error", 'Failed to remove the allergy. Check the server.', "error");
+            }
+        }
+    );
+}
+
+// --- Vitals Timeline ---
+
+// One small chart per measure, each on its own scale; blood pressure plots both values
+const VITAL_CHARTS = [
+    { title: 'Blood Pressure (mmHg)', series: [{ field: 'systolic', color: '#ef4444' }, { field: 'diastolic', color: '#f59e0b' }] },
+    { title: 'Pulse (bpm)', series: [{ field: 'pulse', color: '#ec4899' }] },
+    { title: 'SpO2 (%)', series: [{ field: 'spo2', color: '#3b82f6' }] },
+    { title: 'Temperature (°C)', series: [{ field: 'temperature', color: '#f97316' }] },
+    { title: 'Respiratory Rate (/min)', series: [{ field: 'respiratoryRate', color: '#22c55e' }] }
+];
+const VITAL_CHART_WIDTH = 320;
+const VITAL_CHART_HEIGHT = 100;
+const VITAL_CHART_PADDING = 10;
+
+async function fetchVitals(patientId) {
+    try {
+        const response = await authFetch(`${API_URL}/patients/${patientId}/vitals`);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return await response.json();
+    } catch (error) {
+        console.error('Error fetching vitals:', error);
+        return [];
+    }
+}
+
+// Draws one chart as inline SVG; every chart shares the same time axis so they line up
+function renderVitalChart(chart, entries, startTime, endTime) {
+    const points = chart.series.flatMap(series => entries
+        .filter(e => typeof e[series.field] === 'number')
+        .map(e => ({ series, time: new Date(e.at).getTime(), value: e[series.field] })));
+    if (points.length === 0) return '';
+
+    const values = points.map(p => p.value);
+    const minValue = Math.min(...values);
+    const maxValue = Math.max(...values);
+    const valueRange = maxValue - minValue || 1;
+    const timeRange = endTime - startTime || 1;
+    const x = time => VITAL_CHART_PADDING + ((time - startTime) / timeRange) * (VITAL_CHART_WIDTH - 2 * VITAL_CHART_PADDING);
+    const y = value => VITAL_CHART_HEIGHT - VITAL_CHART_PADDING - ((value - minValue) / valueRange) * (VITAL_CHART_HEIGHT - 2 * VITAL_CHART_PADDING);
+
+    const lines = chart.series.map(series => {
+        const seriesPoints = points.filter(p => p.series === series);
+        const path = seriesPoints.map(p => `${x(p.time).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+        const dots = seriesPoints.map(p => `
+            <circle cx="${x(p.time).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="3" fill="${series.color}">
+                <title>${p.value} at ${new Date(p.time).toLocaleString()}</title>
+            </circle>`).join('');
+        return `<polyline points="${path}" fill="none" stroke="${series.color}" stroke-width="2"></polyline>${dots}`;
+    }).join('');
+
+    const latest = chart.series
+        .map(series => points.filter(p => p.series === series).pop())
+        .filter(Boolean)
+        .map(p => p.value)
+        .join('/');
+
+    return `
+        <div class="vital-chart">
+            <div class="vital-chart-header"><span>${chart.title}</span><strong>${latest}</strong></div>
+            <svg viewBox="0 0 ${VITAL_CHART_WIDTH} ${VITAL_CHART_HEIGHT}" preserveAspectRatio="none">
+                <text x="2" y="10" class="vital-axis">${maxValue}</text>
+                <text x="2" y="${VITAL_CHART_HEIGHT - 2}" class="vital-axis">${minValue}</text>
+                ${lines}
+            </svg>
+        </div>
+    `;
+}
+
+function describeVitals(entry) {
+    const parts = [];
+    if (entry.systolic !== undefined) parts.push(`BP ${entry.systolic}/${entry.diastolic}`);
+    if (entry.pulse !== undefined) parts.push(`Pulse ${entry.pulse}`);
+    if (entry.spo2 !== undefined) parts.push(`SpO2 ${entry.spo2}%`);
+    if (entry.temperature !== undefined) parts.push(`Temp ${entry.temperature}°C`);
+    if (entry.respiratoryRate !== undefined) parts.push(`RR ${entry.respiratoryRate}`);
+    return parts.join(' · ');
+}
+
+async function renderVitals(patientId) {
+    const chartDiv = document.getElementById('vitals-chart');
+    const timeline = document.getElementById('vitals-timeline');
+    if (!chartDiv || !timeline) return;
+
+    const entries = await fetchVitals(patientId);
+    if (entries.length === 0) {
+        chartDiv.innerHTML = '<p class="empty-list-message">No vitals recorded yet.</p>';
+        timeline.innerHTML = '';
+        return;
+    }
+
+    const startTime = new Date(entries[0].at).getTime();
+    const endTime = new Date(entries[entries.length - 1].at).getTime();
+    chartDiv.innerHTML = VITAL_CHARTS.map(chart => renderVitalChart(chart, entries, startTime, endTime)).join('');
+
+    // Newest first, with condition changes called out
+    timeline.innerHTML = entries.slice().reverse().map(e => `
+        <li class="${e.condition && e.condition !== e.previousCondition ? 'condition-change' : ''}">
+            <span class="vitals-time">${new Date(e.at).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}</span>
+            ${e.condition && e.condition !== e.previousCondition
+                ? `<span class="status-badge ${e.condition.toLowerCase()}-priority">${e.previousCondition} → ${e.condition}</span>`
+                : ''}
+            <span>${describeVitals(e)}</span>
+            ${e.note ? `<span class="vitals-note">${escapeHtml(e.note)}</span>` : ''}
+            <span class="vitals-by">${escapeHtml(e.recordedBy ? e.recordedBy.name : '')}</span>
+        </li>
+    `).join('');
+}
+
+function openVitalsModal(patientId, patientName) {
+    document.getElementById('vitals-form').reset();
+    document.getElementById('vitals-patient-id').value = patientId;
+    document.getElementById('vitals-patient-name').textContent = patientName;
+    document.getElementById('vitals-modal').style.display = 'flex';
+}
+
+function closeVitalsModal() {
+    document.getElementById('vitals-modal').style.display = 'none';
+}
+
+async function submitVitals(event) {
+    event.preventDefault();
+
+    const patientId = document.getElementById('vitals-patient-id').value;
+    const vitals = {
+        systolic: document.getElementById('vitals-systolic').value,
+        diastolic: document.getElementById('vitals-diastolic').value,
+        pulse: document.getElementById('vitals-pulse').value,
+        spo2: document.getElementById('vitals-spo2').value,
+        temperature: document.getElementById('vitals-temperature').value,
+        respiratoryRate: document.getElementById('vitals-respiratory-rate').value,
+        condition: document.getElementById('vitals-condition').value,
+        note: document.getElementById('vitals-note').value.trim()
+    };
+
+    try {
+        const response = await authFetch(`${API_URL}/patients/${patientId}/vitals`, {
+            method: 'POST',
+            body: JSON.stringify(vitals)
+        });
+        const data = await response.json();
+
+        if (response.status === 401) {
+            redirectToLogin("Session expired. Please log in again.");
+            return;
+        }
+        if (!response.ok) {
+            showMessageModal("Error", data.message, "error");
+            return;
+        }
+
+        closeVitalsModal();
+        showCustomAlert(data.message, 'success');
+        // Reloads the header too, since the current condition may have changed
+        viewPatientProfile(patientId);
+    } catch (error) {
+        console.error('Record Vitals Error:', error);
+        showMessageModal("Error", 'Failed to record vitals. Check the server.', "error");
+    }
+}
+
+function renderDischargeSummary(discharge) {
+    const summaryDiv = document.getElementById('patient-discharge-summary');
+    if (!summaryDiv) return;
+
+    if (!discharge) {
+        summaryDiv.style.display = 'none';
+        summaryDiv.innerHTML = '';
+        return;
+    }
+
+    const medications = discharge.medications && discharge.medications.length > 0
+        ? `<ul class="discharge-medications">${discharge.medications.map(m => `<li>${escapeHtml(m)}</li>`).join('')}</ul>`
+        : '<p>None</p>';
+
+    summaryDiv.innerHTML = `
+        <h3 class="section-title"><i class="fas fa-door-open"></i> Discharge Summary</h3>
+        <div class="detail-grid">
+            <p><strong>Discharged:</strong> ${new Date(discharge.at).toLocaleDateString()}</p>
+            <p><strong>Outcome:</strong> ${DISCHARGE_OUTCOME_LABELS[discharge.outcome] || discharge.outcome}</p>
+            <p><strong>Signed By:</strong> ${escapeHtml(discharge.doctor)}</p>
+        </div>
+        <p class="prescription-text">${escapeHtml(discharge.summary).replace(/\n/g, '<br>')}</p>
+        <p><strong>Follow-up:</strong> ${discharge.followUp ? escapeHtml(discharge.followUp).replace(/\n/g, '<br>') : 'None'}</p>
+        <p><strong>Medications:</strong></p>
+        ${medications}
+    `;
+    summaryDiv.style.display = 'block';
+}
+
+// --- Structured Prescriptions ---
+
+// Loaded once from /api/drugs: { drugs, forms, routes, frequencies }
+let drugCatalogue = null;
+
+async function loadDrugCatalogue() {
+    if (drugCatalogue) return drugCatalogue;
+    try {
+        const response = await authFetch(`${API_URL}/drugs`);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        drugCatalogue = await response.json();
+
+        document.getElementById('drug-catalogue-list').innerHTML = drugCatalogue.drugs
+            .map(d => `<option value="${escapeHtml(d.name)}">${escapeHtml(d.drugClass)}</option>`)
+            .join('');
+    } catch (error) {
+        console.error('Error loading drug catalogue:', error);
+    }
+    return drugCatalogue;
+}
+
+function findCatalogueDrug(name) {
+    const text = name.trim().toLowerCase();
+    return drugCatalogue ? drugCatalogue.drugs.find(d => d.name.toLowerCase() === text) || null : null;
+}
+
+function buildOptions(values, selected) {
+    return values.map(v => `<option value="${escapeHtml(v.value)}"${v.value === selected ? ' selected' : ''}>${escapeHtml(v.label)}</option>`).join('');
+}
+
+// Picking a catalogue drug narrows strength, form and route to what it comes in
+function applyCatalogueDrug(row) {
+    const drug = findCatalogueDrug(row.querySelector('.item-name').value);
+    const strengthList = row.querySelector('datalist');
+    strengthList.innerHTML = drug ? drug.strengths.map(st => `<option value="${escapeHtml(st)}">`).join('') : '';
+
+    const narrow = (selector, allowed) => {
+        row.querySelectorAll(`${selector} option`).forEach(option => {
+            option.hidden = !!drug && !allowed.includes(option.value);
+        });
+        const select = row.querySelector(selector);
+        if (drug && !allowed.includes(select.value)) select.value = allowed[0];
+    };
+    narrow('.item-form', drug ? drug.forms : []);
+    narrow('.item-route', drug ? drug.routes : []);
+    if (drug && drug.strengths.length === 1) row.querySelector('.item-strength').value = drug.strengths[0];
+}
+
+async function addPrescriptionItemRow(containerId, item = {}) {
+    const catalogue = await loadDrugCatalogue();
+    if (!catalogue) {
+        showMessageModal("Error", 'Could not load the drug catalogue. Check the server.', "error");
+        return;
+    }
+
+    const container = document.getElementById(containerId);
+    const row = document.createElement('div');
+    const strengthListId = `strengths-${containerId}-${container.children.length}-${Date.now()}`;
+    row.className = 'prescription-item-row';
+    row.innerHTML = `
+        <input type="text" class="item-name" list="drug-catalogue-list" placeholder="Medicine" value="${escapeHtml(item.name || '')}" required>
+        <input type="text" class="item-strength" list="${strengthListId}" placeholder="Strength, e.g. 500 mg" value="${escapeHtml(item.strength || '')}" required>
+        <datalist id="${strengthListId}"></datalist>
+        <select class="item-form">${buildOptions(catalogue.forms.map(f => ({ value: f, label: f })), item.form)}</select>
+        <input type="text" class="item-dose" placeholder="Dose, e.g. 1 tablet" value="${escapeHtml(item.dose || '')}" required>
+        <select class="item-frequency">${buildOptions(Object.entries(catalogue.frequencies).map(([value, label]) => ({ value, label: `${value} - ${label}` })), item.frequency)}</select>
+        <select class="item-route">${buildOptions(catalogue.routes.map(rt => ({ value: rt, label: rt })), item.route)}</select>
+        <input type="number" class="item-duration" min="1" max="365" placeholder="Days" value="${item.durationDays || ''}" required>
+        <input type="text" class="item-instructions" placeholder="Instructions, e.g. after food" value="${escapeHtml(item.instructions || '')}">
+        <button type="button" class="item-remove-btn" title="Remove medicine" onclick="this.closest('.prescription-item-row').remove()"><i class="fas fa-times"></i></button>
+    `;
+    row.querySelector('.item-name').addEventListener('change', () => applyCatalogueDrug(row));
+    container.appendChild(row);
+    if (item.name) applyCatalogueDrug(row);
+}
+
+// Clears the editor; the admitted-patient form starts with one empty row since medicines are the norm there
+function resetPrescriptionItems(containerId, startWithRow) {
+    document.getElementById(containerId).innerHTML = '';
+    if (startWithRow) addPrescriptionItemRow(containerId);
+}
+
+// Reads the editor's rows. Rows left completely blank are skipped; the server validates the rest.
+function readPrescriptionItems(containerId) {
+    return Array.from(document.querySelectorAll(`#${containerId} .prescription-item-row`))
+        .map(row => {
+            const name = row.querySelector('.item-name').value.trim();
+            const drug = findCatalogueDrug(name);
+            return {
+                drugId: drug ? drug.id : null,
+                name,
+                strength: row.querySelector('.item-strength').value.trim(),
+                form: row.querySelector('.item-form').value,
+                dose: row.querySelector('.item-dose').value.trim(),
+                frequency: row.querySelector('.item-frequency').value,
+                route: row.querySelector('.item-route').value,
+                durationDays: parseInt(row.querySelector('.item-duration').value),
+                instructions: row.querySelector('.item-instructions').value.trim()
+            };
+        })
+        .filter(item => item.name || item.strength || item.dose);
+}
+
+// Medicines as a table plus any notes; prescriptions written before line items only have text
+function renderPrescriptionBody(p) {
+    if (!p.items || p.items.length === 0) {
+        return `<p class="prescription-text">${escapeHtml(p.prescription).replace(/\n/g, '<br>')}</p>`;
+    }
+
+    const frequencies = drugCatalogue ? drugCatalogue.frequencies : {};
+    const rows = p.items.map(item => `
+        <tr>
+            <td><strong>${escapeHtml(item.name)}</strong> ${escapeHtml(item.strength)} <small>${escapeHtml(item.form)}</small></td>
+            <td>${escapeHtml(item.dose)}</td>
+            <td title="${escapeHtml(frequencies[item.frequency] || '')}">${escapeHtml(item.frequency)}</td>
+            <td>${escapeHtml(item.route)}</td>
+            <td>${item.durationDays} day(s)</td>
+            <td>${escapeHtml(item.instructions || '')}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <table class="modern-table prescription-items-table">
+            <thead><tr><th>Medicine</th><th>Dose</th><th>Frequency</th><th>Route</th><th>Duration</th><th>Instructions</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${p.notes ? `<p class="prescription-text">${escapeHtml(p.notes).replace(/\n/g, '<br>')}</p>` : ''}
+    `;
+}
+
+// Fetches the signed PDF with the session token and hands it to the browser as a download
+async function downloadPrescriptionPdf(prescriptionId, verificationCode) {
+    try {
+        const response = await authFetch(`${API_URL}/prescriptions/${prescriptionId}/pdf`);
+
+        if (response.status === 401) {
+            redirectToLogin("Session expired. Please log in again.");
+            return;
+        }
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.message || `HTTP error! status: ${response.status}`);
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `prescription-${verificationCode || prescriptionId}.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+        console.error('Download Prescription Error:', error);
+        showMessageModal("Error", error.message || 'Failed to download the prescription.', "error");
+    }
+}
+
+// --- Prescription Safety Warnings ---
+
+const WARNING_SEVERITY_CLASSES = { SEVERE: 'critical-priority', MODERATE: 'serious-priority', MINOR: 'fair-priority' };
+
+// Lists the checker's findings inside a prescription modal; an empty list hides the box
+function renderSafetyWarnings(containerId, warnings) {
+    const container = document.getElementById(containerId);
+    container.style.display = warnings.length > 0 ? 'block' : 'none';
+    container.innerHTML = warnings.length > 0 ? `
+        <h4><i class="fas fa-exclamation-triangle"></i> Interaction and Allergy Checks</h4>
+        <ul>
+            ${warnings.map(w => `
+                <li>
+                    <span class="status-badge ${WARNING_SEVERITY_CLASSES[w.severity]}">${w.severity}</span>
+                    ${escapeHtml(w.message)}
+                </li>
+            `).join('')}
+        </ul>
+    ` : '';
+}
+
+// A saved prescription can still come back with MODERATE or MINOR findings worth reading
+function showPrescriptionWarnings(patientName, warnings) {
+    if (!warnings || warnings.length === 0) return;
+    showMessageModal(
+        "Saved with Warnings",
+        `Prescription for ${patientName} was saved. Please review: ${warnings.map(w => `[${w.severity}] ${w.message}`).join(' ')}`,
+        "warning"
+    );
+}
+
 // Function to show the prescription modal for ADMITTED PATIENTS (NEW - uses HTML modal)
 function showPatientPrescriptionModal(patientId, patientName) {
     const modal = document.getElementById('prescription-modal');
@@ -528,6 +1949,12 @@ function showPatientPrescriptionModal(patientId, patientName) {
 
     const form = document.getElementById('prescription-form');
     if (form) form.reset();
+    resetPrescriptionItems('prescription-items', true);
+    renderSafetyWarnings('prescription-warnings', []);
+
+    // Staff logins are credited by their own name on the server; only the shared hospital login types one
+    const doctorNameGroup = document.getElementById('prescription-doctor-name').closest('.input-group');
+    doctorNameGroup.style.display = getSessionClaims().staffId ? 'none' : '';
 
     modal.style.display = 'flex';
 }
@@ -536,22 +1963,22 @@ function showPatientPrescriptionModal(patientId, patientName) {
 async function submitPatientPrescription(event) {
     event.preventDefault();
 
-    const patientId = document.getElementById('prescribe-patient-id').value;
+    const admissionId = document.getElementById('prescribe-patient-id').value;
     const patientName = document.getElementById('prescribe-patient-name').textContent;
-    const prescriptionText = document.getElementById('prescription-text').value;
+    const notes = document.getElementById('prescription-text').value.trim();
+    const items = readPrescriptionItems('prescription-items');
     const doctorName = document.getElementById('prescription-doctor-name').value || 'Hospital Staff';
 
-    if (!prescriptionText) {
-        showMessageModal("Warning", 'Prescription details cannot be empty.', "warning");
+    if (!notes && items.length === 0) {
+        showMessageModal("Warning", 'Add at least one medicine or some notes.', "warning");
         return;
     }
 
     try {
         // Assumes the new /api/prescribe route exists on the server.
-        const response = await fetch(`${API_URL}/prescribe`, {
+        const response = await authFetch(`${API_URL}/prescribe`, {
             method: 'POST',
-            headers: getAuthHeaders(),
-            body: JSON.stringify({ patientId, patientName, prescriptionText, doctorName })
+            body: JSON.stringify({ admissionId, items, notes, doctorName })
         });
 
         if (response.status === 401 || response.status === 403) {
@@ -559,24 +1986,33 @@ async function submitPatientPrescription(event) {
             return;
         }
 
+        const data = await response.json();
+        if (response.status === 409 && data.warnings) {
+            renderSafetyWarnings('prescription-warnings', data.warnings);
+            showMessageModal("Prescription Blocked", data.message, "error");
+            return;
+        }
         if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
+            throw new Error(data.message || `HTTP error! status: ${response.status}`);
         }
 
         document.getElementById('prescription-modal').style.display = 'none';
-        showMessageModal("Success", `Prescription for ${patientName} was sent successfully.`, "success");
+        if (data.warnings && data.warnings.length > 0) {
+            showPrescriptionWarnings(patientName, data.warnings);
+        } else {
+            showMessageModal("Success", `Prescription for ${patientName} was sent successfully.`, "success");
+        }
 
         // Refresh the profile view if the user is currently on it
         if (document.getElementById('single-patient-profile-view').style.display === 'block') {
-            viewPatientProfile(patientId);
+            viewPatientProfile(admissionId);
         } else {
             renderPatientList();
         }
 
     } catch (error) {
         console.error('Submit Patient Prescription Error:', error);
-        showMessageModal("Error", 'Failed to save prescription. Check the server.', "error");
+        showMessageModal("Error", error.message || 'Failed to save prescription. Check the server.', "error");
     }
 }
 
@@ -608,9 +2044,8 @@ function closeConfirmationModal() {
 async function deletePatient(patientId, patientName) {
     try {
         // Assumes /api/patients/:id DELETE route exists on the server.
-        const response = await fetch(`${API_URL}/patients/${patientId}`, {
+        const response = await authFetch(`${API_URL}/patients/${patientId}`, {
             method: 'DELETE',
-            headers: getAuthHeaders()
         });
 
         if (response.status === 401 || response.status === 403) {
@@ -630,7 +2065,7 @@ async function deletePatient(patientId, patientName) {
         }
 
         // SUCCESS: Use the Generic Message Modal ("Box")
-        showMessageModal("Success", `Patient ${patientName} record successfully discharged and deleted.`, "success");
+        showMessageModal("Success", `Patient ${patientName} record deleted.`, "success");
 
         // Return to the patient list after deletion
         renderPatientList();
@@ -646,6 +2081,280 @@ async function deletePatient(patientId, patientName) {
 }
 
 
+// --- Discharge ---
+function openDischargeModal(patientId, patientName) {
+    document.getElementById('discharge-form').reset();
+    document.getElementById('discharge-patient-id').value = patientId;
+    document.getElementById('discharge-patient-name').textContent = patientName;
+
+    // Defaults to today in local time; the server rejects future dates
+    const today = new Date();
+    today.setMinutes(today.getMinutes() - today.getTimezoneOffset());
+    const dateInput = document.getElementById('discharge-date');
+    dateInput.value = today.toISOString().slice(0, 10);
+    dateInput.max = dateInput.value;
+
+    // Staff logins sign with their own name on the server
+    document.getElementById('discharge-doctor-name').closest('.input-group').style.display = getSessionClaims().staffId ? 'none' : '';
+
+    document.getElementById('discharge-modal').style.display = 'flex';
+}
+
+function closeDischargeModal() {
+    document.getElementById('discharge-modal').style.display = 'none';
+}
+
+async function submitDischarge(event) {
+    event.preventDefault();
+
+    const patientId = document.getElementById('discharge-patient-id').value;
+    const dateValue = document.getElementById('discharge-date').value;
+    const isToday = dateValue === document.getElementById('discharge-date').max;
+
+    const discharge = {
+        outcome: document.getElementById('discharge-outcome').value,
+        // Today means "now"; an earlier date is recorded at local midnight
+        dischargedAt: isToday ? undefined : new Date(`${dateValue}T00:00`).toISOString(),
+        doctorName: document.getElementById('discharge-doctor-name').value.trim() || undefined,
+        summary: document.getElementById('discharge-summary-text').value.trim(),
+        followUp: document.getElementById('discharge-follow-up').value.trim(),
+        medications: document.getElementById('discharge-medications').value.split('\n').map(m => m.trim()).filter(Boolean)
+    };
+
+    try {
+        const response = await authFetch(`${API_URL}/patients/${patientId}/discharge`, {
+            method: 'POST',
+            body: JSON.stringify(discharge)
+        });
+        const data = await response.json();
+
+        if (response.status === 401) {
+            redirectToLogin("Session expired. Please log in again.");
+            return;
+        }
+        if (!response.ok) {
+            showMessageModal("Error", data.message, "error");
+            return;
+        }
+
+        closeDischargeModal();
+        showMessageModal("Success", data.message, "success");
+        renderPatientList();
+    } catch (error) {
+        console.error('Discharge Error:', error);
+        showMessageModal("Error", 'Failed to discharge patient. Check the server.', "error");
+    }
+}
+
+// --- Wards and Beds ---
+
+// Fills a <select> with the free beds, grouped by ward. Returns how many beds were offered.
+function fillBedSelect(select, wards) {
+    select.innerHTML = '';
+    let freeBeds = 0;
+
+    wards.forEach(ward => {
+        const beds = ward.beds.filter(b => !b.admissionId && !b.outOfService);
+        if (beds.length === 0) return;
+
+        const group = document.createElement('optgroup');
+        group.label = `${ward.name} (${WARD_TYPE_LABELS[ward.type] || ward.type})`;
+        beds.forEach(b => group.appendChild(new Option(`${ward.name} / Bed ${b.label}`, b._id)));
+        select.appendChild(group);
+        freeBeds += beds.length;
+    });
+
+    if (freeBeds === 0) select.appendChild(new Option('No free beds', ''));
+    return freeBeds;
+}
+
+// Renders each ward as a row of bed tiles: free, occupied (with the patient) or out of service
+function renderBedBoard(wards) {
+    const board = document.getElementById('bed-board');
+    if (!board) return;
+
+    if (wards.length === 0) {
+        board.innerHTML = `<p class="empty-list-message">No wards set up yet.${can('manageBeds') ? ' Add a ward to start tracking beds.' : ''}</p>`;
+        return;
+    }
+
+    board.innerHTML = wards.map(ward => `
+        <div class="ward-block">
+            <div class="ward-header">
+                <span class="ward-name">${escapeHtml(ward.name)} <small>${WARD_TYPE_LABELS[ward.type] || ward.type}</small></span>
+                <span class="ward-occupancy">${ward.occupiedBeds}/${ward.totalBeds} occupied</span>
+                ${can('manageBeds') ? `
+                    <button class="action-btn-small" title="Add beds" onclick="openWardModal('${ward._id}', '${escapeHtml(ward.name)}')"><i class="fas fa-plus"></i></button>
+                    <button class="action-btn-small" title="Remove ward" onclick="removeWard('${ward._id}', '${escapeHtml(ward.name)}')"><i class="fas fa-trash"></i></button>` : ''}
+            </div>
+            <div class="bed-grid">
+                ${ward.beds.map(b => {
+                    const state = b.admissionId ? 'occupied' : (b.outOfService ? 'out-of-service' : 'free');
+                    const title = b.admissionId
+                        ? `${b.patientName || 'Patient'} (${b.patientCondition || 'N/A'})`
+                        : (b.outOfService ? 'Out of service' : 'Free');
+                    // Admins toggle a free bed in and out of service by clicking it
+                    const toggle = !b.admissionId && can('manageBeds')
+                        ? ` onclick="setBedOutOfService('${b._id}', ${!b.outOfService})"`
+                        : '';
+                    return `<span class="bed-tile ${state}" title="Bed ${b.label}: ${escapeHtml(title)}"${toggle}>${b.label}</span>`;
+                }).join('')}
+            </div>
+        </div>
+    `).join('');
+}
+
+async function loadBedBoard() {
+    renderBedBoard(await fetchWards());
+}
+
+// Opens the admission form with a bed picker, or the free-text ward field if no wards exist
+async function showAdmissionForm() {
+    showView('patient-admission-view');
+
+    const wards = await fetchWards();
+    const useBeds = wards.some(w => w.beds.length > 0);
+    fillBedSelect(document.getElementById('new-patient-bed'), wards);
+
+    document.getElementById('new-patient-bed-group').style.display = useBeds ? '' : 'none';
+    document.getElementById('new-patient-bed').required = useBeds;
+    document.getElementById('new-patient-ward-group').style.display = useBeds ? 'none' : '';
+    document.getElementById('new-patient-ward').required = !useBeds;
+}
+
+// With no wardId this creates a ward; with one it adds beds to that ward
+function openWardModal(wardId = '', wardName = '') {
+    document.getElementById('ward-form').reset();
+    document.getElementById('ward-modal-id').value = wardId;
+    document.getElementById('ward-modal-title').textContent = wardId ? `Add Beds to ${wardName}` : 'Add Ward';
+    document.getElementById('ward-details-fields').style.display = wardId ? 'none' : '';
+    document.getElementById('ward-name').required = !wardId;
+    document.getElementById('ward-modal').style.display = 'flex';
+}
+
+function closeWardModal() {
+    document.getElementById('ward-modal').style.display = 'none';
+}
+
+async function submitWard(event) {
+    event.preventDefault();
+
+    const wardId = document.getElementById('ward-modal-id').value;
+    const count = parseInt(document.getElementById('ward-bed-count').value);
+    const request = wardId
+        ? { url: `${API_URL}/wards/${wardId}/beds`, body: { count } }
+        : {
+            url: `${API_URL}/wards`,
+            body: {
+                name: document.getElementById('ward-name').value.trim(),
+                type: document.getElementById('ward-type').value,
+                bedCount: count
+            }
+        };
+
+    try {
+        const response = await authFetch(request.url, { method: 'POST', body: JSON.stringify(request.body) });
+        const data = await response.json();
+
+        if (response.status === 401) {
+            redirectToLogin("Session expired. Please log in again.");
+            return;
+        }
+        if (!response.ok) {
+            showMessageModal("Error", data.message, "error");
+            return;
+        }
+
+        closeWardModal();
+        showMessageModal("Success", data.message, "success");
+        loadBedBoard();
+    } catch (error) {
+        console.error('Save Ward Error:', error);
+        showMessageModal("Error", 'Failed to save the ward. Check the server.', "error");
+    }
+}
+
+function removeWard(wardId, wardName) {
+    showConfirmationModal(
+        "Remove Ward?",
+        `${wardName} and all its beds will be removed. This only works when the ward is empty.`,
+        async () => {
+            try {
+                const response = await authFetch(`${API_URL}/wards/${wardId}`, { method: 'DELETE' });
+                const data = await response.json();
+                showMessageModal(response.ok ? "Success" : "Error", data.message, response.ok ? "success" : "error");
+                loadBedBoard();
+            } catch (error) {
+                console.error('Remove Ward Error:', error);
+                showMessageModal("Error", 'Failed to remove the ward. Check the server.', "error");
+            }
+        }
+    );
+}
+
+async function setBedOutOfService(bedId, outOfService) {
+    try {
+        const response = await authFetch(`${API_URL}/beds/${bedId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ outOfService })
+        });
+        const data = await response.json();
+        showCustomAlert(data.message, response.ok ? 'success' : 'error');
+        loadBedBoard();
+    } catch (error) {
+        console.error('Update Bed Error:', error);
+        showCustomAlert('Failed to update the bed.', 'error');
+    }
+}
+
+async function openTransferModal(patientId, patientName, currentWard) {
+    const wards = await fetchWards();
+    if (fillBedSelect(document.getElementById('transfer-bed'), wards) === 0) {
+        showMessageModal("Warning", 'There are no free beds to transfer to.', "warning");
+        return;
+    }
+
+    document.getElementById('transfer-patient-id').value = patientId;
+    document.getElementById('transfer-patient-name').textContent = patientName;
+    document.getElementById('transfer-current-bed').textContent = currentWard || 'No bed';
+    document.getElementById('transfer-modal').style.display = 'flex';
+}
+
+function closeTransferModal() {
+    document.getElementById('transfer-modal').style.display = 'none';
+}
+
+async function submitTransfer(event) {
+    event.preventDefault();
+
+    const patientId = document.getElementById('transfer-patient-id').value;
+    const bedId = document.getElementById('transfer-bed').value;
+
+    try {
+        const response = await authFetch(`${API_URL}/patients/${patientId}/transfer`, {
+            method: 'PUT',
+            body: JSON.stringify({ bedId })
+        });
+        const data = await response.json();
+
+        if (response.status === 401) {
+            redirectToLogin("Session expired. Please log in again.");
+            return;
+        }
+        if (!response.ok) {
+            showMessageModal("Error", data.message, "error");
+            return;
+        }
+
+        closeTransferModal();
+        showMessageModal("Success", data.message, "success");
+        renderPatientList();
+    } catch (error) {
+        console.error('Transfer Error:', error);
+        showMessageModal("Error", 'Failed to transfer the patient. Check the server.', "error");
+    }
+}
+
 // Sends patient admission data to the API
 async function admitPatient(event) {
     event.preventDefault();
@@ -653,20 +2362,22 @@ async function admitPatient(event) {
     const name = document.getElementById('new-patient-name').value;
     const age = parseInt(document.getElementById('new-patient-age').value);
     const ward = document.getElementById('new-patient-ward').value;
+    const bedId = document.getElementById('new-patient-bed').value;
     const initialCondition = document.getElementById('new-patient-condition').value;
 
     const patientData = {
         id: document.getElementById('new-patient-id').value,
         name: name,
         age: age,
-        ward: ward,
+        // Hospitals with wards set up pick a bed; the free-text ward is only for those without
+        ...(bedId ? { bedId } : { ward }),
         initialCondition: initialCondition,
+        patientCode: document.getElementById('new-patient-code').value.trim() || undefined,
     };
 
     try {
-        const response = await fetch(`${API_URL}/admit-patient`, {
+        const response = await authFetch(`${API_URL}/admit-patient`, {
             method: 'POST',
-            headers: getAuthHeaders(),
             body: JSON.stringify(patientData)
         });
 
@@ -686,7 +2397,7 @@ async function admitPatient(event) {
         showDashboard();
     } catch (error) {
         console.error('Admission Error:', error);
-        showMessageModal("Error", 'Failed to admit patient. Please check the server.', "error");
+        showMessageModal("Error", error.message || 'Failed to admit patient. Please check the server.', "error");
     }
 }
 
@@ -703,10 +2414,17 @@ async function addStaff(event) {
         contact: document.getElementById('new-staff-contact').value
     };
 
+    // A username turns the directory entry into a login with the chosen access role
+    const username = document.getElementById('new-staff-username').value.trim();
+    if (username) {
+        staffData.username = username;
+        staffData.accessRole = document.getElementById('new-staff-access-role').value;
+        staffData.password = document.getElementById('new-staff-password').value;
+    }
+
     try {
-        const response = await fetch(`${API_URL}/staff`, {
+        const response = await authFetch(`${API_URL}/staff`, {
             method: 'POST',
-            headers: getAuthHeaders(),
             body: JSON.stringify(staffData)
         });
 
@@ -727,7 +2445,7 @@ async function addStaff(event) {
         showStaffingReport();
     } catch (error) {
         console.error('Add Staff Error:', error);
-        showMessageModal("Error", 'Failed to add staff member. Check the server.', "error");
+        showMessageModal("Error", error.message || 'Failed to add staff member. Check the server.', "error");
     }
 }
 
@@ -735,9 +2453,8 @@ async function addStaff(event) {
 async function deleteStaff(staffMongoId, staffName) {
     try {
         // Use DELETE method and pass the MongoDB _id in the URL parameter
-        const response = await fetch(`${API_URL}/staff/${staffMongoId}`, {
+        const response = await authFetch(`${API_URL}/staff/${staffMongoId}`, {
             method: 'DELETE',
-            headers: getAuthHeaders()
         });
 
         if (response.status === 401 || response.status === 403) {
@@ -767,6 +2484,110 @@ async function deleteStaff(staffMongoId, staffName) {
 }
 
 
+// Opens the login editor for a staff member (hospital admins only)
+function openStaffCredentialsModal(staffMongoId, staffName, username, accessRole) {
+    document.getElementById('staff-credentials-form').reset();
+    document.getElementById('credentials-staff-id').value = staffMongoId;
+    document.getElementById('credentials-staff-name').textContent = staffName;
+    document.getElementById('credentials-username').value = username;
+    document.getElementById('credentials-access-role').value = accessRole;
+    document.getElementById('credentials-password').placeholder = username
+        ? 'Leave blank to keep the current password'
+        : '8+ characters, upper and lower case, a number';
+    document.getElementById('staff-credentials-modal').style.display = 'flex';
+}
+
+function closeStaffCredentialsModal() {
+    document.getElementById('staff-credentials-modal').style.display = 'none';
+}
+
+async function submitStaffCredentials(event) {
+    event.preventDefault();
+
+    const staffMongoId = document.getElementById('credentials-staff-id').value;
+    const credentials = {
+        username: document.getElementById('credentials-username').value.trim(),
+        accessRole: document.getElementById('credentials-access-role').value,
+        password: document.getElementById('credentials-password').value
+    };
+
+    try {
+        const response = await authFetch(`${API_URL}/staff/${staffMongoId}/credentials`, {
+            method: 'PUT',
+            body: JSON.stringify(credentials)
+        });
+        const data = await response.json();
+
+        if (response.status === 401) {
+            redirectToLogin("Session expired. Please log in again.");
+            return;
+        }
+        if (!response.ok) {
+            showMessageModal("Error", data.message, "error");
+            return;
+        }
+
+        closeStaffCredentialsModal();
+        showMessageModal("Success", data.message, "success");
+        showStaffingReport();
+    } catch (error) {
+        console.error('Staff Credentials Error:', error);
+        showMessageModal("Error", 'Failed to save login details. Check the server.', "error");
+    }
+}
+
+// --- Patient Account Linking ---
+// `path` is the record to link: 'patients/<admissionId>' or 'doctor-request/<requestId>'
+function openLinkAccountModal(path, name) {
+    document.getElementById('link-account-form').reset();
+    document.getElementById('link-account-path').value = path;
+    document.getElementById('link-account-name').textContent = name;
+    document.getElementById('link-account-modal').style.display = 'flex';
+}
+
+function openRequestLinkModal(requestId) {
+    openLinkAccountModal(`doctor-request/${requestId}`, getRequestPatientName(requestId));
+}
+
+function closeLinkAccountModal() {
+    document.getElementById('link-account-modal').style.display = 'none';
+}
+
+async function submitLinkAccount(event) {
+    event.preventDefault();
+
+    const path = document.getElementById('link-account-path').value;
+    const patientCode = document.getElementById('link-account-code').value.trim();
+
+    try {
+        const response = await authFetch(`${API_URL}/${path}/link`, {
+            method: 'PUT',
+            body: JSON.stringify({ patientCode })
+        });
+        const data = await response.json();
+
+        if (response.status === 401) {
+            redirectToLogin("Session expired. Please log in again.");
+            return;
+        }
+        if (!response.ok) {
+            showMessageModal("Error", data.message, "error");
+            return;
+        }
+
+        closeLinkAccountModal();
+        showMessageModal("Success", data.message, "success");
+        if (path.startsWith('patients/')) {
+            viewPatientProfile(path.split('/')[1]);
+        } else {
+            loadAndRenderRequests();
+        }
+    } catch (error) {
+        console.error('Link Account Error:', error);
+        showMessageModal("Error", 'Failed to link the patient account. Check the server.', "error");
+    }
+}
+
 // Helper to update UI counters for staff (Both Dashboard and Report)
 function updateStaffCounters(staff) {
     const doctors = staff.filter(s => s.role.toLowerCase().includes('doctor') || s.role.toLowerCase().includes('physician') || s.role.toLowerCase().includes('surgeon')).length;
@@ -803,7 +2624,7 @@ async function showStaffingReport() {
     tableBody.innerHTML = '';
 
     if (staff.length === 0) {
-        tableBody.innerHTML = `<tr><td colspan="6" class="no-data-row">No staff records found for this hospital.</td></tr>`;
+        tableBody.innerHTML = `<tr><td colspan="7" class="no-data-row">No staff records found for this hospital.</td></tr>`;
     } else {
         staff.forEach(s => {
             const row = tableBody.insertRow();
@@ -822,18 +2643,27 @@ async function showStaffingReport() {
                 statusClass = 'status-badge default-badge';
             }
 
+            const loginInfo = s.username
+                ? `${s.username} <small>(${ACCESS_ROLE_LABELS[s.accessRole] || s.accessRole})</small>`
+                : '<small>No login</small>';
+            const manageButtons = can('manageStaff') ? `
+                    <button class="action-btn detail"
+                        onclick="openStaffCredentialsModal('${s._id}', '${s.name}', '${s.username || ''}', '${s.accessRole || 'doctor'}')">
+                        <i class="fas fa-user-lock"></i> Login
+                    </button>
+                    <button class="action-btn delete-btn" 
+                        onclick="deleteStaff('${s._id}', '${s.name}')">
+                        <i class="fas fa-trash"></i> Remove
+                    </button>` : '';
+
             row.innerHTML = `
-                <td>${s.staffId}</td>
+                <td>${s.staffId || s.id}</td>
                 <td>${s.name}</td>
                 <td>${s.role}</td>
                 <td><span class="${statusClass}">${statusText}</span></td>
                 <td>${s.contact}</td>
-                <td>
-                    <button class="action-btn delete-btn" 
-                        onclick="deleteStaff('${s._id}', '${s.name}')">
-                        <i class="fas fa-trash"></i> Remove
-                    </button>
-                </td> `;
+                <td>${loginInfo}</td>
+                <td>${manageButtons}</td> `;
         });
     }
 
@@ -867,6 +2697,109 @@ function requestCylinders() {
 }
 
 
+// --- 3b. Audit Log (hospital admins) ---
+
+// Audit snapshots hold free text from patients (including anonymous SOS senders), so it is escaped before display
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+// Builds the query string from the filter form (format=csv is added for exports)
+function getAuditQuery() {
+    const params = new URLSearchParams();
+    const action = document.getElementById('audit-action-filter').value;
+    const from = document.getElementById('audit-from-filter').value;
+    const to = document.getElementById('audit-to-filter').value;
+
+    if (action) params.set('action', action);
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set('to', new Date(`${to}T23:59:59`).toISOString());
+    return params;
+}
+
+// Lists the top-level fields that differ between the before and after snapshots
+function describeAuditChanges(entry) {
+    if (!entry.before && entry.after) return 'Created';
+    if (entry.before && !entry.after) return 'Removed';
+    if (!entry.before) return escapeHtml(entry.note);
+
+    const changed = Object.keys({ ...entry.before, ...entry.after })
+        .filter(key => !['updatedAt', 'statusHistory', 'verificationHistory'].includes(key))
+        .filter(key => JSON.stringify(entry.before[key]) !== JSON.stringify(entry.after[key]))
+        .map(key => escapeHtml(`${key}: ${JSON.stringify(entry.before[key]) ?? '—'} → ${JSON.stringify(entry.after[key]) ?? '—'}`));
+    if (entry.note) changed.push(`Note: ${escapeHtml(entry.note)}`);
+    return changed.join('<br>');
+}
+
+async function renderAuditLog() {
+    showView('audit-log-view');
+    const tableBody = document.getElementById('audit-table-body');
+    tableBody.innerHTML = `<tr><td colspan="5" class="no-data-row">Loading audit log...</td></tr>`;
+
+    try {
+        const response = await authFetch(`${API_URL}/audit-log?${getAuditQuery()}`);
+        const data = await response.json();
+
+        if (response.status === 401) {
+            redirectToLogin("Session expired. Please log in again.");
+            return;
+        }
+        if (!response.ok) {
+            showMessageModal("Error", data.message || 'Could not load the audit log.', "error");
+            return;
+        }
+
+        if (data.length === 0) {
+            tableBody.innerHTML = `<tr><td colspan="5" class="no-data-row">No audit entries match these filters.</td></tr>`;
+            return;
+        }
+
+        tableBody.innerHTML = data.map(entry => `
+            <tr>
+                <td>${new Date(entry.at).toLocaleString()}</td>
+                <td>${escapeHtml(entry.actor.name)}<br><small>${entry.actor.accessRole || entry.actor.role}</small></td>
+                <td>${entry.action}</td>
+                <td>${entry.target.type}<br><small>${escapeHtml(entry.target.id)}</small></td>
+                <td class="audit-changes">${describeAuditChanges(entry)}</td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Audit Log Error:', error);
+        showMessageModal("Error", 'Failed to load the audit log. Check the server.', "error");
+    }
+}
+
+// The export needs the Authorization header, so the CSV is fetched and saved through a blob URL
+async function exportAuditLog() {
+    const params = getAuditQuery();
+    params.set('format', 'csv');
+
+    try {
+        const response = await authFetch(`${API_URL}/audit-log?${params}`);
+
+        if (response.status === 401) {
+            redirectToLogin("Session expired. Please log in again.");
+            return;
+        }
+        if (!response.ok) {
+            const data = await response.json();
+            showMessageModal("Error", data.message || 'Could not export the audit log.', "error");
+            return;
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Audit Export Error:', error);
+        showMessageModal("Error", 'Failed to export the audit log. Check the server.', "error");
+    }
+}
+
+
 // --- 4. View Management Functions ---
 
 // Function to manage view visibility (UPDATED to include new views)
@@ -877,6 +2810,8 @@ function showView(viewId) {
     document.getElementById('patient-admission-view').style.display = 'none';
     document.getElementById('staffing-report-view').style.display = 'none';
     document.getElementById('staff-admission-view').style.display = 'none';
+    document.getElementById('request-history-view').style.display = 'none';
+    document.getElementById('audit-log-view').style.display = 'none';
 
     // NEW VIEWS
     const singlePatientProfileView = document.getElementById('single-patient-profile-view');
@@ -906,6 +2841,9 @@ function showView(viewId) {
 async function showDashboard() {
     showView('main-dashboard-view');
     loadAndRenderRequests();
+    loadTodaysAppointments();
+
+    loadBedBoard();
 
     // Ensure staff counts are updated on dashboard load
     const staff = await fetchStaff();
@@ -917,9 +2855,17 @@ async function showDashboard() {
 
 document.addEventListener('DOMContentLoaded', () => {
 
-    // Initial load and auto-refresh setup
+    applyAccessRole();
+
+    // Initial load, push channel, and polling fallback for when the stream is down
     showDashboard();
-    setInterval(loadAndRenderRequests, REFRESH_INTERVAL);
+    connectRequestStream();
+    setInterval(() => {
+        if (!requestStream || requestStream.readyState !== EventSource.OPEN) {
+            loadAndRenderRequests();
+            loadTodaysAppointments();
+        }
+    }, REFRESH_INTERVAL);
 
     // --- Event Listeners (Linking HTML to JS) ---
 
@@ -932,7 +2878,12 @@ document.addEventListener('DOMContentLoaded', () => {
     // Quick Actions
     document.getElementById('admit-patient-btn').addEventListener('click', (event) => {
         event.preventDefault();
-        showView('patient-admission-view');
+        showAdmissionForm();
+    });
+
+    document.getElementById('add-ward-btn').addEventListener('click', (event) => {
+        event.preventDefault();
+        openWardModal();
     });
 
     document.getElementById('view-reports-btn').addEventListener('click', (event) => {
@@ -999,6 +2950,34 @@ document.addEventListener('DOMContentLoaded', () => {
         renderPatientList();
     });
 
+    document.getElementById('request-history-link').addEventListener('click', (event) => {
+        event.preventDefault();
+        renderRequestHistory();
+    });
+
+    document.getElementById('back-to-dashboard-from-history-btn').addEventListener('click', (event) => {
+        event.preventDefault();
+        showDashboard();
+    });
+
+    document.getElementById('audit-log-link').addEventListener('click', (event) => {
+        event.preventDefault();
+        renderAuditLog();
+    });
+    document.getElementById('back-to-dashboard-from-audit-btn').addEventListener('click', (event) => {
+        event.preventDefault();
+        showDashboard();
+    });
+    document.getElementById('audit-filter-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        renderAuditLog();
+    });
+    document.getElementById('export-audit-btn').addEventListener('click', exportAuditLog);
+
+    // Request state filters
+    document.getElementById('history-status-filter').addEventListener('change', renderRequestHistory);
+    document.getElementById('queue-status-filter').addEventListener('change', () => renderBookNowQueue(latestRequests));
+
     // Back Buttons (Navigation Fix)
     document.getElementById('back-to-dashboard-from-patient-btn').addEventListener('click', (event) => {
         event.preventDefault();
@@ -1032,16 +3011,67 @@ document.addEventListener('DOMContentLoaded', () => {
     if (logoutBtn) {
         logoutBtn.addEventListener('click', (event) => {
             event.preventDefault();
-            redirectToLogin("You have been logged out.");
+            logout();
+        });
+    }
+
+    const logoutAllBtn = document.getElementById('logout-all-hospital-btn-dropdown');
+    if (logoutAllBtn) {
+        logoutAllBtn.addEventListener('click', (event) => {
+            event.preventDefault();
+            logout(true);
         });
     }
 
+    const changePasswordBtn = document.getElementById('change-password-hospital-btn-dropdown');
+    if (changePasswordBtn) {
+        changePasswordBtn.addEventListener('click', (event) => {
+            event.preventDefault();
+            document.getElementById('change-password-modal').style.display = 'flex';
+        });
+    }
+
+    const staffCredentialsForm = document.getElementById('staff-credentials-form');
+    if (staffCredentialsForm) {
+        staffCredentialsForm.addEventListener('submit', submitStaffCredentials);
+    }
+
+    document.getElementById('vitals-form').addEventListener('submit', submitVitals);
+    document.getElementById('allergy-form').addEventListener('submit', submitAllergy);
+    document.getElementById('ward-form').addEventListener('submit', submitWard);
+    document.getElementById('transfer-form').addEventListener('submit', submitTransfer);
+
+    const dischargeForm = document.getElementById('discharge-form');
+    if (dischargeForm) {
+        dischargeForm.addEventListener('submit', submitDischarge);
+    }
+
+    document.getElementById('patient-list-filter').addEventListener('change', renderPatientList);
+
+    const linkAccountForm = document.getElementById('link-account-form');
+    if (linkAccountForm) {
+        linkAccountForm.addEventListener('submit', submitLinkAccount);
+    }
+
+    const changePasswordForm = document.getElementById('change-password-form');
+    if (changePasswordForm) {
+        changePasswordForm.addEventListener('submit', submitChangePassword);
+    }
+
     // --- NEW EVENT LISTENERS FOR MODALS ---
     const resolveForm = document.getElementById('resolve-request-form');
     if (resolveForm) {
         resolveForm.addEventListener('submit', submitResolveRequest);
     }
 
+    document.getElementById('decline-refill-form').addEventListener('submit', submitDeclineRefill);
+
+    // Appointments
+    document.getElementById('manage-slots-btn').addEventListener('click', openSlotsModal);
+    document.getElementById('slot-form').addEventListener('submit', submitSlots);
+    document.getElementById('reschedule-form').addEventListener('submit', submitReschedule);
+    document.getElementById('cancel-appointment-form').addEventListener('submit', submitCancelAppointment);
+
     // FIX: Back Button for Staffing Report
     const backToDashboardBtn = document.getElementById('back-to-dashboard-btn');
     if (backToDashboardBtn) {
@@ -4,7 +4,7 @@
 const API_URL = 'http://localhost:3000/api';
 // Temporarily set default for testing if check is commented out
 const patientName = localStorage.getItem('current_patient_name') || 'Test Patient';
-const authToken = localStorage.getItem('auth_token');
+let authToken = localStorage.getItem('auth_token'); // Replaced whenever the session is refreshed
 
 // Redirect if not logged in
 if (!localStorage.getItem('current_patient_name') || !authToken) {
@@ -38,6 +38,29 @@ const HEALTH_TIPS = [
     "Limit screen time before bed to ensure a restful sleep."
 ];
 
+const SOS_STATUS_POLL_INTERVAL = 15000; // How often an open SOS is re-checked for escalations
+let sosStatusTimer = null;
+const MY_REQUESTS_POLL_INTERVAL = 15000; // Refresh rate of the "My Requests" view while it is open
+let myRequestsTimer = null;
+
+// Medication reminders run while the portal is open in a tab
+const MEDICATION_REFRESH_INTERVAL = 10 * 60 * 1000; // Today's schedule is re-fetched this often, which also rolls it over after midnight
+const DOSE_REMINDER_CHECK_INTERVAL = 30000;
+const DOSE_REMINDER_WINDOW_MS = 3 * 60 * 60 * 1000; // Same as the server's missed-dose cutoff
+const DOSE_EARLY_LOG_MS = 60 * 60 * 1000; // Doses can be logged up to an hour early
+let medicationDoses = [];
+
+// Lifecycle steps shown on each request card (CANCELLED is shown separately)
+const REQUEST_STEPS = ['PENDING', 'ACKNOWLEDGED', 'IN_PROGRESS', 'RESOLVED'];
+const REQUEST_STATUS_LABELS = {
+    PENDING: 'Sent',
+    ESCALATED: 'Escalated',
+    ACKNOWLEDGED: 'Seen by Hospital',
+    IN_PROGRESS: 'Responding',
+    RESOLVED: 'Resolved',
+    CANCELLED: 'Cancelled'
+};
+
 // --- MODAL ELEMENTS ---
 const doctorModal = document.getElementById('doctor-modal');
 const sosModal = document.getElementById('sos-modal');
@@ -54,6 +77,96 @@ function getAuthHeaders() {
     };
 }
 
+// --- Session Handling (short-lived access token + rotating refresh token) ---
+let refreshInFlight = null;
+
+// Exchanges the stored refresh token for a new pair. Concurrent callers share one request,
+// because the server accepts each refresh token only once.
+function refreshSession() {
+    if (refreshInFlight) return refreshInFlight;
+
+    refreshInFlight = (async () => {
+        // Another tab may already have rotated the tokens
+        const storedToken = localStorage.getItem('auth_token');
+        if (storedToken && storedToken !== authToken) {
+            authToken = storedToken;
+            return true;
+        }
+
+        const refreshToken = localStorage.getItem('refresh_token');
+        if (!refreshToken) return false;
+
+        try {
+            const response = await fetch(`${API_URL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+            if (!response.ok) return false;
+
+            const data = await response.json();
+            authToken = data.token;
+            localStorage.setItem('auth_token', data.token);
+            localStorage.setItem('refresh_token', data.refreshToken);
+            return true;
+        } catch (error) {
+            console.error("Session refresh error:", error);
+            return false;
+        }
+    })().finally(() => { refreshInFlight = null; });
+
+    return refreshInFlight;
+}
+
+// fetch() with the current access token. An expired token is refreshed silently and the
+// request retried once, so callers only see 401/403 when the session is really over.
+// The SOS route accepts requests without a login, so an expired token would send the SOS
+// anonymously instead of failing; renew the token first when it is about to run out
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+async function ensureFreshSession() {
+    if (!authToken || authToken === 'null') return;
+    try {
+        const claims = JSON.parse(atob(authToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        if (claims.exp && claims.exp * 1000 - Date.now() < TOKEN_REFRESH_MARGIN_MS) {
+            await refreshSession();
+        }
+    } catch (error) {
+        console.error("Could not read session token:", error);
+    }
+}
+
+async function authFetch(url, options = {}) {
+    const send = () => fetch(url, {
+        ...options,
+        headers: { ...getAuthHeaders(), ...options.headers, 'Authorization': `Bearer ${authToken}` }
+    });
+
+    let response = await send();
+    if (response.status === 401 && await refreshSession()) {
+        response = await send();
+    }
+    return response;
+}
+
+// Ends this device's session (or every session of the account) on the server, then leaves
+async function logout(allDevices = false) {
+    try {
+        if (allDevices) {
+            await authFetch(`${API_URL}/auth/logout-all`, { method: 'POST' });
+        } else {
+            await fetch(`${API_URL}/auth/logout`, {
+                method: 'POST',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({ refreshToken: localStorage.getItem('refresh_token') })
+            });
+        }
+    } catch (error) {
+        console.error("Logout error:", error);
+    }
+    redirectToLogin(allDevices ? "You have been logged out on all devices." : "You have been logged out.");
+}
+
 // Global Notification Helper
 function showCustomAlert(message, type = 'info') {
     const container = document.getElementById('notification-container');
@@ -97,7 +210,9 @@ function showCustomAlert(message, type = 'info') {
 
 function redirectToLogin(message = "Session expired. Please log in again.") {
     localStorage.removeItem('auth_token');
+    localStorage.removeItem('refresh_token');
     localStorage.removeItem('current_patient_name');
+    localStorage.removeItem('current_patient_code');
     localStorage.removeItem('patient_latitude');
     localStorage.removeItem('patient_longitude');
 
@@ -111,7 +226,7 @@ function redirectToLogin(message = "Session expired. Please log in again.") {
 
 async function fetchGoals(name) {
     try {
-        const response = await fetch(`${API_URL}/goals/${encodeURIComponent(name)}`, { headers: getAuthHeaders() });
+        const response = await authFetch(`${API_URL}/goals/${encodeURIComponent(name)}`);
 
         if (response.status === 404) {
             return DEFAULT_GOALS;
@@ -135,9 +250,8 @@ async function fetchGoals(name) {
 
 async function updateGoalsAPI(goals) {
     try {
-        const response = await fetch(`${API_URL}/goals`, {
+        const response = await authFetch(`${API_URL}/goals`, {
             method: 'POST',
-            headers: getAuthHeaders(),
             body: JSON.stringify({ goals })
         });
 
@@ -162,7 +276,7 @@ async function updateGoalsAPI(goals) {
 
 async function fetchPrescriptions() {
     try {
-        const response = await fetch(`${API_URL}/prescriptions/${encodeURIComponent(patientName)}`, { headers: getAuthHeaders() });
+        const response = await authFetch(`${API_URL}/prescriptions/${encodeURIComponent(patientName)}`);
 
         if (response.status === 401 || response.status === 403) {
             redirectToLogin("Session expired. Please log in again.");
@@ -180,6 +294,108 @@ async function fetchPrescriptions() {
     }
 }
 
+// Same wording as FREQUENCIES in the backend drug catalogue
+const FREQUENCY_LABELS = {
+    OD: 'Once daily',
+    BD: 'Twice daily',
+    TDS: 'Three times daily',
+    QID: 'Four times daily',
+    HS: 'At bedtime',
+    Q4H: 'Every 4 hours',
+    Q6H: 'Every 6 hours',
+    Q8H: 'Every 8 hours',
+    WEEKLY: 'Once a week',
+    SOS: 'When needed',
+    STAT: 'Immediately, once'
+};
+
+// One line per medicine; prescriptions written before line items only have free text
+function renderPrescriptionContent(p) {
+    if (!p.items || p.items.length === 0) {
+        return `<p class="prescription-text">${escapeHtml(p.prescription)}</p>`;
+    }
+
+    const medicines = p.items.map(item => `
+        <li>
+            <strong>${escapeHtml(item.name)} ${escapeHtml(item.strength)}</strong> <span class="medicine-form">${escapeHtml(item.form)}</span>
+            <span class="medicine-directions">${escapeHtml(item.dose)}, ${escapeHtml(FREQUENCY_LABELS[item.frequency] || item.frequency)}, ${escapeHtml(item.route)}, for ${item.durationDays} day(s)</span>
+            ${item.instructions ? `<span class="medicine-instructions">${escapeHtml(item.instructions)}</span>` : ''}
+        </li>
+    `).join('');
+
+    return `
+        <ul class="medicine-list">${medicines}</ul>
+        ${p.notes ? `<p class="prescription-text">${escapeHtml(p.notes)}</p>` : ''}
+    `;
+}
+
+// Fetches the signed PDF with the session token and hands it to the browser as a download
+async function downloadPrescriptionPdf(prescriptionId, verificationCode) {
+    try {
+        const response = await authFetch(`${API_URL}/prescriptions/${prescriptionId}/pdf`);
+
+        if (response.status === 401) {
+            redirectToLogin("Session expired. Please log in again.");
+            return;
+        }
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.message || `HTTP error! status: ${response.status}`);
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `prescription-${verificationCode || prescriptionId}.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+        console.error('Download Prescription Error:', error);
+        showCustomAlert(error.message || 'Could not download the prescription.', 'error');
+    }
+}
+
+// Refill requests go to the hospital that wrote the prescription, not the nearest one
+function openRefillModal(prescriptionId, verificationCode) {
+    document.getElementById('refill-form').reset();
+    document.getElementById('refill-prescription-id').value = prescriptionId;
+    document.getElementById('refill-code').textContent = verificationCode || 'this prescription';
+    document.getElementById('refill-modal').style.display = 'block';
+}
+
+async function handleRefillSubmit(event) {
+    event.preventDefault();
+
+    const prescriptionId = document.getElementById('refill-prescription-id').value;
+    const note = document.getElementById('refill-note').value.trim();
+
+    try {
+        const response = await authFetch(`${API_URL}/prescriptions/${prescriptionId}/refill`, {
+            method: 'POST',
+            body: JSON.stringify({ note })
+        });
+
+        if (response.status === 401) {
+            redirectToLogin("Session expired. Please log in again.");
+            return;
+        }
+
+        const data = await response.json();
+        if (!response.ok) {
+            showCustomAlert(data.message || 'Could not send the refill request.', 'error');
+            return;
+        }
+
+        document.getElementById('refill-modal').style.display = 'none';
+        showCustomAlert(`${data.message} Track it under My Requests.`, 'success');
+    } catch (error) {
+        console.error('Refill Request Error:', error);
+        showCustomAlert('Network error while sending the refill request.', 'error');
+    }
+}
+
 async function renderPrescriptions() {
     const prescriptions = await fetchPrescriptions();
     const listContainer = document.getElementById('prescriptions-list-container');
@@ -200,16 +416,18 @@ async function renderPrescriptions() {
             <div class="header">
                 <i class="fas fa-user-md"></i>
                 <div class="details">
-                    <h4>Dr. ${p.doctor || 'Physician'}</h4>
+                    <h4>Dr. ${escapeHtml(p.doctor || 'Physician')}</h4>
                     <span class="date">${date} • ${time}</span>
                 </div>
             </div>
             <div class="prescription-content">
-                <p class="prescription-text">${p.prescription.replace(/\n/g, '<br>')}</p>
+                ${renderPrescriptionContent(p)}
             </div>
             <div class="prescription-footer">
                 <i class="fas fa-hospital-alt"></i>
-                <span>Issued at: <strong>${p.hospitalName || 'JeevRakshak Hospital Network'}</strong></span>
+                <span>Issued at: <strong>${escapeHtml(p.hospitalName || 'JeevRakshak Hospital Network')}</strong></span>
+                <button class="download-rx-btn" onclick="downloadPrescriptionPdf('${p._id}', '${p.verificationCode || ''}')"><i class="fas fa-file-pdf"></i> Download PDF</button>
+                <button class="refill-rx-btn" onclick="openRefillModal('${p._id}', '${p.verificationCode || ''}')"><i class="fas fa-redo"></i> Request Refill</button>
             </div>
         `;
         listContainer.appendChild(item);
@@ -220,6 +438,483 @@ async function renderPrescriptions() {
 }
 
 
+// --- DISCHARGE SUMMARIES ---
+
+const DISCHARGE_OUTCOME_LABELS = {
+    RECOVERED: 'Recovered',
+    IMPROVED: 'Improved',
+    REFERRED: 'Referred Elsewhere',
+    AGAINST_MEDICAL_ADVICE: 'Left Against Medical Advice',
+    DECEASED: 'Deceased'
+};
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+async function fetchDischarges() {
+    try {
+        const response = await authFetch(`${API_URL}/my-discharges`);
+
+        if (response.status === 401 || response.status === 403) {
+            redirectToLogin("Session expired. Please log in again.");
+            return [];
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return await response.json();
+    } catch (error) {
+        console.error('Error fetching discharge summaries:', error);
+        return [];
+    }
+}
+
+async function renderDischarges() {
+    const discharges = await fetchDischarges();
+    const listContainer = document.getElementById('discharges-list-container');
+    listContainer.innerHTML = '';
+
+    if (discharges.length === 0) {
+        // Only admissions linked to this account with the Patient ID show up here
+        listContainer.innerHTML = '<p class="empty-list-message">No discharge summaries yet. Give your Patient ID to the hospital when you are admitted so it appears here.</p>';
+    }
+
+    discharges.forEach(d => {
+        const admitted = new Date(d.admittedAt).toLocaleDateString();
+        const discharged = new Date(d.discharge.at).toLocaleDateString();
+        const medications = d.discharge.medications.length > 0
+            ? `<ul class="discharge-medications">${d.discharge.medications.map(m => `<li>${escapeHtml(m)}</li>`).join('')}</ul>`
+            : '<p class="prescription-text">None</p>';
+
+        const item = document.createElement('div');
+        item.className = 'card glass-panel prescription-item';
+        item.innerHTML = `
+            <div class="header">
+                <i class="fas fa-notes-medical"></i>
+                <div class="details">
+                    <h4>${escapeHtml(d.hospitalName)} <span class="request-priority">${DISCHARGE_OUTCOME_LABELS[d.discharge.outcome] || d.discharge.outcome}</span></h4>
+                    <span class="date">Admitted ${admitted} • Discharged ${discharged}</span>
+                </div>
+            </div>
+            <div class="prescription-content">
+                <p class="prescription-text">${escapeHtml(d.discharge.summary)}</p>
+                <h5 class="discharge-heading">Follow-up Instructions</h5>
+                <p class="prescription-text">${d.discharge.followUp ? escapeHtml(d.discharge.followUp) : 'None'}</p>
+                <h5 class="discharge-heading">Medications</h5>
+                ${medications}
+            </div>
+            <div class="prescription-footer">
+                <i class="fas fa-user-md"></i>
+                <span>Signed by: <strong>${escapeHtml(d.discharge.doctor)}</strong></span>
+            </div>
+        `;
+        listContainer.appendChild(item);
+    });
+
+    showView('discharges-view');
+}
+
+
+// --- ALLERGIES ---
+
+async function fetchAllergies() {
+    try {
+        const response = await authFetch(`${API_URL}/my-allergies`);
+
+        if (response.status === 401 || response.status === 403) {
+            redirectToLogin("Session expired. Please log in again.");
+            return [];
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return await response.json();
+    } catch (error) {
+        console.error('Error fetching allergies:', error);
+        return [];
+    }
+}
+
+// The allergy groups the prescribing checker knows, offered as suggestions
+async function loadAllergens() {
+    const list = document.getElementById('allergen-list');
+    if (list.children.length > 0) return;
+    try {
+        const response = await authFetch(`${API_URL}/allergens`);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const allergens = await response.json();
+        list.innerHTML = allergens.map(a => `<option value="${escapeHtml(a)}">`).join('');
+    } catch (error) {
+        console.error('Error loading allergens:', error);
+    }
+}
+
+async function renderAllergies() {
+    const allergies = await fetchAllergies();
+    const listContainer = document.getElementById('allergies-list-container');
+
+    listContainer.innerHTML = allergies.length === 0
+        ? '<p class="empty-list-message">No allergies recorded. Add any medicine or other allergies you know of.</p>'
+        : allergies.map(a => `
+            <li>
+                <div>
+                    <strong>${escapeHtml(a.substance)}</strong>
+                    ${a.reaction ? `<span class="allergy-reaction">${escapeHtml(a.reaction)}</span>` : ''}
+                    <span class="allergy-source">${a.source === 'hospital' ? `Recorded by ${escapeHtml(a.recordedBy)}` : 'Added by you'} • ${new Date(a.recordedAt).toLocaleDateString()}</span>
+                </div>
+                ${a.source === 'patient' ? `<button class="allergy-remove-btn" title="Remove" onclick="removeAllergy('${a._id}')"><i class="fas fa-trash"></i></button>` : ''}
+            </li>
+        `).join('');
+
+    loadAllergens();
+    showView('allergies-view');
+}
+
+async function handleAllergySubmit(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const allergy = {
+        substance: document.getElementById('allergy-substance').value.trim(),
+        reaction: document.getElementById('allergy-reaction').value.trim()
+    };
+
+    try {
+        const response = await authFetch(`${API_URL}/my-allergies`, {
+            method: 'POST',
+            body: JSON.stringify(allergy)
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            showCustomAlert(data.message, 'error');
+            return;
+        }
+
+        form.reset();
+        showCustomAlert(data.message, 'success');
+        renderAllergies();
+    } catch (error) {
+        console.error('Add Allergy Error:', error);
+        showCustomAlert('Could not add the allergy. Please try again.', 'error');
+    }
+}
+
+async function removeAllergy(allergyId) {
+    try {
+        const response = await authFetch(`${API_URL}/my-allergies/${allergyId}`, { method: 'DELETE' });
+        const data = await response.json();
+        showCustomAlert(data.message, response.ok ? 'success' : 'error');
+        renderAllergies();
+    } catch (error) {
+        console.error('Remove Allergy Error:', error);
+        showCustomAlert('Could not remove the allergy. Please try again.', 'error');
+    }
+}
+
+
+// --- MY REQUESTS (LIVE STATUS) ---
+
+async function fetchMyRequests() {
+    try {
+        const response = await authFetch(`${API_URL}/my-requests`);
+
+        if (response.status === 401 || response.status === 403) {
+            redirectToLogin("Session expired. Please log in again.");
+            return [];
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return await response.json();
+    } catch (error) {
+        console.error('Error fetching my requests:', error);
+        return [];
+    }
+}
+
+// Builds the Sent → Seen → Responding → Resolved progress strip for one request
+function renderRequestSteps(status) {
+    if (status === 'CANCELLED') {
+        return `<div class="request-steps"><span class="request-step cancelled"><i class="fas fa-times-circle"></i> Cancelled by hospital</span></div>`;
+    }
+
+    // An escalated request is still waiting, just at a different hospital
+    const currentIndex = REQUEST_STEPS.indexOf(status === 'ESCALATED' ? 'PENDING' : status);
+
+    return `<div class="request-steps">${REQUEST_STEPS.map((step, index) => {
+        let stepClass = 'request-step';
+        if (index < currentIndex || status === 'RESOLVED') stepClass += ' done';
+        else if (index === currentIndex) stepClass += ' current';
+        return `<span class="${stepClass}">${REQUEST_STATUS_LABELS[step]}</span>`;
+    }).join('<i class="fas fa-chevron-right step-separator"></i>')}</div>`;
+}
+
+async function renderMyRequests() {
+    const requests = await fetchMyRequests();
+    const listContainer = document.getElementById('my-requests-list-container');
+    listContainer.innerHTML = '';
+
+    if (requests.length === 0) {
+        listContainer.innerHTML = '<p class="empty-list-message">You have not raised any requests yet.</p>';
+    }
+
+    requests.forEach(r => {
+        const sentAt = new Date(r.timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+        const updatedAt = new Date(r.updatedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const lastChange = r.statusHistory.length > 0 ? r.statusHistory[r.statusHistory.length - 1] : null;
+        const isSOS = r.type === 'SOS';
+        const isRefill = r.type === 'REFILL';
+
+        // How a closed refill ended: a new prescription, or the hospital's reason for declining
+        let refillOutcome = '';
+        if (isRefill && r.refill && r.refill.outcome === 'DECLINED') {
+            refillOutcome = `<p class="request-outcome declined"><i class="fas fa-times-circle"></i> Declined: ${escapeHtml(r.refill.declineReason)}</p>`;
+        } else if (isRefill && r.refill && r.refill.outcome) {
+            refillOutcome = `<p class="request-outcome"><i class="fas fa-check-circle"></i> ${r.refill.outcome === 'MODIFIED' ? 'Renewed with changes' : 'Renewed'}. See the new prescription under Prescriptions.</p>`;
+        }
+
+        const item = document.createElement('div');
+        item.className = `card glass-panel request-item${isSOS ? ' sos-request' : ''}`;
+        item.innerHTML = `
+            <div class="request-header">
+                <i class="fas ${isSOS ? 'fa-ambulance' : isRefill ? 'fa-prescription-bottle' : 'fa-user-md'}"></i>
+                <div class="details">
+                    <h4>${isSOS ? 'Emergency SOS' : isRefill ? 'Prescription Refill' : 'Doctor Consultation'} <span class="request-priority">${escapeHtml(r.criticality || 'LOW')}</span></h4>
+                    <span class="date">Sent ${sentAt}</span>
+                </div>
+            </div>
+            <p class="request-reason">${escapeHtml(r.reason)}</p>
+            ${renderRequestSteps(r.status)}
+            ${refillOutcome}
+            <div class="request-footer">
+                <span><i class="fas fa-hospital-alt"></i> ${escapeHtml(r.hospitalName || 'Assigning hospital...')}</span>
+                <span class="request-updated">Updated ${updatedAt}${lastChange && lastChange.by && lastChange.status !== 'PENDING' ? ` by ${escapeHtml(lastChange.by)}` : ''}</span>
+            </div>
+            ${r.escalationChain.length > 1 ? `<p class="request-escalation"><i class="fas fa-level-up-alt"></i> Escalated: ${r.escalationChain.map(escapeHtml).join(' → ')}</p>` : ''}
+        `;
+        listContainer.appendChild(item);
+    });
+}
+
+// --- APPOINTMENTS ---
+
+let myAppointments = [];
+
+async function fetchAppointmentJson(path) {
+    try {
+        const response = await authFetch(`${API_URL}/${path}`);
+
+        if (response.status === 401 || response.status === 403) {
+            redirectToLogin("Session expired. Please log in again.");
+            return [];
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return await response.json();
+    } catch (error) {
+        console.error(`Error fetching ${path}:`, error);
+        return [];
+    }
+}
+
+function formatSlotRange(slot) {
+    const time = value => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return `${time(slot.startAt)} - ${time(slot.endAt)}`;
+}
+
+// Open slots as buttons grouped by day; the chosen one is kept in the container's data-selected
+async function loadOpenSlots(hospitalId, containerId) {
+    const container = document.getElementById(containerId);
+    container.dataset.selected = '';
+    if (!hospitalId) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = '<p class="empty-list-message">Loading slots...</p>';
+    const slots = await fetchAppointmentJson(`hospitals/${hospitalId}/open-slots`);
+    if (slots.length === 0) {
+        container.innerHTML = '<p class="empty-list-message">No open slots in the next 14 days. Try another hospital.</p>';
+        return;
+    }
+
+    const days = new Map();
+    slots.forEach(slot => {
+        const day = new Date(slot.startAt).toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' });
+        if (!days.has(day)) days.set(day, []);
+        days.get(day).push(slot);
+    });
+
+    container.innerHTML = Array.from(days.entries()).map(([day, daySlots]) => `
+        <div class="slot-day">
+            <h4>${day}</h4>
+            <div class="slot-options">
+                ${daySlots.map(slot => `
+                    <button type="button" class="slot-option" data-slot-id="${slot._id}">
+                        ${formatSlotRange(slot)}<small>Dr. ${escapeHtml(slot.doctorName)}</small>
+                    </button>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('.slot-option').forEach(button => {
+        button.addEventListener('click', () => {
+            container.querySelectorAll('.slot-option').forEach(b => b.classList.remove('selected'));
+            button.classList.add('selected');
+            container.dataset.selected = button.dataset.slotId;
+        });
+    });
+}
+
+async function loadAppointmentHospitals() {
+    const hospitals = await fetchAppointmentJson('appointment-hospitals');
+    const select = document.getElementById('appointment-hospital');
+    select.innerHTML = '<option value="">Choose a hospital</option>' + hospitals.map(h => `
+        <option value="${h.hospitalId}"${h.openSlots === 0 ? ' disabled' : ''}>
+            ${escapeHtml(h.hospitalName)} (${h.openSlots > 0 ? `${h.openSlots} open slot${h.openSlots === 1 ? '' : 's'}` : 'no open slots'})
+        </option>
+    `).join('');
+    document.getElementById('open-slots-container').innerHTML = '';
+}
+
+async function renderMyAppointments() {
+    myAppointments = await fetchAppointmentJson('my-appointments');
+    const listContainer = document.getElementById('appointments-list-container');
+
+    if (myAppointments.length === 0) {
+        listContainer.innerHTML = '<p class="empty-list-message">You have no appointments yet.</p>';
+        return;
+    }
+
+    const now = Date.now();
+    listContainer.innerHTML = myAppointments.map((a, index) => {
+        const when = new Date(a.startAt).toLocaleDateString([], { dateStyle: 'medium' });
+        const upcoming = a.status === 'BOOKED' && new Date(a.startAt).getTime() > now;
+        let statusLine = '';
+        if (a.status === 'CANCELLED') {
+            statusLine = `<p class="request-outcome declined"><i class="fas fa-times-circle"></i> Cancelled${a.cancelledBy === 'hospital' ? ' by the hospital' : ''}${a.cancelReason ? `: ${escapeHtml(a.cancelReason)}` : ''}</p>`;
+        } else if (!upcoming) {
+            statusLine = '<p class="request-outcome past"><i class="fas fa-history"></i> Past appointment</p>';
+        }
+
+        return `
+            <div class="card glass-panel request-item appointment-item${a.status === 'CANCELLED' ? ' cancelled' : ''}">
+                <div class="request-header">
+                    <i class="fas fa-calendar-check"></i>
+                    <div class="details">
+                        <h4>Dr. ${escapeHtml(a.doctorName)} • ${when}, ${formatSlotRange(a)}</h4>
+                        <span class="date">${escapeHtml(a.hospitalName)}</span>
+                    </div>
+                </div>
+                ${a.reason ? `<p class="request-reason">${escapeHtml(a.reason)}</p>` : ''}
+                ${statusLine}
+                ${upcoming ? `
+                    <div class="appointment-actions">
+                        <button class="refill-rx-btn" onclick="openRescheduleModal(${index})"><i class="fas fa-exchange-alt"></i> Reschedule</button>
+                        <button class="refill-rx-btn danger" onclick="cancelAppointment(${index})"><i class="fas fa-times"></i> Cancel</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+function showAppointments() {
+    showView('appointments-view');
+    loadAppointmentHospitals();
+    renderMyAppointments();
+}
+
+async function sendAppointmentChange(path, method, body) {
+    try {
+        const response = await authFetch(`${API_URL}/${path}`, { method, body: JSON.stringify(body) });
+
+        if (response.status === 401) {
+            redirectToLogin("Session expired. Please log in again.");
+            return false;
+        }
+
+        const data = await response.json();
+        showCustomAlert(data.message, response.ok ? 'success' : 'error');
+        return response.ok;
+    } catch (error) {
+        console.error('Appointment Error:', error);
+        showCustomAlert('Network error. Please try again.', 'error');
+        return false;
+    }
+}
+
+async function handleAppointmentSubmit(event) {
+    event.preventDefault();
+
+    const slotId = document.getElementById('open-slots-container').dataset.selected;
+    if (!slotId) {
+        showCustomAlert('Pick a time slot first.', 'warning');
+        return;
+    }
+
+    const booked = await sendAppointmentChange('appointments', 'POST', {
+        slotId,
+        reason: document.getElementById('appointment-reason').value.trim()
+    });
+    if (booked) document.getElementById('appointment-reason').value = '';
+    // Refresh either way: a failed booking usually means the slot was just taken
+    loadOpenSlots(document.getElementById('appointment-hospital').value, 'open-slots-container');
+    renderMyAppointments();
+}
+
+function openRescheduleModal(index) {
+    const appointment = myAppointments[index];
+    document.getElementById('reschedule-appointment-id').value = appointment._id;
+    document.getElementById('reschedule-hospital-name').textContent = appointment.hospitalName;
+    document.getElementById('reschedule-modal').style.display = 'block';
+    loadOpenSlots(appointment.hospitalId, 'reschedule-slots-container');
+}
+
+async function handleRescheduleSubmit(event) {
+    event.preventDefault();
+
+    const slotId = document.getElementById('reschedule-slots-container').dataset.selected;
+    if (!slotId) {
+        showCustomAlert('Pick a new time slot first.', 'warning');
+        return;
+    }
+
+    const appointmentId = document.getElementById('reschedule-appointment-id').value;
+    if (await sendAppointmentChange(`appointments/${appointmentId}/reschedule`, 'PUT', { slotId })) {
+        document.getElementById('reschedule-modal').style.display = 'none';
+        renderMyAppointments();
+    }
+}
+
+function cancelAppointment(index) {
+    const appointment = myAppointments[index];
+    if (!confirm(`Cancel your appointment with Dr. ${appointment.doctorName} on ${new Date(appointment.startAt).toLocaleString()}?`)) return;
+
+    sendAppointmentChange(`appointments/${appointment._id}/cancel`, 'PUT', {})
+        .then(cancelled => { if (cancelled) renderMyAppointments(); });
+}
+
+// Opens the My Requests view and keeps it refreshed while it stays open
+function showMyRequests() {
+    showView('my-requests-view');
+    renderMyRequests();
+    myRequestsTimer = setInterval(renderMyRequests, MY_REQUESTS_POLL_INTERVAL);
+}
+
+
 // --- PROGRESS CALCULATION & RENDERING (UNCHANGED) ---
 
 function calculateProgress(current, target) {
@@ -272,6 +967,18 @@ function showView(viewId) {
     document.querySelector('.dashboard-container').style.display = 'none';
     const prescriptionsView = document.getElementById('prescriptions-view');
     if (prescriptionsView) prescriptionsView.style.display = 'none';
+    const myRequestsView = document.getElementById('my-requests-view');
+    if (myRequestsView) myRequestsView.style.display = 'none';
+    const dischargesView = document.getElementById('discharges-view');
+    if (dischargesView) dischargesView.style.display = 'none';
+    const allergiesView = document.getElementById('allergies-view');
+    if (allergiesView) allergiesView.style.display = 'none';
+    const appointmentsView = document.getElementById('appointments-view');
+    if (appointmentsView) appointmentsView.style.display = 'none';
+
+    // Stop live refresh of My Requests when navigating away from it
+    clearInterval(myRequestsTimer);
+    myRequestsTimer = null;
 
     // Deactivate all nav links
     document.querySelectorAll('.nav-links a').forEach(link => {
@@ -298,6 +1005,162 @@ function showDashboard() {
     showView('dashboard');
     // Reload progress data for the dashboard
     renderProgress();
+    renderMedicationSchedule();
+}
+
+
+// --- MEDICATION SCHEDULE & REMINDERS ---
+
+async function fetchMedicationSchedule() {
+    try {
+        const response = await authFetch(`${API_URL}/my-medications/schedule`);
+
+        if (response.status === 401 || response.status === 403) {
+            redirectToLogin("Session expired. Please log in again.");
+            return null;
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return await response.json();
+    } catch (error) {
+        console.error('Error fetching medication schedule:', error);
+        return null;
+    }
+}
+
+function getDoseKey(dose) {
+    return `${dose.prescriptionId}:${dose.itemIndex}:${dose.scheduledAt}`;
+}
+
+async function renderMedicationSchedule() {
+    const schedule = await fetchMedicationSchedule();
+    const list = document.getElementById('medication-schedule-list');
+    const summary = document.getElementById('adherence-summary');
+    if (!schedule || !list) return;
+
+    medicationDoses = schedule.doses;
+    const { adherence } = schedule;
+    summary.className = `adherence-summary${adherence.percent !== null && adherence.percent < 80 ? ' low' : ''}`;
+    summary.innerHTML = adherence.percent === null
+        ? 'Adherence appears here once your first doses are due.'
+        : `<strong>${adherence.percent}%</strong> of doses taken in the last 30 days (${adherence.taken} of ${adherence.due})`;
+
+    if (medicationDoses.length === 0) {
+        list.innerHTML = '<li class="empty-list-message">No scheduled medicines today.</li>';
+        return;
+    }
+
+    const now = Date.now();
+    list.innerHTML = medicationDoses.map((dose, index) => {
+        const at = new Date(dose.scheduledAt);
+        const time = at.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const overdue = !dose.status && at.getTime() + DOSE_REMINDER_WINDOW_MS <= now;
+
+        let action;
+        if (dose.status) {
+            action = `<span class="dose-status ${dose.status.toLowerCase()}">${dose.status === 'TAKEN' ? 'Taken' : 'Skipped'}</span>`;
+        } else if (at.getTime() - DOSE_EARLY_LOG_MS <= now) {
+            action = `
+                <div class="dose-actions">
+                    <button class="dose-taken-btn" onclick="logDose(${index}, 'TAKEN')"><i class="fas fa-check"></i> Taken</button>
+                    <button onclick="logDose(${index}, 'SKIPPED')">Skip</button>
+                </div>
+            `;
+        } else {
+            action = '<span class="dose-status">Upcoming</span>';
+        }
+
+        return `
+            <li class="${!dose.status && at.getTime() <= now ? 'due' : ''}">
+                <span class="dose-time">${time}</span>
+                <div class="dose-details">
+                    <strong>${escapeHtml(dose.name)} ${escapeHtml(dose.strength)}</strong>
+                    <small>${escapeHtml(dose.dose)}${dose.instructions ? ` • ${escapeHtml(dose.instructions)}` : ''}${overdue ? ' • Missed' : ''}</small>
+                </div>
+                ${action}
+            </li>
+        `;
+    }).join('');
+}
+
+async function logDose(index, status) {
+    const dose = medicationDoses[index];
+    if (!dose) return;
+
+    try {
+        const response = await authFetch(`${API_URL}/my-medications/log`, {
+            method: 'POST',
+            body: JSON.stringify({
+                prescriptionId: dose.prescriptionId,
+                itemIndex: dose.itemIndex,
+                scheduledAt: dose.scheduledAt,
+                status
+            })
+        });
+
+        if (response.status === 401) {
+            redirectToLogin("Session expired. Please log in again.");
+            return;
+        }
+
+        const data = await response.json();
+        showCustomAlert(data.message, response.ok ? 'success' : 'error');
+        if (response.ok) renderMedicationSchedule();
+    } catch (error) {
+        console.error('Log Dose Error:', error);
+        showCustomAlert('Network error while logging the dose.', 'error');
+    }
+}
+
+// Doses already reminded about, kept across reloads so a refresh does not repeat them
+function getRemindedDoses() {
+    try {
+        return JSON.parse(localStorage.getItem('reminded_doses')) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Reminds once per due dose: a browser notification when allowed, and always an on-page alert
+function checkDoseReminders() {
+    const now = Date.now();
+    const reminded = getRemindedDoses();
+    const due = medicationDoses.filter(dose => {
+        const at = new Date(dose.scheduledAt).getTime();
+        return !dose.status && at <= now && now - at < DOSE_REMINDER_WINDOW_MS && !reminded.includes(getDoseKey(dose));
+    });
+    if (due.length === 0) return;
+
+    due.forEach(dose => {
+        const message = `Time for ${dose.name} ${dose.strength}: ${dose.dose}.`;
+        if (window.Notification && Notification.permission === 'granted') {
+            new Notification('Medicine Reminder', { body: message, tag: getDoseKey(dose) });
+        }
+        showCustomAlert(message, 'info');
+    });
+
+    // Keep only today's keys; older doses are outside the reminder window anyway
+    const todayKeys = new Set(medicationDoses.map(getDoseKey));
+    const updated = reminded.filter(key => todayKeys.has(key)).concat(due.map(getDoseKey));
+    localStorage.setItem('reminded_doses', JSON.stringify(updated));
+    renderMedicationSchedule();
+}
+
+function setupReminderButton() {
+    const button = document.getElementById('enable-reminders-btn');
+    if (!window.Notification || Notification.permission !== 'default') return;
+
+    button.style.display = 'inline-flex';
+    button.addEventListener('click', async () => {
+        const permission = await Notification.requestPermission();
+        button.style.display = 'none';
+        showCustomAlert(permission === 'granted'
+            ? 'Reminders are on while Jeevrakshak is open in a tab.'
+            : 'Reminders will show on this page only.', 'info');
+    });
 }
 
 
@@ -359,6 +1222,7 @@ async function handleDoctorRequestForm(event) {
 
     const issue = document.getElementById('issue-input').value;
     const criticality = document.getElementById('criticality-select').value;
+    const hospitalId = document.getElementById('hospital-choice').value;
 
     // First, try to get the user's location
     getLocationAndSendRequest(
@@ -366,7 +1230,8 @@ async function handleDoctorRequestForm(event) {
         {
             patientName: patientName,
             reason: issue,
-            criticality: criticality
+            criticality: criticality,
+            hospitalId: hospitalId || undefined // Left out: the server picks the hospital
         },
         'DOCTOR_CONNECT', // Request Type
         doctorModal // Modal to close/update
@@ -462,19 +1327,21 @@ function getLocationAndSendRequest(endpoint, requestData, type, modalToUpdate) {
 
 // 4. API Request Sender (MODIFIED: to handle Doctor Connect pop-up)
 async function sendRequest(endpoint, requestData, type) {
-    console.log(`[sendRequest] Payload:`, requestData);
     try {
-        const response = await fetch(`${API_URL}${endpoint}`, {
+        // The JWT identifies the patient; SOS still goes through (flagged unverified) if it cannot be renewed
+        if (type === 'SOS') await ensureFreshSession();
+        const response = await authFetch(`${API_URL}${endpoint}`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
             body: JSON.stringify(requestData)
         });
 
-        console.log(`[sendRequest] Response Status: ${response.status}`);
+        if (type !== 'SOS' && (response.status === 401 || response.status === 403)) {
+            doctorModal.style.display = 'none';
+            redirectToLogin("Session expired. Please log in again.");
+            return;
+        }
+
         const result = await response.json();
-        console.log(`[sendRequest] Response Body:`, result);
         const success = response.ok;
 
         // POP-UP BOX UPDATE LOGIC
@@ -485,15 +1352,28 @@ async function sendRequest(endpoint, requestData, type) {
 
         if (type === 'SOS') {
             // Already in SOS modal view
-            if (success) {
+            if (success && result.duplicate) {
+                statusTitle.innerHTML = `<i class="fas fa-info-circle" style="color: var(--accent-orange);"></i> SOS Already Active`;
+                statusMessage.innerHTML = `${escapeHtml(result.message)} Assigned hospital: **${escapeHtml(result.hospitalName || 'Central')}**.`;
+                if (result.requestId) {
+                    trackSOSStatus(result.requestId);
+                }
+            } else if (success) {
                 statusTitle.innerHTML = `<i class="fas fa-check-circle" style="color: var(--success-green);"></i> SOS Request Sent!`;
-                statusMessage.innerHTML = `The nearest hospital (**${result.hospitalName || 'Central'}**) has been notified of your **HIGH** priority emergency. Distance: ~${result.distance ? result.distance.toFixed(2) : '2.5'} km.`;
+                statusMessage.innerHTML = `**${escapeHtml(result.hospitalName || 'Central')}** has been notified of your **HIGH** priority emergency. Distance: ~${result.distance ? result.distance.toFixed(2) : '2.5'} km.`;
+                if (result.routingReason) {
+                    statusMessage.innerHTML += `<br><small>${escapeHtml(result.routingReason)}</small>`;
+                }
+                if (result.requestId) {
+                    trackSOSStatus(result.requestId);
+                }
             } else {
                 statusTitle.innerHTML = `<i class="fas fa-exclamation-triangle" style="color: var(--danger-red);"></i> SOS Failed`;
-                statusMessage.innerHTML = `Request failed: ${result.message || 'Could not dispatch request.'} Please call emergency services directly.`;
+                statusMessage.innerHTML = `Request failed: ${escapeHtml(result.message || 'Could not dispatch request.')} Please call emergency services directly.`;
             }
         } else { // DOCTOR_CONNECT
             doctorModal.style.display = 'none';
+            document.getElementById('status-escalation').innerHTML = '';
             // Use SOS modal as a generic status update modal for now
             confirmStep.style.display = 'none';
             requestStatusStep.style.display = 'block';
@@ -501,10 +1381,13 @@ async function sendRequest(endpoint, requestData, type) {
 
             if (success) {
                 statusTitle.innerHTML = `<i class="fas fa-user-md" style="color: var(--primary-dark);"></i> Consultation Requested`;
-                statusMessage.innerHTML = `Your **${requestData.criticality}** priority request has been sent to **${result.hospitalName || 'Central'}**. A doctor will connect with you soon.`;
+                statusMessage.innerHTML = `Your **${requestData.criticality}** priority request has been sent to **${escapeHtml(result.hospitalName || 'Central')}**. A doctor will connect with you soon. Track it under **My Requests**.`;
+                if (result.routingReason) {
+                    statusMessage.innerHTML += `<br><small>${escapeHtml(result.routingReason)}</small>`;
+                }
             } else {
                 statusTitle.innerHTML = `<i class="fas fa-exclamation-triangle" style="color: var(--danger-red);"></i> Request Failed`;
-                statusMessage.innerHTML = `Request failed: ${result.message || 'Could not send request.'}`;
+                statusMessage.innerHTML = `Request failed: ${escapeHtml(result.message || 'Could not send request.')}`;
             }
         }
 
@@ -534,11 +1417,197 @@ async function sendRequest(endpoint, requestData, type) {
     }
 }
 
+// 4b. SOS Escalation Tracker
+// Polls the public SOS status so the patient sees when their alert is passed on to another hospital.
+function trackSOSStatus(requestId) {
+    clearInterval(sosStatusTimer);
+
+    const checkStatus = async () => {
+        const escalationElement = document.getElementById('status-escalation');
+        if (!escalationElement) return;
+
+        try {
+            const response = await fetch(`${API_URL}/sos/${requestId}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const sos = await response.json();
+
+            if (sos.status !== 'PENDING' && sos.status !== 'ESCALATED') {
+                const outcome = sos.status === 'CANCELLED' ? 'closed' : 'acknowledged';
+                escalationElement.innerHTML = `<i class="fas fa-check-circle" style="color: var(--success-green);"></i> ${escapeHtml(sos.hospitalName)} has ${outcome} your SOS.`;
+                clearInterval(sosStatusTimer);
+                return;
+            }
+
+            if (sos.escalationChain.length > 1) {
+                const route = sos.escalationChain.map(hop => escapeHtml(hop.hospitalName)).join(' → ');
+                escalationElement.innerHTML = `<i class="fas fa-level-up-alt" style="color: var(--accent-orange);"></i> Escalated to <strong>${escapeHtml(sos.hospitalName)}</strong> (${route}).`;
+            } else {
+                escalationElement.innerHTML = `<i class="fas fa-hourglass-half"></i> Waiting for ${escapeHtml(sos.hospitalName)} to acknowledge...`;
+            }
+        } catch (error) {
+            console.error('Error checking SOS status:', error);
+        }
+    };
+
+    checkStatus();
+    sosStatusTimer = setInterval(checkStatus, SOS_STATUS_POLL_INTERVAL);
+}
+
 // 5. Doctor Request/Book Now Button Handler (UNCHANGED)
 function handleDoctorRequest() {
     // Reset form before opening
     doctorRequestForm.reset();
     doctorModal.style.display = 'block';
+    loadHospitalChoices();
+}
+
+// 5b. Hospital Choice
+// Standard requests can go to a hospital the patient picks; SOS is always routed by the server.
+let preferredHospitalIds = [];
+let preferredHospitalRows = [];
+
+function getCurrentCoordinates() {
+    return new Promise((resolve, reject) => {
+        if (!("geolocation" in navigator)) {
+            reject(new Error("Geolocation is not supported by your browser."));
+            return;
+        }
+        navigator.geolocation.getCurrentPosition(
+            position => resolve({ lat: position.coords.latitude, lng: position.coords.longitude }),
+            reject,
+            { enableHighAccuracy: false, timeout: 15000 }
+        );
+    });
+}
+
+async function fetchHospitalJson(path) {
+    const response = await authFetch(`${API_URL}/${path}`);
+
+    if (response.status === 401 || response.status === 403) {
+        redirectToLogin("Session expired. Please log in again.");
+        throw new Error('Session expired');
+    }
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+async function fetchNearbyHospitals() {
+    const { lat, lng } = await getCurrentCoordinates();
+    return fetchHospitalJson(`nearby-hospitals?lat=${lat}&lng=${lng}`);
+}
+
+async function loadHospitalChoices() {
+    const select = document.getElementById('hospital-choice');
+    const note = document.getElementById('hospital-choice-note');
+    select.innerHTML = '<option value="">Best available (routed for you)</option>';
+    note.textContent = 'Finding hospitals near you...';
+
+    try {
+        const hospitals = await fetchNearbyHospitals();
+        if (hospitals.some(h => h.preferred)) {
+            select.options[0].textContent = 'Best of my preferred hospitals';
+        }
+        hospitals.forEach(h => {
+            select.add(new Option(`${h.preferred ? '★ ' : ''}${h.hospitalName} (${h.distance.toFixed(1)} km)`, h.hospitalId));
+        });
+        note.textContent = hospitals.length > 0
+            ? 'Pick a hospital, or leave it to us to weigh distance against how busy each one is.'
+            : 'No approved hospitals nearby; your request will go to the nearest one.';
+    } catch (error) {
+        console.error('Error listing nearby hospitals:', error);
+        note.textContent = 'Could not list nearby hospitals; your request will be routed for you.';
+    }
+}
+
+function renderPreferredHospitals() {
+    const list = document.getElementById('preferred-hospitals-list');
+
+    if (preferredHospitalRows.length === 0) {
+        list.innerHTML = '<p class="empty-list-message">No approved hospitals found near you.</p>';
+        return;
+    }
+
+    list.innerHTML = preferredHospitalRows.map(h => {
+        const preferred = preferredHospitalIds.includes(h.hospitalId);
+        return `
+            <li>
+                <div>
+                    <strong>${escapeHtml(h.hospitalName)}</strong>
+                    <span class="allergy-source">${h.distance !== null ? `${h.distance.toFixed(1)} km away` : 'Not near your current location'}</span>
+                </div>
+                <button class="preferred-toggle-btn${preferred ? ' active' : ''}" onclick="togglePreferredHospital('${h.hospitalId}')"
+                    title="${preferred ? 'Remove from preferred' : 'Mark as preferred'}">
+                    <i class="${preferred ? 'fas' : 'far'} fa-star"></i>
+                </button>
+            </li>
+        `;
+    }).join('');
+}
+
+async function openPreferredHospitalsModal() {
+    document.getElementById('preferred-hospitals-modal').style.display = 'block';
+    document.getElementById('preferred-hospitals-list').innerHTML = '<p class="empty-list-message">Loading hospitals...</p>';
+
+    try {
+        const preferred = await fetchHospitalJson('my-preferred-hospitals');
+        preferredHospitalIds = preferred.map(h => h.hospitalId);
+
+        let nearby = [];
+        try {
+            nearby = await fetchNearbyHospitals();
+        } catch (error) {
+            console.error('Error listing nearby hospitals:', error);
+            showCustomAlert('Allow location access to see hospitals near you.', 'warning');
+        }
+
+        // Preferred hospitals stay listed even when the patient is away from them
+        const nearbyIds = nearby.map(h => h.hospitalId);
+        preferredHospitalRows = nearby.concat(
+            preferred.filter(h => !nearbyIds.includes(h.hospitalId)).map(h => ({ ...h, distance: null }))
+        );
+        renderPreferredHospitals();
+    } catch (error) {
+        console.error('Error loading preferred hospitals:', error);
+        document.getElementById('preferred-hospitals-list').innerHTML = '<p class="empty-list-message">Could not load hospitals.</p>';
+    }
+}
+
+async function togglePreferredHospital(hospitalId) {
+    const next = preferredHospitalIds.includes(hospitalId)
+        ? preferredHospitalIds.filter(id => id !== hospitalId)
+        : [...preferredHospitalIds, hospitalId];
+
+    try {
+        const response = await authFetch(`${API_URL}/my-preferred-hospitals`, {
+            method: 'PUT',
+            body: JSON.stringify({ hospitalIds: next })
+        });
+
+        if (response.status === 401) {
+            redirectToLogin("Session expired. Please log in again.");
+            return;
+        }
+
+        const data = await response.json();
+        if (!response.ok) {
+            showCustomAlert(data.message, 'error');
+            return;
+        }
+
+        preferredHospitalIds = next;
+        renderPreferredHospitals();
+    } catch (error) {
+        console.error('Preferred Hospitals Error:', error);
+        showCustomAlert('Network error. Please try again.', 'error');
+    }
 }
 
 // 6. SOS Button Handler (UNCHANGED)
@@ -546,14 +1615,57 @@ function handleSosButton() {
     // Show the confirmation step and hide status step
     document.getElementById('sos-confirm-step').style.display = 'block';
     document.getElementById('request-status-step').style.display = 'none';
+    document.getElementById('status-escalation').innerHTML = '';
+    clearInterval(sosStatusTimer);
     // Remove the 'required' attribute temporarily just in case
     document.getElementById('sos-reason-input').value = '';
     sosModal.style.display = 'block';
 }
 
 // 7. Logout Handler (UNCHANGED)
-function handleLogout() {
-    redirectToLogin("You have been logged out.");
+function handleLogout(event) {
+    event.preventDefault();
+    logout();
+}
+
+function handleLogoutAllDevices(event) {
+    event.preventDefault();
+    logout(true);
+}
+
+async function submitChangePassword(event) {
+    event.preventDefault();
+    const currentPassword = document.getElementById('current-password').value;
+    const newPassword = document.getElementById('new-password').value;
+
+    if (newPassword !== document.getElementById('confirm-new-password').value) {
+        showCustomAlert("The new passwords do not match.", 'warning');
+        return;
+    }
+
+    try {
+        const response = await authFetch(`${API_URL}/auth/change-password`, {
+            method: 'POST',
+            body: JSON.stringify({ currentPassword, newPassword })
+        });
+        const data = await response.json();
+
+        if (response.status === 401) {
+            redirectToLogin("Session expired. Please log in again.");
+            return;
+        }
+        if (!response.ok) {
+            showCustomAlert(data.message, 'error');
+            return;
+        }
+
+        document.getElementById('change-password-form').reset();
+        document.getElementById('change-password-modal').style.display = 'none';
+        showCustomAlert("Password changed. Other devices have been logged out.", 'success');
+    } catch (error) {
+        console.error("Change password error:", error);
+        showCustomAlert("Network error while changing password.", 'error');
+    }
 }
 
 // 8. Nearby Service Map Opener
@@ -619,6 +1731,11 @@ document.addEventListener('DOMContentLoaded', () => {
     if (dropdownNameDisplay) {
         dropdownNameDisplay.textContent = patientName;
     }
+    const patientCodeDisplay = document.getElementById('dropdown-patient-code');
+    const patientCode = localStorage.getItem('current_patient_code');
+    if (patientCodeDisplay && patientCode) {
+        patientCodeDisplay.textContent = `Patient ID: ${patientCode}`;
+    }
 
     // Initial Health Tip
     renderRandomHealthTip();
@@ -628,6 +1745,11 @@ document.addEventListener('DOMContentLoaded', () => {
     // Start on Dashboard
     showDashboard();
 
+    // Medication reminders
+    setupReminderButton();
+    setInterval(renderMedicationSchedule, MEDICATION_REFRESH_INTERVAL);
+    setInterval(checkDoseReminders, DOSE_REMINDER_CHECK_INTERVAL);
+
     // --- Event Listeners (Linking HTML to JS) ---
 
     // Nav Links (NEW/MODIFIED)
@@ -646,6 +1768,33 @@ document.addEventListener('DOMContentLoaded', () => {
         renderPrescriptions();
     });
 
+    document.getElementById('my-requests-link').addEventListener('click', (event) => {
+        event.preventDefault();
+        showMyRequests();
+    });
+
+    document.getElementById('discharges-link').addEventListener('click', (event) => {
+        event.preventDefault();
+        renderDischarges();
+    });
+
+    document.getElementById('allergies-link').addEventListener('click', (event) => {
+        event.preventDefault();
+        renderAllergies();
+    });
+
+    document.getElementById('appointments-link').addEventListener('click', (event) => {
+        event.preventDefault();
+        showAppointments();
+    });
+    document.getElementById('appointment-hospital').addEventListener('change', (event) => {
+        loadOpenSlots(event.target.value, 'open-slots-container');
+    });
+    document.getElementById('appointment-form').addEventListener('submit', handleAppointmentSubmit);
+    document.getElementById('reschedule-form').addEventListener('submit', handleRescheduleSubmit);
+
+    document.getElementById('allergy-form').addEventListener('submit', handleAllergySubmit);
+
     // About Us Link Scroll
     const aboutUsLink = document.getElementById('about-us-link');
     if (aboutUsLink) {
@@ -677,6 +1826,17 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // 5. Logout Button
     document.getElementById('logout-patient-btn').addEventListener('click', handleLogout);
+    document.getElementById('logout-all-patient-btn').addEventListener('click', handleLogoutAllDevices);
+    document.getElementById('change-password-link').addEventListener('click', (event) => {
+        event.preventDefault();
+        document.getElementById('change-password-modal').style.display = 'block';
+    });
+    document.getElementById('change-password-form').addEventListener('submit', submitChangePassword);
+    document.getElementById('preferred-hospitals-link').addEventListener('click', (event) => {
+        event.preventDefault();
+        openPreferredHospitalsModal();
+    });
+    document.getElementById('refill-form').addEventListener('submit', handleRefillSubmit);
 
     // 6. Nearby Services Buttons
     document.getElementById('search-pharmacy-btn').addEventListener('click', (event) => {
@@ -0,0 +1,67 @@
+// createAdmin.js (Bootstrap the first platform admin account)
+//
+// Usage:
+//   npm run create-admin -- <username> <password>
+// or set ADMIN_USERNAME / ADMIN_PASSWORD in .env and run `npm run create-admin`.
+
+require('dotenv').config();
+const { MongoClient, ServerApiVersion } = require('mongodb');
+const bcrypt = require('bcrypt');
+
+const MONGO_URI = process.env.MONGO_URI;
+const DB_NAME = "JeevrakshakDB";
+
+async function createAdmin() {
+    const username = process.argv[2] || process.env.ADMIN_USERNAME;
+    const password = process.argv[3] || process.env.ADMIN_PASSWORD;
+
+    if (!MONGO_URI) {
+        console.error("FATAL ERROR: MONGO_URI is not defined in .env file.");
+        process.exit(1);
+    }
+    if (!username || !password) {
+        console.error("Usage: npm run create-admin -- <username> <password>");
+        process.exit(1);
+    }
+    if (password.length < 8) {
+        console.error("Admin password must be at least 8 characters long.");
+        process.exit(1);
+    }
+
+    const client = new MongoClient(MONGO_URI, {
+        serverApi: {
+            version: ServerApiVersion.v1,
+            strict: true,
+            deprecationErrors: true,
+        }
+    });
+
+    try {
+        await client.connect();
+        const usersCollection = client.db(DB_NAME).collection('users');
+
+        const existingUser = await usersCollection.findOne({ username });
+        if (existingUser) {
+            console.error(`A user named "${username}" already exists (role: ${existingUser.role}).`);
+            process.exitCode = 1;
+            return;
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        await usersCollection.insertOne({
+            username,
+            password: hashedPassword,
+            role: 'admin',
+            createdAt: new Date()
+        });
+
+        console.log(`Admin "${username}" created. Log in from the Platform Admin link on login.html.`);
+    } catch (e) {
+        console.error("Could not create admin:", e);
+        process.exitCode = 1;
+    } finally {
+        await client.close();
+    }
+}
+
+createAdmin();
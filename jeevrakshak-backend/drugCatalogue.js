@@ -0,0 +1,176 @@
+// drugCatalogue.js (Local catalogue of common medicines and prescription line item rules)
+//
+// Prescribers pick drugs from this list so names, strengths and forms are spelled the same way
+// on every prescription. Medicines outside the catalogue can still be prescribed by name; they
+// are stored with drugId: null.
+
+const FORMS = ['Tablet', 'Capsule', 'Syrup', 'Suspension', 'Injection', 'Drops', 'Ointment', 'Cream', 'Gel', 'Inhaler', 'Powder', 'Patch'];
+const ROUTES = ['Oral', 'IV', 'IM', 'SC', 'Sublingual', 'Topical', 'Inhalation', 'Nasal', 'Ophthalmic', 'Otic', 'Rectal', 'Transdermal'];
+
+// Standard abbreviations, with the wording patients see
+const FREQUENCIES = {
+    OD: 'Once daily',
+    BD: 'Twice daily',
+    TDS: 'Three times daily',
+    QID: 'Four times daily',
+    HS: 'At bedtime',
+    Q4H: 'Every 4 hours',
+    Q6H: 'Every 6 hours',
+    Q8H: 'Every 8 hours',
+    WEEKLY: 'Once a week',
+    SOS: 'When needed',
+    STAT: 'Immediately, once'
+};
+
+const MAX_ITEMS = 20;
+const MAX_DURATION_DAYS = 365;
+const MAX_TEXT_LENGTH = 200;
+
+const DRUGS = [
+    { id: 'paracetamol', name: 'Paracetamol', drugClass: 'Analgesic', strengths: ['500 mg', '650 mg', '120 mg/5 ml'], forms: ['Tablet', 'Syrup'], routes: ['Oral'] },
+    { id: 'ibuprofen', name: 'Ibuprofen', drugClass: 'NSAID', strengths: ['200 mg', '400 mg', '100 mg/5 ml'], forms: ['Tablet', 'Suspension'], routes: ['Oral'] },
+    { id: 'diclofenac', name: 'Diclofenac', drugClass: 'NSAID', strengths: ['50 mg', '75 mg/3 ml', '1%'], forms: ['Tablet', 'Injection', 'Gel'], routes: ['Oral', 'IM', 'Topical'] },
+    { id: 'aspirin', name: 'Aspirin', drugClass: 'NSAID', strengths: ['75 mg', '150 mg', '325 mg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'tramadol', name: 'Tramadol', drugClass: 'Opioid analgesic', strengths: ['50 mg', '100 mg/2 ml'], forms: ['Capsule', 'Injection'], routes: ['Oral', 'IV', 'IM'] },
+    { id: 'amoxicillin', name: 'Amoxicillin', drugClass: 'Penicillin antibiotic', strengths: ['250 mg', '500 mg', '125 mg/5 ml'], forms: ['Capsule', 'Suspension'], routes: ['Oral'] },
+    { id: 'amoxicillin-clavulanate', name: 'Amoxicillin + Clavulanic Acid', drugClass: 'Penicillin antibiotic', strengths: ['625 mg', '1.2 g'], forms: ['Tablet', 'Injection'], routes: ['Oral', 'IV'] },
+    { id: 'azithromycin', name: 'Azithromycin', drugClass: 'Macrolide antibiotic', strengths: ['250 mg', '500 mg', '200 mg/5 ml'], forms: ['Tablet', 'Suspension'], routes: ['Oral'] },
+    { id: 'ciprofloxacin', name: 'Ciprofloxacin', drugClass: 'Fluoroquinolone antibiotic', strengths: ['250 mg', '500 mg', '0.3%'], forms: ['Tablet', 'Drops'], routes: ['Oral', 'Ophthalmic'] },
+    { id: 'doxycycline', name: 'Doxycycline', drugClass: 'Tetracycline antibiotic', strengths: ['100 mg'], forms: ['Capsule'], routes: ['Oral'] },
+    { id: 'metronidazole', name: 'Metronidazole', drugClass: 'Nitroimidazole antibiotic', strengths: ['400 mg', '500 mg/100 ml'], forms: ['Tablet', 'Injection'], routes: ['Oral', 'IV'] },
+    { id: 'ceftriaxone', name: 'Ceftriaxone', drugClass: 'Cephalosporin antibiotic', strengths: ['500 mg', '1 g'], forms: ['Injection'], routes: ['IV', 'IM'] },
+    { id: 'cotrimoxazole', name: 'Cotrimoxazole', drugClass: 'Sulfonamide antibiotic', strengths: ['480 mg', '960 mg', '240 mg/5 ml'], forms: ['Tablet', 'Suspension'], routes: ['Oral'] },
+    { id: 'cetirizine', name: 'Cetirizine', drugClass: 'Antihistamine', strengths: ['10 mg', '5 mg/5 ml'], forms: ['Tablet', 'Syrup'], routes: ['Oral'] },
+    { id: 'montelukast', name: 'Montelukast', drugClass: 'Leukotriene antagonist', strengths: ['4 mg', '10 mg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'salbutamol', name: 'Salbutamol', drugClass: 'Bronchodilator', strengths: ['100 mcg/dose', '2 mg', '2.5 mg/2.5 ml'], forms: ['Inhaler', 'Tablet', 'Injection'], routes: ['Inhalation', 'Oral'] },
+    { id: 'budesonide', name: 'Budesonide', drugClass: 'Corticosteroid', strengths: ['200 mcg/dose', '0.5 mg/2 ml'], forms: ['Inhaler'], routes: ['Inhalation'] },
+    { id: 'prednisolone', name: 'Prednisolone', drugClass: 'Corticosteroid', strengths: ['5 mg', '10 mg', '20 mg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'hydrocortisone', name: 'Hydrocortisone', drugClass: 'Corticosteroid', strengths: ['100 mg', '1%'], forms: ['Injection', 'Cream'], routes: ['IV', 'Topical'] },
+    { id: 'omeprazole', name: 'Omeprazole', drugClass: 'Proton pump inhibitor', strengths: ['20 mg', '40 mg'], forms: ['Capsule', 'Injection'], routes: ['Oral', 'IV'] },
+    { id: 'pantoprazole', name: 'Pantoprazole', drugClass: 'Proton pump inhibitor', strengths: ['40 mg'], forms: ['Tablet', 'Injection'], routes: ['Oral', 'IV'] },
+    { id: 'ondansetron', name: 'Ondansetron', drugClass: 'Antiemetic', strengths: ['4 mg', '8 mg', '2 mg/ml'], forms: ['Tablet', 'Injection'], routes: ['Oral', 'IV'] },
+    { id: 'domperidone', name: 'Domperidone', drugClass: 'Antiemetic', strengths: ['10 mg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'ors', name: 'Oral Rehydration Salts', drugClass: 'Electrolyte replacement', strengths: ['20.5 g sachet'], forms: ['Powder'], routes: ['Oral'] },
+    { id: 'metformin', name: 'Metformin', drugClass: 'Biguanide antidiabetic', strengths: ['500 mg', '850 mg', '1000 mg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'glimepiride', name: 'Glimepiride', drugClass: 'Sulfonylurea antidiabetic', strengths: ['1 mg', '2 mg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'insulin-regular', name: 'Insulin (Regular)', drugClass: 'Insulin', strengths: ['40 IU/ml', '100 IU/ml'], forms: ['Injection'], routes: ['SC', 'IV'] },
+    { id: 'amlodipine', name: 'Amlodipine', drugClass: 'Calcium channel blocker', strengths: ['2.5 mg', '5 mg', '10 mg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'telmisartan', name: 'Telmisartan', drugClass: 'Angiotensin receptor blocker', strengths: ['20 mg', '40 mg', '80 mg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'enalapril', name: 'Enalapril', drugClass: 'ACE inhibitor', strengths: ['2.5 mg', '5 mg', '10 mg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'metoprolol', name: 'Metoprolol', drugClass: 'Beta blocker', strengths: ['25 mg', '50 mg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'furosemide', name: 'Furosemide', drugClass: 'Loop diuretic', strengths: ['40 mg', '10 mg/ml'], forms: ['Tablet', 'Injection'], routes: ['Oral', 'IV'] },
+    { id: 'spironolactone', name: 'Spironolactone', drugClass: 'Potassium-sparing diuretic', strengths: ['25 mg', '50 mg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'atorvastatin', name: 'Atorvastatin', drugClass: 'Statin', strengths: ['10 mg', '20 mg', '40 mg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'clopidogrel', name: 'Clopidogrel', drugClass: 'Antiplatelet', strengths: ['75 mg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'warfarin', name: 'Warfarin', drugClass: 'Anticoagulant', strengths: ['1 mg', '2 mg', '5 mg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'heparin', name: 'Heparin', drugClass: 'Anticoagulant', strengths: ['5000 IU/ml'], forms: ['Injection'], routes: ['IV', 'SC'] },
+    { id: 'levothyroxine', name: 'Levothyroxine', drugClass: 'Thyroid hormone', strengths: ['25 mcg', '50 mcg', '100 mcg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'sertraline', name: 'Sertraline', drugClass: 'SSRI antidepressant', strengths: ['50 mg', '100 mg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'alprazolam', name: 'Alprazolam', drugClass: 'Benzodiazepine', strengths: ['0.25 mg', '0.5 mg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'phenytoin', name: 'Phenytoin', drugClass: 'Anticonvulsant', strengths: ['100 mg', '50 mg/ml'], forms: ['Tablet', 'Injection'], routes: ['Oral', 'IV'] },
+    { id: 'fluconazole', name: 'Fluconazole', drugClass: 'Azole antifungal', strengths: ['150 mg', '50 mg'], forms: ['Capsule'], routes: ['Oral'] },
+    { id: 'albendazole', name: 'Albendazole', drugClass: 'Anthelmintic', strengths: ['400 mg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'ferrous-sulfate', name: 'Ferrous Sulfate', drugClass: 'Iron supplement', strengths: ['200 mg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'folic-acid', name: 'Folic Acid', drugClass: 'Vitamin', strengths: ['5 mg'], forms: ['Tablet'], routes: ['Oral'] },
+    { id: 'vitamin-d3', name: 'Cholecalciferol (Vitamin D3)', drugClass: 'Vitamin', strengths: ['60000 IU', '1000 IU'], forms: ['Capsule', 'Tablet'], routes: ['Oral'] },
+    { id: 'normal-saline', name: 'Sodium Chloride 0.9%', drugClass: 'IV fluid', strengths: ['500 ml', '1000 ml'], forms: ['Injection'], routes: ['IV'] },
+    { id: 'ringer-lactate', name: "Ringer's Lactate", drugClass: 'IV fluid', strengths: ['500 ml', '1000 ml'], forms: ['Injection'], routes: ['IV'] },
+    { id: 'mupirocin', name: 'Mupirocin', drugClass: 'Topical antibiotic', strengths: ['2%'], forms: ['Ointment'], routes: ['Topical'] }
+];
+
+const DRUGS_BY_ID = new Map(DRUGS.map(drug => [drug.id, drug]));
+
+/**
+ * Finds catalogue drugs whose name or class contains the search text.
+ * @param {string} [query] Empty returns the whole catalogue
+ */
+function searchDrugs(query = '') {
+    const text = query.trim().toLowerCase();
+    if (!text) return DRUGS;
+    return DRUGS.filter(drug => drug.name.toLowerCase().includes(text) || drug.drugClass.toLowerCase().includes(text));
+}
+
+function getDrug(id) {
+    return DRUGS_BY_ID.get(id) || null;
+}
+
+function cleanText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Validates prescription line items and normalises them for storage.
+ * @param {Array<object>} items { drugId?, name, strength, form, dose, frequency, route, durationDays, instructions? }
+ * @returns {{error: string}|{items: Array<object>}}
+ */
+function validatePrescriptionItems(items) {
+    if (!Array.isArray(items)) return { error: 'Prescription items must be a list.' };
+    if (items.length > MAX_ITEMS) return { error: `A prescription can have at most ${MAX_ITEMS} medicines.` };
+
+    const cleaned = [];
+    for (const [index, item] of items.entries()) {
+        const line = `Medicine ${index + 1}`;
+        if (!item || typeof item !== 'object') return { error: `${line} is not valid.` };
+
+        const drug = item.drugId ? getDrug(item.drugId) : null;
+        if (item.drugId && !drug) return { error: `${line}: unknown catalogue drug.` };
+
+        const entry = {
+            drugId: drug ? drug.id : null,
+            name: drug ? drug.name : cleanText(item.name),
+            strength: cleanText(item.strength),
+            form: cleanText(item.form),
+            dose: cleanText(item.dose),
+            frequency: cleanText(item.frequency).toUpperCase(),
+            route: cleanText(item.route),
+            durationDays: Number(item.durationDays),
+            instructions: cleanText(item.instructions)
+        };
+
+        if (!entry.name) return { error: `${line}: drug name is required.` };
+        if (!entry.strength) return { error: `${line} (${entry.name}): strength is required.` };
+        if (!entry.dose) return { error: `${line} (${entry.name}): dose is required, e.g. "1 tablet".` };
+        if ([entry.name, entry.strength, entry.dose, entry.instructions].some(text => text.length > MAX_TEXT_LENGTH)) {
+            return { error: `${line} (${entry.name}): each field must be at most ${MAX_TEXT_LENGTH} characters.` };
+        }
+        if (!FORMS.includes(entry.form)) return { error: `${line} (${entry.name}): form must be one of ${FORMS.join(', ')}.` };
+        if (!ROUTES.includes(entry.route)) return { error: `${line} (${entry.name}): route must be one of ${ROUTES.join(', ')}.` };
+        if (!FREQUENCIES[entry.frequency]) return { error: `${line} (${entry.name}): frequency must be one of ${Object.keys(FREQUENCIES).join(', ')}.` };
+        if (!Number.isInteger(entry.durationDays) || entry.durationDays < 1 || entry.durationDays > MAX_DURATION_DAYS) {
+            return { error: `${line} (${entry.name}): duration must be between 1 and ${MAX_DURATION_DAYS} days.` };
+        }
+        // Catalogue drugs only come in the listed strengths, forms and routes
+        if (drug && !drug.strengths.includes(entry.strength)) {
+            return { error: `${line} (${entry.name}): strength must be one of ${drug.strengths.join(', ')}.` };
+        }
+        if (drug && !drug.forms.includes(entry.form)) {
+            return { error: `${line} (${entry.name}): form must be one of ${drug.forms.join(', ')}.` };
+        }
+        if (drug && !drug.routes.includes(entry.route)) {
+            return { error: `${line} (${entry.name}): route must be one of ${drug.routes.join(', ')}.` };
+        }
+
+        cleaned.push(entry);
+    }
+    return { items: cleaned };
+}
+
+/**
+ * One readable line per item, e.g. "Paracetamol 500 mg Tablet - 1 tablet, Twice daily (Oral) for 3 days".
+ * Stored as the prescription text so older screens and emails still show something sensible.
+ */
+function formatPrescriptionItem(item) {
+    const instructions = item.instructions ? `. ${item.instructions}` : '';
+    return `${item.name} ${item.strength} ${item.form} - ${item.dose}, ${FREQUENCIES[item.frequency]} (${item.route}) for ${item.durationDays} day(s)${instructions}`;
+}
+
+module.exports = {
+    FORMS,
+    ROUTES,
+    FREQUENCIES,
+    DRUGS,
+    searchDrugs,
+    getDrug,
+    validatePrescriptionItems,
+    formatPrescriptionItem
+};
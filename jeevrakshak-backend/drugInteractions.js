@@ -0,0 +1,198 @@
+// drugInteractions.js (Local drug interaction table and allergy matching for prescribing-time checks)
+//
+// Rules name catalogue drug ids or drug classes from drugCatalogue.js. Medicines prescribed outside
+// the catalogue are matched by name where possible; anything that cannot be matched is not checked.
+//
+// SEVERE findings block the prescription. MODERATE and MINOR ones are returned as warnings.
+
+const drugCatalogue = require('./drugCatalogue');
+
+const SEVERITIES = ['SEVERE', 'MODERATE', 'MINOR'];
+
+// Each side matches drug ids (`drugs`) and/or drug classes (`classes`)
+const INTERACTIONS = [
+    { a: { drugs: ['warfarin'] }, b: { classes: ['NSAID'] }, severity: 'SEVERE', effect: 'Greatly raises the risk of bleeding.' },
+    { a: { drugs: ['warfarin'] }, b: { classes: ['Antiplatelet'] }, severity: 'SEVERE', effect: 'Greatly raises the risk of bleeding.' },
+    { a: { drugs: ['warfarin'] }, b: { drugs: ['fluconazole', 'metronidazole'] }, severity: 'SEVERE', effect: 'Raises warfarin levels (INR) sharply; risk of serious bleeding.' },
+    { a: { drugs: ['warfarin'] }, b: { drugs: ['ciprofloxacin', 'azithromycin'] }, severity: 'MODERATE', effect: 'May raise INR. Check INR during and after the course.' },
+    { a: { drugs: ['warfarin'] }, b: { drugs: ['phenytoin'] }, severity: 'MODERATE', effect: 'Unpredictable changes in INR and phenytoin levels.' },
+    { a: { drugs: ['warfarin'] }, b: { drugs: ['heparin'] }, severity: 'MODERATE', effect: 'Additive anticoagulation. Only intended when bridging; monitor INR and aPTT.' },
+    { a: { drugs: ['heparin'] }, b: { classes: ['NSAID', 'Antiplatelet'] }, severity: 'MODERATE', effect: 'Raises the risk of bleeding.' },
+    { a: { drugs: ['clopidogrel'] }, b: { drugs: ['aspirin'] }, severity: 'MODERATE', effect: 'Dual antiplatelet therapy raises the risk of bleeding.' },
+    { a: { drugs: ['clopidogrel'] }, b: { drugs: ['omeprazole'] }, severity: 'MODERATE', effect: 'Omeprazole reduces the effect of clopidogrel. Prefer pantoprazole.' },
+    { a: { classes: ['ACE inhibitor'] }, b: { classes: ['Angiotensin receptor blocker'] }, severity: 'SEVERE', effect: 'Dual blockade raises the risk of high potassium and kidney injury.' },
+    { a: { classes: ['ACE inhibitor', 'Angiotensin receptor blocker'] }, b: { classes: ['Potassium-sparing diuretic'] }, severity: 'MODERATE', effect: 'Risk of high potassium. Monitor potassium.' },
+    { a: { classes: ['ACE inhibitor', 'Angiotensin receptor blocker'] }, b: { classes: ['NSAID'] }, severity: 'MODERATE', effect: 'Reduces the blood pressure effect and may harm kidney function.' },
+    { a: { classes: ['NSAID'] }, b: { drugs: ['prednisolone'] }, severity: 'MODERATE', effect: 'Raises the risk of stomach ulcers and bleeding.' },
+    { a: { drugs: ['tramadol'] }, b: { drugs: ['sertraline'] }, severity: 'SEVERE', effect: 'Risk of serotonin syndrome and seizures.' },
+    { a: { drugs: ['tramadol'] }, b: { classes: ['Benzodiazepine'] }, severity: 'SEVERE', effect: 'Risk of profound sedation and breathing problems.' },
+    { a: { drugs: ['ondansetron'] }, b: { drugs: ['sertraline'] }, severity: 'MODERATE', effect: 'Risk of serotonin syndrome.' },
+    { a: { drugs: ['domperidone'] }, b: { drugs: ['fluconazole'] }, severity: 'SEVERE', effect: 'Raises domperidone levels; risk of dangerous heart rhythm (QT prolongation).' },
+    { a: { drugs: ['domperidone', 'ondansetron'] }, b: { drugs: ['azithromycin'] }, severity: 'MODERATE', effect: 'Both prolong the QT interval.' },
+    { a: { drugs: ['phenytoin'] }, b: { drugs: ['fluconazole'] }, severity: 'MODERATE', effect: 'Raises phenytoin levels. Watch for toxicity.' },
+    { a: { drugs: ['glimepiride'] }, b: { drugs: ['fluconazole', 'ciprofloxacin'] }, severity: 'MODERATE', effect: 'Risk of low blood sugar.' },
+    { a: { drugs: ['metoprolol'] }, b: { classes: ['Insulin', 'Sulfonylurea antidiabetic'] }, severity: 'MINOR', effect: 'May mask the warning signs of low blood sugar.' },
+    { a: { drugs: ['ferrous-sulfate'] }, b: { drugs: ['doxycycline', 'ciprofloxacin', 'levothyroxine'] }, severity: 'MINOR', effect: 'Iron reduces absorption. Take the doses at least 2 hours apart.' },
+    { a: { drugs: ['furosemide'] }, b: { classes: ['Corticosteroid'] }, severity: 'MINOR', effect: 'Risk of low potassium.' }
+];
+
+// Common allergy groups staff and patients can pick. `ingredients` catch free-typed medicines outside
+// the catalogue. `crossReactive` classes get a warning, not a block.
+const ALLERGENS = [
+    { substance: 'Penicillin', classes: ['Penicillin antibiotic'], crossReactive: ['Cephalosporin antibiotic'] },
+    { substance: 'Cephalosporins', classes: ['Cephalosporin antibiotic'], crossReactive: ['Penicillin antibiotic'] },
+    { substance: 'Sulfa drugs', classes: ['Sulfonamide antibiotic'], ingredients: ['sulfamethoxazole', 'cotrimoxazole', 'sulfadiazine', 'sulfasalazine', 'dapsone'], crossReactive: ['Sulfonylurea antidiabetic', 'Loop diuretic'] },
+    { substance: 'Aspirin', drugs: ['aspirin'], crossReactive: ['NSAID'] },
+    { substance: 'NSAIDs', classes: ['NSAID'] },
+    { substance: 'Opioids', classes: ['Opioid analgesic'] },
+    { substance: 'Macrolides', classes: ['Macrolide antibiotic'] },
+    { substance: 'Fluoroquinolones', classes: ['Fluoroquinolone antibiotic'] },
+    { substance: 'Tetracyclines', classes: ['Tetracycline antibiotic'] },
+    { substance: 'Azole antifungals', classes: ['Azole antifungal'] },
+    { substance: 'ACE inhibitors', classes: ['ACE inhibitor'] },
+    { substance: 'Benzodiazepines', classes: ['Benzodiazepine'] },
+    { substance: 'Anticonvulsants', classes: ['Anticonvulsant'] }
+];
+
+// Classes where two different drugs together are routine, so no duplicate warning
+const DUPLICATE_CLASS_EXEMPT = ['IV fluid', 'Vitamin', 'Electrolyte replacement', 'Corticosteroid'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The catalogue drug behind a prescription line, by id or, for free-typed lines, by exact name
+function resolveDrug(item) {
+    if (item.drugId) return drugCatalogue.getDrug(item.drugId);
+    const name = (item.name || '').trim().toLowerCase();
+    return drugCatalogue.DRUGS.find(drug => drug.name.toLowerCase() === name) || null;
+}
+
+function matchesSide(drug, side) {
+    return (side.drugs || []).includes(drug.id) || (side.classes || []).includes(drug.drugClass);
+}
+
+// Lower-case words of a medicine or allergy name, so matching never hits part of a word
+function nameWords(text) {
+    return text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// Whether every word of `phrase` appears, in order and side by side, among `words`
+function containsPhrase(words, phrase) {
+    const target = nameWords(phrase);
+    if (!target.length) return false;
+    for (let i = 0; i + target.length <= words.length; i++) {
+        if (target.every((word, j) => words[i + j] === word)) return true;
+    }
+    return false;
+}
+
+function findInteraction(first, second) {
+    return INTERACTIONS.find(rule =>
+        (matchesSide(first, rule.a) && matchesSide(second, rule.b)) ||
+        (matchesSide(first, rule.b) && matchesSide(second, rule.a))
+    ) || null;
+}
+
+/**
+ * How a recorded allergy applies to a medicine.
+ * @returns {'SEVERE'|'MODERATE'|null} SEVERE for the drug itself or its group, MODERATE for a cross-reactive class
+ */
+function matchAllergy(allergy, item, drug) {
+    const substance = allergy.substance.trim().toLowerCase();
+    const words = nameWords(item.name);
+    if (containsPhrase(words, substance)) return 'SEVERE';
+
+    const group = ALLERGENS.find(g => g.substance.toLowerCase() === substance);
+    if (group && (group.ingredients || []).some(ingredient => containsPhrase(words, ingredient))) return 'SEVERE';
+    if (!drug) return null;
+
+    if (drug.id === substance || drug.drugClass.toLowerCase() === substance) return 'SEVERE';
+    if (!group) return null;
+    if (matchesSide(drug, group)) return 'SEVERE';
+    if ((group.crossReactive || []).includes(drug.drugClass)) return 'MODERATE';
+    return null;
+}
+
+/**
+ * Whether a stored prescription line is still being taken.
+ * @param {Date} prescribedAt When its prescription was written
+ */
+function isItemActive(item, prescribedAt, now = new Date()) {
+    return new Date(prescribedAt).getTime() + item.durationDays * DAY_MS > now.getTime();
+}
+
+/**
+ * Checks new prescription lines against each other, the patient's active medicines and their allergies.
+ * @param {Array<object>} items Validated lines of the new prescription
+ * @param {Array<object>} activeItems Lines still being taken, each with `prescribedAt`
+ * @param {Array<{substance: string, reaction?: string}>} allergies
+ * @returns {Array<{type: string, severity: string, drugs: string[], message: string}>} Most severe first
+ */
+function checkPrescription(items, activeItems = [], allergies = []) {
+    const warnings = [];
+    const lines = items.map(item => ({ item, drug: resolveDrug(item) }));
+    const active = activeItems.map(item => ({ item, drug: resolveDrug(item) }));
+
+    for (const { item, drug } of lines) {
+        for (const allergy of allergies) {
+            const severity = matchAllergy(allergy, item, drug);
+            if (!severity) continue;
+            const reaction = allergy.reaction ? ` (reaction: ${allergy.reaction})` : '';
+            warnings.push({
+                type: 'ALLERGY',
+                severity,
+                drugs: [item.name],
+                message: severity === 'SEVERE'
+                    ? `${item.name}: patient is allergic to ${allergy.substance}${reaction}.`
+                    : `${item.name}: possible cross-reaction with the patient's ${allergy.substance} allergy${reaction}.`
+            });
+        }
+    }
+
+    const comparePair = (first, second, onActive) => {
+        if (!first.drug || !second.drug) return;
+        const suffix = onActive ? ' (already on an active prescription)' : '';
+
+        if (first.drug.id === second.drug.id) {
+            if (!onActive) return; // Two lines of the same drug in one prescription, e.g. a loading dose
+            warnings.push({
+                type: 'DUPLICATE',
+                severity: 'MODERATE',
+                drugs: [first.item.name],
+                message: `${first.item.name} is already on an active prescription.`
+            });
+            return;
+        }
+
+        const rule = findInteraction(first.drug, second.drug);
+        if (rule) {
+            warnings.push({
+                type: 'INTERACTION',
+                severity: rule.severity,
+                drugs: [first.item.name, second.item.name],
+                message: `${first.item.name} + ${second.item.name}${suffix}: ${rule.effect}`
+            });
+        } else if (first.drug.drugClass === second.drug.drugClass && !DUPLICATE_CLASS_EXEMPT.includes(first.drug.drugClass)) {
+            warnings.push({
+                type: 'DUPLICATE',
+                severity: 'MINOR',
+                drugs: [first.item.name, second.item.name],
+                message: `${first.item.name} + ${second.item.name}${suffix}: both are ${first.drug.drugClass} medicines.`
+            });
+        }
+    };
+
+    lines.forEach((line, i) => {
+        lines.slice(i + 1).forEach(other => comparePair(line, other, false));
+        active.forEach(other => comparePair(line, other, true));
+    });
+
+    return warnings.sort((x, y) => SEVERITIES.indexOf(x.severity) - SEVERITIES.indexOf(y.severity));
+}
+
+module.exports = {
+    SEVERITIES,
+    INTERACTIONS,
+    ALLERGENS,
+    isItemActive,
+    checkPrescription
+};
@@ -0,0 +1,29 @@
+// localTime.js (Wall-clock time at the deployment's UTC offset, independent of the server's time zone)
+//
+// Shift hours and medication dose times are local times. The offset comes from
+// LOCAL_UTC_OFFSET_MINUTES (IST, +330, by default), so a server running in UTC still agrees
+// with the hospitals and patients it serves.
+
+const parsedOffset = parseInt(process.env.LOCAL_UTC_OFFSET_MINUTES, 10);
+const UTC_OFFSET_MS = (Number.isFinite(parsedOffset) ? parsedOffset : 330) * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Local midnight (as a UTC timestamp) of the day containing `date`
+function localDayStart(date) {
+    const local = new Date(date).getTime() + UTC_OFFSET_MS;
+    return Math.floor(local / DAY_MS) * DAY_MS - UTC_OFFSET_MS;
+}
+
+// Wall-clock hour (0-23) of `date`
+function localHour(date) {
+    return Math.floor((new Date(date).getTime() - localDayStart(date)) / HOUR_MS);
+}
+
+module.exports = {
+    HOUR_MS,
+    DAY_MS,
+    localDayStart,
+    localHour
+};
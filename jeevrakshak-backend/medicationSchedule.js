@@ -0,0 +1,126 @@
+// medicationSchedule.js (Dose times generated from prescription lines, and adherence from what patients log)
+//
+// Each line's frequency becomes fixed times of day, repeated for durationDays from when it was
+// prescribed. "When needed" (SOS) lines have no schedule; STAT lines are one dose at the time of
+// prescribing. Times of day are wall-clock times at LOCAL_UTC_OFFSET_MINUTES (see localTime.js).
+
+const { HOUR_MS, DAY_MS, localDayStart } = require('./localTime');
+
+// Times of day ("HH:MM") for each frequency in drugCatalogue.js
+const DOSE_TIMES = {
+    OD: ['08:00'],
+    BD: ['08:00', '20:00'],
+    TDS: ['08:00', '14:00', '20:00'],
+    QID: ['08:00', '12:00', '16:00', '20:00'],
+    HS: ['21:00'],
+    Q4H: ['02:00', '06:00', '10:00', '14:00', '18:00', '22:00'],
+    Q6H: ['00:00', '06:00', '12:00', '18:00'],
+    Q8H: ['06:00', '14:00', '22:00'],
+    WEEKLY: ['08:00']
+};
+
+const LOG_STATUSES = ['TAKEN', 'SKIPPED'];
+const EARLY_LOG_MS = 60 * 60 * 1000; // A dose can be logged up to an hour before it is due
+const MISSED_AFTER_MS = 3 * 60 * 60 * 1000; // Unlogged this long after its time, a dose counts as missed
+
+function doseKey(prescriptionId, itemIndex, scheduledAt) {
+    return `${prescriptionId}:${itemIndex}:${new Date(scheduledAt).toISOString()}`;
+}
+
+/**
+ * Lists the scheduled doses of a prescription that fall in [from, to).
+ * Free-text prescriptions from before line items have no schedule.
+ * @returns {Array<object>} Doses with the line's details and `scheduledAt`, earliest first
+ */
+function buildDoses(prescription, from, to) {
+    const prescribedAt = new Date(prescription.prescribedAt).getTime();
+    const start = new Date(from).getTime();
+    const stop = new Date(to).getTime();
+    const doses = [];
+
+    (prescription.items || []).forEach((item, itemIndex) => {
+        const end = prescribedAt + item.durationDays * DAY_MS;
+        const base = {
+            prescriptionId: prescription._id.toString(),
+            itemIndex,
+            name: item.name,
+            strength: item.strength,
+            form: item.form,
+            dose: item.dose,
+            route: item.route,
+            instructions: item.instructions || '',
+            hospitalName: prescription.hospitalName
+        };
+        const add = at => {
+            if (at >= start && at < stop) doses.push({ ...base, scheduledAt: new Date(at) });
+        };
+
+        if (item.frequency === 'STAT') return add(prescribedAt);
+        const times = DOSE_TIMES[item.frequency];
+        if (!times) return;
+
+        const stepDays = item.frequency === 'WEEKLY' ? 7 : 1;
+        for (let day = localDayStart(prescribedAt); day < end && day < stop; day += stepDays * DAY_MS) {
+            for (const time of times) {
+                const [hours, minutes] = time.split(':').map(Number);
+                const at = day + hours * HOUR_MS + minutes * 60 * 1000;
+                if (at >= prescribedAt && at < end) add(at);
+            }
+        }
+    });
+
+    return doses.sort((a, b) => a.scheduledAt - b.scheduledAt);
+}
+
+// Adds each dose's logged status (TAKEN, SKIPPED or null)
+function attachLogs(doses, logs) {
+    const byKey = new Map(logs.map(log => [doseKey(log.prescriptionId, log.itemIndex, log.scheduledAt), log]));
+    return doses.map(dose => {
+        const log = byKey.get(doseKey(dose.prescriptionId, dose.itemIndex, dose.scheduledAt));
+        return { ...dose, status: log ? log.status : null, loggedAt: log ? log.loggedAt : null };
+    });
+}
+
+/**
+ * Adherence over doses that are due: logged ones, and unlogged ones past MISSED_AFTER_MS.
+ * Skipped and missed doses both count against it.
+ * @param {Array<object>} doses From attachLogs
+ * @returns {{due: number, taken: number, skipped: number, missed: number, percent: number|null, medicines: Array<object>}}
+ */
+function summariseAdherence(doses, now = new Date()) {
+    const due = doses.filter(dose => dose.status || dose.scheduledAt.getTime() + MISSED_AFTER_MS <= now.getTime());
+    const tally = list => {
+        const taken = list.filter(d => d.status === 'TAKEN').length;
+        const skipped = list.filter(d => d.status === 'SKIPPED').length;
+        return {
+            due: list.length,
+            taken,
+            skipped,
+            missed: list.length - taken - skipped,
+            percent: list.length > 0 ? Math.round((taken / list.length) * 100) : null
+        };
+    };
+
+    const medicines = new Map();
+    for (const dose of due) {
+        const key = `${dose.prescriptionId}:${dose.itemIndex}`;
+        if (!medicines.has(key)) {
+            medicines.set(key, { prescriptionId: dose.prescriptionId, itemIndex: dose.itemIndex, name: dose.name, strength: dose.strength, doses: [] });
+        }
+        medicines.get(key).doses.push(dose);
+    }
+
+    return {
+        ...tally(due),
+        medicines: Array.from(medicines.values()).map(({ doses: list, ...medicine }) => ({ ...medicine, ...tally(list) }))
+    };
+}
+
+module.exports = {
+    DOSE_TIMES,
+    LOG_STATUSES,
+    EARLY_LOG_MS,
+    buildDoses,
+    attachLogs,
+    summariseAdherence
+};
@@ -0,0 +1,163 @@
+// migratePatientIds.js (Backfill stable patient IDs on records that were linked by name)
+//
+// Usage:
+//   npm run migrate-patient-ids
+//   npm run migrate-patient-ids -- --dry-run   (only report what would change)
+//
+// Safe to run more than once; records that are already linked are left alone.
+//   1. Gives every patient account a Patient ID (patientCode).
+//   2. Reports doctor requests without a patientId whose patientName matches a patient username.
+//      They are NOT linked: a name proves nothing (anonymous SOS senders type any name), so each
+//      one is left for the hospital to link with the patient's Patient ID ("Link Patient").
+//   3. Prescriptions written from an admission stored the admission's _id as patientId. That moves
+//      to admissionId, and patientId becomes the admission's linked account (or null).
+//   4. Prescriptions written from a request take the request's patientId.
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { MongoClient, ObjectId, ServerApiVersion } = require('mongodb');
+
+const MONGO_URI = process.env.MONGO_URI;
+const DB_NAME = "JeevrakshakDB";
+
+// Same format as generatePatientCode() in server.js
+const PATIENT_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generatePatientCode() {
+    return 'PAT-' + Array.from(crypto.randomBytes(8), byte => PATIENT_CODE_ALPHABET[byte % PATIENT_CODE_ALPHABET.length]).join('');
+}
+
+async function assignPatientCodes(db, dryRun) {
+    const users = db.collection('users');
+    const patients = await users.find({ role: 'patient', patientCode: { $exists: false } }, { projection: { _id: 1 } }).toArray();
+    if (dryRun) return patients.length;
+
+    let assigned = 0;
+    for (const patient of patients) {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            try {
+                const result = await users.updateOne(
+                    { _id: patient._id, patientCode: { $exists: false } },
+                    { $set: { patientCode: generatePatientCode() } }
+                );
+                assigned += result.modifiedCount;
+                break;
+            } catch (e) {
+                if (e.code !== 11000 || attempt === 2) throw e;
+            }
+        }
+    }
+    return assigned;
+}
+
+// Read-only: lists unlinked requests that share a name with a patient account
+async function findRequestLinkCandidates(db) {
+    const unlinked = await db.collection('doctorRequests').find(
+        { patientId: null },
+        { projection: { patientName: 1, hospitalName: 1, timestamp: 1 } }
+    ).toArray();
+
+    const nameMatches = new Map();
+    const candidates = [];
+    for (const request of unlinked) {
+        if (!nameMatches.has(request.patientName)) {
+            const count = await db.collection('users').countDocuments({ username: request.patientName, role: 'patient' });
+            nameMatches.set(request.patientName, count > 0);
+        }
+        if (nameMatches.get(request.patientName)) candidates.push(request);
+    }
+    return { unlinked: unlinked.length, candidates };
+}
+
+async function relinkAdmissionPrescriptions(db, dryRun) {
+    const prescriptions = db.collection('prescriptions');
+    const candidates = await prescriptions.find(
+        { admissionId: { $exists: false }, requestId: { $exists: false }, patientId: { $type: 'string' } },
+        { projection: { patientId: 1, hospitalId: 1 } }
+    ).toArray();
+
+    let moved = 0;
+    for (const prescription of candidates) {
+        if (!ObjectId.isValid(prescription.patientId)) continue;
+        const admission = await db.collection('admittedPatients').findOne({ _id: new ObjectId(prescription.patientId) });
+        if (!admission) continue; // Already points at a patient account
+
+        moved++;
+        if (!dryRun) {
+            await prescriptions.updateOne({ _id: prescription._id }, {
+                $set: {
+                    admissionId: prescription.patientId,
+                    patientId: admission.patientId || null,
+                    hospitalId: prescription.hospitalId || admission.hospitalId
+                }
+            });
+        }
+    }
+    return moved;
+}
+
+async function linkRequestPrescriptions(db, dryRun) {
+    const prescriptions = db.collection('prescriptions');
+    const candidates = await prescriptions.find(
+        { requestId: { $exists: true }, patientId: null },
+        { projection: { requestId: 1 } }
+    ).toArray();
+
+    let linked = 0;
+    for (const prescription of candidates) {
+        if (!ObjectId.isValid(prescription.requestId)) continue;
+        const request = await db.collection('doctorRequests').findOne({ _id: new ObjectId(prescription.requestId) }, { projection: { patientId: 1 } });
+        if (!request || !request.patientId) continue;
+
+        linked++;
+        if (!dryRun) {
+            await prescriptions.updateOne({ _id: prescription._id }, { $set: { patientId: request.patientId } });
+        }
+    }
+    return linked;
+}
+
+async function migratePatientIds() {
+    const dryRun = process.argv.includes('--dry-run');
+
+    if (!MONGO_URI) {
+        console.error("FATAL ERROR: MONGO_URI is not defined in .env file.");
+        process.exit(1);
+    }
+
+    const client = new MongoClient(MONGO_URI, {
+        serverApi: {
+            version: ServerApiVersion.v1,
+            strict: true,
+            deprecationErrors: true,
+        }
+    });
+
+    try {
+        await client.connect();
+        const db = client.db(DB_NAME);
+        const verb = dryRun ? 'Would update' : 'Updated';
+
+        const codes = await assignPatientCodes(db, dryRun);
+        console.log(`${verb} ${codes} patient account(s) with a new Patient ID.`);
+
+        const requests = await findRequestLinkCandidates(db);
+        console.log(`${requests.unlinked} request(s) have no patient account; ${requests.candidates.length} share a name with one and need a hospital to link them by Patient ID:`);
+        requests.candidates.forEach(r => {
+            console.log(`  ${r._id}  ${r.patientName}  ${r.hospitalName || 'Unknown Hospital'}  ${r.timestamp ? new Date(r.timestamp).toISOString() : ''}`);
+        });
+
+        const admissionPrescriptions = await relinkAdmissionPrescriptions(db, dryRun);
+        console.log(`${verb} ${admissionPrescriptions} admission prescription(s) to use admissionId.`);
+
+        const requestPrescriptions = await linkRequestPrescriptions(db, dryRun);
+        console.log(`${verb} ${requestPrescriptions} request prescription(s) with their patient account.`);
+    } catch (e) {
+        console.error("Migration failed:", e);
+        process.exitCode = 1;
+    } finally {
+        await client.close();
+    }
+}
+
+migratePatientIds();
@@ -0,0 +1,302 @@
+// notifications.js (Templated email notifications with a persistent outbox and pluggable transport)
+//
+// Emails are rendered when queued, stored in the `notificationOutbox` collection, and delivered
+// by a background worker that retries failures with backoff. The transport is chosen with
+// NOTIFY_TRANSPORT:
+//   gmail (default) - EMAIL_USER / EMAIL_PASS, as before
+//   smtp            - SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS, e.g. a local MailHog or smtp4dev
+//   file            - writes each message as an .eml file to NOTIFY_FILE_DIR (default ./mail-outbox)
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const OUTBOX_COLLECTION = 'notificationOutbox';
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 30 * 1000; // 30s, 1m, 2m, 4m between attempts
+const OUTBOX_POLL_INTERVAL = 15000; // Picks up retries and anything queued while the worker was busy
+const STALE_SENDING_MS = 5 * 60 * 1000; // A SENDING message older than this is assumed lost (e.g. crash) and retried
+
+const SIGNATURE = '<p>— Jeevrakshak Team</p>';
+
+// Names, reasons and links in templates come from users, so every value is escaped before it goes into HTML
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+// Each template returns { subject, html } from the data passed to enqueue()
+const TEMPLATES = {
+    hospitalApproved: ({ hospitalId }) => ({
+        subject: 'Your Hospital Has Been Approved',
+        html: `
+            <h2>Congratulations!</h2>
+            <p>Your hospital has been verified and approved.</p>
+            <p><strong>Hospital ID:</strong> ${escapeHtml(hospitalId)}</p>
+            <p>Use this Hospital ID to log in. If you were given a temporary password during registration, use that to sign in and then change it in the profile.</p>
+            ${SIGNATURE}
+        `
+    }),
+    hospitalRejected: ({ reason }) => ({
+        subject: 'Your Hospital Registration Was Rejected',
+        html: `
+            <p>After review, your hospital registration could not be approved.</p>
+            ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+            ${SIGNATURE}
+        `
+    }),
+    hospitalSuspended: ({ reason }) => ({
+        subject: 'Your Hospital Account Has Been Suspended',
+        html: `
+            <p>Your hospital account has been suspended. You will not receive patient requests or be able to log in until it is reinstated.</p>
+            ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+            ${SIGNATURE}
+        `
+    }),
+    hospitalReinstated: ({ reason }) => ({
+        subject: 'Your Hospital Account Has Been Reinstated',
+        html: `
+            <p>Your hospital account has been reinstated. You can log in with your existing Hospital ID and will receive patient requests again.</p>
+            ${reason ? `<p><strong>Note:</strong> ${escapeHtml(reason)}</p>` : ''}
+            ${SIGNATURE}
+        `
+    }),
+    hospitalResubmissionRequested: ({ reason }) => ({
+        subject: 'Please Re-submit Your Hospital Proof Document',
+        html: `
+            <p>The admin needs a new proof document before verification can continue. Log in with your registered email and password to upload it.</p>
+            ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+            ${SIGNATURE}
+        `
+    }),
+    newPrescription: ({ patientName, hospitalName, doctor }) => ({
+        subject: `New Prescription from ${hospitalName}`,
+        html: `
+            <p>Hello ${escapeHtml(patientName)},</p>
+            <p>${doctor ? `${escapeHtml(doctor)} at ` : ''}${escapeHtml(hospitalName)} has issued you a new prescription.</p>
+            <p>Log in to Jeevrakshak and open <strong>My Prescriptions</strong> to view it.</p>
+            ${SIGNATURE}
+        `
+    }),
+    dischargeSummary: ({ patientName, hospitalName }) => ({
+        subject: `Your Discharge Summary from ${hospitalName}`,
+        html: `
+            <p>Hello ${escapeHtml(patientName)},</p>
+            <p>You have been discharged from <strong>${escapeHtml(hospitalName)}</strong>. Your discharge summary, follow-up instructions and medications are now in your Jeevrakshak account.</p>
+            <p>Log in and open <strong>Discharge Summaries</strong> to read them.</p>
+            ${SIGNATURE}
+        `
+    }),
+    refillDeclined: ({ patientName, hospitalName, reason }) => ({
+        subject: `Your Refill Request to ${hospitalName}`,
+        html: `
+            <p>Hello ${escapeHtml(patientName)},</p>
+            <p><strong>${escapeHtml(hospitalName)}</strong> could not renew your prescription.</p>
+            <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>
+            <p>If you still need the medicine, log in to Jeevrakshak and book a doctor.</p>
+            ${SIGNATURE}
+        `
+    }),
+    appointmentCancelled: ({ patientName, hospitalName, doctorName, when, reason }) => ({
+        subject: `Your Appointment at ${hospitalName} Was Cancelled`,
+        html: `
+            <p>Hello ${escapeHtml(patientName)},</p>
+            <p><strong>${escapeHtml(hospitalName)}</strong> has cancelled your appointment with Dr. ${escapeHtml(doctorName)} on ${escapeHtml(when)}.</p>
+            ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+            <p>Log in to Jeevrakshak and open <strong>Appointments</strong> to book another slot.</p>
+            ${SIGNATURE}
+        `
+    }),
+    appointmentRescheduled: ({ patientName, hospitalName, doctorName, previousWhen, when }) => ({
+        subject: `Your Appointment at ${hospitalName} Has Moved`,
+        html: `
+            <p>Hello ${escapeHtml(patientName)},</p>
+            <p><strong>${escapeHtml(hospitalName)}</strong> has moved your appointment from ${escapeHtml(previousWhen)} to <strong>${escapeHtml(when)}</strong> with Dr. ${escapeHtml(doctorName)}.</p>
+            <p>If the new time does not suit you, log in to Jeevrakshak and open <strong>Appointments</strong> to change or cancel it.</p>
+            ${SIGNATURE}
+        `
+    }),
+    sosAcknowledged: ({ patientName, hospitalName }) => ({
+        subject: 'Your SOS Alert Has Been Acknowledged',
+        html: `
+            <p>Hello ${escapeHtml(patientName)},</p>
+            <p><strong>${escapeHtml(hospitalName)}</strong> has acknowledged your SOS alert and is responding.</p>
+            <p>If your condition gets worse, call 108/112 directly.</p>
+            ${SIGNATURE}
+        `
+    }),
+    passwordReset: ({ name, resetUrl, expiresInMinutes }) => ({
+        subject: 'Reset Your Jeevrakshak Password',
+        html: `
+            <p>Hello ${escapeHtml(name)},</p>
+            <p>We received a request to reset your password. Use the link below within ${escapeHtml(expiresInMinutes)} minutes:</p>
+            <p><a href="${escapeHtml(resetUrl)}">${escapeHtml(resetUrl)}</a></p>
+            <p>If you did not ask for this, you can ignore this email; your password will not change.</p>
+            ${SIGNATURE}
+        `
+    })
+};
+
+/**
+ * Writes every message to disk as an .eml file instead of sending it.
+ * Useful for local development and tests, where no real mailbox should be contacted.
+ */
+function createFileTransport(dir) {
+    const formatter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    fs.mkdirSync(dir, { recursive: true });
+
+    return {
+        async sendMail(mail) {
+            const info = await formatter.sendMail(mail);
+            const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`);
+            await fs.promises.writeFile(file, info.message);
+            return { messageId: info.messageId, response: `Written to ${file}` };
+        }
+    };
+}
+
+/**
+ * Builds the transport selected by NOTIFY_TRANSPORT. Anything with a
+ * `sendMail(mail) => Promise<{messageId}>` method can be passed to
+ * createNotificationService instead.
+ */
+function createTransportFromEnv(env = process.env) {
+    switch ((env.NOTIFY_TRANSPORT || 'gmail').toLowerCase()) {
+        case 'file':
+            return createFileTransport(path.resolve(env.NOTIFY_FILE_DIR || 'mail-outbox'));
+        case 'smtp':
+            return nodemailer.createTransport({
+                host: env.SMTP_HOST || 'localhost',
+                port: parseInt(env.SMTP_PORT) || 1025,
+                secure: env.SMTP_SECURE === 'true',
+                auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+            });
+        case 'gmail':
+            return nodemailer.createTransport({
+                service: 'gmail',
+                auth: { user: env.EMAIL_USER, pass: env.EMAIL_PASS }
+            });
+        default:
+            throw new Error(`Unknown NOTIFY_TRANSPORT "${env.NOTIFY_TRANSPORT}". Use gmail, smtp or file.`);
+    }
+}
+
+/**
+ * Creates the notification service bound to a database.
+ * @param {object} options
+ * @param {import('mongodb').Db} options.db
+ * @param {{sendMail: Function}} [options.transport] Defaults to createTransportFromEnv()
+ * @param {string} [options.from] Sender address, defaults to EMAIL_FROM or EMAIL_USER
+ */
+function createNotificationService({ db, transport = createTransportFromEnv(), from = process.env.EMAIL_FROM || process.env.EMAIL_USER }) {
+    const outbox = db.collection(OUTBOX_COLLECTION);
+    let timer = null;
+    let processing = false;
+
+    /**
+     * Renders a template and stores it in the outbox; delivery happens in the background.
+     * @param {keyof TEMPLATES} template
+     * @param {string} to Recipient email
+     * @param {object} data Template variables
+     * @returns {Promise<import('mongodb').ObjectId>} Outbox entry ID
+     */
+    async function enqueue(template, to, data = {}) {
+        if (!TEMPLATES[template]) throw new Error(`Unknown notification template "${template}".`);
+        if (!to) throw new Error(`No recipient for "${template}" notification.`);
+
+        const { subject, html } = TEMPLATES[template](data);
+        const now = new Date();
+        const { insertedId } = await outbox.insertOne({
+            template,
+            to,
+            subject,
+            html,
+            status: 'QUEUED',
+            attempts: 0,
+            lastError: null,
+            nextAttemptAt: now,
+            createdAt: now,
+            sentAt: null
+        });
+
+        setImmediate(processOutbox);
+        return insertedId;
+    }
+
+    // Claims one due message at a time so several server instances can share the outbox
+    async function claimNext() {
+        const now = new Date();
+        return outbox.findOneAndUpdate(
+            {
+                $or: [
+                    { status: 'QUEUED', nextAttemptAt: { $lte: now } },
+                    { status: 'SENDING', claimedAt: { $lte: new Date(now.getTime() - STALE_SENDING_MS) } }
+                ]
+            },
+            { $set: { status: 'SENDING', claimedAt: now }, $inc: { attempts: 1 } },
+            { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+        );
+    }
+
+    async function deliver(message) {
+        try {
+            const info = await transport.sendMail({ from, to: message.to, subject: message.subject, html: message.html });
+            await outbox.updateOne(
+                { _id: message._id },
+                { $set: { status: 'SENT', sentAt: new Date(), messageId: info.messageId || null, lastError: null } }
+            );
+        } catch (err) {
+            const failed = message.attempts >= MAX_ATTEMPTS;
+            const delay = RETRY_BASE_DELAY_MS * 2 ** (message.attempts - 1);
+            await outbox.updateOne(
+                { _id: message._id },
+                {
+                    $set: {
+                        status: failed ? 'FAILED' : 'QUEUED',
+                        lastError: err.message,
+                        nextAttemptAt: failed ? null : new Date(Date.now() + delay)
+                    }
+                }
+            );
+            console.error(`Notification ${message._id} (${message.template}) attempt ${message.attempts} failed:`, err.message);
+        }
+    }
+
+    /**
+     * Sends every message that is due. Safe to call at any time; overlapping calls are skipped.
+     */
+    async function processOutbox() {
+        if (processing) return;
+        processing = true;
+        try {
+            let message;
+            while ((message = await claimNext())) {
+                await deliver(message);
+            }
+        } catch (err) {
+            console.error('Notification outbox error:', err);
+        } finally {
+            processing = false;
+        }
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(processOutbox, OUTBOX_POLL_INTERVAL);
+        processOutbox();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { enqueue, processOutbox, start, stop };
+}
+
+module.exports = {
+    OUTBOX_COLLECTION,
+    TEMPLATES,
+    createFileTransport,
+    createTransportFromEnv,
+    createNotificationService
+};
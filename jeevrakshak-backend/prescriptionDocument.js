@@ -0,0 +1,163 @@
+// prescriptionDocument.js (Signed PDF copies of prescriptions, and the codes that verify them)
+//
+// Every prescription carries a verification code and an HMAC signature over the details a
+// pharmacist relies on. The PDF prints both, plus a QR code pointing at the public verification
+// page, so anyone holding the paper can check it was issued here and has not been altered since.
+
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { FREQUENCIES } = require('./drugCatalogue');
+
+const VERIFICATION_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Same readable alphabet as Patient IDs
+
+function generateVerificationCode() {
+    return 'RX-' + Array.from(crypto.randomBytes(10), byte => VERIFICATION_CODE_ALPHABET[byte % VERIFICATION_CODE_ALPHABET.length]).join('');
+}
+
+// Line items in a fixed field order, so the signature does not depend on how the stored object was built
+function canonicalItems(items) {
+    if (!Array.isArray(items)) return null;
+    return items.map(item => [
+        item.name, item.strength, item.form, item.dose, item.frequency, item.route, item.durationDays, item.instructions || ''
+    ]);
+}
+
+// What the signature covers; changing any of these on the stored record makes verification fail.
+// The items and notes are what the PDF prints, so they are covered as well as the plain-text copy.
+function getSignedFields(prescription) {
+    return JSON.stringify([
+        prescription.verificationCode,
+        prescription.hospitalId,
+        prescription.hospitalName,
+        prescription.doctor,
+        prescription.patientName,
+        new Date(prescription.prescribedAt).toISOString(),
+        prescription.prescription,
+        canonicalItems(prescription.items),
+        prescription.notes || ''
+    ]);
+}
+
+function signPrescription(prescription, secret) {
+    return crypto.createHmac('sha256', secret).update(getSignedFields(prescription)).digest('hex');
+}
+
+function isSignatureValid(prescription, secret) {
+    if (typeof prescription.signature !== 'string') return false;
+    const expected = Buffer.from(signPrescription(prescription, secret), 'hex');
+    const actual = Buffer.from(prescription.signature, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// "Jane Doe" -> "J. D.", so the verification page can confirm a match without naming the patient
+function toInitials(name) {
+    return String(name || '').trim().split(/\s+/).filter(Boolean).map(part => `${part[0].toUpperCase()}.`).join(' ');
+}
+
+function formatDate(date) {
+    return new Date(date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Lays out the prescription as an A4 PDF.
+ * @param {object} prescription A stored prescription with verificationCode and signature
+ * @param {object} options
+ * @param {string} options.verifyUrl Where the QR code sends people to check the code
+ * @param {string|null} [options.patientCode] The patient's Patient ID, if the prescription is linked to an account
+ * @returns {Promise<Buffer>}
+ */
+async function renderPrescriptionPdf(prescription, { verifyUrl, patientCode = null }) {
+    const qr = await QRCode.toBuffer(verifyUrl, { margin: 1, width: 220 });
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: 50,
+            info: {
+                Title: `Prescription ${prescription.verificationCode}`,
+                Author: prescription.hospitalName || 'JeevRakshak Hospital Network',
+                Subject: `Prescription for ${prescription.patientName}`,
+                Keywords: prescription.verificationCode
+            }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const left = doc.page.margins.left;
+        const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+        // Letterhead
+        doc.font('Helvetica-Bold').fontSize(20).fillColor('#0f766e')
+            .text(prescription.hospitalName || 'JeevRakshak Hospital Network', { align: 'center' });
+        doc.font('Helvetica').fontSize(10).fillColor('#475569')
+            .text('Issued through the JeevRakshak network', { align: 'center' });
+        doc.moveDown(0.5);
+        doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor('#0f766e').lineWidth(1.5).stroke();
+        doc.moveDown(1);
+
+        // Who and when
+        const detail = (label, value) => {
+            doc.font('Helvetica-Bold').fontSize(11).fillColor('#0f172a').text(`${label}: `, { continued: true })
+                .font('Helvetica').text(value);
+        };
+        detail('Patient', prescription.patientName);
+        if (patientCode) detail('Patient ID', patientCode);
+        detail('Prescribed by', `Dr. ${prescription.doctor || 'Hospital Staff'}`);
+        detail('Date', formatDate(prescription.prescribedAt));
+        doc.moveDown(1);
+
+        // Medicines
+        doc.font('Helvetica-Bold').fontSize(22).fillColor('#0f172a').text('Rx');
+        doc.moveDown(0.3);
+        if (prescription.items && prescription.items.length > 0) {
+            prescription.items.forEach((item, index) => {
+                doc.font('Helvetica-Bold').fontSize(12).fillColor('#0f172a')
+                    .text(`${index + 1}. ${item.name} ${item.strength} (${item.form})`);
+                doc.font('Helvetica').fontSize(11).fillColor('#334155')
+                    .text(`${item.dose}, ${FREQUENCIES[item.frequency] || item.frequency}, ${item.route}, for ${item.durationDays} day(s)`, { indent: 16 });
+                if (item.instructions) doc.font('Helvetica-Oblique').text(item.instructions, { indent: 16 });
+                doc.moveDown(0.5);
+            });
+            if (prescription.notes) {
+                doc.moveDown(0.5);
+                doc.font('Helvetica-Bold').fontSize(11).fillColor('#0f172a').text('Notes');
+                doc.font('Helvetica').fillColor('#334155').text(prescription.notes);
+            }
+        } else {
+            // Prescriptions from before line items are free text
+            doc.font('Helvetica').fontSize(11).fillColor('#334155').text(prescription.prescription || '');
+        }
+
+        // Verification block, kept together at the foot of the last page
+        const blockHeight = 130;
+        if (doc.y + blockHeight > doc.page.height - doc.page.margins.bottom) doc.addPage();
+        const top = doc.page.height - doc.page.margins.bottom - blockHeight;
+        doc.moveTo(left, top - 10).lineTo(left + width, top - 10).strokeColor('#cbd5e1').lineWidth(1).stroke();
+        doc.image(qr, left, top, { width: 110 });
+
+        const textLeft = left + 125;
+        const textWidth = width - 125;
+        doc.font('Helvetica-Bold').fontSize(12).fillColor('#0f172a')
+            .text(`Verification code: ${prescription.verificationCode}`, textLeft, top + 5, { width: textWidth });
+        doc.font('Helvetica').fontSize(9).fillColor('#475569')
+            .text('Scan the QR code or open the address below to confirm this prescription is genuine and unaltered.', { width: textWidth })
+            .moveDown(0.3)
+            .text(verifyUrl, { width: textWidth, link: verifyUrl, underline: true })
+            .moveDown(0.3)
+            .text(`Digital signature (HMAC-SHA256): ${prescription.signature.slice(0, 32)}`, { width: textWidth })
+            .text('This document was issued electronically and is valid without a handwritten signature.', { width: textWidth });
+
+        doc.end();
+    });
+}
+
+module.exports = {
+    generateVerificationCode,
+    signPrescription,
+    isSignatureValid,
+    toInitials,
+    renderPrescriptionPdf
+};
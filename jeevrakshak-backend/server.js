@@ -1,18 +1,63 @@
-// server.js (Complete Backend Code with Location-Based Routing, Prescriptions, and Resolution)
+// server.js (Complete Backend Code with Capacity-Aware Routing, Prescriptions, and Resolution)
 
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { MongoClient, ServerApiVersion, ObjectId } = require('mongodb');
+const { MongoClient, ServerApiVersion, ObjectId, GridFSBucket } = require('mongodb');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const nodemailer = require("nodemailer");
+const { createNotificationService, OUTBOX_COLLECTION } = require('./notifications');
+const drugCatalogue = require('./drugCatalogue');
+const drugInteractions = require('./drugInteractions');
+const prescriptionDocument = require('./prescriptionDocument');
+const medicationSchedule = require('./medicationSchedule');
+const localTime = require('./localTime');
+const multer = require('multer');
+const crypto = require('crypto');
+const { finished } = require('stream/promises');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const MONGO_URI = process.env.MONGO_URI;
 const DB_NAME = "JeevrakshakDB";
 const JWT_SECRET = process.env.JWT_SECRET;
+const PRESCRIPTION_SIGNING_SECRET = process.env.PRESCRIPTION_SIGNING_SECRET || JWT_SECRET; // Set its own secret so rotating JWT_SECRET does not void printed prescriptions
+
+// --- Session Configuration ---
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000; // Access JWTs are short-lived; clients renew them with a refresh token
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // A session with no refresh for 30 days must log in again
+const PASSWORD_RESET_TTL_MS = 30 * 60 * 1000; // Emailed reset links stop working after 30 minutes
+
+// --- Routing Configuration ---
+const ROUTING_RADIUS_KM = parseFloat(process.env.ROUTING_RADIUS_KM) || 25; // Only hospitals within this radius are ranked by load
+const ROUTING_PENDING_PENALTY_KM = 2; // Each pending doctor request "costs" this many km
+const ROUTING_SOS_PENALTY_KM = 5; // Each pending SOS "costs" this many km
+const MAX_PREFERRED_HOSPITALS = 5; // Hospitals a patient can mark as preferred for doctor requests
+
+// --- SOS Escalation Configuration ---
+const SOS_ESCALATION_WINDOW_MS = (parseInt(process.env.SOS_ESCALATION_SECONDS) || 120) * 1000; // Unacknowledged SOS moves on after this
+const SOS_ESCALATION_CHECK_INTERVAL = 15000; // How often the escalation watcher runs
+
+// --- Request Abuse Protection ---
+const SOS_RATE_LIMIT = { windowMs: 10 * 60 * 1000, perPatient: 3, perIp: 5 }; // SOS alerts per 10 minutes
+const DOCTOR_REQUEST_RATE_LIMIT = { windowMs: 60 * 60 * 1000, perPatient: 5, perIp: 20 }; // Doctor requests per hour
+const SOS_NAME_MAX = 100; // Anonymous senders type their own name; longer or non-text names fall back to 'Anonymous'
+const SOS_DUPLICATE_WINDOW_MS = 5 * 60 * 1000; // A second SOS from the same sender within this window reuses the open one
+const PROOF_UPLOAD_RATE_LIMIT = { windowMs: 60 * 60 * 1000, perPatient: 10, perIp: 10 }; // Proof uploads per hour
+const PASSWORD_RESET_RATE_LIMIT = { windowMs: 60 * 60 * 1000, perPatient: 5, perIp: 5 }; // Reset emails per hour
+const PRESCRIPTION_VERIFY_RATE_LIMIT = { windowMs: 60 * 60 * 1000, perPatient: 60, perIp: 60 }; // Public code lookups per hour
+const REFILL_RATE_LIMIT = { windowMs: 60 * 60 * 1000, perPatient: 10, perIp: 20 }; // Refill requests per hour, separate from doctor requests
+const APPOINTMENT_RATE_LIMIT = { windowMs: 60 * 60 * 1000, perPatient: 10, perIp: 20 }; // Bookings per hour, separate from doctor requests
+
+// --- Proof Document Storage (GridFS bucket "proofs") ---
+const PROOF_MAX_BYTES = 5 * 1024 * 1024; // 5 MB per document
+// The browser-supplied MIME type is only a hint, so the file must also start with the matching signature
+const PROOF_SIGNATURES = {
+    'image/jpeg': [0xFF, 0xD8, 0xFF],
+    'image/png': [0x89, 0x50, 0x4E, 0x47],
+    'image/webp': [0x52, 0x49, 0x46, 0x46], // "RIFF"
+    'application/pdf': [0x25, 0x50, 0x44, 0x46] // "%PDF"
+};
 
 if (!MONGO_URI || !JWT_SECRET) {
     console.error("FATAL ERROR: MONGO_URI or JWT_SECRET is not defined in .env file.");
@@ -21,12 +66,20 @@ if (!MONGO_URI || !JWT_SECRET) {
 
 // --- Middleware ---
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+
+// Proof documents arrive as multipart uploads and are held in memory only until written to GridFS
+const proofUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: PROOF_MAX_BYTES, files: 1 }
+});
 
 
 // --- MongoDB Setup ---
 let db;
+let proofBucket;
+let notifications;
 const client = new MongoClient(MONGO_URI, {
     serverApi: {
         version: ServerApiVersion.v1,
@@ -39,6 +92,60 @@ async function connectToMongo() {
     try {
         await client.connect();
         db = client.db(DB_NAME);
+        proofBucket = new GridFSBucket(db, { bucketName: 'proofs' });
+        notifications = createNotificationService({ db });
+        // Refresh tokens are looked up by hash, and MongoDB drops them once they expire
+        await db.collection('refreshTokens').createIndexes([
+            { key: { tokenHash: 1 }, unique: true },
+            { key: { expiresAt: 1 }, expireAfterSeconds: 0 }
+        ]);
+        await db.collection('passwordResets').createIndexes([
+            { key: { tokenHash: 1 }, unique: true },
+            { key: { expiresAt: 1 }, expireAfterSeconds: 24 * 60 * 60 } // Kept a day after expiry for reference
+        ]);
+        await db.collection(AUDIT_COLLECTION).createIndexes([
+            { key: { at: -1 } },
+            { key: { hospitalIds: 1, at: -1 } }
+        ]);
+        await db.collection('users').createIndex(
+            { patientCode: 1 },
+            { unique: true, partialFilterExpression: { patientCode: { $type: 'string' } } }
+        );
+        await db.collection(VITALS_COLLECTION).createIndex({ admissionId: 1, at: 1 });
+        await db.collection('prescriptions').createIndex(
+            { verificationCode: 1 },
+            { unique: true, partialFilterExpression: { verificationCode: { $type: 'string' } } }
+        );
+        await db.collection(ALLERGIES_COLLECTION).createIndexes([
+            { key: { patientId: 1 } },
+            { key: { admissionId: 1 } }
+        ]);
+        await db.collection(MEDICATION_LOGS_COLLECTION).createIndex(
+            { patientId: 1, prescriptionId: 1, itemIndex: 1, scheduledAt: 1 },
+            { unique: true }
+        );
+        await db.collection(APPOINTMENT_SLOTS_COLLECTION).createIndexes([
+            { key: { hospitalId: 1, startAt: 1 } },
+            { key: { staffId: 1, startAt: 1 }, unique: true } // One slot per doctor per start time
+        ]);
+        await db.collection(APPOINTMENTS_COLLECTION).createIndexes([
+            { key: { hospitalId: 1, startAt: 1 } },
+            { key: { patientId: 1, startAt: -1 } }
+        ]);
+        await db.collection(WARDS_COLLECTION).createIndex({ hospitalId: 1, name: 1 }, { unique: true });
+        await db.collection(BEDS_COLLECTION).createIndexes([
+            { key: { wardId: 1, label: 1 }, unique: true },
+            { key: { admissionId: 1 } }
+        ]);
+        await db.collection(ADMISSION_HISTORY_COLLECTION).createIndexes([
+            { key: { hospitalId: 1, 'discharge.at': -1 } },
+            { key: { patientId: 1, 'discharge.at': -1 } }
+        ]);
+        // Staff login usernames are unique platform-wide; directory-only staff have no username
+        await db.collection('hospitalStaff').createIndex(
+            { username: 1 },
+            { unique: true, partialFilterExpression: { username: { $type: 'string' } } }
+        );
         console.log(`Successfully connected to MongoDB! Database: ${DB_NAME}`);
     } catch (e) {
         console.error("Could not connect to MongoDB:", e);
@@ -73,9 +180,10 @@ function getDistance(lat1, lon1, lat2, lon2) {
  * Finds the nearest hospital to the given patient location.
  * @param {number} patientLat 
  * @param {number} patientLng 
+ * @param {string[]} [excludeIds] Hospital _ids to skip (e.g. hospitals an SOS was already escalated away from)
  * @returns {{hospital: object, distance: number}|null}
  */
-async function findNearestHospital(patientLat, patientLng) {
+async function findNearestHospital(patientLat, patientLng, excludeIds = []) {
     const usersCollection = db.collection('users');
     const allHospitals = await usersCollection.find({ role: 'hospital', status: 'APPROVED' }).toArray();
 
@@ -83,6 +191,8 @@ async function findNearestHospital(patientLat, patientLng) {
     let minDistance = Infinity;
 
     for (const hospital of allHospitals) {
+        if (excludeIds.includes(hospital._id.toString())) continue;
+
         const hLat = hospital.location ? parseFloat(hospital.location.lat) : null;
         const hLng = hospital.location ? parseFloat(hospital.location.lng) : null;
 
@@ -102,686 +212,4512 @@ async function findNearestHospital(patientLat, patientLng) {
     return null;
 }
 
-// --- Nodemailer setup for approval emails ---
-const transporter = nodemailer.createTransport({
-    service: "gmail",
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
+/**
+ * Lists APPROVED hospitals within radiusKm of the patient, nearest first.
+ * @returns {Promise<Array<{hospital: object, distance: number}>>}
+ */
+async function listNearbyHospitals(patientLat, patientLng, radiusKm = ROUTING_RADIUS_KM) {
+    const allHospitals = await db.collection('users').find({ role: 'hospital', status: 'APPROVED' }).toArray();
+
+    const inRange = [];
+    for (const hospital of allHospitals) {
+        if (!hospital.location) continue;
+        const distance = getDistance(patientLat, patientLng, parseFloat(hospital.location.lat), parseFloat(hospital.location.lng));
+        if (distance <= radiusKm) inRange.push({ hospital, distance });
     }
-});
+    return inRange.sort((a, b) => a.distance - b.distance);
+}
 
-function sendHospitalApprovalEmail(email, hospitalId) {
-    const mailOptions = {
-        from: process.env.EMAIL_USER,
-        to: email,
-        subject: "Your Hospital Has Been Approved",
-        html: `
-            <h2>Congratulations!</h2>
-            <p>Your hospital has been verified and approved.</p>
-            <p><strong>Hospital ID:</strong> ${hospitalId}</p>
-            <p>Use this Hospital ID to log in. If you were given a temporary password during registration, use that to sign in and then change it in the profile.</p>
-            <p>— Jeevrakshak Team</p>
-        `
-    };
+// --- Capacity-Aware Routing ---
 
-    transporter.sendMail(mailOptions, (err, info) => {
-        if (err) console.error("Email error:", err);
-        else console.log("Approval email sent:", info.response);
-    });
-}
+const DOCTOR_ROLE_PATTERN = /doctor|physician|surgeon/i;
 
-// Helper to generate a unique hospital ID
-function generateHospitalId() {
-    return "HSP-" + Math.floor(100000 + Math.random() * 900000);
+/**
+ * Returns true if a staff member with the given shift is working right now.
+ * Day shift runs 08:00-20:00, Night shift covers the rest; On-Call is always reachable.
+ * Hours are local time at LOCAL_UTC_OFFSET_MINUTES, not the server's time zone.
+ */
+function isOnShift(shift, now = new Date()) {
+    const value = (shift || '').toLowerCase();
+    const hour = localTime.localHour(now);
+    if (value === 'on-call') return true;
+    if (value === 'day') return hour >= 8 && hour < 20;
+    if (value === 'night') return hour < 8 || hour >= 20;
+    return false;
 }
 
-// --- JWT Authentication Middleware ---
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+/**
+ * Collects the current load of each hospital: pending requests, pending SOS alerts,
+ * admitted patients, doctors on shift and bed availability.
+ * @param {string[]} hospitalIds
+ * @returns {Promise<Object<string, {pendingRequests: number, pendingSOS: number, admittedPatients: number, doctorsOnShift: number, beds: object}>>}
+ */
+async function getHospitalLoads(hospitalIds) {
+    const loads = {};
+    hospitalIds.forEach(id => {
+        loads[id] = { pendingRequests: 0, pendingSOS: 0, admittedPatients: 0, doctorsOnShift: 0 };
+    });
 
-    if (token == null) return res.status(401).json({ message: 'Authentication token required.' });
+    const beds = await getBedAvailability(hospitalIds);
+    hospitalIds.forEach(id => { loads[id].beds = beds[id]; });
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            console.error("JWT Error:", err.message);
-            // Return 403 Forbidden on invalid token
-            return res.status(403).json({ message: 'Invalid or expired token.' });
-        }
-        req.user = user;
-        next();
+    const requestCounts = await db.collection('doctorRequests').aggregate([
+        { $match: { status: { $in: ACTIVE_REQUEST_STATUSES }, hospitalId: { $in: hospitalIds } } },
+        { $group: { _id: { hospitalId: '$hospitalId', type: '$type' }, count: { $sum: 1 } } }
+    ]).toArray();
+
+    requestCounts.forEach(row => {
+        const load = loads[row._id.hospitalId];
+        if (!load) return;
+        if (row._id.type === 'SOS') load.pendingSOS += row.count;
+        else load.pendingRequests += row.count;
     });
-};
 
-// ------------------------------------
-// --- AUTHENTICATION ROUTES (Patient & Hospital Login/Registration)
-// ------------------------------------
+    const patientCounts = await db.collection('admittedPatients').aggregate([
+        { $match: { hospitalId: { $in: hospitalIds } } },
+        { $group: { _id: '$hospitalId', count: { $sum: 1 } } }
+    ]).toArray();
 
-// POST /api/register/patient (New Patient Signup)
-app.post('/api/register/patient', async (req, res) => {
-    const { username, password, location } = req.body;
-    const usersCollection = db.collection('users');
-    const existingUser = await usersCollection.findOne({ username });
+    patientCounts.forEach(row => {
+        if (loads[row._id]) loads[row._id].admittedPatients = row.count;
+    });
 
-    if (existingUser) {
-        return res.status(409).json({ message: 'Username already exists.' });
-    }
+    const staff = await db.collection('hospitalStaff')
+        .find({ hospitalId: { $in: hospitalIds } }, { projection: { hospitalId: 1, role: 1, shift: 1 } })
+        .toArray();
 
-    try {
-        const hashedPassword = await bcrypt.hash(password, 10);
-        const newUser = {
-            username,
-            password: hashedPassword,
-            role: 'patient',
-            location: location || null, // Save initial location
-            createdAt: new Date()
-        };
-        await usersCollection.insertOne(newUser);
+    staff.forEach(s => {
+        if (loads[s.hospitalId] && DOCTOR_ROLE_PATTERN.test(s.role || '') && isOnShift(s.shift)) {
+            loads[s.hospitalId].doctorsOnShift++;
+        }
+    });
 
-        const token = jwt.sign({ username: newUser.username, role: newUser.role, id: newUser._id.toString() }, JWT_SECRET, { expiresIn: '1h' });
-        res.status(201).json({ message: 'Patient registered successfully.', username, token });
-    } catch (e) {
-        console.error("Registration Error:", e);
-        res.status(500).json({ message: 'Internal server error during registration.' });
-    }
-});
+    return loads;
+}
 
-// POST /api/register/hospital (Hospital Signup with documents)
-app.post('/api/register/hospital', async (req, res) => {
-    // Expected body: { name, email, password, location: {lat,lng}, proofUrl }
-    const { name, email, password, location, proofUrl } = req.body;
-    const usersCollection = db.collection('users');
-    const existingUser = await usersCollection.findOne({ email });
+/**
+ * Explains in plain words why a hospital was (or was not) a good candidate.
+ */
+function describeLoad(candidate) {
+    const parts = [`${candidate.distance.toFixed(1)} km away`];
+    parts.push(`${candidate.load.pendingSOS} pending SOS`);
+    parts.push(`${candidate.load.pendingRequests} pending requests`);
+    parts.push(`${candidate.load.doctorsOnShift} doctor(s) on shift`);
+    if (candidate.freeBeds !== null) parts.push(`${candidate.freeBeds} free bed(s)`);
+    return parts.join(', ');
+}
 
-    if (existingUser) {
-        return res.status(409).json({ message: 'Hospital already registered with this email.' });
+/**
+ * Picks the best hospital for a patient by combining distance with current load.
+ * Only APPROVED hospitals within ROUTING_RADIUS_KM are ranked; hospitals with a doctor
+ * on shift and free beds are preferred. Falls back to the nearest hospital overall
+ * when nothing is inside the radius, so a patient is never left without a hospital.
+ * With onlyIds, just those hospitals are ranked and there is no fallback (null if none are in range).
+ * @param {number} patientLat
+ * @param {number} patientLng
+ * @param {{radiusKm?: number, onlyIds?: string[]}} [options]
+ * @returns {Promise<{hospital: object, distance: number, load: object|null, reason: string}|null>}
+ */
+async function findBestHospital(patientLat, patientLng, options = {}) {
+    const radiusKm = options.radiusKm || ROUTING_RADIUS_KM;
+    const inRange = (await listNearbyHospitals(patientLat, patientLng, radiusKm))
+        .filter(c => !options.onlyIds || options.onlyIds.includes(c.hospital._id.toString()));
+
+    if (inRange.length === 0) {
+        if (options.onlyIds) return null;
+        const nearest = await findNearestHospital(patientLat, patientLng);
+        if (!nearest) return null;
+        return {
+            ...nearest,
+            load: null,
+            reason: `No hospital within ${radiusKm} km; routed to the nearest hospital (${nearest.distance.toFixed(1)} km away).`
+        };
     }
 
-    try {
-        const hashedPassword = await bcrypt.hash(password, 10);
+    const loads = await getHospitalLoads(inRange.map(c => c.hospital._id.toString()));
+
+    const candidates = inRange.map(c => {
+        const load = loads[c.hospital._id.toString()];
+        // Hospitals that manage their beds report real availability; others fall back to a declared total
+        const totalBeds = parseInt(c.hospital.totalBeds);
+        const freeBeds = load.beds.total > 0
+            ? load.beds.free
+            : (Number.isFinite(totalBeds) ? Math.max(0, totalBeds - load.admittedPatients) : null);
+        const available = load.doctorsOnShift > 0 && freeBeds !== 0;
+        const score = c.distance
+            + load.pendingRequests * ROUTING_PENDING_PENALTY_KM
+            + load.pendingSOS * ROUTING_SOS_PENALTY_KM;
+        return { ...c, load, freeBeds, available, score };
+    });
 
-        const newHospital = {
-            name,
-            email,
-            password: hashedPassword,
-            role: 'hospital',
-            location,
-            proofUrl,
-            status: 'PENDING',  // IMPORTANT
-            createdAt: new Date()
-        };
+    // Available hospitals always rank above busy/unstaffed ones, then lowest score wins
+    candidates.sort((a, b) => (b.available - a.available) || (a.score - b.score));
+
+    const best = candidates[0];
+    const nearest = candidates.reduce((min, c) => (c.distance < min.distance ? c : min), candidates[0]);
+
+    let reason;
+    if (!best.available) {
+        reason = `No hospital within ${radiusKm} km has both a doctor on shift and a free bed; chose the least loaded one (${describeLoad(best)}).`;
+    } else if (best === nearest) {
+        reason = `Nearest available hospital within ${radiusKm} km (${describeLoad(best)}).`;
+    } else {
+        const why = !nearest.available
+            ? (nearest.load.doctorsOnShift === 0 ? 'has no doctor on shift' : 'has no free beds')
+            : 'has a heavier queue';
+        reason = `Chosen over the closer ${nearest.hospital.name || nearest.hospital.username}, which ${why} (${describeLoad(best)}).`;
+    }
 
-        await usersCollection.insertOne(newHospital);
+    return { hospital: best.hospital, distance: best.distance, load: best.load, reason };
+}
 
-        res.status(201).json({
-            message: 'Hospital registration submitted. Pending verification by admin.'
-        });
+// --- Request Lifecycle ---
+
+// PENDING → ACKNOWLEDGED → IN_PROGRESS → RESOLVED, with CANCELLED possible from any open state.
+// ESCALATED means an SOS was reassigned and is waiting for the new hospital to acknowledge it.
+const REQUEST_TRANSITIONS = {
+    PENDING: ['ACKNOWLEDGED', 'IN_PROGRESS', 'RESOLVED', 'CANCELLED', 'ESCALATED'],
+    ESCALATED: ['ACKNOWLEDGED', 'IN_PROGRESS', 'RESOLVED', 'CANCELLED', 'ESCALATED'],
+    ACKNOWLEDGED: ['IN_PROGRESS', 'RESOLVED', 'CANCELLED'],
+    IN_PROGRESS: ['RESOLVED', 'CANCELLED'],
+    RESOLVED: [],
+    CANCELLED: []
+};
+const ACTIVE_REQUEST_STATUSES = ['PENDING', 'ESCALATED', 'ACKNOWLEDGED', 'IN_PROGRESS'];
+const UNACKNOWLEDGED_REQUEST_STATUSES = ['PENDING', 'ESCALATED'];
+const CLOSED_REQUEST_STATUSES = ['RESOLVED', 'CANCELLED'];
 
-    } catch (error) {
-        console.error('Hospital registration error:', error);
-        res.status(500).json({ message: 'Internal server error.' });
-    }
-});
+// Refill requests are doctor requests of type REFILL. They go to the hospital that wrote the
+// prescription and close as RESOLVED (approved, maybe with changes) or CANCELLED (declined).
+const REFILL_NOTE_MAX = 500;
 
-// POST /api/login (Patient or Hospital Login)
-app.post('/api/login', async (req, res) => {
-    // For hospital login ensure status === 'APPROVED'
-    const { username, password, role, location } = req.body;
-    const usersCollection = db.collection('users');
+/**
+ * Builds the "who did it" stamp stored on each lifecycle transition.
+ */
+async function getActor(reqUser) {
+    if (reqUser.staffId) {
+        const staff = await db.collection('hospitalStaff').findOne(
+            { _id: new ObjectId(reqUser.staffId) },
+            { projection: { name: 1, username: 1 } }
+        );
+        return {
+            id: reqUser.staffId,
+            role: 'staff',
+            accessRole: reqUser.accessRole,
+            hospitalId: reqUser.id,
+            name: (staff && (staff.name || staff.username)) || reqUser.username || 'Unknown'
+        };
+    }
 
-    try {
-        // when role === 'hospital', username can be email or hospitalId depending on your choice.
-        let query = { username, role };
+    const user = await db.collection('users').findOne(
+        { _id: new ObjectId(reqUser.id) },
+        { projection: { name: 1, username: 1 } }
+    );
+    return {
+        id: reqUser.id,
+        role: reqUser.role,
+        name: (user && (user.name || user.username)) || reqUser.username || 'Unknown'
+    };
+}
 
-        // Fall back: allow hospital login by hospitalId as well
-        if (role === 'hospital') {
-            query = { $or: [{ username }, { email: username }, { hospitalId: username }], role };
-        }
+/**
+ * Moves a hospital's request to a new status if the transition is allowed,
+ * appending the change to statusHistory.
+ * @returns {Promise<{request?: object, error?: string, code?: number}>}
+ */
+async function transitionRequest(requestId, reqUser, toStatus, note) {
+    const allowedFrom = Object.keys(REQUEST_TRANSITIONS).filter(from => REQUEST_TRANSITIONS[from].includes(toStatus));
+    const requestsCollection = db.collection('doctorRequests');
+    const actor = await getActor(reqUser);
+    const now = new Date();
+
+    const update = {
+        $set: { status: toStatus, updatedAt: now },
+        $push: { statusHistory: { status: toStatus, at: now, by: actor, note: note || null } }
+    };
+    if (CLOSED_REQUEST_STATUSES.includes(toStatus)) {
+        update.$set.closedAt = now;
+        update.$set.closedBy = actor;
+    }
 
-        const user = await usersCollection.findOne(query);
+    const updated = await requestsCollection.findOneAndUpdate(
+        { _id: new ObjectId(requestId), hospitalId: reqUser.id, status: { $in: allowedFrom } },
+        update,
+        { returnDocument: 'after' }
+    );
 
-        if (!user) {
-            return res.status(400).json({ message: 'Invalid username or password.' });
-        }
+    if (updated) return { request: updated };
 
-        if (!(await bcrypt.compare(password, user.password))) {
-            return res.status(400).json({ message: 'Invalid username or password.' });
-        }
+    // Work out why it failed so the client gets a useful message
+    const existing = await requestsCollection.findOne({ _id: new ObjectId(requestId), hospitalId: reqUser.id });
+    if (!existing) return { code: 404, error: 'Request not found.' };
+    return { code: 409, error: `Cannot move a ${existing.status} request to ${toStatus}.` };
+}
 
-        if (role === 'hospital' && user.status !== 'APPROVED') {
-            return res.status(403).json({ message: 'Hospital registration pending admin approval.' });
-        }
+// --- SOS Escalation Watcher ---
 
-        // If patient provides new location during login, update it
-        if (role === 'patient' && location) {
-            await usersCollection.updateOne(
-                { _id: user._id },
-                { $set: { location: location } }
+/**
+ * Reassigns every SOS that has sat unacknowledged past SOS_ESCALATION_WINDOW_MS
+ * to the next-nearest approved hospital that has not already had it.
+ * Each hop is appended to the request's escalationChain.
+ */
+async function escalateUnacknowledgedSOS() {
+    const requestsCollection = db.collection('doctorRequests');
+    const cutoff = new Date(Date.now() - SOS_ESCALATION_WINDOW_MS);
+
+    const staleRequests = await requestsCollection.find({
+        type: 'SOS',
+        status: { $in: UNACKNOWLEDGED_REQUEST_STATUSES },
+        escalationExhausted: { $ne: true },
+        $or: [
+            { assignedAt: { $lte: cutoff } },
+            { assignedAt: { $exists: false }, timestamp: { $lte: cutoff } } // Requests created before escalation existed
+        ]
+    }).toArray();
+
+    for (const request of staleRequests) {
+        const chain = request.escalationChain || [{
+            hospitalId: request.hospitalId,
+            hospitalName: request.hospitalName,
+            assignedAt: request.timestamp,
+            reason: 'Initial routing'
+        }];
+        const triedIds = chain.map(hop => hop.hospitalId);
+
+        const next = request.location
+            ? await findNearestHospital(request.location.lat, request.location.lng, triedIds)
+            : null;
+
+        if (!next) {
+            // Nobody left to escalate to: keep it with the current hospital and stop retrying
+            await requestsCollection.updateOne(
+                { _id: request._id, status: { $in: UNACKNOWLEDGED_REQUEST_STATUSES } },
+                { $set: { escalationExhausted: true, escalationChain: chain } }
             );
+            console.warn(`SOS ${request._id} could not be escalated further; no other approved hospitals.`);
+            continue;
         }
 
-        const token = jwt.sign({ username: user.username, role: user.role, id: user._id.toString() }, JWT_SECRET, { expiresIn: '12h' });
-
-        // Add hospitalId to response if available
-        const responsePayload = {
-            message: 'Login successful.',
-            username: user.username,
-            role: user.role,
-            token,
-            id: user._id.toString()
+        const now = new Date();
+        const hop = {
+            hospitalId: next.hospital._id.toString(),
+            hospitalName: next.hospital.username || next.hospital.name,
+            assignedAt: now,
+            distance: next.distance,
+            reason: `Not acknowledged by ${request.hospitalName} within ${SOS_ESCALATION_WINDOW_MS / 1000}s`
         };
-        if (user.hospitalId) {
-            responsePayload.hospitalId = user.hospitalId;
-        }
 
-        res.json(responsePayload);
+        // Match on the current hospital so an acknowledgement that lands mid-escalation wins
+        const result = await requestsCollection.updateOne(
+            { _id: request._id, status: { $in: UNACKNOWLEDGED_REQUEST_STATUSES }, hospitalId: request.hospitalId },
+            {
+                $set: {
+                    status: 'ESCALATED',
+                    hospitalId: hop.hospitalId,
+                    hospitalName: hop.hospitalName,
+                    assignedAt: now,
+                    updatedAt: now,
+                    escalationChain: [...chain, hop]
+                },
+                $push: {
+                    statusHistory: {
+                        status: 'ESCALATED',
+                        at: now,
+                        by: { id: null, role: 'system', name: 'SOS Escalation' },
+                        note: `${hop.reason}; reassigned to ${hop.hospitalName}`
+                    }
+                },
+                $inc: { escalationCount: 1 }
+            }
+        );
 
-    } catch (e) {
-        console.error("Login Error:", e);
-        res.status(500).json({ message: 'Internal server error during login.' });
+        if (result.modifiedCount > 0) {
+            console.log(`SOS ${request._id} escalated from ${request.hospitalName} to ${hop.hospitalName}.`);
+            const escalated = await requestsCollection.findOne({ _id: request._id }, { projection: { senderIp: 0 } });
+            await recordAudit(null, 'request.escalate', { type: 'doctorRequest', id: request._id }, {
+                actor: { id: null, role: 'system', name: 'SOS Escalation' },
+                hospitalIds: [request.hospitalId, hop.hospitalId],
+                before: request,
+                after: escalated,
+                note: hop.reason
+            });
+            pushToHospital(hop.hospitalId, 'new-request', escalated);
+            pushToHospital(request.hospitalId, 'request-removed', { _id: request._id, reason: 'escalated' });
+        }
     }
-});
+}
 
+function startSOSEscalationWatcher() {
+    setInterval(() => {
+        escalateUnacknowledgedSOS().catch(e => console.error('SOS Escalation Error:', e));
+    }, SOS_ESCALATION_CHECK_INTERVAL);
+}
 
-// ------------------------------------
-// --- ADMIN ROUTES (Hospital Approval)
-// ------------------------------------
+// --- Real-time Push (Server-Sent Events) ---
 
-// GET /api/hospitals/pending
-app.get('/api/hospitals/pending', authenticateToken, async (req, res) => {
-    if (req.user.role !== 'admin') {
-        return res.status(403).json({ message: 'Only admin can view pending hospitals.' });
-    }
+const SSE_HEARTBEAT_INTERVAL = 25000; // Keeps proxies from closing idle event streams
+const hospitalStreams = new Map(); // hospitalId -> Set of open SSE responses
+const sessionStreams = new Map(); // sessionId -> Set of open SSE responses, ended when the session is revoked
 
-    try {
-        const hospitals = await db.collection('users')
-            .find({ role: 'hospital', status: 'PENDING' })
-            .toArray();
+/**
+ * Sends an event to every open dashboard of the given hospital.
+ * @param {string} hospitalId
+ * @param {string} event Event name, e.g. 'new-request'
+ * @param {object} data JSON-serialisable payload
+ */
+function pushToHospital(hospitalId, event, data) {
+    const streams = hospitalStreams.get(hospitalId);
+    if (!streams) return;
 
-        res.json(hospitals);
-    } catch (e) {
-        console.error('Fetch Pending Hospitals Error:', e);
-        res.status(500).json({ message: 'Error fetching pending hospitals.' });
-    }
-});
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    streams.forEach(res => res.write(message));
+}
 
-// PUT /api/hospital/approve/:id
-app.put('/api/hospital/approve/:id', authenticateToken, async (req, res) => {
-    if (req.user.role !== 'admin') {
-        return res.status(403).json({ message: 'Only admin can approve hospitals.' });
-    }
+// --- Email Notifications (see notifications.js) ---
 
-    const hospitalIdParam = req.params.id;
-    const usersCollection = db.collection('users');
+// Queues an email without letting a notification problem fail the request that triggered it
+function queueEmail(template, to, data) {
+    notifications.enqueue(template, to, data)
+        .catch(err => console.error(`Could not queue ${template} email:`, err));
+}
 
-    try {
-        const hospital = await usersCollection.findOne({ _id: new ObjectId(hospitalIdParam) });
+/**
+ * Emails a patient if their account has an email address on file.
+ * Accepts any record carrying the patient's account id as `patientId`.
+ */
+async function notifyPatient({ patientId }, template, data) {
+    // Records not linked to an account have nobody to email; names are never used to guess one
+    if (!patientId || !ObjectId.isValid(patientId)) return;
+    const patient = await db.collection('users').findOne(
+        { _id: new ObjectId(patientId), role: 'patient' },
+        { projection: { email: 1, username: 1 } }
+    );
+    if (patient && patient.email) queueEmail(template, patient.email, { patientName: patient.username, ...data });
+}
 
-        if (!hospital) return res.status(404).json({ message: 'Hospital not found.' });
+// Helper to generate a unique hospital ID
+function generateHospitalId() {
+    return "HSP-" + Math.floor(100000 + Math.random() * 900000);
+}
 
-        const newHospitalId = generateHospitalId();
+// --- Patient Identity ---
 
-        await usersCollection.updateOne(
-            { _id: new ObjectId(hospitalIdParam) },
-            { $set: { status: 'APPROVED', hospitalId: newHospitalId } }
-        );
+// Every record that belongs to a patient account stores the account's _id as `patientId`.
+// Patients also get a short Patient ID (`patientCode`, e.g. PAT-7KQ2M9XD) that they can read out
+// or show to a hospital, which uses it to link an admission or an anonymous SOS to their account.
+const PATIENT_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I, so it is easy to read aloud
 
-        // Send Email
-        sendHospitalApprovalEmail(hospital.email, newHospitalId);
+function generatePatientCode() {
+    return 'PAT-' + Array.from(crypto.randomBytes(8), byte => PATIENT_CODE_ALPHABET[byte % PATIENT_CODE_ALPHABET.length]).join('');
+}
 
-        res.json({ message: 'Hospital approved successfully.', hospitalId: newHospitalId });
+/**
+ * Returns the patient's Patient ID, assigning one first to accounts created before it existed.
+ */
+async function ensurePatientCode(user) {
+    if (user.patientCode) return user.patientCode;
 
-    } catch (e) {
-        console.error('Approval Error:', e);
-        res.status(500).json({ message: 'Error approving hospital.' });
+    const usersCollection = db.collection('users');
+    for (let attempt = 0; attempt < 3; attempt++) {
+        try {
+            const updated = await usersCollection.findOneAndUpdate(
+                { _id: user._id },
+                [{ $set: { patientCode: { $ifNull: ['$patientCode', generatePatientCode()] } } }],
+                { returnDocument: 'after', projection: { patientCode: 1 } }
+            );
+            return updated.patientCode;
+        } catch (e) {
+            if (e.code !== 11000) throw e; // Code already taken by someone else: draw another
+        }
     }
-});
+    throw new Error(`Could not assign a Patient ID to ${user._id}.`);
+}
 
-// ------------------------------------
-// --- PATIENT ROUTES (Needs Auth)
-// ------------------------------------
+function findPatientByCode(patientCode) {
+    return db.collection('users').findOne(
+        { patientCode: String(patientCode || '').trim().toUpperCase(), role: 'patient' },
+        { projection: { username: 1, patientCode: 1 } }
+    );
+}
 
-// POST /api/goals (Save/Update Patient Goals)
-app.post('/api/goals', authenticateToken, async (req, res) => {
-    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
+// --- Discharge ---
 
-    try {
-        const { goals } = req.body;
-        const patientName = req.user.username; // Use username from JWT for security
+// Discharged admissions move here, keeping their _id so prescriptions' admissionId still resolves
+const ADMISSION_HISTORY_COLLECTION = 'admissionHistory';
+const DISCHARGE_OUTCOMES = ['RECOVERED', 'IMPROVED', 'REFERRED', 'AGAINST_MEDICAL_ADVICE', 'DECEASED'];
+const DISCHARGE_TEXT_MAX = 5000;
 
-        await db.collection('goals').updateOne(
-            { patientName: patientName },
-            { $set: { goals, updatedAt: new Date() } },
-            { upsert: true }
-        );
+/**
+ * Validates a discharge form against the admission it closes.
+ * @returns {{error: string}|{discharge: object}} The discharge details, without who signed them
+ */
+function validateDischarge({ outcome, summary, followUp, medications, dischargedAt }, admission) {
+    if (!DISCHARGE_OUTCOMES.includes(outcome)) {
+        return { error: `Outcome must be one of ${DISCHARGE_OUTCOMES.join(', ')}.` };
+    }
+    if (typeof summary !== 'string' || !summary.trim()) {
+        return { error: 'A discharge summary is required.' };
+    }
+    if (summary.length > DISCHARGE_TEXT_MAX || (followUp && String(followUp).length > DISCHARGE_TEXT_MAX)) {
+        return { error: `Summary and follow-up instructions must be at most ${DISCHARGE_TEXT_MAX} characters.` };
+    }
+    if (medications !== undefined && (!Array.isArray(medications) || medications.some(m => typeof m !== 'string'))) {
+        return { error: 'Medications must be a list of text entries.' };
+    }
 
-        res.json({ message: 'Goals updated successfully.' });
-    } catch (e) {
-        console.error('Goal Update Error:', e);
-        res.status(500).json({ message: 'Error updating goals.' });
+    const at = dischargedAt ? new Date(dischargedAt) : new Date();
+    if (isNaN(at.getTime()) || at > new Date()) {
+        return { error: 'Discharge date must be a valid date that is not in the future.' };
+    }
+    if (admission.admittedAt && at < new Date(admission.admittedAt)) {
+        return { error: 'Discharge date cannot be before the admission date.' };
     }
-});
 
-// GET /api/goals/:patientName (Fetch Patient Goals)
-app.get('/api/goals/:patientName', authenticateToken, async (req, res) => {
-    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
+    return {
+        discharge: {
+            at,
+            outcome,
+            summary: summary.trim(),
+            followUp: followUp ? String(followUp).trim() : '',
+            medications: (medications || []).map(m => m.trim()).filter(Boolean)
+        }
+    };
+}
 
-    const patientNameParam = req.params.patientName;
-    if (patientNameParam !== req.user.username) {
-        return res.status(403).json({ message: 'Access denied to other patient\'s data.' });
-    }
+// --- Vitals and Condition ---
 
-    try {
+const VITALS_COLLECTION = 'vitals';
+const PATIENT_CONDITIONS = ['Stable', 'Fair', 'Serious', 'Critical'];
+
+// Plausible ranges; anything outside is almost certainly a typo rather than a reading
+const VITAL_RANGES = {
+    systolic: { min: 40, max: 300, label: 'Systolic BP' },
+    diastolic: { min: 20, max: 200, label: 'Diastolic BP' },
+    pulse: { min: 20, max: 250, label: 'Pulse' },
+    spo2: { min: 50, max: 100, label: 'SpO2' },
+    temperature: { min: 25, max: 45, label: 'Temperature (°C)' },
+    respiratoryRate: { min: 4, max: 80, label: 'Respiratory rate' }
+};
+
+// Admissions made before condition tracking only have the condition they were admitted with
+function getCurrentCondition(admission) {
+    return admission.currentCondition || admission.initialCondition;
+}
+
+/**
+ * Validates a vitals entry. Every reading is optional, but an entry needs at least one reading or a condition.
+ * @returns {{error: string}|{readings: object, condition: string|null}}
+ */
+function validateVitals(body) {
+    const readings = {};
+    for (const [field, range] of Object.entries(VITAL_RANGES)) {
+        const raw = body[field];
+        if (raw === undefined || raw === null || raw === '') continue;
+        const value = Number(raw);
+        if (!Number.isFinite(value) || value < range.min || value > range.max) {
+            return { error: `${range.label} must be between ${range.min} and ${range.max}.` };
+        }
+        readings[field] = value;
+    }
+    if ((readings.systolic === undefined) !== (readings.diastolic === undefined)) {
+        return { error: 'Blood pressure needs both systolic and diastolic values.' };
+    }
+
+    const condition = body.condition || null;
+    if (condition && !PATIENT_CONDITIONS.includes(condition)) {
+        return { error: `Condition must be one of ${PATIENT_CONDITIONS.join(', ')}.` };
+    }
+    if (!condition && Object.keys(readings).length === 0) {
+        return { error: 'Enter at least one reading or a condition change.' };
+    }
+    return { readings, condition };
+}
+
+// --- Wards and Beds ---
+
+const WARDS_COLLECTION = 'wards';
+const BEDS_COLLECTION = 'beds';
+const WARD_TYPES = ['GENERAL', 'ICU', 'ISOLATION', 'MATERNITY', 'PEDIATRIC', 'EMERGENCY'];
+const MAX_BEDS_PER_WARD = 200;
+
+// Shown wherever the admission's free-text `ward` used to be
+function describeBed(bed) {
+    return `${bed.wardName} / Bed ${bed.label}`;
+}
+
+/**
+ * Assigns a free, in-service bed to an admission. Atomic, so two admissions can never share a bed.
+ * @returns {Promise<object|null>} The claimed bed, or null if it is taken, out of service or not this hospital's
+ */
+function claimBed(hospitalId, bedId, admissionId) {
+    if (!ObjectId.isValid(bedId)) return Promise.resolve(null);
+    return db.collection(BEDS_COLLECTION).findOneAndUpdate(
+        { _id: new ObjectId(bedId), hospitalId, admissionId: null, outOfService: { $ne: true } },
+        { $set: { admissionId, occupiedAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+}
+
+function releaseBed(admissionId) {
+    return db.collection(BEDS_COLLECTION).updateMany({ admissionId }, { $set: { admissionId: null, occupiedAt: null } });
+}
+
+/**
+ * Counts total and free beds per hospital, overall and per ward type. Out-of-service beds are not free.
+ * @param {string[]} hospitalIds
+ * @returns {Promise<Object<string, {total: number, free: number, byType: Object<string, {total: number, free: number}>}>>}
+ */
+async function getBedAvailability(hospitalIds) {
+    const availability = {};
+    hospitalIds.forEach(id => { availability[id] = { total: 0, free: 0, byType: {} }; });
+
+    const counts = await db.collection(BEDS_COLLECTION).aggregate([
+        { $match: { hospitalId: { $in: hospitalIds } } },
+        {
+            $group: {
+                _id: { hospitalId: '$hospitalId', wardType: '$wardType' },
+                total: { $sum: 1 },
+                free: { $sum: { $cond: [{ $and: [{ $eq: ['$admissionId', null] }, { $ne: ['$outOfService', true] }] }, 1, 0] } }
+            }
+        }
+    ]).toArray();
+
+    counts.forEach(row => {
+        const hospital = availability[row._id.hospitalId];
+        if (!hospital) return;
+        hospital.total += row.total;
+        hospital.free += row.free;
+        hospital.byType[row._id.wardType] = { total: row.total, free: row.free };
+    });
+
+    return availability;
+}
+
+// --- Hospital Verification Lifecycle ---
+
+// PENDING → APPROVED ⇄ SUSPENDED. Admins can reject a hospital that is not approved, or ask for
+// new proof (RESUBMISSION_REQUESTED), which goes back to PENDING once the hospital re-uploads it.
+const HOSPITAL_TRANSITIONS = {
+    PENDING: ['APPROVED', 'REJECTED', 'RESUBMISSION_REQUESTED'],
+    RESUBMISSION_REQUESTED: ['PENDING', 'REJECTED'],
+    APPROVED: ['SUSPENDED', 'RESUBMISSION_REQUESTED'],
+    SUSPENDED: ['APPROVED', 'REJECTED'],
+    REJECTED: []
+};
+const HOSPITAL_STATUSES = Object.keys(HOSPITAL_TRANSITIONS);
+
+// What a hospital sees when it tries to log in while not APPROVED
+const HOSPITAL_LOGIN_BLOCKED_MESSAGES = {
+    PENDING: 'Hospital registration pending admin approval.',
+    RESUBMISSION_REQUESTED: 'The admin has requested a new proof document. Please re-submit it to continue verification.',
+    SUSPENDED: 'This hospital account has been suspended.',
+    REJECTED: 'This hospital registration was rejected.'
+};
+
+/**
+ * Moves a hospital account to a new verification status if the transition is allowed,
+ * appending the change (with the acting user and reason) to verificationHistory.
+ * @param {string} hospitalId Mongo _id of the hospital user
+ * @param {{id: string|null, role: string, name: string}} actor
+ * @param {string} toStatus
+ * @param {{reason?: string, fromStatuses?: string[], set?: object}} [options]
+ *   fromStatuses narrows the allowed source states (e.g. reinstate only from SUSPENDED);
+ *   set adds extra fields to the same update.
+ * @returns {Promise<{hospital?: object, error?: string, code?: number}>}
+ */
+async function transitionHospital(hospitalId, actor, toStatus, options = {}) {
+    const allowedFrom = options.fromStatuses
+        || HOSPITAL_STATUSES.filter(from => HOSPITAL_TRANSITIONS[from].includes(toStatus));
+    const usersCollection = db.collection('users');
+    const now = new Date();
+    const reason = options.reason || null;
+
+    const updated = await usersCollection.findOneAndUpdate(
+        { _id: new ObjectId(hospitalId), role: 'hospital', status: { $in: allowedFrom } },
+        {
+            $set: { ...options.set, status: toStatus, statusReason: reason, statusUpdatedAt: now },
+            $push: { verificationHistory: { status: toStatus, at: now, by: actor, reason } }
+        },
+        { returnDocument: 'after', projection: { password: 0 } }
+    );
+
+    if (updated) return { hospital: updated };
+
+    const existing = await usersCollection.findOne({ _id: new ObjectId(hospitalId), role: 'hospital' });
+    if (!existing) return { code: 404, error: 'Hospital not found.' };
+    return { code: 409, error: `Cannot move a ${existing.status} hospital to ${toStatus}.` };
+}
+
+// --- Proof Documents ---
+
+function hasProofSignature(file) {
+    const signature = PROOF_SIGNATURES[file.mimetype];
+    return Boolean(signature) && signature.every((byte, i) => file.buffer[i] === byte);
+}
+
+/**
+ * Attaches an uploaded, not yet claimed proof file to a hospital account so the
+ * same upload cannot be reused by another registration.
+ * @returns {Promise<object|null>} The `proof` reference to store on the hospital, or null if the ID is unknown/taken
+ */
+async function claimProof(proofId, hospitalObjectId) {
+    if (!proofId || !ObjectId.isValid(proofId)) return null;
+
+    const file = await db.collection('proofs.files').findOneAndUpdate(
+        { _id: new ObjectId(proofId), 'metadata.hospitalUserId': null },
+        { $set: { 'metadata.hospitalUserId': hospitalObjectId } },
+        { returnDocument: 'after' }
+    );
+    if (!file) return null;
+
+    return {
+        fileId: file._id,
+        filename: file.filename,
+        contentType: file.metadata.contentType,
+        size: file.length,
+        uploadedAt: file.uploadDate
+    };
+}
+
+/**
+ * Hospital document as sent to the admin console: no password, and registrations from before
+ * GridFS storage get a `proof` summary instead of their inline base64 `proofUrl`.
+ */
+function toAdminHospitalView(hospital) {
+    const { password, proofUrl, ...view } = hospital;
+    if (!view.proof && proofUrl) {
+        view.proof = { legacy: true, contentType: proofUrl.slice(5, proofUrl.indexOf(';')) };
+    }
+    return view;
+}
+
+// --- Sessions (Access + Refresh Tokens) ---
+
+// Sessions logged out before their last access token expired -> when that token expires.
+// Checked on every request so logout takes effect immediately, not after ACCESS_TOKEN_TTL_MS.
+const revokedSessions = new Map();
+setInterval(() => {
+    const now = Date.now();
+    revokedSessions.forEach((until, sessionId) => { if (until <= now) revokedSessions.delete(sessionId); });
+}, ACCESS_TOKEN_TTL_MS).unref();
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isSessionRevoked(tokenPayload) {
+    return Boolean(tokenPayload.sid) && revokedSessions.has(tokenPayload.sid);
+}
+
+/**
+ * Issues a short-lived access token and a new single-use refresh token for the user.
+ * Only the refresh token's hash is stored. Rotation passes the existing sessionId so the
+ * whole chain of refresh tokens can be revoked together.
+ * Staff accounts (see toStaffSessionUser) get a hospital token scoped to their hospital,
+ * carrying staffId and accessRole so routes can tell who acted and what they may do.
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+async function issueSession(user, req, sessionId = crypto.randomUUID()) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const now = new Date();
+    const isStaff = user.role === 'staff';
+
+    await db.collection('refreshTokens').insertOne({
+        tokenHash: hashToken(refreshToken),
+        sessionId,
+        userId: user._id.toString(),
+        role: user.role,
+        // Lets a hospital's suspension end its staff sessions as well as its own
+        hospitalId: isStaff ? user.hospitalId : (user.role === 'hospital' ? user._id.toString() : null),
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+        revokedAt: null,
+        userAgent: req.get('user-agent') || null,
+        ip: req.ip
+    });
+
+    const claims = isStaff
+        ? { username: user.username, role: 'hospital', id: user.hospitalId, staffId: user._id.toString(), accessRole: user.accessRole, sid: sessionId }
+        : { username: user.username, role: user.role, id: user._id.toString(), sid: sessionId };
+    const token = jwt.sign(
+        claims,
+        JWT_SECRET,
+        { expiresIn: Math.floor(ACCESS_TOKEN_TTL_MS / 1000) }
+    );
+    return { token, refreshToken };
+}
+
+/**
+ * Revokes every live session matching the filter (e.g. { sessionId } or { userId })
+ * and blocks their outstanding access tokens.
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeSessions(filter) {
+    const refreshTokens = db.collection('refreshTokens');
+    const now = new Date();
+    const sessionIds = await refreshTokens.distinct('sessionId', { ...filter, expiresAt: { $gt: now } });
+    if (sessionIds.length === 0) return 0;
+
+    await refreshTokens.updateMany(
+        { sessionId: { $in: sessionIds }, revokedAt: null },
+        { $set: { revokedAt: now } }
+    );
+    const until = Date.now() + ACCESS_TOKEN_TTL_MS;
+    sessionIds.forEach(sessionId => {
+        revokedSessions.set(sessionId, until);
+        // Streams were authorised once, when they connected, so logged-out dashboards are cut off here
+        const streams = sessionStreams.get(sessionId);
+        if (streams) streams.forEach(stream => stream.end());
+    });
+    return sessionIds.length;
+}
+
+// A staff token's `id` is its hospital, so account-level actions (logout-all, change password)
+// go through these to reach the staff record instead.
+function getAccountId(reqUser) {
+    return reqUser.staffId || reqUser.id;
+}
+
+function getAccountCollection(reqUser) {
+    return db.collection(reqUser.staffId ? 'hospitalStaff' : 'users');
+}
+
+// --- Hospital Staff Accounts ---
+
+// The hospital's own login acts as hospital-admin. Each staff login gets one of these roles,
+// which decides the hospital routes it can use (see HOSPITAL_PERMISSIONS).
+const STAFF_ACCESS_ROLES = ['doctor', 'nurse', 'receptionist', 'hospital-admin'];
+const STAFF_USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+
+const HOSPITAL_PERMISSIONS = {
+    viewQueue: STAFF_ACCESS_ROLES,
+    updateRequest: STAFF_ACCESS_ROLES, // Acknowledge / start / cancel
+    resolveRequest: ['doctor', 'hospital-admin'],
+    prescribe: ['doctor', 'hospital-admin'],
+    viewPatients: STAFF_ACCESS_ROLES,
+    admitPatient: STAFF_ACCESS_ROLES,
+    removePatient: ['doctor', 'hospital-admin'],
+    dischargePatient: ['doctor', 'hospital-admin'],
+    transferPatient: ['doctor', 'nurse', 'hospital-admin'],
+    recordVitals: ['doctor', 'nurse', 'hospital-admin'],
+    recordAllergies: ['doctor', 'nurse', 'hospital-admin'],
+    manageBeds: ['hospital-admin'],
+    viewStaff: STAFF_ACCESS_ROLES,
+    manageStaff: ['hospital-admin'],
+    viewAuditLog: ['hospital-admin'],
+    viewAppointments: STAFF_ACCESS_ROLES,
+    manageAppointments: ['doctor', 'receptionist', 'hospital-admin'] // Publish slots, cancel and reschedule
+};
+
+function getAccessRole(reqUser) {
+    return reqUser.accessRole || 'hospital-admin';
+}
+
+function hasHospitalPermission(reqUser, permission) {
+    return reqUser.role === 'hospital' && HOSPITAL_PERMISSIONS[permission].includes(getAccessRole(reqUser));
+}
+
+/**
+ * Route guard for hospital routes: the caller must be signed in to a hospital
+ * (directly or as its staff) with a role that has the permission.
+ */
+function requireHospitalPermission(permission) {
+    return (req, res, next) => {
+        if (req.user.role !== 'hospital') return res.status(403).json({ message: 'Access denied.' });
+        if (!hasHospitalPermission(req.user, permission)) {
+            return res.status(403).json({ message: `Your role (${getAccessRole(req.user)}) is not allowed to do this.` });
+        }
+        next();
+    };
+}
+
+// Shape passed to issueSession for a staff login
+function toStaffSessionUser(staff) {
+    return {
+        _id: staff._id,
+        username: staff.username,
+        role: 'staff',
+        hospitalId: staff.hospitalId,
+        accessRole: staff.accessRole
+    };
+}
+
+/**
+ * Checks the login fields sent when creating or updating a staff account.
+ * @param {{username?: string, password?: string, accessRole?: string}} fields
+ * @param {boolean} passwordRequired False when the account already has a password
+ * @returns {string|null} What is wrong, or null if acceptable
+ */
+function validateStaffCredentials({ username, password, accessRole }, passwordRequired) {
+    if (typeof username !== 'string' || !STAFF_USERNAME_PATTERN.test(username.trim().toLowerCase())) {
+        return 'Username must be 3-32 characters: letters, numbers, dots, dashes or underscores.';
+    }
+    if (!STAFF_ACCESS_ROLES.includes(accessRole)) {
+        return `Access role must be one of ${STAFF_ACCESS_ROLES.join(', ')}.`;
+    }
+    if (password || passwordRequired) return validatePasswordStrength(password);
+    return null;
+}
+
+// --- Audit Log ---
+
+// Append-only trail of clinical and administrative actions. Entries are only ever inserted;
+// no route updates or deletes them.
+const AUDIT_COLLECTION = 'auditLog';
+const AUDIT_SNAPSHOT_OMIT = ['password', 'proofUrl', 'senderIp']; // Password hashes, inline documents and patient IPs stay out of snapshots
+const AUDIT_EXPORT_MAX = 5000; // Rows per CSV export
+
+function toAuditSnapshot(doc) {
+    if (!doc) return null;
+    const snapshot = { ...doc };
+    AUDIT_SNAPSHOT_OMIT.forEach(key => delete snapshot[key]);
+    return snapshot;
+}
+
+/**
+ * Appends one entry to the audit log. Called after the action succeeds; a failed write is
+ * logged loudly instead of failing a request whose change has already been made.
+ * @param {object|null} req The request being audited, or null for background jobs
+ * @param {string} action Dotted name, e.g. 'patient.admit' or 'hospital.suspend'
+ * @param {{type: string, id: *}} target The record acted on
+ * @param {object} [details]
+ * @param {object} [details.actor] Overrides the actor taken from req.user (sign-ups, background jobs)
+ * @param {string[]} [details.hospitalIds] Hospitals whose admins can see the entry; defaults to the caller's hospital
+ * @param {object} [details.before] The record before the change
+ * @param {object} [details.after] The record after the change
+ * @param {string} [details.note]
+ */
+async function recordAudit(req, action, target, details = {}) {
+    try {
+        const user = req && req.user;
+        const actor = details.actor || (user ? await getActor(user) : { id: null, role: 'anonymous', name: 'Anonymous' });
+        await db.collection(AUDIT_COLLECTION).insertOne({
+            at: new Date(),
+            actor,
+            action,
+            target: { type: target.type, id: target.id ? target.id.toString() : null },
+            hospitalIds: details.hospitalIds || (user && user.role === 'hospital' ? [user.id] : []),
+            before: toAuditSnapshot(details.before),
+            after: toAuditSnapshot(details.after),
+            note: details.note || null,
+            ip: req ? req.ip : null
+        });
+    } catch (e) {
+        console.error(`Audit Log Error: could not record ${action} on ${target.type} ${target.id}:`, e);
+    }
+}
+
+// Quotes a CSV field, and defuses values a spreadsheet would run as a formula
+function toCsvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+function toAuditCsv(entries) {
+    const header = ['at', 'actorId', 'actorRole', 'actorName', 'action', 'targetType', 'targetId', 'hospitalIds', 'note', 'ip', 'before', 'after'];
+    const rows = entries.map(entry => [
+        entry.at.toISOString(),
+        entry.actor && entry.actor.id,
+        entry.actor && (entry.actor.accessRole ? `${entry.actor.role}:${entry.actor.accessRole}` : entry.actor.role),
+        entry.actor && entry.actor.name,
+        entry.action,
+        entry.target && entry.target.type,
+        entry.target && entry.target.id,
+        (entry.hospitalIds || []).join(' '),
+        entry.note,
+        entry.ip,
+        entry.before ? JSON.stringify(entry.before) : '',
+        entry.after ? JSON.stringify(entry.after) : ''
+    ].map(toCsvField).join(','));
+    return [header.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Works out who a prescription is credited to. Staff accounts are always credited by their
+ * own name; the shared hospital login can still type the doctor's name, as before.
+ */
+async function getPrescriber(reqUser, typedDoctorName) {
+    const prescribedBy = await getActor(reqUser);
+    return {
+        doctor: reqUser.staffId ? prescribedBy.name : (typedDoctorName || 'Hospital Staff'),
+        prescribedBy
+    };
+}
+
+/**
+ * Validates a prescription's medicines and free-text notes and builds what gets stored.
+ * `prescription` keeps a plain-text rendering of the items for screens and emails that predate them.
+ * @returns {{error: string}|{items: Array<object>, notes: string, prescription: string}}
+ */
+function buildPrescriptionContent(items, notes) {
+    const noteText = typeof notes === 'string' ? notes.trim() : '';
+    const result = drugCatalogue.validatePrescriptionItems(items || []);
+    if (result.error) return result;
+    if (result.items.length === 0 && !noteText) {
+        return { error: 'Add at least one medicine or some notes.' };
+    }
+
+    const lines = result.items.map((item, i) => `${i + 1}. ${drugCatalogue.formatPrescriptionItem(item)}`);
+    if (noteText) lines.push(noteText);
+    return { items: result.items, notes: noteText, prescription: lines.join('\n') };
+}
+
+// --- Allergies and Prescription Safety ---
+
+const ALLERGIES_COLLECTION = 'allergies';
+const ALLERGY_TEXT_MAX = 200;
+const ACTIVE_PRESCRIPTION_LOOKBACK_MS = 365 * 24 * 60 * 60 * 1000; // Longest allowed course, so older prescriptions cannot still be active
+
+/**
+ * Validates an allergy entry.
+ * @returns {{error: string}|{substance: string, reaction: string|null}}
+ */
+function validateAllergy({ substance, reaction }) {
+    const substanceText = typeof substance === 'string' ? substance.trim() : '';
+    const reactionText = typeof reaction === 'string' ? reaction.trim() : '';
+    if (!substanceText) return { error: 'Enter what the patient is allergic to.' };
+    if (substanceText.length > ALLERGY_TEXT_MAX || reactionText.length > ALLERGY_TEXT_MAX) {
+        return { error: `Allergy details must be at most ${ALLERGY_TEXT_MAX} characters.` };
+    }
+    return { substance: substanceText, reaction: reactionText || null };
+}
+
+// Matches records kept against the patient's account and/or one admission; null when there is neither
+function getPatientScope({ patientId, admissionId }) {
+    const clauses = [];
+    if (patientId) clauses.push({ patientId });
+    if (admissionId) clauses.push({ admissionId });
+    return clauses.length > 0 ? { $or: clauses } : null;
+}
+
+function findAllergies(patient) {
+    const scope = getPatientScope(patient);
+    if (!scope) return Promise.resolve([]);
+    return db.collection(ALLERGIES_COLLECTION).find(scope).sort({ recordedAt: 1 }).toArray();
+}
+
+/**
+ * Runs the interaction and allergy checker for a new prescription. Anonymous patients are only
+ * checked for interactions between the new medicines themselves.
+ * @param {{patientId?: string|null, admissionId?: string|null}} patient
+ * @param {ObjectId} [replaces] A prescription the new one renews, left out of the active medicines
+ * @returns {Promise<Array<object>>} Warnings, most severe first
+ */
+async function checkPrescriptionSafety(patient, items, replaces = null) {
+    if (items.length === 0) return [];
+    const scope = getPatientScope(patient);
+
+    const [allergies, recent] = await Promise.all([
+        findAllergies(patient),
+        scope
+            ? db.collection('prescriptions').find(
+                { ...scope, ...(replaces ? { _id: { $ne: replaces } } : {}), prescribedAt: { $gte: new Date(Date.now() - ACTIVE_PRESCRIPTION_LOOKBACK_MS) } },
+                { projection: { items: 1, prescribedAt: 1 } }
+            ).toArray()
+            : []
+    ]);
+
+    const now = new Date();
+    const activeItems = recent.flatMap(p => (p.items || []).filter(item => drugInteractions.isItemActive(item, p.prescribedAt, now)));
+    return drugInteractions.checkPrescription(items, activeItems, allergies);
+}
+
+/**
+ * Sends the 409 for a prescription with SEVERE findings, and audits the attempt.
+ * @returns {boolean} True if the prescription was blocked and the response has been sent
+ */
+async function rejectUnsafePrescription(req, res, warnings, patientName) {
+    const blocking = warnings.filter(w => w.severity === 'SEVERE');
+    if (blocking.length === 0) return false;
+
+    await recordAudit(req, 'prescription.blocked', { type: 'prescription', id: null }, {
+        note: `${patientName}: ${blocking.map(w => w.message).join(' ')}`
+    });
+    res.status(409).json({
+        message: 'Prescription not saved: it has a severe interaction or allergy conflict. Change the medicines and try again.',
+        warnings
+    });
+    return true;
+}
+
+// Gives a new prescription its verification code and signature, just before it is stored
+function signNewPrescription(prescription) {
+    prescription.verificationCode = prescriptionDocument.generateVerificationCode();
+    prescription.signature = prescriptionDocument.signPrescription(prescription, PRESCRIPTION_SIGNING_SECRET);
+    return prescription;
+}
+
+/**
+ * Prescriptions written before documents existed are signed the first time someone downloads them.
+ * @returns {Promise<object>} The prescription with verificationCode and signature
+ */
+async function ensurePrescriptionSigned(prescription) {
+    if (prescription.verificationCode) return prescription;
+
+    const prescriptions = db.collection('prescriptions');
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const signed = signNewPrescription({ ...prescription });
+        try {
+            const result = await prescriptions.updateOne(
+                { _id: prescription._id, verificationCode: { $exists: false } },
+                { $set: { verificationCode: signed.verificationCode, signature: signed.signature } }
+            );
+            // Someone else signed it first: use theirs
+            return result.modifiedCount === 1 ? signed : await prescriptions.findOne({ _id: prescription._id });
+        } catch (e) {
+            if (e.code !== 11000) throw e; // Code already taken: draw another
+        }
+    }
+    throw new Error(`Could not assign a verification code to prescription ${prescription._id}.`);
+}
+
+// The page printed in the QR code: PRESCRIPTION_VERIFY_URL, or else this API's own verify route.
+// Never the Referer, which the caller controls.
+function getVerifyUrl(req, code) {
+    const base = process.env.PRESCRIPTION_VERIFY_URL
+        || `${req.protocol}://${req.get('host')}/api/verify-prescription`;
+    const url = new URL(base);
+    if (url.pathname.startsWith('/api/')) {
+        url.pathname = `${url.pathname.replace(/\/$/, '')}/${code}`;
+    } else {
+        url.search = '';
+        url.searchParams.set('code', code);
+    }
+    return url.toString();
+}
+
+// --- Medication Schedules and Adherence (see medicationSchedule.js) ---
+
+const MEDICATION_LOGS_COLLECTION = 'medicationLogs';
+const ADHERENCE_WINDOW_MS = 30 * 24 * 60 * 60 * 1000; // Adherence covers the last 30 days
+const SCHEDULE_LOOKBACK_MS = 365 * 24 * 60 * 60 * 1000; // Longest course a prescription line can run
+
+/**
+ * A patient's scheduled doses in [from, to) with what they logged for each.
+ * @param {object} [filter] Extra prescription filter, e.g. { hospitalId } for one hospital's prescriptions
+ */
+async function findPatientDoses(patientId, from, to, filter = {}) {
+    const prescriptions = await db.collection('prescriptions')
+        .find({ ...filter, patientId, prescribedAt: { $gte: new Date(from.getTime() - SCHEDULE_LOOKBACK_MS), $lt: to } })
+        .toArray();
+    const doses = prescriptions.flatMap(p => medicationSchedule.buildDoses(p, from, to));
+    if (doses.length === 0) return [];
+
+    const logs = await db.collection(MEDICATION_LOGS_COLLECTION)
+        .find({ patientId, prescriptionId: { $in: prescriptions.map(p => p._id.toString()) }, scheduledAt: { $gte: from, $lt: to } })
+        .toArray();
+    return medicationSchedule.attachLogs(doses, logs).sort((a, b) => a.scheduledAt - b.scheduledAt);
+}
+
+// Adherence over the last ADHERENCE_WINDOW_MS, optionally limited to one hospital's prescriptions
+async function getAdherence(patientId, filter = {}) {
+    const now = new Date();
+    const doses = await findPatientDoses(patientId, new Date(now.getTime() - ADHERENCE_WINDOW_MS), now, filter);
+    return medicationSchedule.summariseAdherence(doses, now);
+}
+
+// --- Appointments ---
+
+// Hospitals publish slots per doctor; a booking claims one slot. Slots are OPEN or BOOKED,
+// appointments BOOKED or CANCELLED. Rescheduling moves the appointment to another slot.
+const APPOINTMENT_SLOTS_COLLECTION = 'appointmentSlots';
+const APPOINTMENTS_COLLECTION = 'appointments';
+const SLOT_MINUTES_MIN = 5;
+const SLOT_MINUTES_MAX = 240;
+const MAX_SLOTS_PER_SESSION = 48;
+const APPOINTMENT_HORIZON_MS = 60 * 24 * 60 * 60 * 1000; // Slots can be published up to 60 days ahead
+const APPOINTMENT_TEXT_MAX = 500;
+
+// Matches records whose [startAt, endAt) overlaps the given range
+function overlapping(startAt, endAt) {
+    return { startAt: { $lt: endAt }, endAt: { $gt: startAt } };
+}
+
+function formatAppointmentTime(date) {
+    return new Date(date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Reads ?from=&to= (ISO dates) for list routes.
+ * @returns {{from: Date, to: Date}|{error: string}}
+ */
+function parseDateRange(query, defaultFrom, defaultDays) {
+    const from = query.from ? new Date(query.from) : defaultFrom;
+    const to = query.to ? new Date(query.to) : new Date(from.getTime() + defaultDays * 24 * 60 * 60 * 1000);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || to <= from) {
+        return { error: 'from and to must be valid dates, with from before to.' };
+    }
+    return { from, to };
+}
+
+/**
+ * Books a free, future slot for an appointment. Atomic, so a slot can never be booked twice.
+ * @returns {Promise<object|null>} The claimed slot, or null if it is taken, past or not this hospital's
+ */
+function claimSlot(slotId, hospitalId, appointmentId) {
+    if (!ObjectId.isValid(slotId)) return Promise.resolve(null);
+    return db.collection(APPOINTMENT_SLOTS_COLLECTION).findOneAndUpdate(
+        { _id: new ObjectId(slotId), hospitalId, status: 'OPEN', startAt: { $gt: new Date() } },
+        { $set: { status: 'BOOKED', appointmentId } },
+        { returnDocument: 'after' }
+    );
+}
+
+function releaseSlot(slotId, appointmentId) {
+    return db.collection(APPOINTMENT_SLOTS_COLLECTION).updateOne(
+        { _id: new ObjectId(slotId), appointmentId },
+        { $set: { status: 'OPEN', appointmentId: null } }
+    );
+}
+
+// Another booked appointment of the patient's (at any hospital) that overlaps the time
+function findPatientClash(patientId, startAt, endAt, exceptId = null) {
+    return db.collection(APPOINTMENTS_COLLECTION).findOne({
+        patientId,
+        status: 'BOOKED',
+        ...(exceptId ? { _id: { $ne: exceptId } } : {}),
+        ...overlapping(startAt, endAt)
+    });
+}
+
+/**
+ * Finds an appointment the caller may cancel or reschedule: the patient who booked it, or
+ * staff of its hospital with manageAppointments. It must still be booked and not yet started.
+ * @returns {Promise<{appointment: object}|{code: number, error: string}>}
+ */
+async function findChangeableAppointment(reqUser, appointmentId) {
+    if (!ObjectId.isValid(appointmentId)) return { code: 400, error: 'Invalid format for appointment ID.' };
+
+    const query = { _id: new ObjectId(appointmentId) };
+    if (reqUser.role === 'patient') {
+        query.patientId = reqUser.id;
+    } else if (hasHospitalPermission(reqUser, 'manageAppointments')) {
+        query.hospitalId = reqUser.id;
+    } else {
+        return { code: 403, error: 'Access denied.' };
+    }
+
+    const appointment = await db.collection(APPOINTMENTS_COLLECTION).findOne(query);
+    if (!appointment) return { code: 404, error: 'Appointment not found.' };
+    if (appointment.status !== 'BOOKED') return { code: 409, error: `This appointment is already ${appointment.status}.` };
+    if (appointment.startAt <= new Date()) return { code: 409, error: 'This appointment has already started.' };
+    return { appointment };
+}
+
+// Refreshes the hospital's dashboards, and emails the patient when the hospital made the change
+function announceAppointmentChange(reqUser, appointment, template, data) {
+    pushToHospital(appointment.hospitalId, 'appointment-updated', { _id: appointment._id, status: appointment.status, patientName: appointment.patientName });
+    if (reqUser.role === 'hospital' && template) {
+        notifyPatient(appointment, template, {
+            hospitalName: appointment.hospitalName,
+            doctorName: appointment.doctorName,
+            ...data
+        }).catch(err => console.error('Appointment email error:', err));
+    }
+}
+
+// --- Password Rules ---
+
+/**
+ * Checks a new password against the platform's strength rules.
+ * @returns {string|null} What is wrong with it, or null if it is acceptable
+ */
+function validatePasswordStrength(password) {
+    if (typeof password !== 'string' || password.length < 8) return 'Password must be at least 8 characters long.';
+    if (password.length > 128) return 'Password must be at most 128 characters long.';
+    if (!/[a-z]/.test(password) || !/[A-Z]/.test(password)) return 'Password must contain both upper and lower case letters.';
+    if (!/[0-9]/.test(password)) return 'Password must contain at least one number.';
+    return null;
+}
+
+// --- JWT Authentication Middleware ---
+// 401 means "refresh or log in again"; 403 on a route means the role is not allowed.
+const authenticateToken = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (token == null) return res.status(401).json({ message: 'Authentication token required.' });
+
+    jwt.verify(token, JWT_SECRET, (err, user) => {
+        if (err) {
+            console.error("JWT Error:", err.message);
+            return res.status(401).json({ message: 'Invalid or expired token.' });
+        }
+        if (isSessionRevoked(user)) {
+            return res.status(401).json({ message: 'This session has been logged out.' });
+        }
+        req.user = user;
+        next();
+    });
+};
+
+// Optional variant for emergency routes: a valid token sets req.user, anything else
+// (no token, expired, tampered) continues as an anonymous request instead of failing.
+const optionalAuthenticateToken = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token || token === 'null') return next();
+
+    jwt.verify(token, JWT_SECRET, (err, user) => {
+        if (err) {
+            console.warn("Optional JWT rejected, continuing anonymously:", err.message);
+        } else if (!isSessionRevoked(user)) {
+            req.user = user;
+        }
+        next();
+    });
+};
+
+// --- Rate Limiting ---
+
+/**
+ * In-memory fixed-window rate limiter. Limits by patient id when the caller is
+ * authenticated and always by IP address.
+ * @param {{windowMs: number, perPatient: number, perIp: number}} limits
+ * @param {string} message Shown to the client when a limit is hit
+ */
+function createRateLimiter(limits, message) {
+    const hits = new Map(); // key -> { count, resetAt }
+
+    // Drop expired windows so the map does not grow forever
+    setInterval(() => {
+        const now = Date.now();
+        hits.forEach((entry, key) => {
+            if (entry.resetAt <= now) hits.delete(key);
+        });
+    }, limits.windowMs).unref();
+
+    const hit = (key, max) => {
+        const now = Date.now();
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + limits.windowMs };
+            hits.set(key, entry);
+        }
+        entry.count++;
+        return entry.count > max ? entry : null;
+    };
+
+    return (req, res, next) => {
+        const exceeded = (req.user && req.user.role === 'patient' && hit(`patient:${req.user.id}`, limits.perPatient))
+            || hit(`ip:${req.ip}`, limits.perIp);
+
+        if (exceeded) {
+            res.set('Retry-After', Math.ceil((exceeded.resetAt - Date.now()) / 1000));
+            return res.status(429).json({ message });
+        }
+        next();
+    };
+}
+
+const sosRateLimiter = createRateLimiter(SOS_RATE_LIMIT, 'Too many SOS alerts sent. If this is a real emergency, call 108/112 directly.');
+const doctorRequestRateLimiter = createRateLimiter(DOCTOR_REQUEST_RATE_LIMIT, 'Too many doctor requests. Please wait before sending another.');
+const proofUploadRateLimiter = createRateLimiter(PROOF_UPLOAD_RATE_LIMIT, 'Too many uploads. Please try again later.');
+const passwordResetRateLimiter = createRateLimiter(PASSWORD_RESET_RATE_LIMIT, 'Too many password reset requests. Please try again later.');
+const prescriptionVerifyRateLimiter = createRateLimiter(PRESCRIPTION_VERIFY_RATE_LIMIT, 'Too many verification attempts. Please try again later.');
+const refillRateLimiter = createRateLimiter(REFILL_RATE_LIMIT, 'Too many refill requests. Please wait before sending another.');
+const appointmentRateLimiter = createRateLimiter(APPOINTMENT_RATE_LIMIT, 'Too many bookings. Please wait before booking another appointment.');
+
+// ------------------------------------
+// --- AUTHENTICATION ROUTES (Patient & Hospital Login/Registration)
+// ------------------------------------
+
+// POST /api/register/patient (New Patient Signup)
+app.post('/api/register/patient', async (req, res) => {
+    const { username, password, location, email } = req.body;
+    const usersCollection = db.collection('users');
+
+    const passwordError = validatePasswordStrength(password);
+    if (passwordError) return res.status(400).json({ message: passwordError });
+
+    const existingUser = await usersCollection.findOne({ username });
+
+    if (existingUser) {
+        return res.status(409).json({ message: 'Username already exists.' });
+    }
+
+    try {
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const newUser = {
+            username,
+            password: hashedPassword,
+            role: 'patient',
+            patientCode: generatePatientCode(),
+            email: email ? String(email).trim().toLowerCase() : null, // Optional, used for notifications
+            location: location || null, // Save initial location
+            createdAt: new Date()
+        };
+        await usersCollection.insertOne(newUser);
+        await recordAudit(req, 'patient.register', { type: 'user', id: newUser._id }, {
+            actor: { id: newUser._id.toString(), role: 'patient', name: username },
+            after: newUser
+        });
+
+        const { token, refreshToken } = await issueSession(newUser, req);
+        res.status(201).json({ message: 'Patient registered successfully.', username, patientCode: newUser.patientCode, token, refreshToken });
+    } catch (e) {
+        console.error("Registration Error:", e);
+        res.status(500).json({ message: 'Internal server error during registration.' });
+    }
+});
+
+// POST /api/uploads/proof (Multipart upload of a hospital proof document, field "proof")
+// Open to anonymous callers because it runs before the hospital account exists; the returned
+// proofId is then sent with /api/register/hospital or /api/register/hospital/resubmit.
+app.post('/api/uploads/proof', proofUploadRateLimiter, (req, res) => {
+    proofUpload.single('proof')(req, res, async (err) => {
+        if (err) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ message: `Proof document must be smaller than ${PROOF_MAX_BYTES / (1024 * 1024)} MB.` });
+            }
+            return res.status(400).json({ message: `Upload failed: ${err.message}` });
+        }
+        if (!req.file) {
+            return res.status(400).json({ message: 'No proof document received. Send it as the "proof" field.' });
+        }
+        if (!hasProofSignature(req.file)) {
+            return res.status(415).json({ message: 'Proof must be a JPEG, PNG or WebP image, or a PDF.' });
+        }
+
+        try {
+            const uploadStream = proofBucket.openUploadStream(req.file.originalname, {
+                metadata: { contentType: req.file.mimetype, hospitalUserId: null, uploaderIp: req.ip }
+            });
+            uploadStream.end(req.file.buffer);
+            await finished(uploadStream);
+
+            res.status(201).json({
+                message: 'Proof document uploaded.',
+                proofId: uploadStream.id.toString(),
+                contentType: req.file.mimetype,
+                size: req.file.size
+            });
+        } catch (error) {
+            console.error('Proof upload error:', error);
+            res.status(500).json({ message: 'Error storing proof document.' });
+        }
+    });
+});
+
+// POST /api/register/hospital (Hospital Signup with documents)
+app.post('/api/register/hospital', async (req, res) => {
+    // Expected body: { name, email, password, location: {lat,lng}, proofId } (proofId from /api/uploads/proof)
+    const { name, email, password, location, proofId } = req.body;
+    const usersCollection = db.collection('users');
+
+    // Both are shown to the admin and used in queries, so anything but plain text is refused
+    if (typeof name !== 'string' || !name.trim() || typeof email !== 'string' || !email.trim()) {
+        return res.status(400).json({ message: 'Hospital name and email are required.' });
+    }
+
+    const passwordError = validatePasswordStrength(password);
+    if (passwordError) return res.status(400).json({ message: passwordError });
+
+    const existingUser = await usersCollection.findOne({ email });
+
+    if (existingUser) {
+        return res.status(409).json({ message: 'Hospital already registered with this email.' });
+    }
+
+    try {
+        // The _id is chosen up front so the proof can be claimed before the account is written
+        const hospitalObjectId = new ObjectId();
+        const proof = await claimProof(proofId, hospitalObjectId);
+        if (!proof) {
+            return res.status(400).json({ message: 'A valid, newly uploaded proof document is required.' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        const newHospital = {
+            _id: hospitalObjectId,
+            name,
+            email,
+            password: hashedPassword,
+            role: 'hospital',
+            location,
+            proof,
+            status: 'PENDING',  // IMPORTANT
+            createdAt: new Date(),
+            verificationHistory: [{ status: 'PENDING', at: new Date(), by: { id: null, role: 'hospital', name }, reason: null }]
+        };
+
+        await usersCollection.insertOne(newHospital);
+        await recordAudit(req, 'hospital.register', { type: 'user', id: hospitalObjectId }, {
+            actor: { id: hospitalObjectId.toString(), role: 'hospital', name },
+            hospitalIds: [hospitalObjectId.toString()],
+            after: newHospital
+        });
+
+        res.status(201).json({
+            message: 'Hospital registration submitted. Pending verification by admin.'
+        });
+
+    } catch (error) {
+        console.error('Hospital registration error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// POST /api/register/hospital/resubmit (New proof after the admin asked for one)
+// The hospital cannot log in while RESUBMISSION_REQUESTED, so it re-authenticates with its credentials here.
+app.post('/api/register/hospital/resubmit', async (req, res) => {
+    const { username, password, proofId } = req.body;
+
+    if (!username || !password || !proofId) {
+        return res.status(400).json({ message: 'Username, password and a proof document are required.' });
+    }
+
+    try {
+        const hospital = await db.collection('users').findOne({
+            $or: [{ username }, { email: username }, { hospitalId: username }],
+            role: 'hospital'
+        });
+
+        if (!hospital || !(await bcrypt.compare(password, hospital.password))) {
+            return res.status(400).json({ message: 'Invalid username or password.' });
+        }
+        if (hospital.status !== 'RESUBMISSION_REQUESTED') {
+            return res.status(409).json({ message: 'No proof re-submission has been requested for this hospital.' });
+        }
+
+        const proof = await claimProof(proofId, hospital._id);
+        if (!proof) {
+            return res.status(400).json({ message: 'A valid, newly uploaded proof document is required.' });
+        }
+
+        // The earlier file stays in GridFS (still tagged with this hospital) as a record of what was replaced
+        const actor = { id: hospital._id.toString(), role: 'hospital', name: hospital.name };
+        const result = await transitionHospital(
+            hospital._id.toString(),
+            actor,
+            'PENDING',
+            { set: { proof, proofUrl: null, proofResubmittedAt: new Date() } }
+        );
+        if (result.error) return res.status(result.code).json({ message: result.error });
+        await recordAudit(req, 'hospital.resubmitProof', { type: 'user', id: hospital._id }, {
+            actor,
+            hospitalIds: [actor.id],
+            before: hospital,
+            after: result.hospital
+        });
+
+        res.json({ message: 'New proof submitted. Pending verification by admin.' });
+    } catch (error) {
+        console.error('Proof resubmission error:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
+// POST /api/login (Patient, Hospital, Hospital Staff or Admin Login)
+app.post('/api/login', async (req, res) => {
+    // For hospital login ensure status === 'APPROVED'
+    const { username, password, role, location } = req.body;
+    const usersCollection = db.collection('users');
+
+    if (!['patient', 'hospital', 'staff', 'admin'].includes(role)) {
+        return res.status(400).json({ message: 'Invalid login role.' });
+    }
+
+    try {
+        // Staff sign in with the username their hospital admin gave them and land on the hospital dashboard
+        if (role === 'staff') {
+            const staff = await db.collection('hospitalStaff').findOne({
+                username: String(username || '').trim().toLowerCase(),
+                password: { $type: 'string' }
+            });
+            if (!staff || !(await bcrypt.compare(password, staff.password))) {
+                return res.status(400).json({ message: 'Invalid username or password.' });
+            }
+
+            const hospital = await usersCollection.findOne({ _id: new ObjectId(staff.hospitalId), role: 'hospital' });
+            if (!hospital || hospital.status !== 'APPROVED') {
+                return res.status(403).json({ message: 'Your hospital account is not active. Contact your hospital administrator.' });
+            }
+
+            const { token, refreshToken } = await issueSession(toStaffSessionUser(staff), req);
+            return res.json({
+                message: 'Login successful.',
+                username: staff.username,
+                name: staff.name,
+                role: 'hospital',
+                accessRole: staff.accessRole,
+                token,
+                refreshToken,
+                id: staff.hospitalId,
+                hospitalId: hospital.hospitalId
+            });
+        }
+
+        // when role === 'hospital', username can be email or hospitalId depending on your choice.
+        // Admin accounts are created with `npm run create-admin` and log in by username.
+        let query = { username, role };
+
+        // Fall back: allow hospital login by hospitalId as well
+        if (role === 'hospital') {
+            query = { $or: [{ username }, { email: username }, { hospitalId: username }], role };
+        }
+
+        const user = await usersCollection.findOne(query);
+
+        if (!user) {
+            return res.status(400).json({ message: 'Invalid username or password.' });
+        }
+
+        if (!(await bcrypt.compare(password, user.password))) {
+            return res.status(400).json({ message: 'Invalid username or password.' });
+        }
+
+        if (role === 'hospital' && user.status !== 'APPROVED') {
+            const blocked = HOSPITAL_LOGIN_BLOCKED_MESSAGES[user.status] || HOSPITAL_LOGIN_BLOCKED_MESSAGES.PENDING;
+            return res.status(403).json({
+                message: user.statusReason ? `${blocked} Reason: ${user.statusReason}` : blocked,
+                status: user.status
+            });
+        }
+
+        // If patient provides new location during login, update it
+        if (role === 'patient' && location) {
+            await usersCollection.updateOne(
+                { _id: user._id },
+                { $set: { location: location } }
+            );
+        }
+
+        const { token, refreshToken } = await issueSession(user, req);
+
+        // Add hospitalId to response if available
+        const responsePayload = {
+            message: 'Login successful.',
+            username: user.username,
+            role: user.role,
+            token,
+            refreshToken,
+            id: user._id.toString()
+        };
+        if (user.hospitalId) {
+            responsePayload.hospitalId = user.hospitalId;
+        }
+        if (role === 'hospital') {
+            responsePayload.accessRole = 'hospital-admin';
+        }
+        if (role === 'patient') {
+            responsePayload.patientCode = await ensurePatientCode(user);
+        }
+
+        res.json(responsePayload);
+
+    } catch (e) {
+        console.error("Login Error:", e);
+        res.status(500).json({ message: 'Internal server error during login.' });
+    }
+});
+
+
+// POST /api/auth/refresh (Exchange a refresh token for a new access + refresh token pair)
+// Each refresh token works once. Presenting one that was already rotated means it was copied,
+// so the whole session is revoked and both holders have to log in again.
+app.post('/api/auth/refresh', async (req, res) => {
+    const refreshToken = req.body && req.body.refreshToken;
+    if (!refreshToken) return res.status(400).json({ message: 'Refresh token required.' });
+
+    const refreshTokens = db.collection('refreshTokens');
+
+    try {
+        const stored = await refreshTokens.findOne({ tokenHash: hashToken(refreshToken) });
+
+        if (!stored || stored.expiresAt <= new Date()) {
+            return res.status(401).json({ message: 'Session expired. Please log in again.' });
+        }
+        if (stored.revokedAt) {
+            if (stored.rotatedAt) {
+                console.warn(`Refresh token reuse detected for session ${stored.sessionId}; revoking it.`);
+                await revokeSessions({ sessionId: stored.sessionId });
+            }
+            return res.status(401).json({ message: 'This session has been logged out. Please log in again.' });
+        }
+
+        // Claim atomically so two simultaneous refreshes with the same token cannot both succeed
+        const now = new Date();
+        const claimed = await refreshTokens.findOneAndUpdate(
+            { _id: stored._id, revokedAt: null },
+            { $set: { revokedAt: now, rotatedAt: now } }
+        );
+        if (!claimed) return res.status(401).json({ message: 'This session has been logged out. Please log in again.' });
+
+        let user;
+        if (stored.role === 'staff') {
+            // Re-read the staff record so role changes and removals apply at the next refresh
+            const staff = await db.collection('hospitalStaff').findOne({ _id: new ObjectId(stored.userId), password: { $type: 'string' } });
+            const hospital = staff && await db.collection('users').findOne({ _id: new ObjectId(staff.hospitalId), role: 'hospital' });
+            user = hospital && hospital.status === 'APPROVED' ? toStaffSessionUser(staff) : null;
+        } else {
+            user = await db.collection('users').findOne({ _id: new ObjectId(stored.userId) });
+            if (user && user.role === 'hospital' && user.status !== 'APPROVED') user = null;
+        }
+        if (!user) {
+            await revokeSessions({ sessionId: stored.sessionId });
+            return res.status(401).json({ message: 'This account can no longer sign in.' });
+        }
+
+        const session = await issueSession(user, req, stored.sessionId);
+        res.json({ message: 'Session refreshed.', ...session });
+    } catch (e) {
+        console.error('Refresh Token Error:', e);
+        res.status(500).json({ message: 'Error refreshing session.' });
+    }
+});
+
+// POST /api/auth/logout (End this device's session)
+// Works with an expired access token too, since the refresh token alone identifies the session.
+app.post('/api/auth/logout', optionalAuthenticateToken, async (req, res) => {
+    const refreshToken = req.body && req.body.refreshToken;
+
+    try {
+        let sessionId = req.user && req.user.sid;
+        if (!sessionId && refreshToken) {
+            const stored = await db.collection('refreshTokens').findOne({ tokenHash: hashToken(refreshToken) });
+            sessionId = stored && stored.sessionId;
+        }
+        if (sessionId) await revokeSessions({ sessionId });
+
+        res.json({ message: 'Logged out.' });
+    } catch (e) {
+        console.error('Logout Error:', e);
+        res.status(500).json({ message: 'Error logging out.' });
+    }
+});
+
+// POST /api/auth/logout-all (End every session of the logged-in account, on all devices)
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await revokeSessions({ userId: getAccountId(req.user) });
+        res.json({ message: `Logged out of ${sessions} session(s).`, sessions });
+    } catch (e) {
+        console.error('Logout All Error:', e);
+        res.status(500).json({ message: 'Error logging out of all devices.' });
+    }
+});
+
+// POST /api/auth/change-password (Logged-in user changes their own password)
+// Expected body: { currentPassword, newPassword }. Other devices are logged out; this one stays signed in.
+app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ message: 'Current and new password are required.' });
+    }
+    const passwordError = validatePasswordStrength(newPassword);
+    if (passwordError) return res.status(400).json({ message: passwordError });
+
+    const usersCollection = getAccountCollection(req.user);
+
+    try {
+        const user = await usersCollection.findOne({ _id: new ObjectId(getAccountId(req.user)) });
+        if (!user) return res.status(404).json({ message: 'Account not found.' });
+
+        if (!(await bcrypt.compare(currentPassword, user.password))) {
+            return res.status(400).json({ message: 'Current password is incorrect.' });
+        }
+        if (await bcrypt.compare(newPassword, user.password)) {
+            return res.status(400).json({ message: 'New password must be different from the current one.' });
+        }
+
+        await usersCollection.updateOne(
+            { _id: user._id },
+            { $set: { password: await bcrypt.hash(newPassword, 10), passwordChangedAt: new Date() } }
+        );
+        const loggedOut = await revokeSessions({ userId: getAccountId(req.user), sessionId: { $ne: req.user.sid } });
+        await recordAudit(req, 'account.changePassword', { type: req.user.staffId ? 'staff' : 'user', id: getAccountId(req.user) }, {
+            note: `${loggedOut} other session(s) logged out`
+        });
+
+        res.json({ message: 'Password changed successfully.', otherSessionsLoggedOut: loggedOut });
+    } catch (e) {
+        console.error('Change Password Error:', e);
+        res.status(500).json({ message: 'Error changing password.' });
+    }
+});
+
+// POST /api/auth/forgot-password (Emails a one-time reset link)
+// Expected body: { role: 'patient' | 'hospital', identifier } where identifier is a username/email
+// (patient) or email/Hospital ID (hospital). The reply is the same whether or not an account matched,
+// so this cannot be used to discover which accounts exist. Patients need an email on file.
+app.post('/api/auth/forgot-password', passwordResetRateLimiter, async (req, res) => {
+    const { role, identifier } = req.body;
+    const genericReply = { message: 'If an account with an email address matches, a reset link has been sent to it.' };
+
+    if (!['patient', 'hospital'].includes(role) || !identifier) {
+        return res.status(400).json({ message: 'Role and username/email are required.' });
+    }
+
+    // The emailed link must point at our own login page, never at whatever page the caller claims to come from
+    const resetPage = process.env.PASSWORD_RESET_URL;
+    if (!resetPage) {
+        console.error('Password reset requested but PASSWORD_RESET_URL is not set.');
+        return res.status(503).json({ message: 'Password reset by email is not available right now. Please contact support.' });
+    }
+
+    try {
+        const query = role === 'hospital'
+            ? { $or: [{ email: String(identifier) }, { hospitalId: String(identifier) }], role }
+            : { $or: [{ username: String(identifier) }, { email: String(identifier).toLowerCase() }], role };
+        const user = await db.collection('users').findOne(query);
+
+        if (!user || !user.email) return res.json(genericReply);
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const now = new Date();
+        const resets = db.collection('passwordResets');
+
+        // Only the newest link works
+        await resets.updateMany({ userId: user._id.toString(), usedAt: null }, { $set: { usedAt: now, supersededAt: now } });
+        await resets.insertOne({
+            tokenHash: hashToken(token),
+            userId: user._id.toString(),
+            createdAt: now,
+            expiresAt: new Date(now.getTime() + PASSWORD_RESET_TTL_MS),
+            usedAt: null,
+            requestIp: req.ip
+        });
+
+        const resetUrl = new URL(resetPage);
+        resetUrl.search = '';
+        resetUrl.searchParams.set('reset', token);
+
+        queueEmail('passwordReset', user.email, {
+            name: user.name || user.username,
+            resetUrl: resetUrl.toString(),
+            expiresInMinutes: PASSWORD_RESET_TTL_MS / 60000
+        });
+
+        res.json(genericReply);
+    } catch (e) {
+        console.error('Forgot Password Error:', e);
+        res.status(500).json({ message: 'Error requesting password reset.' });
+    }
+});
+
+// POST /api/auth/reset-password (Sets a new password with an emailed token)
+// Expected body: { token, newPassword }. Every existing session of the account is logged out.
+app.post('/api/auth/reset-password', async (req, res) => {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+        return res.status(400).json({ message: 'Reset token and new password are required.' });
+    }
+    const passwordError = validatePasswordStrength(newPassword);
+    if (passwordError) return res.status(400).json({ message: passwordError });
+
+    try {
+        // Marked used in the same step that validates it, so a link works exactly once
+        const reset = await db.collection('passwordResets').findOneAndUpdate(
+            { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+            { $set: { usedAt: new Date() } }
+        );
+        if (!reset) {
+            return res.status(400).json({ message: 'This reset link is invalid or has expired. Please request a new one.' });
+        }
+
+        const user = await db.collection('users').findOneAndUpdate(
+            { _id: new ObjectId(reset.userId) },
+            { $set: { password: await bcrypt.hash(newPassword, 10), passwordChangedAt: new Date() } },
+            { projection: { name: 1, username: 1, role: 1 } }
+        );
+        await revokeSessions({ userId: reset.userId });
+        if (user) {
+            await recordAudit(req, 'account.resetPassword', { type: 'user', id: user._id }, {
+                actor: { id: reset.userId, role: user.role, name: user.name || user.username },
+                hospitalIds: user.role === 'hospital' ? [reset.userId] : [],
+                note: 'Password set from an emailed reset link'
+            });
+        }
+
+        res.json({ message: 'Password has been reset. You can now log in with your new password.' });
+    } catch (e) {
+        console.error('Reset Password Error:', e);
+        res.status(500).json({ message: 'Error resetting password.' });
+    }
+});
+
+// ------------------------------------
+// --- ADMIN ROUTES (Hospital Approval)
+// ------------------------------------
+
+// GET /api/hospitals/pending
+app.get('/api/hospitals/pending', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Only admin can view pending hospitals.' });
+    }
+
+    try {
+        const hospitals = await db.collection('users')
+            .find({ role: 'hospital', status: 'PENDING' }, { projection: { password: 0 } })
+            .sort({ createdAt: 1 })
+            .toArray();
+
+        res.json(hospitals.map(toAdminHospitalView));
+    } catch (e) {
+        console.error('Fetch Pending Hospitals Error:', e);
+        res.status(500).json({ message: 'Error fetching pending hospitals.' });
+    }
+});
+
+// GET /api/hospitals?status=SUSPENDED (All hospitals in one verification state, for the admin console)
+app.get('/api/hospitals', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Only admin can view hospitals.' });
+    }
+
+    const status = String(req.query.status || 'PENDING').toUpperCase();
+    if (!HOSPITAL_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Status must be one of ${HOSPITAL_STATUSES.join(', ')}.` });
+    }
+
+    try {
+        const hospitals = await db.collection('users')
+            .find({ role: 'hospital', status }, { projection: { password: 0 } })
+            .sort({ statusUpdatedAt: -1, createdAt: 1 })
+            .toArray();
+
+        res.json(hospitals.map(toAdminHospitalView));
+    } catch (e) {
+        console.error('Fetch Hospitals Error:', e);
+        res.status(500).json({ message: 'Error fetching hospitals.' });
+    }
+});
+
+// GET /api/hospitals/:id/proof (Streams the hospital's proof document for admin review)
+app.get('/api/hospitals/:id/proof', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Only admin can view proof documents.' });
+    }
+    if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid format for hospital ID.' });
+    }
+
+    try {
+        const hospital = await db.collection('users').findOne(
+            { _id: new ObjectId(req.params.id), role: 'hospital' },
+            { projection: { proof: 1, proofUrl: 1 } }
+        );
+        if (!hospital) return res.status(404).json({ message: 'Hospital not found.' });
+
+        res.set('Cache-Control', 'private, no-store');
+
+        if (hospital.proof) {
+            res.set('Content-Type', hospital.proof.contentType);
+            res.set('Content-Disposition', `inline; filename="${encodeURIComponent(hospital.proof.filename)}"`);
+            proofBucket.openDownloadStream(hospital.proof.fileId)
+                .on('error', (error) => {
+                    console.error('Proof stream error:', error);
+                    if (!res.headersSent) res.status(404).json({ message: 'Proof document file is missing.' });
+                    else res.end();
+                })
+                .pipe(res);
+            return;
+        }
+
+        // Registrations from before GridFS storage kept the document inline as a data URL.
+        // Its type was chosen by the browser that registered, so only the upload types are served.
+        if (hospital.proofUrl && hospital.proofUrl.startsWith('data:')) {
+            const [header, data] = hospital.proofUrl.split(',');
+            const legacyFile = { mimetype: header.slice(5, header.indexOf(';')), buffer: Buffer.from(data || '', 'base64') };
+            if (!hasProofSignature(legacyFile)) {
+                return res.status(415).json({ message: 'This legacy proof document is not a JPEG, PNG, WebP or PDF file and cannot be shown.' });
+            }
+            res.set('Content-Type', legacyFile.mimetype);
+            res.set('X-Content-Type-Options', 'nosniff');
+            return res.send(legacyFile.buffer);
+        }
+
+        res.status(404).json({ message: 'This hospital has no proof document.' });
+    } catch (e) {
+        console.error('Fetch Proof Error:', e);
+        res.status(500).json({ message: 'Error fetching proof document.' });
+    }
+});
+
+// PUT /api/hospital/approve/:id
+app.put('/api/hospital/approve/:id', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Only admin can approve hospitals.' });
+    }
+
+    const hospitalIdParam = req.params.id;
+
+    if (!ObjectId.isValid(hospitalIdParam)) {
+        return res.status(400).json({ message: 'Invalid format for hospital ID.' });
+    }
+
+    try {
+        // A hospital re-approved after re-submitting proof keeps the Hospital ID it already logs in with
+        const existing = await db.collection('users').findOne(
+            { _id: new ObjectId(hospitalIdParam), role: 'hospital' },
+            { projection: { password: 0 } }
+        );
+        const newHospitalId = (existing && existing.hospitalId) || generateHospitalId();
+        const result = await transitionHospital(hospitalIdParam, await getActor(req.user), 'APPROVED', {
+            fromStatuses: ['PENDING'],
+            set: { hospitalId: newHospitalId, approvedAt: new Date(), approvedBy: req.user.id }
+        });
+        if (result.error) return res.status(result.code).json({ message: result.error });
+        await recordAudit(req, 'hospital.approve', { type: 'user', id: hospitalIdParam }, {
+            hospitalIds: [hospitalIdParam],
+            before: existing,
+            after: result.hospital
+        });
+
+        // Send Email
+        queueEmail('hospitalApproved', result.hospital.email, { hospitalId: newHospitalId });
+
+        res.json({ message: 'Hospital approved successfully.', hospitalId: newHospitalId });
+
+    } catch (e) {
+        console.error('Approval Error:', e);
+        res.status(500).json({ message: 'Error approving hospital.' });
+    }
+});
+
+// Admin actions after the first approval. Each one needs a reason except reinstating.
+const HOSPITAL_ADMIN_ACTIONS = {
+    reject: { toStatus: 'REJECTED', email: 'hospitalRejected', reasonRequired: true },
+    suspend: { toStatus: 'SUSPENDED', email: 'hospitalSuspended', reasonRequired: true },
+    reinstate: { toStatus: 'APPROVED', email: 'hospitalReinstated', reasonRequired: false, fromStatuses: ['SUSPENDED'] },
+    'request-resubmission': { toStatus: 'RESUBMISSION_REQUESTED', email: 'hospitalResubmissionRequested', reasonRequired: true }
+};
+
+/**
+ * Shared handler for PUT /api/hospital/<action>/:id.
+ * Body: { reason }
+ */
+async function handleHospitalAdminAction(req, res, actionName) {
+    const action = HOSPITAL_ADMIN_ACTIONS[actionName];
+
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Only admin can change hospital status.' });
+    }
+    if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid format for hospital ID.' });
+    }
+
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (action.reasonRequired && !reason) {
+        return res.status(400).json({ message: 'A reason is required for this action.' });
+    }
+
+    try {
+        const before = await db.collection('users').findOne(
+            { _id: new ObjectId(req.params.id), role: 'hospital' },
+            { projection: { password: 0 } }
+        );
+        const result = await transitionHospital(req.params.id, await getActor(req.user), action.toStatus, {
+            reason,
+            fromStatuses: action.fromStatuses
+        });
+        if (result.error) return res.status(result.code).json({ message: result.error });
+        await recordAudit(req, `hospital.${actionName}`, { type: 'user', id: req.params.id }, {
+            hospitalIds: [req.params.id],
+            before,
+            after: result.hospital,
+            note: reason
+        });
+
+        // A suspended hospital's open dashboards stop receiving live requests straight away,
+        // and its sessions end so the dashboard cannot keep refreshing its access token
+        if (action.toStatus === 'SUSPENDED') {
+            pushToHospital(req.params.id, 'account-suspended', { reason });
+            const streams = hospitalStreams.get(req.params.id);
+            if (streams) streams.forEach(stream => stream.end());
+        }
+        if (action.toStatus === 'SUSPENDED' || action.toStatus === 'REJECTED') {
+            await revokeSessions({ $or: [{ userId: req.params.id }, { hospitalId: req.params.id }] });
+        }
+
+        queueEmail(action.email, result.hospital.email, { reason });
+
+        res.json({ message: `Hospital status changed to ${action.toStatus}.`, hospital: toAdminHospitalView(result.hospital) });
+    } catch (e) {
+        console.error(`Hospital ${actionName} Error:`, e);
+        res.status(500).json({ message: 'Error updating hospital status.' });
+    }
+}
+
+// PUT /api/hospital/reject/:id
+app.put('/api/hospital/reject/:id', authenticateToken, (req, res) => handleHospitalAdminAction(req, res, 'reject'));
+
+// PUT /api/hospital/suspend/:id (Also removes the hospital from routing, which only uses APPROVED hospitals)
+app.put('/api/hospital/suspend/:id', authenticateToken, (req, res) => handleHospitalAdminAction(req, res, 'suspend'));
+
+// PUT /api/hospital/reinstate/:id
+app.put('/api/hospital/reinstate/:id', authenticateToken, (req, res) => handleHospitalAdminAction(req, res, 'reinstate'));
+
+// PUT /api/hospital/request-resubmission/:id
+app.put('/api/hospital/request-resubmission/:id', authenticateToken, (req, res) => handleHospitalAdminAction(req, res, 'request-resubmission'));
+
+// GET /api/notifications (Email outbox delivery status)
+// Optional filters: ?status=QUEUED|SENDING|SENT|FAILED, ?limit=
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Only admin can view notifications.' });
+    }
+
+    const query = {};
+    if (req.query.status) query.status = String(req.query.status).toUpperCase();
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    try {
+        const messages = await db.collection(OUTBOX_COLLECTION)
+            .find(query, { projection: { html: 0 } })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .toArray();
+
+        res.json(messages);
+    } catch (e) {
+        console.error('Fetch Notifications Error:', e);
+        res.status(500).json({ message: 'Error fetching notifications.' });
+    }
+});
+
+// POST /api/notifications/:id/retry (Re-queue a FAILED email)
+app.post('/api/notifications/:id/retry', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Only admin can retry notifications.' });
+    }
+    if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid format for notification ID.' });
+    }
+
+    try {
+        const result = await db.collection(OUTBOX_COLLECTION).updateOne(
+            { _id: new ObjectId(req.params.id), status: 'FAILED' },
+            { $set: { status: 'QUEUED', attempts: 0, nextAttemptAt: new Date() } }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ message: 'No failed notification with that ID.' });
+        }
+
+        await recordAudit(req, 'notification.retry', { type: 'notification', id: req.params.id });
+
+        notifications.processOutbox();
+        res.json({ message: 'Notification queued for another delivery attempt.' });
+    } catch (e) {
+        console.error('Retry Notification Error:', e);
+        res.status(500).json({ message: 'Error retrying notification.' });
+    }
+});
+
+// ------------------------------------
+// --- AUDIT LOG
+// ------------------------------------
+
+// GET /api/audit-log (Who did what, newest first)
+// Platform admins see every entry; hospital admins see the entries for their own hospital.
+// Optional filters: ?action= (exact, or a prefix ending in '.' such as 'patient.'), ?actorId=, ?targetType=,
+// ?targetId=, ?hospitalId= (platform admin only), ?from=&to= (ISO dates), ?limit=, ?format=csv for a download
+app.get('/api/audit-log', authenticateToken, async (req, res) => {
+    const isPlatformAdmin = req.user.role === 'admin';
+    if (!isPlatformAdmin && !hasHospitalPermission(req.user, 'viewAuditLog')) {
+        return res.status(403).json({ message: 'Only platform or hospital admins can view the audit log.' });
+    }
+
+    const { action, actorId, targetType, targetId, hospitalId, from, to, format } = req.query;
+    const asCsv = format === 'csv';
+    const limit = asCsv ? AUDIT_EXPORT_MAX : Math.min(parseInt(req.query.limit) || 100, 500);
+
+    const query = {};
+    if (!isPlatformAdmin) query.hospitalIds = req.user.id;
+    else if (hospitalId) query.hospitalIds = String(hospitalId);
+    if (action) {
+        const actionText = String(action);
+        if (!/^[a-zA-Z.]+$/.test(actionText)) return res.status(400).json({ message: 'Invalid action filter.' });
+        query.action = actionText.endsWith('.') ? { $regex: `^${actionText.replace(/\./g, '\\.')}` } : actionText;
+    }
+    if (actorId) query['actor.id'] = String(actorId);
+    if (targetType) query['target.type'] = String(targetType);
+    if (targetId) query['target.id'] = String(targetId);
+    if (from || to) {
+        query.at = {};
+        if (from) query.at.$gte = new Date(from);
+        if (to) query.at.$lte = new Date(to);
+        if (Object.values(query.at).some(date => isNaN(date))) {
+            return res.status(400).json({ message: 'from and to must be valid dates.' });
+        }
+    }
+
+    try {
+        const entries = await db.collection(AUDIT_COLLECTION)
+            .find(query)
+            .sort({ at: -1 })
+            .limit(limit)
+            .toArray();
+
+        if (asCsv) {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+            return res.send(toAuditCsv(entries));
+        }
+        res.json(entries);
+    } catch (e) {
+        console.error('Fetch Audit Log Error:', e);
+        res.status(500).json({ message: 'Error fetching audit log.' });
+    }
+});
+
+// ------------------------------------
+// --- PATIENT ROUTES (Needs Auth)
+// ------------------------------------
+
+// POST /api/goals (Save/Update Patient Goals)
+app.post('/api/goals', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
+
+    try {
+        const { goals } = req.body;
+        const patientName = req.user.username; // Use username from JWT for security
+
+        const before = await db.collection('goals').findOneAndUpdate(
+            { patientName: patientName },
+            { $set: { goals, updatedAt: new Date() } },
+            { upsert: true }
+        );
+        await recordAudit(req, 'goals.update', { type: 'goals', id: req.user.id }, { before, after: { patientName, goals } });
+
+        res.json({ message: 'Goals updated successfully.' });
+    } catch (e) {
+        console.error('Goal Update Error:', e);
+        res.status(500).json({ message: 'Error updating goals.' });
+    }
+});
+
+// GET /api/goals/:patientName (Fetch Patient Goals)
+app.get('/api/goals/:patientName', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
+
+    const patientNameParam = req.params.patientName;
+    if (patientNameParam !== req.user.username) {
+        return res.status(403).json({ message: 'Access denied to other patient\'s data.' });
+    }
+
+    try {
         const goalsRecord = await db.collection('goals').findOne({ patientName: patientNameParam });
 
-        if (!goalsRecord) {
-            return res.status(404).json({ message: 'No goals found for this patient.' });
+        if (!goalsRecord) {
+            return res.status(404).json({ message: 'No goals found for this patient.' });
+        }
+
+        res.json(goalsRecord.goals);
+    } catch (e) {
+        console.error('Fetch Goals Error:', e);
+        res.status(500).json({ message: 'Error fetching goals.' });
+    }
+});
+
+// POST /api/sos (Emergency SOS Request)
+// Logged-in patients send their JWT and are identified from it, like /api/goals.
+// Anonymous fallback: without a valid token the SOS is still dispatched (an emergency must
+// never be blocked by an expired session), but it is stored with verified: false, the
+// body's patientName is kept only as a self-reported name, and the hospital sees it flagged.
+app.post('/api/sos', optionalAuthenticateToken, sosRateLimiter, async (req, res) => {
+    const { reason, location } = req.body; // location: {lat, lng}
+    const isVerified = !!(req.user && req.user.role === 'patient');
+    const typedName = typeof req.body.patientName === 'string' ? req.body.patientName.trim() : '';
+    const patientName = isVerified
+        ? req.user.username
+        : (typedName && typedName.length <= SOS_NAME_MAX ? typedName : 'Anonymous');
+
+    if (!location || !location.lat || !location.lng) {
+        return res.status(400).json({ message: "Location is required for SOS dispatch." });
+    }
+
+    try {
+        // Duplicate detection: reuse an open SOS from the same sender instead of queuing another
+        const duplicateQuery = {
+            type: 'SOS',
+            status: { $in: ACTIVE_REQUEST_STATUSES },
+            timestamp: { $gte: new Date(Date.now() - SOS_DUPLICATE_WINDOW_MS) }
+        };
+        if (isVerified) {
+            duplicateQuery.patientId = req.user.id;
+        } else {
+            duplicateQuery.verified = false;
+            duplicateQuery.senderIp = req.ip;
+        }
+
+        const duplicate = await db.collection('doctorRequests').findOne(duplicateQuery);
+        if (duplicate) {
+            return res.status(200).json({
+                message: "An SOS from you is already open; the hospital has been notified.",
+                duplicate: true,
+                requestId: duplicate._id.toString(),
+                hospitalName: duplicate.hospitalName,
+                routingReason: duplicate.routingReason,
+            });
+        }
+
+        const best = await findBestHospital(location.lat, location.lng);
+
+        if (!best) {
+            return res.status(503).json({ message: "No operational hospitals found." });
+        }
+
+        const now = new Date();
+        const newRequest = {
+            patientName,
+            patientId: isVerified ? req.user.id : null,
+            verified: isVerified,
+            senderIp: req.ip,
+            reason: `🚨 SOS Alert: ${reason}`,
+            criticality: 'HIGH', // Force HIGH for SOS
+            location,
+            hospitalId: best.hospital._id.toString(),
+            hospitalName: best.hospital.username || best.hospital.name,
+            routingReason: best.reason,
+            timestamp: now,
+            assignedAt: now,
+            escalationChain: [{
+                hospitalId: best.hospital._id.toString(),
+                hospitalName: best.hospital.username || best.hospital.name,
+                assignedAt: now,
+                distance: best.distance,
+                reason: 'Initial routing'
+            }],
+            type: 'SOS',
+            status: 'PENDING',
+            statusHistory: [{ status: 'PENDING', at: now, by: { id: null, role: 'patient', name: patientName }, note: null }]
+        };
+
+        const result = await db.collection('doctorRequests').insertOne(newRequest);
+        pushToHospital(newRequest.hospitalId, 'new-request', { ...newRequest, senderIp: undefined });
+        await recordAudit(req, 'request.sos', { type: 'doctorRequest', id: result.insertedId }, {
+            actor: isVerified ? undefined : { id: null, role: 'anonymous', name: patientName },
+            hospitalIds: [newRequest.hospitalId],
+            after: newRequest
+        });
+
+        res.status(201).json({
+            message: "SOS request dispatched.",
+            requestId: result.insertedId.toString(),
+            hospitalName: best.hospital.username || best.hospital.name,
+            distance: best.distance,
+            routingReason: best.reason,
+            hospitalLoad: best.load,
+        });
+
+    } catch (e) {
+        console.error('Error handling SOS request:', e);
+        res.status(500).json({ message: 'Internal server error during SOS dispatch.' });
+    }
+});
+
+// GET /api/sos/:id (Public SOS status, so the patient can follow escalations)
+app.get('/api/sos/:id', async (req, res) => {
+    const requestId = req.params.id;
+
+    if (!ObjectId.isValid(requestId)) {
+        return res.status(400).json({ message: 'Invalid format for request ID.' });
+    }
+
+    try {
+        const request = await db.collection('doctorRequests').findOne(
+            { _id: new ObjectId(requestId), type: 'SOS' },
+            { projection: { status: 1, hospitalName: 1, assignedAt: 1, escalationChain: 1, escalationExhausted: 1 } }
+        );
+
+        if (!request) return res.status(404).json({ message: 'SOS request not found.' });
+
+        // Only hospital names and times are exposed; no patient details
+        res.json({
+            status: request.status,
+            hospitalName: request.hospitalName,
+            assignedAt: request.assignedAt,
+            escalationExhausted: !!request.escalationExhausted,
+            escalationChain: (request.escalationChain || []).map(hop => ({
+                hospitalName: hop.hospitalName,
+                assignedAt: hop.assignedAt,
+                reason: hop.reason
+            }))
+        });
+    } catch (e) {
+        console.error('Fetch SOS Status Error:', e);
+        res.status(500).json({ message: 'Error fetching SOS status.' });
+    }
+});
+
+function parseCoordinates(query) {
+    const lat = parseFloat(query.lat);
+    const lng = parseFloat(query.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return { lat, lng };
+}
+
+async function getPreferredHospitalIds(patientId) {
+    const patient = await db.collection('users').findOne({ _id: new ObjectId(patientId) }, { projection: { preferredHospitalIds: 1 } });
+    return (patient && patient.preferredHospitalIds) || [];
+}
+
+/**
+ * Picks the hospital for a standard doctor request: the one the patient chose, otherwise the best
+ * of their preferred hospitals in range, otherwise normal capacity-aware routing.
+ * A chosen hospital must be APPROVED and within ROUTING_RADIUS_KM.
+ * @returns {Promise<{best?: object, error?: string, status?: number}>}
+ */
+async function routeDoctorRequest(patientId, location, chosenHospitalId) {
+    if (chosenHospitalId) {
+        if (!ObjectId.isValid(chosenHospitalId)) return { status: 400, error: 'Invalid format for hospital ID.' };
+        const hospital = await db.collection('users').findOne({ _id: new ObjectId(chosenHospitalId), role: 'hospital', status: 'APPROVED' });
+        if (!hospital || !hospital.location) return { status: 404, error: 'That hospital is not accepting requests.' };
+
+        const distance = getDistance(location.lat, location.lng, parseFloat(hospital.location.lat), parseFloat(hospital.location.lng));
+        if (!(distance <= ROUTING_RADIUS_KM)) {
+            return { status: 400, error: `${hospital.name || hospital.username} is ${distance.toFixed(1)} km away; choose a hospital within ${ROUTING_RADIUS_KM} km.` };
+        }
+        return { best: { hospital, distance, load: null, reason: `Chosen by the patient (${distance.toFixed(1)} km away).` } };
+    }
+
+    const preferredIds = await getPreferredHospitalIds(patientId);
+    if (preferredIds.length > 0) {
+        const preferred = await findBestHospital(location.lat, location.lng, { onlyIds: preferredIds });
+        if (preferred) return { best: { ...preferred, reason: `One of the patient's preferred hospitals. ${preferred.reason}` } };
+    }
+
+    const best = await findBestHospital(location.lat, location.lng);
+    return best ? { best } : { status: 503, error: 'No operational hospitals found.' };
+}
+
+// GET /api/nearby-hospitals?lat&lng (Approved hospitals a patient can send a doctor request to, nearest first)
+app.get('/api/nearby-hospitals', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
+
+    const location = parseCoordinates(req.query);
+    if (!location) return res.status(400).json({ message: 'A valid lat and lng are required.' });
+
+    try {
+        const [nearby, preferredIds] = await Promise.all([
+            listNearbyHospitals(location.lat, location.lng),
+            getPreferredHospitalIds(req.user.id)
+        ]);
+
+        res.json(nearby.map(({ hospital, distance }) => ({
+            hospitalId: hospital._id.toString(),
+            hospitalName: hospital.name || hospital.username,
+            distance,
+            preferred: preferredIds.includes(hospital._id.toString())
+        })));
+    } catch (e) {
+        console.error('Fetch Nearby Hospitals Error:', e);
+        res.status(500).json({ message: 'Error fetching nearby hospitals.' });
+    }
+});
+
+// GET /api/my-preferred-hospitals (The patient's preferred hospitals, wherever they are)
+app.get('/api/my-preferred-hospitals', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
+
+    try {
+        const preferredIds = await getPreferredHospitalIds(req.user.id);
+        const hospitals = await db.collection('users').find(
+            { _id: { $in: preferredIds.map(id => new ObjectId(id)) }, role: 'hospital', status: 'APPROVED' },
+            { projection: { name: 1, username: 1 } }
+        ).toArray();
+
+        res.json(hospitals.map(h => ({ hospitalId: h._id.toString(), hospitalName: h.name || h.username })));
+    } catch (e) {
+        console.error('Fetch Preferred Hospitals Error:', e);
+        res.status(500).json({ message: 'Error fetching preferred hospitals.' });
+    }
+});
+
+// PUT /api/my-preferred-hospitals (Replace the patient's preferred hospitals)
+// Expected body: { hospitalIds: [id, ...] }
+app.put('/api/my-preferred-hospitals', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
+
+    const { hospitalIds } = req.body;
+    if (!Array.isArray(hospitalIds) || hospitalIds.some(id => typeof id !== 'string' || !ObjectId.isValid(id))) {
+        return res.status(400).json({ message: 'hospitalIds must be a list of hospital IDs.' });
+    }
+    const uniqueIds = [...new Set(hospitalIds)];
+    if (uniqueIds.length > MAX_PREFERRED_HOSPITALS) {
+        return res.status(400).json({ message: `You can prefer at most ${MAX_PREFERRED_HOSPITALS} hospitals.` });
+    }
+
+    try {
+        const approved = await db.collection('users').countDocuments({
+            _id: { $in: uniqueIds.map(id => new ObjectId(id)) },
+            role: 'hospital',
+            status: 'APPROVED'
+        });
+        if (approved !== uniqueIds.length) {
+            return res.status(400).json({ message: 'Only approved hospitals can be preferred.' });
+        }
+
+        const before = await db.collection('users').findOneAndUpdate(
+            { _id: new ObjectId(req.user.id), role: 'patient' },
+            { $set: { preferredHospitalIds: uniqueIds } },
+            { projection: { preferredHospitalIds: 1 } }
+        );
+        if (!before) return res.status(404).json({ message: 'Patient account not found.' });
+
+        await recordAudit(req, 'patient.preferredHospitals', { type: 'patient', id: req.user.id }, {
+            before: { preferredHospitalIds: before.preferredHospitalIds || [] },
+            after: { preferredHospitalIds: uniqueIds }
+        });
+
+        res.json({ message: uniqueIds.length > 0 ? 'Preferred hospitals saved.' : 'Preferred hospitals cleared.' });
+    } catch (e) {
+        console.error('Update Preferred Hospitals Error:', e);
+        res.status(500).json({ message: 'Error saving preferred hospitals.' });
+    }
+});
+
+// POST /api/doctor-request (Standard Doctor Connection Request)
+// Expected body: { reason, criticality, location, hospitalId? }. Without hospitalId the server routes it.
+app.post('/api/doctor-request', authenticateToken, doctorRequestRateLimiter, async (req, res) => {
+    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
+
+    const { reason, criticality, location, hospitalId } = req.body;
+    const patientName = req.user.username; // Use username from JWT for security
+
+    if (!location || !location.lat || !location.lng) {
+        return res.status(400).json({ message: "Location is required for doctor connection." });
+    }
+
+    try {
+        const { best, error, status } = await routeDoctorRequest(req.user.id, location, hospitalId);
+
+        if (error) {
+            return res.status(status).json({ message: error });
+        }
+
+        const now = new Date();
+        const newRequest = {
+            patientName,
+            patientId: req.user.id,
+            verified: true,
+            reason,
+            criticality: criticality ? criticality.toUpperCase() : 'LOW',
+            location,
+            hospitalId: best.hospital._id.toString(),
+            hospitalName: best.hospital.username || best.hospital.name,
+            routingReason: best.reason,
+            timestamp: now,
+            type: 'DOCTOR_CONNECT',
+            status: 'PENDING',
+            statusHistory: [{ status: 'PENDING', at: now, by: { id: null, role: 'patient', name: patientName }, note: null }]
+        };
+
+        await db.collection('doctorRequests').insertOne(newRequest);
+        pushToHospital(newRequest.hospitalId, 'new-request', newRequest);
+        await recordAudit(req, 'request.create', { type: 'doctorRequest', id: newRequest._id }, {
+            hospitalIds: [newRequest.hospitalId],
+            after: newRequest
+        });
+
+        res.status(201).json({
+            message: "Doctor request dispatched.",
+            hospitalName: best.hospital.username || best.hospital.name,
+            distance: best.distance,
+            routingReason: best.reason,
+            hospitalLoad: best.load,
+        });
+    } catch (e) {
+        console.error('Error handling doctor request:', e);
+        res.status(500).json({ message: 'Internal server error during doctor request.' });
+    }
+});
+
+// GET /api/prescriptions/:patientName (Fetch Patient Prescriptions) (NEW)
+app.get('/api/prescriptions/:patientName', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
+
+    const patientNameParam = req.params.patientName;
+
+    // Security check: Ensure the name in the URL matches the logged-in user's name
+    if (patientNameParam !== req.user.username) {
+        return res.status(403).json({ message: 'Access denied to other patient\'s data.' });
+    }
+
+    try {
+        // By account, not name: two patients with the same name must never see each other's prescriptions
+        const prescriptions = await db.collection('prescriptions')
+            .find({ patientId: req.user.id })
+            .sort({ prescribedAt: -1 })
+            .toArray();
+
+        res.json(prescriptions);
+    } catch (e) {
+        console.error('Fetch Prescriptions Error:', e);
+        res.status(500).json({ message: 'Error fetching prescriptions.' });
+    }
+});
+
+// GET /api/prescriptions/:id/pdf (Signed PDF copy for the patient it was written for, or the hospital that wrote it)
+app.get('/api/prescriptions/:id/pdf', authenticateToken, async (req, res) => {
+    if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid format for prescription ID.' });
+    }
+
+    try {
+        const prescription = await db.collection('prescriptions').findOne({ _id: new ObjectId(req.params.id) });
+        const allowed = prescription && (
+            (req.user.role === 'patient' && prescription.patientId === req.user.id) ||
+            (hasHospitalPermission(req.user, 'viewPatients') && prescription.hospitalId === req.user.id)
+        );
+        if (!allowed) return res.status(404).json({ message: 'Prescription not found.' });
+
+        const signed = await ensurePrescriptionSigned(prescription);
+        const account = signed.patientId && ObjectId.isValid(signed.patientId)
+            ? await db.collection('users').findOne({ _id: new ObjectId(signed.patientId) }, { projection: { patientCode: 1 } })
+            : null;
+
+        const pdf = await prescriptionDocument.renderPrescriptionPdf(signed, {
+            verifyUrl: getVerifyUrl(req, signed.verificationCode),
+            patientCode: account ? account.patientCode : null
+        });
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="prescription-${signed.verificationCode}.pdf"`,
+            'Cache-Control': 'private, no-store'
+        });
+        res.send(pdf);
+    } catch (e) {
+        console.error('Prescription PDF Error:', e);
+        res.status(500).json({ message: 'Error generating the prescription document.' });
+    }
+});
+
+// POST /api/prescriptions/:id/refill (Patient asks the prescribing hospital to renew a prescription)
+// Expected body: { note? }. Only one refill request per prescription can be open at a time.
+app.post('/api/prescriptions/:id/refill', authenticateToken, refillRateLimiter, async (req, res) => {
+    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
+    if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid format for prescription ID.' });
+    }
+
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+    if (note.length > REFILL_NOTE_MAX) {
+        return res.status(400).json({ message: `The note must be at most ${REFILL_NOTE_MAX} characters.` });
+    }
+
+    try {
+        const prescriptionId = req.params.id;
+        const prescription = await db.collection('prescriptions').findOne({ _id: new ObjectId(prescriptionId), patientId: req.user.id });
+        if (!prescription) return res.status(404).json({ message: 'Prescription not found.' });
+
+        const hospital = ObjectId.isValid(prescription.hospitalId)
+            ? await db.collection('users').findOne({ _id: new ObjectId(prescription.hospitalId), role: 'hospital' }, { projection: { status: 1, name: 1, username: 1 } })
+            : null;
+        if (!hospital || hospital.status !== 'APPROVED') {
+            return res.status(409).json({ message: 'The hospital that wrote this prescription is not taking requests right now. Please book a doctor instead.' });
+        }
+
+        const requests = db.collection('doctorRequests');
+        const open = await requests.findOne({ type: 'REFILL', 'refill.prescriptionId': prescriptionId, status: { $in: ACTIVE_REQUEST_STATUSES } });
+        if (open) return res.status(409).json({ message: 'A refill request for this prescription is already open.' });
+
+        const now = new Date();
+        const hospitalName = prescription.hospitalName || hospital.name || hospital.username;
+        const newRequest = {
+            patientName: req.user.username,
+            patientId: req.user.id,
+            verified: true,
+            reason: `Refill of the ${new Date(prescription.prescribedAt).toLocaleDateString('en-IN')} prescription from Dr. ${prescription.doctor || 'Hospital Staff'}${note ? `: ${note}` : ''}`,
+            criticality: 'LOW',
+            location: null,
+            hospitalId: prescription.hospitalId,
+            hospitalName,
+            routingReason: 'Sent to the hospital that wrote the prescription.',
+            timestamp: now,
+            type: 'REFILL',
+            // A snapshot, so staff see exactly what is being renewed
+            refill: {
+                prescriptionId,
+                verificationCode: prescription.verificationCode || null,
+                doctor: prescription.doctor,
+                prescribedAt: prescription.prescribedAt,
+                items: prescription.items || [],
+                notes: prescription.notes !== undefined ? prescription.notes : prescription.prescription,
+                note: note || null,
+                outcome: null
+            },
+            status: 'PENDING',
+            statusHistory: [{ status: 'PENDING', at: now, by: { id: null, role: 'patient', name: req.user.username }, note: null }]
+        };
+
+        await requests.insertOne(newRequest);
+        pushToHospital(newRequest.hospitalId, 'new-request', newRequest);
+        await recordAudit(req, 'request.create', { type: 'doctorRequest', id: newRequest._id }, {
+            hospitalIds: [newRequest.hospitalId],
+            after: newRequest
+        });
+
+        res.status(201).json({ message: `Refill request sent to ${hospitalName}.` });
+    } catch (e) {
+        console.error('Refill Request Error:', e);
+        res.status(500).json({ message: 'Error sending refill request.' });
+    }
+});
+
+// GET /api/my-medications/schedule (Today's doses across the patient's prescriptions, and 30-day adherence)
+app.get('/api/my-medications/schedule', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
+
+    try {
+        const dayStart = new Date(localTime.localDayStart(new Date()));
+        const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+        const doses = await findPatientDoses(req.user.id, dayStart, dayEnd);
+
+        res.json({ doses, adherence: await getAdherence(req.user.id) });
+    } catch (e) {
+        console.error('Fetch Medication Schedule Error:', e);
+        res.status(500).json({ message: 'Error fetching medication schedule.' });
+    }
+});
+
+// POST /api/my-medications/log (Mark a scheduled dose taken or skipped)
+// Expected body: { prescriptionId, itemIndex, scheduledAt, status: 'TAKEN'|'SKIPPED' }. Logging again changes the answer.
+app.post('/api/my-medications/log', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
+
+    const { prescriptionId, itemIndex, status } = req.body;
+    const scheduledAt = new Date(req.body.scheduledAt);
+    if (!ObjectId.isValid(prescriptionId) || !Number.isInteger(itemIndex) || isNaN(scheduledAt.getTime())) {
+        return res.status(400).json({ message: 'prescriptionId, itemIndex and scheduledAt are required.' });
+    }
+    if (!medicationSchedule.LOG_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Status must be one of ${medicationSchedule.LOG_STATUSES.join(', ')}.` });
+    }
+    if (scheduledAt.getTime() - medicationSchedule.EARLY_LOG_MS > Date.now()) {
+        return res.status(400).json({ message: 'This dose is not due yet.' });
+    }
+
+    try {
+        const prescription = await db.collection('prescriptions').findOne({ _id: new ObjectId(prescriptionId), patientId: req.user.id });
+        if (!prescription) return res.status(404).json({ message: 'Prescription not found.' });
+
+        // Only times the schedule actually generated can be logged
+        const dose = medicationSchedule.buildDoses(prescription, scheduledAt, new Date(scheduledAt.getTime() + 1))
+            .find(d => d.itemIndex === itemIndex);
+        if (!dose) return res.status(400).json({ message: 'No dose of that medicine is scheduled at that time.' });
+
+        const before = await db.collection(MEDICATION_LOGS_COLLECTION).findOneAndUpdate(
+            { patientId: req.user.id, prescriptionId, itemIndex, scheduledAt },
+            { $set: { status, loggedAt: new Date(), hospitalId: prescription.hospitalId } },
+            { upsert: true }
+        );
+        await recordAudit(req, 'medication.log', { type: 'prescription', id: prescriptionId }, {
+            hospitalIds: [prescription.hospitalId],
+            before: { itemIndex, scheduledAt, status: before ? before.status : null },
+            after: { itemIndex, scheduledAt, status },
+            note: `${dose.name} ${dose.strength}`
+        });
+
+        res.json({ message: status === 'TAKEN' ? `${dose.name} marked as taken.` : `${dose.name} marked as skipped.` });
+    } catch (e) {
+        console.error('Log Medication Error:', e);
+        res.status(500).json({ message: 'Error logging dose.' });
+    }
+});
+
+// GET /api/verify-prescription/:code (Public: confirms a printed prescription is genuine)
+// Only who issued it, when, and the patient's initials are returned; never the medicines or notes.
+app.get('/api/verify-prescription/:code', prescriptionVerifyRateLimiter, async (req, res) => {
+    const code = String(req.params.code || '').trim().toUpperCase();
+
+    try {
+        const prescription = await db.collection('prescriptions').findOne({ verificationCode: code });
+        if (!prescription) {
+            return res.status(404).json({ valid: false, message: 'No prescription has this verification code.' });
+        }
+
+        if (!prescriptionDocument.isSignatureValid(prescription, PRESCRIPTION_SIGNING_SECRET)) {
+            return res.json({ valid: false, code, message: 'This prescription record has changed since it was issued. Do not dispense; contact the hospital.' });
+        }
+
+        res.json({
+            valid: true,
+            code,
+            hospitalName: prescription.hospitalName,
+            doctor: prescription.doctor,
+            issuedAt: prescription.prescribedAt,
+            patientInitials: prescriptionDocument.toInitials(prescription.patientName),
+            message: 'This prescription is genuine and unaltered.'
+        });
+    } catch (e) {
+        console.error('Verify Prescription Error:', e);
+        res.status(500).json({ valid: false, message: 'Error verifying prescription.' });
+    }
+});
+
+// GET /api/my-requests (Logged-in patient's own SOS and doctor requests with live status)
+app.get('/api/my-requests', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
+
+    try {
+        const requests = await db.collection('doctorRequests')
+            .find(
+                // Requests stored by name only are linked to accounts by `npm run migrate-patient-ids`
+                { patientId: req.user.id },
+                { projection: { location: 0, senderIp: 0 } }
+            )
+            .sort({ timestamp: -1 })
+            .limit(50)
+            .toArray();
+
+        // Hospital-side actor ids stay on the server; the patient only needs names and times
+        res.json(requests.map(r => ({
+            _id: r._id,
+            type: r.type,
+            reason: r.reason,
+            criticality: r.criticality,
+            status: r.status,
+            hospitalName: r.hospitalName,
+            routingReason: r.routingReason || null,
+            timestamp: r.timestamp,
+            updatedAt: r.updatedAt || r.timestamp,
+            closedAt: r.closedAt || null,
+            statusHistory: (r.statusHistory || []).map(h => ({
+                status: h.status,
+                at: h.at,
+                by: h.by ? h.by.name : null,
+                note: h.note
+            })),
+            escalationChain: (r.escalationChain || []).map(hop => hop.hospitalName),
+            refill: r.refill ? { outcome: r.refill.outcome, declineReason: r.refill.declineReason || null } : null
+        })));
+    } catch (e) {
+        console.error('Fetch My Requests Error:', e);
+        res.status(500).json({ message: 'Error fetching your requests.' });
+    }
+});
+
+// ------------------------------------
+// --- HOSPITAL ROUTES (Needs Auth)
+// ------------------------------------
+
+// POST /api/admit-patient
+app.post('/api/admit-patient', authenticateToken, requireHospitalPermission('admitPatient'), async (req, res) => {
+    
+    // Expected body: { id, name, age, bedId, initialCondition, patientCode? }
+    // `id` is the hospital's own record number; patientCode links the admission to the patient's account.
+    // Hospitals that have not set up wards yet send a free-text `ward` instead of bedId.
+    const { patientCode, bedId, ...patientData } = req.body;
+
+    // Basic validation
+    if (!patientData.id || !patientData.name || !patientData.age) {
+        return res.status(400).json({ message: 'Missing required patient fields.' });
+    }
+    
+    let bed = null;
+    try {
+        let account = null;
+        if (patientCode) {
+            account = await findPatientByCode(patientCode);
+            if (!account) return res.status(404).json({ message: 'No patient account has that Patient ID.' });
+        }
+
+        const admissionId = new ObjectId();
+        if (bedId) {
+            bed = await claimBed(req.user.id, bedId, admissionId.toString());
+            if (!bed) return res.status(409).json({ message: 'That bed is no longer free. Pick another bed.' });
+        } else if (await db.collection(BEDS_COLLECTION).countDocuments({ hospitalId: req.user.id }, { limit: 1 })) {
+            return res.status(400).json({ message: 'Select a bed for the patient.' });
+        }
+
+        const admittedPatient = {
+            ...patientData,
+            _id: admissionId,
+            ...(bed ? { ward: describeBed(bed), wardId: bed.wardId, bedId: bed._id.toString() } : {}),
+            currentCondition: patientData.initialCondition,
+            patientId: account ? account._id.toString() : null,
+            hospitalId: req.user.id,
+            admittedAt: new Date(),
+        };
+
+        await db.collection('admittedPatients').insertOne(admittedPatient);
+        await recordAudit(req, 'patient.admit', { type: 'admittedPatient', id: admittedPatient._id }, { after: admittedPatient });
+        res.status(201).json({ message: 'Patient admitted successfully.' });
+        
+    } catch (e) {
+        // Don't leave the bed held by an admission that was never saved
+        if (bed) await releaseBed(bed.admissionId).catch(err => console.error('Release Bed Error:', err));
+        console.error('Admission Error:', e);
+        res.status(500).json({ message: 'Error admitting patient.' });
+    }
+});
+
+
+// GET /api/patients (View Patient Details Button)
+app.get('/api/patients', authenticateToken, requireHospitalPermission('viewPatients'), async (req, res) => {
+    try {
+        // Fetch only patients admitted to this hospital
+        const patients = await db.collection('admittedPatients')
+            .find({ hospitalId: req.user.id })
+            .sort({ admittedAt: -1 })
+            .toArray();
+
+        res.json(patients.map(p => ({ ...p, currentCondition: getCurrentCondition(p) })));
+    } catch (e) {
+        console.error('Fetch Patients Error:', e);
+        res.status(500).json({ message: 'Error fetching patient list.' });
+    }
+});
+
+// GET /api/events (Server-Sent Events stream for the hospital dashboard)
+// EventSource cannot send headers, so the JWT is passed as ?token=
+app.get('/api/events', (req, res) => {
+    const token = req.query.token;
+    if (!token) return res.status(401).json({ message: 'Authentication token required.' });
+
+    let user;
+    try {
+        user = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+        return res.status(401).json({ message: 'Invalid or expired token.' });
+    }
+    if (isSessionRevoked(user)) return res.status(401).json({ message: 'This session has been logged out.' });
+    if (user.role !== 'hospital') return res.status(403).json({ message: 'Access denied.' });
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.write(`event: connected\ndata: {}\n\n`);
+
+    if (!hospitalStreams.has(user.id)) hospitalStreams.set(user.id, new Set());
+    hospitalStreams.get(user.id).add(res);
+    if (user.sid) {
+        if (!sessionStreams.has(user.sid)) sessionStreams.set(user.sid, new Set());
+        sessionStreams.get(user.sid).add(res);
+    }
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        const streams = hospitalStreams.get(user.id);
+        if (streams) {
+            streams.delete(res);
+            if (streams.size === 0) hospitalStreams.delete(user.id);
+        }
+        const ownStreams = user.sid && sessionStreams.get(user.sid);
+        if (ownStreams) {
+            ownStreams.delete(res);
+            if (ownStreams.size === 0) sessionStreams.delete(user.sid);
+        }
+    });
+});
+
+// GET /api/doctor-requests (Hospital Staff View Queue)
+// Optional ?status=PENDING,ACKNOWLEDGED narrows the queue; defaults to every open state.
+app.get('/api/doctor-requests', authenticateToken, requireHospitalPermission('viewQueue'), async (req, res) => {
+
+    let statuses = ACTIVE_REQUEST_STATUSES;
+    if (req.query.status) {
+        statuses = String(req.query.status).toUpperCase().split(',').filter(s => ACTIVE_REQUEST_STATUSES.includes(s));
+        if (statuses.length === 0) {
+            return res.status(400).json({ message: `Status must be one of ${ACTIVE_REQUEST_STATUSES.join(', ')}.` });
+        }
+    }
+
+    try {
+        const requests = await db.collection('doctorRequests')
+            .find({
+                status: { $in: statuses },
+                hospitalId: req.user.id
+            }, { projection: { senderIp: 0 } })
+            .sort({ criticality: -1, timestamp: 1 })
+            .toArray();
+        res.json(requests);
+    } catch (e) {
+        console.error('Fetch Requests Error:', e);
+        res.status(500).json({ message: 'Error fetching doctor requests.' });
+    }
+});
+
+// GET /api/doctor-requests/history (Closed requests handled by this hospital)
+// Optional filters: ?status=RESOLVED|CANCELLED, ?type=SOS|DOCTOR_CONNECT|REFILL, ?from=&to= (ISO dates), ?limit=
+app.get('/api/doctor-requests/history', authenticateToken, requireHospitalPermission('viewQueue'), async (req, res) => {
+
+    const { status, type, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    const query = { hospitalId: req.user.id, status: { $in: CLOSED_REQUEST_STATUSES } };
+    if (status) {
+        if (!CLOSED_REQUEST_STATUSES.includes(String(status).toUpperCase())) {
+            return res.status(400).json({ message: `Status must be one of ${CLOSED_REQUEST_STATUSES.join(', ')}.` });
+        }
+        query.status = String(status).toUpperCase();
+    }
+    if (type) query.type = String(type).toUpperCase();
+    if (from || to) {
+        query.closedAt = {};
+        if (from) query.closedAt.$gte = new Date(from);
+        if (to) query.closedAt.$lte = new Date(to);
+        if (Object.values(query.closedAt).some(date => isNaN(date))) {
+            return res.status(400).json({ message: 'from and to must be valid dates.' });
+        }
+    }
+
+    try {
+        const requests = await db.collection('doctorRequests')
+            .find(query, { projection: { senderIp: 0 } })
+            .sort({ closedAt: -1 })
+            .limit(limit)
+            .toArray();
+
+        // Time from creation to close, so the dashboard can show how long each request took
+        res.json(requests.map(r => ({
+            ...r,
+            durationMs: r.closedAt && r.timestamp ? new Date(r.closedAt) - new Date(r.timestamp) : null
+        })));
+    } catch (e) {
+        console.error('Fetch Request History Error:', e);
+        res.status(500).json({ message: 'Error fetching request history.' });
+    }
+});
+
+// PUT /api/doctor-request/:id/status (Move a request through its lifecycle)
+// Expected body: { status: 'ACKNOWLEDGED' | 'IN_PROGRESS' | 'RESOLVED' | 'CANCELLED', note? }
+app.put('/api/doctor-request/:id/status', authenticateToken, requireHospitalPermission('updateRequest'), async (req, res) => {
+
+    const requestId = req.params.id;
+    const status = req.body.status ? String(req.body.status).toUpperCase() : null;
+
+    if (!ObjectId.isValid(requestId)) {
+        return res.status(400).json({ message: 'Invalid format for request ID.' });
+    }
+    // ESCALATED is set by the escalation watcher only
+    if (!status || !REQUEST_TRANSITIONS[status] || status === 'PENDING' || status === 'ESCALATED') {
+        return res.status(400).json({ message: 'Status must be one of ACKNOWLEDGED, IN_PROGRESS, RESOLVED, CANCELLED.' });
+    }
+    if (status === 'RESOLVED' && !hasHospitalPermission(req.user, 'resolveRequest')) {
+        return res.status(403).json({ message: `Your role (${getAccessRole(req.user)}) is not allowed to resolve requests.` });
+    }
+
+    try {
+        const before = await db.collection('doctorRequests').findOne({ _id: new ObjectId(requestId), hospitalId: req.user.id });
+        const result = await transitionRequest(requestId, req.user, status, req.body.note);
+        if (result.error) return res.status(result.code).json({ message: result.error });
+        await recordAudit(req, 'request.status', { type: 'doctorRequest', id: requestId }, {
+            before,
+            after: result.request,
+            note: req.body.note
+        });
+
+        // Anonymous SOS alerts have no account to email
+        if (status === 'ACKNOWLEDGED' && result.request.type === 'SOS' && result.request.patientId) {
+            notifyPatient(result.request, 'sosAcknowledged', { hospitalName: result.request.hospitalName })
+                .catch(err => console.error('SOS acknowledgement email error:', err));
+        }
+
+        res.json({ message: `Request marked ${status}.`, request: result.request });
+    } catch (e) {
+        console.error('Request Status Error:', e);
+        res.status(500).json({ message: 'Error updating request status.' });
+    }
+});
+
+// PUT /api/doctor-request/:id/resolve (Resolve Doctor Request)
+// Kept for the dashboard's "Resolve" button; the request is marked RESOLVED, not deleted.
+app.put('/api/doctor-request/:id/resolve', authenticateToken, requireHospitalPermission('resolveRequest'), async (req, res) => {
+
+    const requestId = req.params.id;
+    
+    // --- FIX 2: Validate ObjectID before creating it to prevent server crash (the source of the 'Failed' alert) ---
+    if (!ObjectId.isValid(requestId)) {
+        console.warn('Attempted resolution with invalid Request ID:', requestId);
+        return res.status(400).json({ message: 'Invalid format for request ID.' });
+    }
+    // --- END FIX 2 ---
+
+    try {
+        const before = await db.collection('doctorRequests').findOne({ _id: new ObjectId(requestId), hospitalId: req.user.id });
+        const result = await transitionRequest(requestId, req.user, 'RESOLVED', req.body && req.body.note);
+
+        if (result.error) return res.status(result.code).json({ message: result.error });
+        await recordAudit(req, 'request.resolve', { type: 'doctorRequest', id: requestId }, { before, after: result.request });
+
+        res.json({ message: 'Request resolved successfully.', request: result.request });
+    } catch (e) {
+        console.error('Resolve Request Error:', e);
+        res.status(500).json({ message: 'Error resolving request.' });
+    }
+});
+
+// POST /api/doctor-request/:id/refill/approve (Issue the renewal and resolve the refill request)
+// Expected body: {} to renew as written, or { items, notes } to renew with changes.
+app.post('/api/doctor-request/:id/refill/approve', authenticateToken, requireHospitalPermission('prescribe'), async (req, res) => {
+    const requestId = req.params.id;
+    if (!ObjectId.isValid(requestId)) {
+        return res.status(400).json({ message: 'Invalid format for request ID.' });
+    }
+
+    try {
+        const before = await db.collection('doctorRequests').findOne({ _id: new ObjectId(requestId), hospitalId: req.user.id, type: 'REFILL' });
+        if (!before) return res.status(404).json({ message: 'Refill request not found.' });
+        if (!ACTIVE_REQUEST_STATUSES.includes(before.status)) {
+            return res.status(409).json({ message: `This refill request is already ${before.status}.` });
+        }
+
+        const modified = req.body.items !== undefined || req.body.notes !== undefined;
+        const content = modified
+            ? buildPrescriptionContent(req.body.items, req.body.notes)
+            : buildPrescriptionContent(before.refill.items, before.refill.notes);
+        if (content.error) return res.status(400).json({ message: content.error });
+
+        const original = new ObjectId(before.refill.prescriptionId);
+        const warnings = await checkPrescriptionSafety({ patientId: before.patientId }, content.items, original);
+        if (await rejectUnsafePrescription(req, res, warnings, before.patientName)) return;
+
+        const outcome = modified ? 'MODIFIED' : 'APPROVED';
+        const hospitalUser = await db.collection('users').findOne({ _id: new ObjectId(req.user.id), role: 'hospital' }, { projection: { name: 1 } });
+        const hospitalName = (hospitalUser && hospitalUser.name) || before.hospitalName;
+        const { doctor, prescribedBy } = await getPrescriber(req.user);
+
+        const prescription = signNewPrescription({
+            requestId,
+            renewalOf: before.refill.prescriptionId,
+            patientId: before.patientId,
+            patientName: before.patientName,
+            hospitalId: req.user.id,
+            hospitalName,
+            doctor,
+            prescribedBy,
+            items: content.items,
+            notes: content.notes,
+            prescription: content.prescription,
+            safetyWarnings: warnings,
+            prescribedAt: new Date()
+        });
+        await db.collection('prescriptions').insertOne(prescription);
+
+        // Resolve only once the renewal exists; withdraw it if someone else closed the request first
+        const result = await transitionRequest(requestId, req.user, 'RESOLVED', modified ? 'Refill approved with changes.' : 'Refill approved.');
+        if (result.error) {
+            await db.collection('prescriptions').deleteOne({ _id: prescription._id });
+            return res.status(result.code).json({ message: result.error });
+        }
+
+        const after = await db.collection('doctorRequests').findOneAndUpdate(
+            { _id: before._id },
+            { $set: { 'refill.outcome': outcome, 'refill.newPrescriptionId': prescription._id.toString() } },
+            { returnDocument: 'after' }
+        );
+        await recordAudit(req, 'prescription.create', { type: 'prescription', id: prescription._id }, {
+            after: prescription,
+            note: `Renewal of ${before.refill.verificationCode || before.refill.prescriptionId}`
+        });
+        await recordAudit(req, 'request.resolve', { type: 'doctorRequest', id: requestId }, { before, after, note: `Refill ${outcome}` });
+
+        notifyPatient(prescription, 'newPrescription', { hospitalName, doctor: req.user.staffId ? doctor : null })
+            .catch(err => console.error('Prescription email error:', err));
+
+        res.status(201).json({
+            message: modified ? 'Refill approved with changes. A new prescription was issued.' : 'Refill approved. A new prescription was issued.',
+            warnings
+        });
+    } catch (e) {
+        console.error('Approve Refill Error:', e);
+        res.status(500).json({ message: 'Error approving refill.' });
+    }
+});
+
+// PUT /api/doctor-request/:id/refill/decline (Close a refill request without renewing it)
+// Expected body: { reason }. The patient sees the reason.
+app.put('/api/doctor-request/:id/refill/decline', authenticateToken, requireHospitalPermission('resolveRequest'), async (req, res) => {
+    const requestId = req.params.id;
+    if (!ObjectId.isValid(requestId)) {
+        return res.status(400).json({ message: 'Invalid format for request ID.' });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) return res.status(400).json({ message: 'A reason is required to decline a refill.' });
+    if (reason.length > REFILL_NOTE_MAX) {
+        return res.status(400).json({ message: `The reason must be at most ${REFILL_NOTE_MAX} characters.` });
+    }
+
+    try {
+        const before = await db.collection('doctorRequests').findOne({ _id: new ObjectId(requestId), hospitalId: req.user.id, type: 'REFILL' });
+        if (!before) return res.status(404).json({ message: 'Refill request not found.' });
+
+        const result = await transitionRequest(requestId, req.user, 'CANCELLED', reason);
+        if (result.error) return res.status(result.code).json({ message: result.error });
+
+        const after = await db.collection('doctorRequests').findOneAndUpdate(
+            { _id: before._id },
+            { $set: { 'refill.outcome': 'DECLINED', 'refill.declineReason': reason } },
+            { returnDocument: 'after' }
+        );
+        await recordAudit(req, 'request.status', { type: 'doctorRequest', id: requestId }, { before, after, note: `Refill declined: ${reason}` });
+
+        notifyPatient(before, 'refillDeclined', { hospitalName: before.hospitalName, reason })
+            .catch(err => console.error('Refill email error:', err));
+
+        res.json({ message: 'Refill declined.' });
+    } catch (e) {
+        console.error('Decline Refill Error:', e);
+        res.status(500).json({ message: 'Error declining refill.' });
+    }
+});
+
+// GET /api/drugs?q=amox (Drug catalogue and the allowed forms, routes and frequencies, for the prescription form)
+app.get('/api/drugs', authenticateToken, requireHospitalPermission('prescribe'), (req, res) => {
+    res.json({
+        drugs: drugCatalogue.searchDrugs(String(req.query.q || '')),
+        forms: drugCatalogue.FORMS,
+        routes: drugCatalogue.ROUTES,
+        frequencies: drugCatalogue.FREQUENCIES
+    });
+});
+
+// POST /api/prescriptions (Save new prescription) (NEW)
+app.post('/api/prescriptions', authenticateToken, requireHospitalPermission('prescribe'), async (req, res) => {
+
+    // Expected body: { requestId, patientName, items?, notes? }. Older clients send free text as `prescription`.
+    const { requestId, patientName, items } = req.body;
+    const notes = req.body.notes !== undefined ? req.body.notes : req.body.prescription;
+
+    if (!requestId || !patientName) {
+        return res.status(400).json({ message: 'Missing required prescription fields.' });
+    }
+    const content = buildPrescriptionContent(items, notes);
+    if (content.error) return res.status(400).json({ message: content.error });
+
+    try {
+        // --- FIX 1: Fetch the Hospital's registered Name ---
+        // The hospital's actual name is stored in the 'name' field, not always 'username'.
+        const hospitalUser = await db.collection('users').findOne(
+            { _id: new ObjectId(req.user.id), role: 'hospital' },
+            { projection: { name: 1 } } // Only fetch the 'name' field
+        );
+        
+        // Use the fetched 'name' or a fallback
+        const actualHospitalName = hospitalUser && hospitalUser.name ? hospitalUser.name : 'Unknown Hospital';
+        // --- END FIX 1 ---
+        const { doctor, prescribedBy } = await getPrescriber(req.user);
+
+        // The originating request knows which patient account this is for
+        const originRequest = ObjectId.isValid(requestId)
+            ? await db.collection('doctorRequests').findOne({ _id: new ObjectId(requestId), hospitalId: req.user.id }, { projection: { patientId: 1 } })
+            : null;
+
+        const patientId = (originRequest && originRequest.patientId) || null;
+        const warnings = await checkPrescriptionSafety({ patientId }, content.items);
+        if (await rejectUnsafePrescription(req, res, warnings, patientName)) return;
+
+        const newPrescription = {
+            requestId: requestId,
+            patientId,
+            patientName: patientName,
+            hospitalId: req.user.id,
+            hospitalName: actualHospitalName, // Use the correct fetched name (Fixes Hospital N/A)
+            doctor, // The signed-in doctor, or 'Hospital Staff' for the shared hospital login
+            prescribedBy,
+            items: content.items,
+            notes: content.notes,
+            prescription: content.prescription,
+            safetyWarnings: warnings,
+            prescribedAt: new Date()
+        };
+        signNewPrescription(newPrescription);
+
+        await db.collection('prescriptions').insertOne(newPrescription);
+        await recordAudit(req, 'prescription.create', { type: 'prescription', id: newPrescription._id }, { after: newPrescription });
+
+        notifyPatient(newPrescription, 'newPrescription', { hospitalName: actualHospitalName, doctor: req.user.staffId ? doctor : null })
+            .catch(err => console.error('Prescription email error:', err));
+
+        res.status(201).json({ message: 'Prescription saved successfully.', warnings });
+    } catch (e) {
+        console.error('Save Prescription Error:', e);
+        res.status(500).json({ message: 'Error saving prescription.' });
+    }
+});
+// POST /api/staff (Add New Staff)
+// Expected body: { id, name, role, shift, contact } plus, to give them a login, { username, password, accessRole }.
+// `role` is the job title shown in the directory; `accessRole` decides what the login can do.
+app.post('/api/staff', authenticateToken, requireHospitalPermission('manageStaff'), async (req, res) => {
+    
+    const { username, password, accessRole, ...staffData } = req.body;
+
+    if (!staffData.id || !staffData.name || !staffData.role) {
+        return res.status(400).json({ message: 'Missing required staff fields.' });
+    }
+
+    try {
+        const newStaff = {
+            ...staffData,
+            hospitalId: req.user.id,
+            addedAt: new Date(),
+            addedBy: await getActor(req.user)
+        };
+
+        if (username || password || accessRole) {
+            const credentialError = validateStaffCredentials({ username, password, accessRole }, true);
+            if (credentialError) return res.status(400).json({ message: credentialError });
+
+            newStaff.username = username.trim().toLowerCase();
+            newStaff.password = await bcrypt.hash(password, 10);
+            newStaff.accessRole = accessRole;
         }
 
-        res.json(goalsRecord.goals);
+        await db.collection('hospitalStaff').insertOne(newStaff);
+        await recordAudit(req, 'staff.create', { type: 'staff', id: newStaff._id }, { after: newStaff });
+        res.status(201).json({ message: 'Staff member added successfully.' });
     } catch (e) {
-        console.error('Fetch Goals Error:', e);
-        res.status(500).json({ message: 'Error fetching goals.' });
+        if (e.code === 11000) return res.status(409).json({ message: 'That username is already taken.' });
+        console.error('Add Staff Error:', e);
+        res.status(500).json({ message: 'Error adding staff member.' });
     }
 });
 
-// POST /api/sos (Emergency SOS Request)
-app.post('/api/sos', async (req, res) => {
-    const { patientName, reason, location } = req.body; // location: {lat, lng}
+// PUT /api/staff/:id/credentials (Give an existing staff member a login, or change their username, role or password)
+// Expected body: { username, accessRole, password? }. Password is required the first time.
+// Their current sessions end so a new role or password applies straight away.
+app.put('/api/staff/:id/credentials', authenticateToken, requireHospitalPermission('manageStaff'), async (req, res) => {
+    const { username, password, accessRole } = req.body;
 
-    if (!location || !location.lat || !location.lng) {
-        return res.status(400).json({ message: "Location is required for SOS dispatch." });
+    if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid format for staff ID.' });
     }
 
+    const staffCollection = db.collection('hospitalStaff');
+
     try {
-        const nearest = await findNearestHospital(location.lat, location.lng);
+        const staff = await staffCollection.findOne({ _id: new ObjectId(req.params.id), hospitalId: req.user.id });
+        if (!staff) return res.status(404).json({ message: 'Staff member not found.' });
 
-        if (!nearest) {
-            return res.status(503).json({ message: "No operational hospitals found." });
+        const credentialError = validateStaffCredentials({ username, password, accessRole }, !staff.password);
+        if (credentialError) return res.status(400).json({ message: credentialError });
+
+        const update = { username: username.trim().toLowerCase(), accessRole, credentialsUpdatedAt: new Date() };
+        if (password) update.password = await bcrypt.hash(password, 10);
+
+        await staffCollection.updateOne({ _id: staff._id }, { $set: update });
+        await revokeSessions({ userId: req.params.id });
+        await recordAudit(req, 'staff.updateLogin', { type: 'staff', id: staff._id }, {
+            before: staff,
+            after: { ...staff, ...update },
+            note: password ? 'Password changed' : null
+        });
+
+        res.json({ message: `Login details saved for ${staff.name}.` });
+    } catch (e) {
+        if (e.code === 11000) return res.status(409).json({ message: 'That username is already taken.' });
+        console.error('Staff Credentials Error:', e);
+        res.status(500).json({ message: 'Error saving staff login details.' });
+    }
+});
+
+// GET /api/staff (Fetch Staff List)
+app.get('/api/staff', authenticateToken, requireHospitalPermission('viewStaff'), async (req, res) => {
+
+    try {
+        // Fetch only staff assigned to this hospital
+        const staff = await db.collection('hospitalStaff')
+            .find({ hospitalId: req.user.id }, { projection: { password: 0 } }) // CRUCIAL: Only retrieve staff for this hospital
+            .sort({ role: 1, name: 1 })
+            .toArray();
+
+        res.json(staff);
+    } catch (e) {
+        console.error('Fetch Staff Error:', e);
+        res.status(500).json({ message: 'Error fetching staff list.' });
+    }
+});
+
+// DELETE /api/staff/:id (Delete Staff Member)
+app.delete('/api/staff/:id', authenticateToken, requireHospitalPermission('manageStaff'), async (req, res) => {
+
+    const staffId = req.params.id;
+    
+    try {
+        const removed = await db.collection('hospitalStaff').findOneAndDelete({
+            _id: new ObjectId(staffId),
+            hospitalId: req.user.id // Security check: Ensure hospital can only delete its own staff
+        });
+
+        if (!removed) {
+            return res.status(404).json({ message: 'Staff member not found or already removed.' });
         }
+        await revokeSessions({ userId: staffId });
+        await recordAudit(req, 'staff.delete', { type: 'staff', id: staffId }, { before: removed });
 
-        const newRequest = {
-            patientName,
-            reason: `🚨 SOS Alert: ${reason}`,
-            criticality: 'HIGH', // Force HIGH for SOS
-            location,
-            hospitalId: nearest.hospital._id.toString(),
-            hospitalName: nearest.hospital.username || nearest.hospital.name,
-            timestamp: new Date(),
-            type: 'SOS',
-            status: 'PENDING'
-        };
+        res.json({ message: 'Staff member removed successfully.' });
+    } catch (e) {
+        console.error('Delete Staff Error:', e);
+        res.status(500).json({ message: 'Error removing staff member.' });
+    }
+});
 
-        await db.collection('doctorRequests').insertOne(newRequest);
+app.delete('/api/patients/:id', authenticateToken, requireHospitalPermission('removePatient'), async (req, res) => {
 
-        res.status(201).json({
-            message: "SOS request dispatched.",
-            hospitalName: nearest.hospital.username || nearest.hospital.name,
-            distance: nearest.distance,
+    const patientId = req.params.id;
+
+    try {
+        const removed = await db.collection('admittedPatients').findOneAndDelete({
+            _id: new ObjectId(patientId),
+            hospitalId: req.user.id // Security check
         });
 
+        if (!removed) {
+            return res.status(404).json({ message: 'Patient not found or already removed.' });
+        }
+        await releaseBed(patientId);
+        await recordAudit(req, 'patient.remove', { type: 'admittedPatient', id: patientId }, { before: removed });
+
+        // OPTIONAL: Delete related prescriptions if desired
+        // await db.collection('prescriptions').deleteMany({ patientId: patientId });
+
+        res.json({ message: 'Patient record removed successfully.' });
     } catch (e) {
-        console.error('Error handling SOS request:', e);
-        res.status(500).json({ message: 'Internal server error during SOS dispatch.' });
+        console.error('Delete Patient Error:', e);
+        res.status(500).json({ message: 'Error removing patient record.' });
     }
 });
 
-// POST /api/doctor-request (Standard Doctor Connection Request)
-app.post('/api/doctor-request', async (req, res) => {
-    // This endpoint is generally public for fast access
-    const { patientName, reason, criticality, location } = req.body;
+// PUT /api/patients/:id/transfer (Move an admitted patient to another bed)
+// Expected body: { bedId }. The new bed is claimed before the old one is freed.
+app.put('/api/patients/:id/transfer', authenticateToken, requireHospitalPermission('transferPatient'), async (req, res) => {
+    const admissionId = req.params.id;
+    if (!ObjectId.isValid(admissionId)) {
+        return res.status(400).json({ message: 'Invalid format for patient ID.' });
+    }
 
-    if (!location || !location.lat || !location.lng) {
-        return res.status(400).json({ message: "Location is required for doctor connection." });
+    try {
+        const admissions = db.collection('admittedPatients');
+        const before = await admissions.findOne({ _id: new ObjectId(admissionId), hospitalId: req.user.id });
+        if (!before) return res.status(404).json({ message: 'Patient not found.' });
+        if (before.bedId && before.bedId === req.body.bedId) {
+            return res.status(400).json({ message: 'The patient is already in that bed.' });
+        }
+
+        const by = await getActor(req.user);
+        const bed = await claimBed(req.user.id, req.body.bedId, admissionId);
+        if (!bed) return res.status(409).json({ message: 'That bed is no longer free. Pick another bed.' });
+
+        // Only move an admission that is still here, undischarged and in the bed we read; otherwise give the new bed back
+        let after = null;
+        try {
+            after = await admissions.findOneAndUpdate(
+                { _id: before._id, bedId: before.bedId || null, discharge: { $exists: false } },
+                {
+                    $set: { ward: describeBed(bed), wardId: bed.wardId, bedId: bed._id.toString() },
+                    $push: { transfers: { from: before.ward || null, to: describeBed(bed), at: new Date(), by } }
+                },
+                { returnDocument: 'after' }
+            );
+        } finally {
+            if (!after) {
+                await db.collection(BEDS_COLLECTION).updateOne(
+                    { _id: bed._id, admissionId },
+                    { $set: { admissionId: null, occupiedAt: null } }
+                );
+            }
+        }
+        if (!after) {
+            return res.status(409).json({ message: `${before.name} was discharged or moved by someone else. Refresh and try again.` });
+        }
+
+        // The old bed is freed only once the admission points at the new one
+        if (before.bedId) {
+            await db.collection(BEDS_COLLECTION).updateOne(
+                { _id: new ObjectId(before.bedId), admissionId },
+                { $set: { admissionId: null, occupiedAt: null } }
+            );
+        }
+
+        await recordAudit(req, 'patient.transfer', { type: 'admittedPatient', id: admissionId }, {
+            before,
+            after,
+            note: `${before.ward || 'No bed'} → ${after.ward}`
+        });
+
+        res.json({ message: `${before.name} moved to ${after.ward}.` });
+    } catch (e) {
+        console.error('Transfer Patient Error:', e);
+        res.status(500).json({ message: 'Error transferring patient.' });
+    }
+});
+
+// POST /api/patients/:id/vitals (Log vitals and/or a condition change for an admitted patient)
+// Expected body: { systolic?, diastolic?, pulse?, spo2?, temperature?, respiratoryRate?, condition?, note? }
+app.post('/api/patients/:id/vitals', authenticateToken, requireHospitalPermission('recordVitals'), async (req, res) => {
+    const admissionId = req.params.id;
+    if (!ObjectId.isValid(admissionId)) {
+        return res.status(400).json({ message: 'Invalid format for patient ID.' });
     }
 
+    const { error, readings, condition } = validateVitals(req.body);
+    if (error) return res.status(400).json({ message: error });
+
     try {
-        const nearest = await findNearestHospital(location.lat, location.lng);
+        const admissions = db.collection('admittedPatients');
+        const admission = await admissions.findOne({ _id: new ObjectId(admissionId), hospitalId: req.user.id });
+        if (!admission) return res.status(404).json({ message: 'Patient not found.' });
 
-        if (!nearest) {
-            return res.status(503).json({ message: "No operational hospitals found." });
+        const previousCondition = getCurrentCondition(admission);
+        const entry = {
+            admissionId,
+            hospitalId: req.user.id,
+            at: new Date(),
+            ...readings,
+            condition,
+            previousCondition: condition ? previousCondition : null,
+            note: req.body.note ? String(req.body.note).trim().slice(0, 500) : null,
+            recordedBy: await getActor(req.user)
+        };
+        await db.collection(VITALS_COLLECTION).insertOne(entry);
+
+        if (condition && condition !== previousCondition) {
+            await admissions.updateOne(
+                { _id: admission._id },
+                { $set: { currentCondition: condition, conditionUpdatedAt: entry.at } }
+            );
+            await recordAudit(req, 'patient.condition', { type: 'admittedPatient', id: admissionId }, {
+                before: { condition: previousCondition },
+                after: { condition },
+                note: entry.note
+            });
         }
 
-        const newRequest = {
-            patientName,
-            reason,
-            criticality: criticality ? criticality.toUpperCase() : 'LOW',
-            location,
-            hospitalId: nearest.hospital._id.toString(),
-            hospitalName: nearest.hospital.username || nearest.hospital.name,
-            timestamp: new Date(),
-            type: 'DOCTOR_CONNECT',
-            status: 'PENDING'
+        res.status(201).json({ message: 'Vitals recorded.', entry });
+    } catch (e) {
+        console.error('Record Vitals Error:', e);
+        res.status(500).json({ message: 'Error recording vitals.' });
+    }
+});
+
+// GET /api/patients/:id/vitals (The admission's vitals and condition changes, oldest first, for the timeline)
+app.get('/api/patients/:id/vitals', authenticateToken, requireHospitalPermission('viewPatients'), async (req, res) => {
+    const admissionId = req.params.id;
+    if (!ObjectId.isValid(admissionId)) {
+        return res.status(400).json({ message: 'Invalid format for patient ID.' });
+    }
+
+    try {
+        const entries = await db.collection(VITALS_COLLECTION)
+            .find({ admissionId, hospitalId: req.user.id })
+            .sort({ at: 1 })
+            .limit(1000)
+            .toArray();
+
+        res.json(entries);
+    } catch (e) {
+        console.error('Fetch Vitals Error:', e);
+        res.status(500).json({ message: 'Error fetching vitals.' });
+    }
+});
+
+// GET /api/allergens (Common allergy groups the prescribing checker understands, for pickers)
+app.get('/api/allergens', authenticateToken, (req, res) => {
+    res.json(drugInteractions.ALLERGENS.map(a => a.substance));
+});
+
+// POST /api/patients/:id/allergies (Record an allergy for an admitted patient)
+// Expected body: { substance, reaction? }. Linked admissions store it on the patient's account too,
+// so it follows them to later admissions and other hospitals.
+app.post('/api/patients/:id/allergies', authenticateToken, requireHospitalPermission('recordAllergies'), async (req, res) => {
+    const admissionId = req.params.id;
+    if (!ObjectId.isValid(admissionId)) {
+        return res.status(400).json({ message: 'Invalid format for patient ID.' });
+    }
+
+    const { error, substance, reaction } = validateAllergy(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        const admission = await db.collection('admittedPatients').findOne({ _id: new ObjectId(admissionId), hospitalId: req.user.id });
+        if (!admission) return res.status(404).json({ message: 'Patient not found.' });
+
+        const existing = await findAllergies({ patientId: admission.patientId, admissionId });
+        if (existing.some(a => a.substance.toLowerCase() === substance.toLowerCase())) {
+            return res.status(409).json({ message: `${substance} is already recorded as an allergy.` });
+        }
+
+        const allergy = {
+            patientId: admission.patientId || null,
+            admissionId,
+            hospitalId: req.user.id,
+            substance,
+            reaction,
+            source: 'hospital',
+            recordedBy: await getActor(req.user),
+            recordedAt: new Date()
         };
+        await db.collection(ALLERGIES_COLLECTION).insertOne(allergy);
+        await recordAudit(req, 'allergy.record', { type: 'allergy', id: allergy._id }, { after: allergy, note: admission.name });
 
-        await db.collection('doctorRequests').insertOne(newRequest);
+        res.status(201).json({ message: 'Allergy recorded.', allergy });
+    } catch (e) {
+        console.error('Record Allergy Error:', e);
+        res.status(500).json({ message: 'Error recording allergy.' });
+    }
+});
 
-        res.status(201).json({
-            message: "Doctor request dispatched.",
-            hospitalName: nearest.hospital.username || nearest.hospital.name,
-            distance: nearest.distance,
+// DELETE /api/patients/:id/allergies/:allergyId (Remove an allergy this hospital recorded, e.g. entered in error)
+app.delete('/api/patients/:id/allergies/:allergyId', authenticateToken, requireHospitalPermission('recordAllergies'), async (req, res) => {
+    const { id: admissionId, allergyId } = req.params;
+    if (!ObjectId.isValid(admissionId) || !ObjectId.isValid(allergyId)) {
+        return res.status(400).json({ message: 'Invalid format for allergy ID.' });
+    }
+
+    try {
+        const removed = await db.collection(ALLERGIES_COLLECTION).findOneAndDelete({
+            _id: new ObjectId(allergyId),
+            hospitalId: req.user.id,
+            source: 'hospital'
         });
+        if (!removed) return res.status(404).json({ message: 'Allergy not found, or it was recorded by the patient or another hospital.' });
+
+        await recordAudit(req, 'allergy.remove', { type: 'allergy', id: allergyId }, { before: removed });
+        res.json({ message: 'Allergy removed.' });
     } catch (e) {
-        console.error('Error handling doctor request:', e);
-        res.status(500).json({ message: 'Internal server error during doctor request.' });
+        console.error('Remove Allergy Error:', e);
+        res.status(500).json({ message: 'Error removing allergy.' });
     }
 });
 
-// GET /api/prescriptions/:patientName (Fetch Patient Prescriptions) (NEW)
-app.get('/api/prescriptions/:patientName', authenticateToken, async (req, res) => {
-    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
+// GET /api/wards (Wards with their beds and who is in each, for the occupancy board and bed pickers)
+app.get('/api/wards', authenticateToken, requireHospitalPermission('viewPatients'), async (req, res) => {
+    try {
+        const wards = await db.collection(WARDS_COLLECTION).find({ hospitalId: req.user.id }).sort({ name: 1 }).toArray();
+        const beds = await db.collection(BEDS_COLLECTION).find({ hospitalId: req.user.id }).toArray();
 
-    const patientNameParam = req.params.patientName;
+        const occupiedIds = beds.filter(b => b.admissionId).map(b => new ObjectId(b.admissionId));
+        const patients = await db.collection('admittedPatients')
+            .find({ _id: { $in: occupiedIds } }, { projection: { name: 1, initialCondition: 1, currentCondition: 1 } })
+            .toArray();
+        const patientsById = new Map(patients.map(p => [p._id.toString(), p]));
+
+        res.json(wards.map(ward => {
+            const wardBeds = beds
+                .filter(b => b.wardId === ward._id.toString())
+                .sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }))
+                .map(b => {
+                    const patient = b.admissionId ? patientsById.get(b.admissionId) : null;
+                    return {
+                        _id: b._id,
+                        label: b.label,
+                        outOfService: !!b.outOfService,
+                        admissionId: b.admissionId,
+                        patientName: patient ? patient.name : null,
+                        patientCondition: patient ? getCurrentCondition(patient) : null
+                    };
+                });
+            return {
+                ...ward,
+                beds: wardBeds,
+                totalBeds: wardBeds.length,
+                occupiedBeds: wardBeds.filter(b => b.admissionId).length,
+                freeBeds: wardBeds.filter(b => !b.admissionId && !b.outOfService).length
+            };
+        }));
+    } catch (e) {
+        console.error('Fetch Wards Error:', e);
+        res.status(500).json({ message: 'Error fetching wards.' });
+    }
+});
 
-    // Security check: Ensure the name in the URL matches the logged-in user's name
-    if (patientNameParam !== req.user.username) {
-        return res.status(403).json({ message: 'Access denied to other patient\'s data.' });
+// POST /api/wards (Create a ward with numbered beds)
+// Expected body: { name, type, bedCount }
+app.post('/api/wards', authenticateToken, requireHospitalPermission('manageBeds'), async (req, res) => {
+    const name = String(req.body.name || '').trim();
+    const type = String(req.body.type || '').toUpperCase();
+    const bedCount = parseInt(req.body.bedCount);
+
+    if (!name || name.length > 50) {
+        return res.status(400).json({ message: 'Ward name is required (at most 50 characters).' });
+    }
+    if (!WARD_TYPES.includes(type)) {
+        return res.status(400).json({ message: `Ward type must be one of ${WARD_TYPES.join(', ')}.` });
+    }
+    if (!Number.isInteger(bedCount) || bedCount < 1 || bedCount > MAX_BEDS_PER_WARD) {
+        return res.status(400).json({ message: `Bed count must be between 1 and ${MAX_BEDS_PER_WARD}.` });
+    }
+
+    try {
+        const ward = { hospitalId: req.user.id, name, type, createdAt: new Date() };
+        await db.collection(WARDS_COLLECTION).insertOne(ward);
+        await db.collection(BEDS_COLLECTION).insertMany(Array.from({ length: bedCount }, (_, i) => ({
+            hospitalId: req.user.id,
+            wardId: ward._id.toString(),
+            wardName: name,
+            wardType: type,
+            label: String(i + 1),
+            admissionId: null,
+            occupiedAt: null
+        })));
+        await recordAudit(req, 'ward.create', { type: 'ward', id: ward._id }, { after: { ...ward, bedCount } });
+
+        res.status(201).json({ message: `${name} created with ${bedCount} bed(s).` });
+    } catch (e) {
+        if (e.code === 11000) return res.status(409).json({ message: 'A ward with that name already exists.' });
+        console.error('Create Ward Error:', e);
+        res.status(500).json({ message: 'Error creating ward.' });
+    }
+});
+
+// POST /api/wards/:id/beds (Add more beds to a ward; numbering continues from the highest bed)
+// Expected body: { count }
+app.post('/api/wards/:id/beds', authenticateToken, requireHospitalPermission('manageBeds'), async (req, res) => {
+    const count = parseInt(req.body.count);
+    if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid format for ward ID.' });
+    }
+
+    try {
+        const ward = await db.collection(WARDS_COLLECTION).findOne({ _id: new ObjectId(req.params.id), hospitalId: req.user.id });
+        if (!ward) return res.status(404).json({ message: 'Ward not found.' });
+
+        const existing = await db.collection(BEDS_COLLECTION).find({ wardId: req.params.id }, { projection: { label: 1 } }).toArray();
+        if (!Number.isInteger(count) || count < 1 || existing.length + count > MAX_BEDS_PER_WARD) {
+            return res.status(400).json({ message: `A ward can have at most ${MAX_BEDS_PER_WARD} beds.` });
+        }
+
+        const highest = existing.reduce((max, b) => Math.max(max, parseInt(b.label) || 0), 0);
+        await db.collection(BEDS_COLLECTION).insertMany(Array.from({ length: count }, (_, i) => ({
+            hospitalId: req.user.id,
+            wardId: req.params.id,
+            wardName: ward.name,
+            wardType: ward.type,
+            label: String(highest + i + 1),
+            admissionId: null,
+            occupiedAt: null
+        })));
+        await recordAudit(req, 'ward.addBeds', { type: 'ward', id: ward._id }, { note: `Added ${count} bed(s)` });
+
+        res.status(201).json({ message: `Added ${count} bed(s) to ${ward.name}.` });
+    } catch (e) {
+        console.error('Add Beds Error:', e);
+        res.status(500).json({ message: 'Error adding beds.' });
+    }
+});
+
+// PUT /api/beds/:id (Take a free bed out of service, e.g. for cleaning or repair, or bring it back)
+// Expected body: { outOfService: boolean }
+app.put('/api/beds/:id', authenticateToken, requireHospitalPermission('manageBeds'), async (req, res) => {
+    if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid format for bed ID.' });
+    }
+    const outOfService = req.body.outOfService === true;
+
+    try {
+        const bed = await db.collection(BEDS_COLLECTION).findOneAndUpdate(
+            { _id: new ObjectId(req.params.id), hospitalId: req.user.id, admissionId: null },
+            { $set: { outOfService } },
+            { returnDocument: 'after' }
+        );
+        if (!bed) return res.status(409).json({ message: 'Bed not found, or a patient is in it.' });
+        await recordAudit(req, outOfService ? 'bed.outOfService' : 'bed.inService', { type: 'bed', id: bed._id }, { note: describeBed(bed) });
+
+        res.json({ message: `${describeBed(bed)} is ${outOfService ? 'out of service' : 'back in service'}.` });
+    } catch (e) {
+        console.error('Update Bed Error:', e);
+        res.status(500).json({ message: 'Error updating bed.' });
+    }
+});
+
+// DELETE /api/wards/:id (Remove a ward and its beds; only when nobody is in it)
+app.delete('/api/wards/:id', authenticateToken, requireHospitalPermission('manageBeds'), async (req, res) => {
+    if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid format for ward ID.' });
+    }
+
+    try {
+        const ward = await db.collection(WARDS_COLLECTION).findOne({ _id: new ObjectId(req.params.id), hospitalId: req.user.id });
+        if (!ward) return res.status(404).json({ message: 'Ward not found.' });
+
+        const occupied = await db.collection(BEDS_COLLECTION).countDocuments({ wardId: req.params.id, admissionId: { $ne: null } });
+        if (occupied > 0) {
+            return res.status(409).json({ message: `${ward.name} still has ${occupied} patient(s). Transfer or discharge them first.` });
+        }
+
+        await db.collection(BEDS_COLLECTION).deleteMany({ wardId: req.params.id });
+        await db.collection(WARDS_COLLECTION).deleteOne({ _id: ward._id });
+        await recordAudit(req, 'ward.delete', { type: 'ward', id: ward._id }, { before: ward });
+
+        res.json({ message: `${ward.name} removed.` });
+    } catch (e) {
+        console.error('Delete Ward Error:', e);
+        res.status(500).json({ message: 'Error removing ward.' });
     }
+});
+
+// GET /api/bed-availability (Free beds at each approved hospital, overall and by ward type)
+// Routing uses the same numbers; this exposes them to the admin console and patient apps.
+app.get('/api/bed-availability', authenticateToken, async (req, res) => {
+    try {
+        const hospitals = await db.collection('users')
+            .find({ role: 'hospital', status: 'APPROVED' }, { projection: { name: 1, username: 1, totalBeds: 1 } })
+            .toArray();
+        const availability = await getBedAvailability(hospitals.map(h => h._id.toString()));
+
+        res.json(hospitals.map(h => ({
+            hospitalId: h._id.toString(),
+            hospitalName: h.name || h.username,
+            ...availability[h._id.toString()]
+        })));
+    } catch (e) {
+        console.error('Bed Availability Error:', e);
+        res.status(500).json({ message: 'Error fetching bed availability.' });
+    }
+});
+
+// POST /api/patients/:id/discharge (Discharge a patient and move the admission into the history)
+// Expected body: { outcome, summary, followUp?, medications?: string[], dischargedAt?, doctorName? }
+app.post('/api/patients/:id/discharge', authenticateToken, requireHospitalPermission('dischargePatient'), async (req, res) => {
+    const admissionId = req.params.id;
+    if (!ObjectId.isValid(admissionId)) {
+        return res.status(400).json({ message: 'Invalid format for patient ID.' });
+    }
+
+    try {
+        const admission = await db.collection('admittedPatients').findOne({ _id: new ObjectId(admissionId), hospitalId: req.user.id });
+        if (!admission) return res.status(404).json({ message: 'Patient not found or already discharged.' });
+
+        const { error, discharge } = validateDischarge(req.body, admission);
+        if (error) return res.status(400).json({ message: error });
+
+        const hospitalUser = await db.collection('users').findOne({ _id: new ObjectId(req.user.id) }, { projection: { name: 1, username: 1 } });
+        const { doctor, prescribedBy } = await getPrescriber(req.user, req.body.doctorName);
+        let record = {
+            ...admission,
+            hospitalName: (hospitalUser && (hospitalUser.name || hospitalUser.username)) || 'Unknown Hospital',
+            discharge: { ...discharge, doctor, dischargedBy: prescribedBy }
+        };
+
+        // Copy first, then remove: an interrupted discharge leaves a duplicate rather than losing the record
+        try {
+            await db.collection(ADMISSION_HISTORY_COLLECTION).insertOne(record);
+        } catch (e) {
+            if (e.code !== 11000) throw e;
+            // Already copied by an earlier (or concurrent) attempt; the stored copy is the one that counts
+            record = await db.collection(ADMISSION_HISTORY_COLLECTION).findOne({ _id: admission._id });
+        }
+
+        // Only the request that actually removes the admission audits and emails; a concurrent one stops here
+        const removed = await db.collection('admittedPatients').deleteOne({ _id: admission._id });
+        if (removed.deletedCount !== 1) {
+            return res.status(409).json({ message: `${admission.name} has already been discharged.` });
+        }
+        await releaseBed(admissionId);
+        await recordAudit(req, 'patient.discharge', { type: 'admittedPatient', id: admissionId }, { before: admission, after: record });
+
+        notifyPatient(record, 'dischargeSummary', { hospitalName: record.hospitalName })
+            .catch(err => console.error('Discharge email error:', err));
+
+        res.json({ message: `${admission.name} has been discharged.` });
+    } catch (e) {
+        console.error('Discharge Patient Error:', e);
+        res.status(500).json({ message: 'Error discharging patient.' });
+    }
+});
+
+// GET /api/admission-history (Discharged patients of this hospital, newest first)
+app.get('/api/admission-history', authenticateToken, requireHospitalPermission('viewPatients'), async (req, res) => {
+    try {
+        const history = await db.collection(ADMISSION_HISTORY_COLLECTION)
+            .find({ hospitalId: req.user.id })
+            .sort({ 'discharge.at': -1 })
+            .limit(200)
+            .toArray();
+
+        res.json(history);
+    } catch (e) {
+        console.error('Fetch Admission History Error:', e);
+        res.status(500).json({ message: 'Error fetching admission history.' });
+    }
+});
+
+// GET /api/my-discharges (Discharge summaries for the logged-in patient's linked admissions)
+app.get('/api/my-discharges', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
 
     try {
-        const prescriptions = await db.collection('prescriptions')
-            .find({ patientName: patientNameParam })
-            .sort({ prescribedAt: -1 })
+        const history = await db.collection(ADMISSION_HISTORY_COLLECTION)
+            .find({ patientId: req.user.id })
+            .sort({ 'discharge.at': -1 })
             .toArray();
 
-        res.json(prescriptions);
+        // Ward notes and staff ids stay with the hospital; the patient gets the summary they were given
+        res.json(history.map(h => ({
+            _id: h._id,
+            hospitalName: h.hospitalName,
+            admittedAt: h.admittedAt,
+            discharge: {
+                at: h.discharge.at,
+                outcome: h.discharge.outcome,
+                summary: h.discharge.summary,
+                followUp: h.discharge.followUp,
+                medications: h.discharge.medications,
+                doctor: h.discharge.doctor
+            }
+        })));
     } catch (e) {
-        console.error('Fetch Prescriptions Error:', e);
-        res.status(500).json({ message: 'Error fetching prescriptions.' });
+        console.error('Fetch My Discharges Error:', e);
+        res.status(500).json({ message: 'Error fetching discharge summaries.' });
     }
 });
 
+// GET /api/my-allergies (The patient's allergies, whoever recorded them)
+app.get('/api/my-allergies', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
 
-// ------------------------------------
-// --- HOSPITAL ROUTES (Needs Auth)
-// ------------------------------------
+    try {
+        const allergies = await findAllergies({ patientId: req.user.id });
+        res.json(allergies.map(a => ({
+            _id: a._id,
+            substance: a.substance,
+            reaction: a.reaction,
+            source: a.source,
+            recordedBy: a.source === 'hospital' ? a.recordedBy.name : null,
+            recordedAt: a.recordedAt
+        })));
+    } catch (e) {
+        console.error('Fetch My Allergies Error:', e);
+        res.status(500).json({ message: 'Error fetching allergies.' });
+    }
+});
 
-// POST /api/admit-patient
-app.post('/api/admit-patient', authenticateToken, async (req, res) => {
-    if (req.user.role !== 'hospital') return res.status(403).json({ message: 'Access denied.' });
-    
-    // Expected body: { id, name, age, ward, initialCondition }
-    const patientData = req.body;
+// POST /api/my-allergies (A patient records one of their own allergies)
+// Expected body: { substance, reaction? }
+app.post('/api/my-allergies', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
+
+    const { error, substance, reaction } = validateAllergy(req.body);
+    if (error) return res.status(400).json({ message: error });
 
-    // Basic validation
-    if (!patientData.id || !patientData.name || !patientData.age) {
-        return res.status(400).json({ message: 'Missing required patient fields.' });
-    }
-    
     try {
-        const admittedPatient = {
-            ...patientData,
-            hospitalId: req.user.id,
-            admittedAt: new Date(),
+        const existing = await findAllergies({ patientId: req.user.id });
+        if (existing.some(a => a.substance.toLowerCase() === substance.toLowerCase())) {
+            return res.status(409).json({ message: `${substance} is already on your allergy list.` });
+        }
+
+        const allergy = {
+            patientId: req.user.id,
+            admissionId: null,
+            hospitalId: null,
+            substance,
+            reaction,
+            source: 'patient',
+            recordedBy: await getActor(req.user),
+            recordedAt: new Date()
         };
+        await db.collection(ALLERGIES_COLLECTION).insertOne(allergy);
+        await recordAudit(req, 'allergy.record', { type: 'allergy', id: allergy._id }, { after: allergy });
 
-        await db.collection('admittedPatients').insertOne(admittedPatient);
-        res.status(201).json({ message: 'Patient admitted successfully.' });
-        
+        res.status(201).json({ message: 'Allergy added.' });
     } catch (e) {
-        console.error('Admission Error:', e);
-        res.status(500).json({ message: 'Error admitting patient.' });
+        console.error('Add My Allergy Error:', e);
+        res.status(500).json({ message: 'Error adding allergy.' });
     }
 });
 
+// DELETE /api/my-allergies/:id (Patients can remove allergies they entered; hospital entries stay)
+app.delete('/api/my-allergies/:id', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
+    if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid format for allergy ID.' });
+    }
 
-// GET /api/patients (View Patient Details Button)
-app.get('/api/patients', authenticateToken, async (req, res) => {
-    if (req.user.role !== 'hospital') return res.status(403).json({ message: 'Access denied.' });
     try {
-        // Fetch only patients admitted to this hospital
-        const patients = await db.collection('admittedPatients')
-            .find({ hospitalId: req.user.id })
-            .sort({ admittedAt: -1 })
-            .toArray();
+        const removed = await db.collection(ALLERGIES_COLLECTION).findOneAndDelete({
+            _id: new ObjectId(req.params.id),
+            patientId: req.user.id,
+            source: 'patient'
+        });
+        if (!removed) return res.status(404).json({ message: 'Allergy not found. Allergies recorded by a hospital can only be removed by that hospital.' });
 
-        res.json(patients);
+        await recordAudit(req, 'allergy.remove', { type: 'allergy', id: req.params.id }, { before: removed });
+        res.json({ message: 'Allergy removed.' });
     } catch (e) {
-        console.error('Fetch Patients Error:', e);
-        res.status(500).json({ message: 'Error fetching patient list.' });
+        console.error('Remove My Allergy Error:', e);
+        res.status(500).json({ message: 'Error removing allergy.' });
     }
 });
 
-// GET /api/doctor-requests (Hospital Staff View Queue)
-app.get('/api/doctor-requests', authenticateToken, async (req, res) => {
-    if (req.user.role !== 'hospital') return res.status(403).json({ message: 'Access denied.' });
+// --- NEW ROUTE: GET Patient Full Details (Details + Prescriptions) ---
+app.get('/api/patients/:id/details', authenticateToken, requireHospitalPermission('viewPatients'), async (req, res) => {
+
+    const patientId = req.params.id;
+
     try {
-        const requests = await db.collection('doctorRequests')
-            .find({
-                status: 'PENDING',
-                hospitalId: req.user.id
-            })
-            .sort({ criticality: -1, timestamp: 1 })
+        // Discharged patients are looked up in the history, so their report stays readable
+        const query = { _id: new ObjectId(patientId), hospitalId: req.user.id };
+        const patient = await db.collection('admittedPatients').findOne(query)
+            || await db.collection(ADMISSION_HISTORY_COLLECTION).findOne(query);
+
+        if (!patient) return res.status(404).json({ message: 'Patient not found.' });
+        
+        // This admission's prescriptions, plus the rest of the patient's history once it is linked to an account
+        const prescriptionQuery = patient.patientId
+            ? { $or: [{ admissionId: patientId }, { patientId: patient.patientId }] }
+            : { admissionId: patientId };
+        const prescriptions = await db.collection('prescriptions')
+            .find(prescriptionQuery)
+            .sort({ prescribedAt: -1 })
             .toArray();
-        res.json(requests);
+
+        const account = patient.patientId
+            ? await db.collection('users').findOne({ _id: new ObjectId(patient.patientId) }, { projection: { username: 1, patientCode: 1 } })
+            : null;
+        const allergies = await findAllergies({ patientId: patient.patientId, admissionId: patientId });
+        // Only doses from this hospital's own prescriptions; patients log against linked accounts
+        const adherence = patient.patientId ? await getAdherence(patient.patientId, { hospitalId: req.user.id }) : null;
+            
+        // Return patient details merged with their prescriptions
+        res.json({
+            ...patient,
+            currentCondition: getCurrentCondition(patient),
+            linkedAccount: account ? { username: account.username, patientCode: account.patientCode } : null,
+            allergies,
+            adherence,
+            prescriptions
+        });
+        
     } catch (e) {
-        console.error('Fetch Requests Error:', e);
-        res.status(500).json({ message: 'Error fetching doctor requests.' });
+        console.error('Fetch Patient Details Error:', e);
+        res.status(500).json({ message: 'Error fetching patient details.' });
     }
 });
 
-// PUT /api/doctor-request/:id/resolve (Resolve Doctor Request) (NEW)
-app.put('/api/doctor-request/:id/resolve', authenticateToken, async (req, res) => {
-    if (req.user.role !== 'hospital') return res.status(403).json({ message: 'Access denied.' });
+// PUT /api/patients/:id/link (Link an admission to the patient's account by their Patient ID)
+// Expected body: { patientCode }. Prescriptions and allergies already recorded for the admission are linked too.
+app.put('/api/patients/:id/link', authenticateToken, requireHospitalPermission('admitPatient'), async (req, res) => {
+    const admissionId = req.params.id;
+    if (!ObjectId.isValid(admissionId)) {
+        return res.status(400).json({ message: 'Invalid format for patient ID.' });
+    }
+
+    try {
+        const account = await findPatientByCode(req.body.patientCode);
+        if (!account) return res.status(404).json({ message: 'No patient account has that Patient ID.' });
+
+        const admissions = db.collection('admittedPatients');
+        const before = await admissions.findOne({ _id: new ObjectId(admissionId), hospitalId: req.user.id });
+        if (!before) return res.status(404).json({ message: 'Patient not found.' });
+
+        const patientId = account._id.toString();
+        const after = await admissions.findOneAndUpdate(
+            { _id: before._id },
+            { $set: { patientId, linkedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        await db.collection('prescriptions').updateMany({ admissionId }, { $set: { patientId } });
+        await db.collection(ALLERGIES_COLLECTION).updateMany({ admissionId }, { $set: { patientId } });
+        await recordAudit(req, 'patient.link', { type: 'admittedPatient', id: admissionId }, {
+            before,
+            after,
+            note: `Linked to ${account.patientCode}`
+        });
+
+        res.json({ message: `Linked to patient account ${account.patientCode}.`, linkedAccount: { username: account.username, patientCode: account.patientCode } });
+    } catch (e) {
+        console.error('Link Patient Error:', e);
+        res.status(500).json({ message: 'Error linking patient account.' });
+    }
+});
 
+// PUT /api/doctor-request/:id/link (Link a request, e.g. an anonymous SOS, to the patient's account)
+// Expected body: { patientCode }. A request that already belongs to an account cannot be re-linked.
+app.put('/api/doctor-request/:id/link', authenticateToken, requireHospitalPermission('updateRequest'), async (req, res) => {
     const requestId = req.params.id;
-    
-    // --- FIX 2: Validate ObjectID before creating it to prevent server crash (the source of the 'Failed' alert) ---
     if (!ObjectId.isValid(requestId)) {
-        console.warn('Attempted resolution with invalid Request ID:', requestId);
         return res.status(400).json({ message: 'Invalid format for request ID.' });
     }
-    // --- END FIX 2 ---
 
     try {
-        // Delete the request from the queue
-        const result = await db.collection('doctorRequests').deleteOne({
-            _id: new ObjectId(requestId), // Now safe because it was checked
-            hospitalId: req.user.id // Security check
-        });
+        const account = await findPatientByCode(req.body.patientCode);
+        if (!account) return res.status(404).json({ message: 'No patient account has that Patient ID.' });
+
+        const requests = db.collection('doctorRequests');
+        const before = await requests.findOne({ _id: new ObjectId(requestId), hospitalId: req.user.id });
+        if (!before) return res.status(404).json({ message: 'Request not found.' });
+        if (before.patientId) return res.status(409).json({ message: 'This request is already linked to a patient account.' });
+
+        const patientId = account._id.toString();
+        const after = await requests.findOneAndUpdate(
+            { _id: before._id, patientId: before.patientId },
+            { $set: { patientId, linkedAt: new Date(), linkedBy: await getActor(req.user) } },
+            { returnDocument: 'after' }
+        );
+        if (!after) return res.status(409).json({ message: 'This request is already linked to a patient account.' });
 
-        if (result.deletedCount === 0) {
-            return res.status(404).json({ message: 'Request not found or already resolved.' });
-        }
+        await db.collection('prescriptions').updateMany({ requestId }, { $set: { patientId } });
+        await recordAudit(req, 'request.link', { type: 'doctorRequest', id: requestId }, {
+            before,
+            after,
+            note: `Linked to ${account.patientCode}`
+        });
 
-        res.json({ message: 'Request resolved and deleted successfully.' });
+        res.json({ message: `Linked to patient account ${account.patientCode}.` });
     } catch (e) {
-        console.error('Resolve Request Error:', e);
-        res.status(500).json({ message: 'Error resolving request.' });
+        console.error('Link Request Error:', e);
+        res.status(500).json({ message: 'Error linking request to patient account.' });
     }
 });
 
-// POST /api/prescriptions (Save new prescription) (NEW)
-app.post('/api/prescriptions', authenticateToken, async (req, res) => {
-    if (req.user.role !== 'hospital') return res.status(403).json({ message: 'Access denied.' });
-
-    const { requestId, patientName, prescription } = req.body;
-
-    if (!requestId || !patientName || !prescription) {
+// --- NEW ROUTE: POST Prescription (For direct prescription after admission) ---
+// Expected body: { admissionId, items?, notes?, doctorName? }. Older clients send the admission as `patientId`
+// and free text as `prescriptionText`.
+app.post('/api/prescribe', authenticateToken, requireHospitalPermission('prescribe'), async (req, res) => {
+    const { items, doctorName } = req.body;
+    const admissionId = req.body.admissionId || req.body.patientId;
+    const notes = req.body.notes !== undefined ? req.body.notes : req.body.prescriptionText;
+    
+    if (!admissionId) {
         return res.status(400).json({ message: 'Missing required prescription fields.' });
     }
+    if (!ObjectId.isValid(admissionId)) {
+        return res.status(400).json({ message: 'Invalid format for admission ID.' });
+    }
+    const content = buildPrescriptionContent(items, notes);
+    if (content.error) return res.status(400).json({ message: content.error });
 
     try {
-        // --- FIX 1: Fetch the Hospital's registered Name ---
-        // The hospital's actual name is stored in the 'name' field, not always 'username'.
+        const admission = await db.collection('admittedPatients').findOne({ _id: new ObjectId(admissionId), hospitalId: req.user.id });
+        if (!admission) return res.status(404).json({ message: 'Patient not found.' });
+
+        // Retrieve hospital name from user data
         const hospitalUser = await db.collection('users').findOne(
-            { _id: new ObjectId(req.user.id), role: 'hospital' },
-            { projection: { name: 1 } } // Only fetch the 'name' field
+            { _id: new ObjectId(req.user.id), role: 'hospital' }, 
+            { projection: { name: 1 } }
         );
-        
-        // Use the fetched 'name' or a fallback
-        const actualHospitalName = hospitalUser && hospitalUser.name ? hospitalUser.name : 'Unknown Hospital';
-        // --- END FIX 1 ---
+        const hospitalName = hospitalUser?.name || 'Unknown Hospital';
+        const { doctor, prescribedBy } = await getPrescriber(req.user, doctorName);
 
-        const newPrescription = {
-            requestId: requestId,
-            patientName: patientName,
+        const warnings = await checkPrescriptionSafety({ patientId: admission.patientId, admissionId }, content.items);
+        if (await rejectUnsafePrescription(req, res, warnings, admission.name)) return;
+
+        const prescription = {
+            patientName: admission.name,
+            patientId: admission.patientId || null, // Set once the admission is linked to an account
+            admissionId,
             hospitalId: req.user.id,
-            hospitalName: actualHospitalName, // Use the correct fetched name (Fixes Hospital N/A)
-            doctor: 'Hospital Staff', // Use a default name, as client only provides prescription text (Fixes Doctor N/A)
-            prescription: prescription,
-            prescribedAt: new Date()
+            doctor,
+            prescribedBy,
+            items: content.items,
+            notes: content.notes,
+            prescription: content.prescription,
+            safetyWarnings: warnings,
+            hospitalName,
+            prescribedAt: new Date(),
         };
+        signNewPrescription(prescription);
 
-        await db.collection('prescriptions').insertOne(newPrescription);
-        res.status(201).json({ message: 'Prescription saved successfully.' });
+        await db.collection('prescriptions').insertOne(prescription);
+        await recordAudit(req, 'prescription.create', { type: 'prescription', id: prescription._id }, { after: prescription });
+
+        notifyPatient(prescription, 'newPrescription', { hospitalName, doctor: prescription.doctor })
+            .catch(err => console.error('Prescription email error:', err));
+
+        res.status(201).json({ message: 'Prescription saved successfully.', warnings });
     } catch (e) {
-        console.error('Save Prescription Error:', e);
+        console.error('Prescribe Error:', e);
         res.status(500).json({ message: 'Error saving prescription.' });
     }
 });
-// POST /api/staff (Add New Staff)
-app.post('/api/staff', authenticateToken, async (req, res) => {
-    if (req.user.role !== 'hospital') return res.status(403).json({ message: 'Access denied.' });
-    
-    const staffData = req.body;
 
-    if (!staffData.id || !staffData.name || !staffData.role) {
-        return res.status(400).json({ message: 'Missing required staff fields.' });
+
+// ------------------------------------
+// --- APPOINTMENT ROUTES (Hospitals publish slots, patients book them)
+// ------------------------------------
+
+// POST /api/appointment-slots (Publish bookable slots for one of this hospital's doctors)
+// Expected body: { staffId, startAt, endAt, slotMinutes }. The session is cut into slots of slotMinutes;
+// it is rejected if it overlaps any slot the doctor already has.
+app.post('/api/appointment-slots', authenticateToken, requireHospitalPermission('manageAppointments'), async (req, res) => {
+    const { staffId } = req.body;
+    const startAt = new Date(req.body.startAt);
+    const endAt = new Date(req.body.endAt);
+    const slotMinutes = Number(req.body.slotMinutes);
+
+    if (!ObjectId.isValid(staffId)) return res.status(400).json({ message: 'Choose a doctor.' });
+    if (isNaN(startAt.getTime()) || isNaN(endAt.getTime()) || endAt <= startAt) {
+        return res.status(400).json({ message: 'Start and end must be valid times, with the start first.' });
+    }
+    if (startAt <= new Date() || startAt.getTime() > Date.now() + APPOINTMENT_HORIZON_MS) {
+        return res.status(400).json({ message: 'Slots must start in the future and within the next 60 days.' });
+    }
+    if (!Number.isInteger(slotMinutes) || slotMinutes < SLOT_MINUTES_MIN || slotMinutes > SLOT_MINUTES_MAX) {
+        return res.status(400).json({ message: `Slot length must be ${SLOT_MINUTES_MIN}-${SLOT_MINUTES_MAX} minutes.` });
+    }
+
+    const slotMs = slotMinutes * 60 * 1000;
+    const count = Math.floor((endAt - startAt) / slotMs);
+    if (count < 1) return res.status(400).json({ message: 'The session is shorter than one slot.' });
+    if (count > MAX_SLOTS_PER_SESSION) {
+        return res.status(400).json({ message: `At most ${MAX_SLOTS_PER_SESSION} slots can be published at once.` });
     }
 
     try {
-        const newStaff = {
-            ...staffData,
+        const staff = await db.collection('hospitalStaff').findOne({ _id: new ObjectId(staffId), hospitalId: req.user.id });
+        if (!staff) return res.status(404).json({ message: 'Staff member not found.' });
+        if (!DOCTOR_ROLE_PATTERN.test(staff.role || '')) {
+            return res.status(400).json({ message: `Slots can only be published for doctors; ${staff.name} is listed as ${staff.role}.` });
+        }
+
+        const sessionEnd = new Date(startAt.getTime() + count * slotMs);
+        const clash = await db.collection(APPOINTMENT_SLOTS_COLLECTION).findOne({ staffId, ...overlapping(startAt, sessionEnd) });
+        if (clash) {
+            return res.status(409).json({ message: `Dr. ${staff.name} already has a slot at ${formatAppointmentTime(clash.startAt)} in that session.` });
+        }
+
+        const hospital = await db.collection('users').findOne({ _id: new ObjectId(req.user.id), role: 'hospital' }, { projection: { name: 1, username: 1 } });
+        const createdBy = await getActor(req.user);
+        const now = new Date();
+        const slots = Array.from({ length: count }, (_, i) => ({
+            _id: new ObjectId(),
             hospitalId: req.user.id,
-            addedAt: new Date(),
-        };
+            hospitalName: hospital.name || hospital.username,
+            staffId,
+            doctorName: staff.name,
+            startAt: new Date(startAt.getTime() + i * slotMs),
+            endAt: new Date(startAt.getTime() + (i + 1) * slotMs),
+            status: 'OPEN',
+            appointmentId: null,
+            createdAt: now,
+            createdBy
+        }));
+
+        // Another publish for the same doctor can land between the check above and this insert. The unique
+        // index stops identical start times; the second check catches sessions cut at different offsets.
+        const slotIds = slots.map(slot => slot._id);
+        const withdraw = () => db.collection(APPOINTMENT_SLOTS_COLLECTION).deleteMany({ _id: { $in: slotIds }, status: 'OPEN' });
+        const clashMessage = `Dr. ${staff.name} already has slots in that session. Refresh and try again.`;
+        try {
+            await db.collection(APPOINTMENT_SLOTS_COLLECTION).insertMany(slots);
+        } catch (e) {
+            if (e.code !== 11000) throw e;
+            await withdraw();
+            return res.status(409).json({ message: clashMessage });
+        }
+        const raced = await db.collection(APPOINTMENT_SLOTS_COLLECTION).findOne({ staffId, _id: { $nin: slotIds }, ...overlapping(startAt, sessionEnd) });
+        if (raced) {
+            await withdraw();
+            return res.status(409).json({ message: clashMessage });
+        }
 
-        await db.collection('hospitalStaff').insertOne(newStaff);
-        res.status(201).json({ message: 'Staff member added successfully.' });
+        await recordAudit(req, 'appointmentSlot.create', { type: 'appointmentSlot', id: null }, {
+            note: `${count} slot(s) for Dr. ${staff.name}, ${formatAppointmentTime(startAt)} to ${formatAppointmentTime(sessionEnd)}`
+        });
+
+        res.status(201).json({ message: `Published ${count} slot(s) for Dr. ${staff.name}.` });
     } catch (e) {
-        console.error('Add Staff Error:', e);
-        res.status(500).json({ message: 'Error adding staff member.' });
+        console.error('Publish Slots Error:', e);
+        res.status(500).json({ message: 'Error publishing slots.' });
     }
 });
 
-// GET /api/staff (Fetch Staff List)
-app.get('/api/staff', authenticateToken, async (req, res) => {
-    if (req.user.role !== 'hospital') return res.status(403).json({ message: 'Access denied.' });
+// GET /api/appointment-slots?from=&to= (This hospital's slots, open and booked; defaults to the next 7 days)
+app.get('/api/appointment-slots', authenticateToken, requireHospitalPermission('viewAppointments'), async (req, res) => {
+    const range = parseDateRange(req.query, new Date(), 7);
+    if (range.error) return res.status(400).json({ message: range.error });
 
     try {
-        // Fetch only staff assigned to this hospital
-        const staff = await db.collection('hospitalStaff')
-            .find({ hospitalId: req.user.id }) // CRUCIAL: Only retrieve staff for this hospital
-            .sort({ role: 1, name: 1 })
+        const slots = await db.collection(APPOINTMENT_SLOTS_COLLECTION)
+            .find({ hospitalId: req.user.id, startAt: { $gte: range.from, $lt: range.to } })
+            .sort({ startAt: 1, doctorName: 1 })
             .toArray();
-
-        res.json(staff);
+        res.json(slots);
     } catch (e) {
-        console.error('Fetch Staff Error:', e);
-        res.status(500).json({ message: 'Error fetching staff list.' });
+        console.error('Fetch Slots Error:', e);
+        res.status(500).json({ message: 'Error fetching slots.' });
     }
 });
 
-// DELETE /api/staff/:id (Delete Staff Member)
-app.delete('/api/staff/:id', authenticateToken, async (req, res) => {
-    if (req.user.role !== 'hospital') return res.status(403).json({ message: 'Access denied.' });
+// DELETE /api/appointment-slots/:id (Withdraw an open slot; booked ones must be cancelled first)
+app.delete('/api/appointment-slots/:id', authenticateToken, requireHospitalPermission('manageAppointments'), async (req, res) => {
+    if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid format for slot ID.' });
+    }
 
-    const staffId = req.params.id;
-    
     try {
-        const result = await db.collection('hospitalStaff').deleteOne({
-            _id: new ObjectId(staffId),
-            hospitalId: req.user.id // Security check: Ensure hospital can only delete its own staff
+        const removed = await db.collection(APPOINTMENT_SLOTS_COLLECTION).findOneAndDelete({
+            _id: new ObjectId(req.params.id),
+            hospitalId: req.user.id,
+            status: 'OPEN'
         });
+        if (!removed) return res.status(404).json({ message: 'Slot not found, or it is booked. Cancel the appointment first.' });
 
-        if (result.deletedCount === 0) {
-            return res.status(404).json({ message: 'Staff member not found or already removed.' });
-        }
-
-        res.json({ message: 'Staff member removed successfully.' });
+        await recordAudit(req, 'appointmentSlot.delete', { type: 'appointmentSlot', id: removed._id }, { before: removed });
+        res.json({ message: 'Slot removed.' });
     } catch (e) {
-        console.error('Delete Staff Error:', e);
-        res.status(500).json({ message: 'Error removing staff member.' });
+        console.error('Delete Slot Error:', e);
+        res.status(500).json({ message: 'Error removing slot.' });
     }
 });
 
-app.delete('/api/patients/:id', authenticateToken, async (req, res) => {
-    if (req.user.role !== 'hospital') return res.status(403).json({ message: 'Access denied.' });
+// GET /api/appointments?from=&to= (This hospital's appointments; defaults to the next 7 days)
+app.get('/api/appointments', authenticateToken, requireHospitalPermission('viewAppointments'), async (req, res) => {
+    const range = parseDateRange(req.query, new Date(), 7);
+    if (range.error) return res.status(400).json({ message: range.error });
 
-    const patientId = req.params.id;
+    try {
+        const appointments = await db.collection(APPOINTMENTS_COLLECTION)
+            .find({ hospitalId: req.user.id, startAt: { $gte: range.from, $lt: range.to } })
+            .sort({ startAt: 1 })
+            .toArray();
+        res.json(appointments);
+    } catch (e) {
+        console.error('Fetch Appointments Error:', e);
+        res.status(500).json({ message: 'Error fetching appointments.' });
+    }
+});
+
+// GET /api/appointment-hospitals (Approved hospitals, with how many slots they have open)
+app.get('/api/appointment-hospitals', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
 
     try {
-        const result = await db.collection('admittedPatients').deleteOne({
-            _id: new ObjectId(patientId),
-            hospitalId: req.user.id // Security check
-        });
+        const hospitals = await db.collection('users')
+            .find({ role: 'hospital', status: 'APPROVED' }, { projection: { name: 1, username: 1 } })
+            .toArray();
+        const openSlots = await db.collection(APPOINTMENT_SLOTS_COLLECTION).aggregate([
+            { $match: { status: 'OPEN', startAt: { $gt: new Date() } } },
+            { $group: { _id: '$hospitalId', open: { $sum: 1 }, next: { $min: '$startAt' } } }
+        ]).toArray();
+        const byHospital = new Map(openSlots.map(row => [row._id, row]));
+
+        res.json(hospitals
+            .map(h => {
+                const slots = byHospital.get(h._id.toString());
+                return {
+                    hospitalId: h._id.toString(),
+                    hospitalName: h.name || h.username,
+                    openSlots: slots ? slots.open : 0,
+                    nextSlotAt: slots ? slots.next : null
+                };
+            })
+            .sort((a, b) => b.openSlots - a.openSlots || a.hospitalName.localeCompare(b.hospitalName)));
+    } catch (e) {
+        console.error('Fetch Appointment Hospitals Error:', e);
+        res.status(500).json({ message: 'Error fetching hospitals.' });
+    }
+});
 
-        if (result.deletedCount === 0) {
-            return res.status(404).json({ message: 'Patient not found or already removed.' });
-        }
+// GET /api/hospitals/:id/open-slots?from=&to= (A hospital's bookable slots; defaults to the next 14 days)
+app.get('/api/hospitals/:id/open-slots', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
 
-        // OPTIONAL: Delete related prescriptions if desired
-        // await db.collection('prescriptions').deleteMany({ patientId: patientId });
+    const range = parseDateRange(req.query, new Date(), 14);
+    if (range.error) return res.status(400).json({ message: range.error });
 
-        res.json({ message: 'Patient record removed successfully.' });
+    try {
+        // Same rule as /api/appointment-hospitals: only approved hospitals take bookings
+        const hospital = ObjectId.isValid(req.params.id)
+            ? await db.collection('users').findOne({ _id: new ObjectId(req.params.id), role: 'hospital', status: 'APPROVED' }, { projection: { _id: 1 } })
+            : null;
+        if (!hospital) return res.status(404).json({ message: 'Hospital not found.' });
+
+        const from = range.from > new Date() ? range.from : new Date();
+        const slots = await db.collection(APPOINTMENT_SLOTS_COLLECTION)
+            .find(
+                { hospitalId: req.params.id, status: 'OPEN', startAt: { $gt: from, $lt: range.to } },
+                { projection: { staffId: 1, doctorName: 1, startAt: 1, endAt: 1 } }
+            )
+            .sort({ startAt: 1 })
+            .toArray();
+        res.json(slots);
     } catch (e) {
-        console.error('Delete Patient Error:', e);
-        res.status(500).json({ message: 'Error removing patient record.' });
+        console.error('Fetch Open Slots Error:', e);
+        res.status(500).json({ message: 'Error fetching slots.' });
     }
 });
 
-// --- NEW ROUTE: GET Patient Full Details (Details + Prescriptions) ---
-app.get('/api/patients/:id/details', authenticateToken, async (req, res) => {
-    if (req.user.role !== 'hospital') return res.status(403).json({ message: 'Access denied.' });
+// POST /api/appointments (Patient books a slot)
+// Expected body: { slotId, reason? }
+app.post('/api/appointments', authenticateToken, appointmentRateLimiter, async (req, res) => {
+    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
 
-    const patientId = req.params.id;
+    const { slotId } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!ObjectId.isValid(slotId)) return res.status(400).json({ message: 'Choose a slot.' });
+    if (reason.length > APPOINTMENT_TEXT_MAX) {
+        return res.status(400).json({ message: `The reason must be at most ${APPOINTMENT_TEXT_MAX} characters.` });
+    }
 
+    let heldAppointmentId = null; // Set while the slot is claimed but the appointment is not yet saved
     try {
-        const patient = await db.collection('admittedPatients').findOne({
-            _id: new ObjectId(patientId),
-            hospitalId: req.user.id
+        const slot = await db.collection(APPOINTMENT_SLOTS_COLLECTION).findOne({ _id: new ObjectId(slotId) });
+        if (!slot) return res.status(404).json({ message: 'Slot not found.' });
+
+        const hospital = await db.collection('users').findOne({ _id: new ObjectId(slot.hospitalId), role: 'hospital' }, { projection: { status: 1 } });
+        if (!hospital || hospital.status !== 'APPROVED') {
+            return res.status(409).json({ message: 'This hospital is not taking bookings right now.' });
+        }
+
+        const clash = await findPatientClash(req.user.id, slot.startAt, slot.endAt);
+        if (clash) {
+            return res.status(409).json({ message: `You already have an appointment at ${clash.hospitalName} at ${formatAppointmentTime(clash.startAt)}.` });
+        }
+
+        const appointmentId = new ObjectId();
+        const claimed = await claimSlot(slotId, slot.hospitalId, appointmentId);
+        if (!claimed) return res.status(409).json({ message: 'That slot has just been booked or has passed. Please pick another.' });
+        heldAppointmentId = appointmentId;
+
+        const now = new Date();
+        const by = await getActor(req.user);
+        const appointment = {
+            _id: appointmentId,
+            slotId,
+            hospitalId: slot.hospitalId,
+            hospitalName: slot.hospitalName,
+            staffId: slot.staffId,
+            doctorName: slot.doctorName,
+            startAt: slot.startAt,
+            endAt: slot.endAt,
+            patientId: req.user.id,
+            patientName: req.user.username,
+            reason,
+            status: 'BOOKED',
+            bookedAt: now,
+            history: [{ action: 'BOOKED', at: now, by }]
+        };
+        await db.collection(APPOINTMENTS_COLLECTION).insertOne(appointment);
+        heldAppointmentId = null;
+
+        announceAppointmentChange(req.user, appointment);
+        await recordAudit(req, 'appointment.book', { type: 'appointment', id: appointmentId }, {
+            hospitalIds: [appointment.hospitalId],
+            after: appointment
         });
 
-        if (!patient) return res.status(404).json({ message: 'Patient not found.' });
-        
-        // Find all prescriptions for this patient by their name (assuming 'name' is the lookup key)
-        const prescriptions = await db.collection('prescriptions')
-            .find({ patientName: patient.name })
-            .sort({ prescribedAt: -1 })
+        res.status(201).json({ message: `Booked with Dr. ${slot.doctorName} at ${slot.hospitalName}, ${formatAppointmentTime(slot.startAt)}.` });
+    } catch (e) {
+        console.error('Book Appointment Error:', e);
+        // Give the slot back rather than leave it booked for an appointment that was never saved
+        if (heldAppointmentId) {
+            await releaseSlot(slotId, heldAppointmentId).catch(err => console.error('Release Slot Error:', err));
+        }
+        res.status(500).json({ message: 'Error booking appointment.' });
+    }
+});
+
+// GET /api/my-appointments (The patient's appointments, latest first)
+app.get('/api/my-appointments', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'patient') return res.status(403).json({ message: 'Access denied.' });
+
+    try {
+        const appointments = await db.collection(APPOINTMENTS_COLLECTION)
+            .find({ patientId: req.user.id })
+            .sort({ startAt: -1 })
+            .limit(50)
             .toArray();
-            
-        // Return patient details merged with their prescriptions
-        res.json({ ...patient, prescriptions });
-        
+
+        // Staff ids in the history stay with the hospital
+        res.json(appointments.map(({ history, ...a }) => ({ ...a, cancelledBy: a.cancelledBy ? a.cancelledBy.role : null })));
     } catch (e) {
-        console.error('Fetch Patient Details Error:', e);
-        res.status(500).json({ message: 'Error fetching patient details.' });
+        console.error('Fetch My Appointments Error:', e);
+        res.status(500).json({ message: 'Error fetching appointments.' });
     }
 });
 
-// --- NEW ROUTE: POST Prescription (For direct prescription after admission) ---
-app.post('/api/prescribe', authenticateToken, async (req, res) => {
-    if (req.user.role !== 'hospital') return res.status(403).json({ message: 'Access denied.' });
-    const { patientId, patientName, prescriptionText, doctorName } = req.body;
-    
-    if (!patientId || !patientName || !prescriptionText) {
-        return res.status(400).json({ message: 'Missing required prescription fields.' });
+// PUT /api/appointments/:id/cancel (Patient or hospital cancels; the slot opens up again)
+// Expected body: { reason }. Required when the hospital cancels, since the patient is told why.
+app.put('/api/appointments/:id/cancel', authenticateToken, async (req, res) => {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (req.user.role === 'hospital' && !reason) {
+        return res.status(400).json({ message: 'A reason is required; the patient will see it.' });
+    }
+    if (reason.length > APPOINTMENT_TEXT_MAX) {
+        return res.status(400).json({ message: `The reason must be at most ${APPOINTMENT_TEXT_MAX} characters.` });
     }
-    
-    // Retrieve hospital name from user data
-    const hospitalUser = await db.collection('users').findOne(
-        { _id: new ObjectId(req.user.id), role: 'hospital' }, 
-        { projection: { name: 1 } }
-    );
-    const hospitalName = hospitalUser?.name || 'Unknown Hospital';
-
-    const prescription = {
-        patientName,
-        patientId: patientId,
-        doctor: doctorName || 'Hospital Staff',
-        prescription: prescriptionText,
-        hospitalName,
-        prescribedAt: new Date(),
-    };
 
     try {
-        await db.collection('prescriptions').insertOne(prescription);
-        res.status(201).json({ message: 'Prescription saved successfully.' });
+        const found = await findChangeableAppointment(req.user, req.params.id);
+        if (found.error) return res.status(found.code).json({ message: found.error });
+        const before = found.appointment;
+
+        const now = new Date();
+        const by = await getActor(req.user);
+        const after = await db.collection(APPOINTMENTS_COLLECTION).findOneAndUpdate(
+            { _id: before._id, status: 'BOOKED' },
+            {
+                $set: { status: 'CANCELLED', cancelledAt: now, cancelledBy: by, cancelReason: reason || null },
+                $push: { history: { action: 'CANCELLED', at: now, by, note: reason || null } }
+            },
+            { returnDocument: 'after' }
+        );
+        if (!after) return res.status(409).json({ message: 'This appointment was changed by someone else. Refresh and try again.' });
+
+        await releaseSlot(before.slotId, before._id);
+        announceAppointmentChange(req.user, after, 'appointmentCancelled', { when: formatAppointmentTime(before.startAt), reason });
+        await recordAudit(req, 'appointment.cancel', { type: 'appointment', id: before._id }, {
+            hospitalIds: [before.hospitalId],
+            before,
+            after,
+            note: reason || null
+        });
+
+        res.json({ message: 'Appointment cancelled.' });
     } catch (e) {
-        console.error('Prescribe Error:', e);
-        res.status(500).json({ message: 'Error saving prescription.' });
+        console.error('Cancel Appointment Error:', e);
+        res.status(500).json({ message: 'Error cancelling appointment.' });
+    }
+});
+
+// PUT /api/appointments/:id/reschedule (Move an appointment to another open slot at the same hospital)
+// Expected body: { slotId }
+app.put('/api/appointments/:id/reschedule', authenticateToken, async (req, res) => {
+    const { slotId } = req.body;
+    if (!ObjectId.isValid(slotId)) return res.status(400).json({ message: 'Choose a new slot.' });
+
+    try {
+        const found = await findChangeableAppointment(req.user, req.params.id);
+        if (found.error) return res.status(found.code).json({ message: found.error });
+        const before = found.appointment;
+
+        const slot = await db.collection(APPOINTMENT_SLOTS_COLLECTION).findOne({ _id: new ObjectId(slotId), hospitalId: before.hospitalId });
+        if (!slot) return res.status(404).json({ message: 'Slot not found at this hospital.' });
+
+        const clash = await findPatientClash(before.patientId, slot.startAt, slot.endAt, before._id);
+        if (clash) {
+            return res.status(409).json({ message: `The patient already has an appointment at ${clash.hospitalName} at ${formatAppointmentTime(clash.startAt)}.` });
+        }
+
+        const claimed = await claimSlot(slotId, before.hospitalId, before._id);
+        if (!claimed) return res.status(409).json({ message: 'That slot has just been booked or has passed. Please pick another.' });
+
+        const now = new Date();
+        const by = await getActor(req.user);
+        const after = await db.collection(APPOINTMENTS_COLLECTION).findOneAndUpdate(
+            { _id: before._id, status: 'BOOKED', slotId: before.slotId },
+            {
+                $set: { slotId, staffId: slot.staffId, doctorName: slot.doctorName, startAt: slot.startAt, endAt: slot.endAt },
+                $push: { history: { action: 'RESCHEDULED', at: now, by, note: `From ${formatAppointmentTime(before.startAt)}` } }
+            },
+            { returnDocument: 'after' }
+        );
+        if (!after) {
+            await releaseSlot(slotId, before._id);
+            return res.status(409).json({ message: 'This appointment was changed by someone else. Refresh and try again.' });
+        }
+
+        await releaseSlot(before.slotId, before._id);
+        announceAppointmentChange(req.user, after, 'appointmentRescheduled', {
+            previousWhen: formatAppointmentTime(before.startAt),
+            when: formatAppointmentTime(after.startAt)
+        });
+        await recordAudit(req, 'appointment.reschedule', { type: 'appointment', id: before._id }, {
+            hospitalIds: [before.hospitalId],
+            before,
+            after
+        });
+
+        res.json({ message: `Moved to ${formatAppointmentTime(after.startAt)} with Dr. ${after.doctorName}.` });
+    } catch (e) {
+        console.error('Reschedule Appointment Error:', e);
+        res.status(500).json({ message: 'Error rescheduling appointment.' });
     }
 });
 
@@ -792,5 +4728,7 @@ app.post('/api/prescribe', authenticateToken, async (req, res) => {
 
 app.listen(PORT, async () => {
     await connectToMongo();
+    startSOSEscalationWatcher();
+    notifications.start();
     console.log(`Server is running on port ${PORT}`);
 });
\ No newline at end of file